@@ -9,6 +9,11 @@ const axios = require('axios');
 const readline = require('readline');
 const crypto = require('crypto');
 
+// Authenticate against the PortableLLM API when a token is provided
+if (process.env.PORTABLELLM_TOKEN) {
+  axios.defaults.headers.common.Authorization = `Bearer ${process.env.PORTABLELLM_TOKEN}`;
+}
+
 // Colors for console output
 const colors = {
   reset: '\x1b[0m',
@@ -8,6 +8,11 @@
 const axios = require('axios');
 const readline = require('readline');
 
+// Authenticate against the PortableLLM API when a token is provided
+if (process.env.PORTABLELLM_TOKEN) {
+  axios.defaults.headers.common.Authorization = `Bearer ${process.env.PORTABLELLM_TOKEN}`;
+}
+
 // Colors for console output
 const colors = {
   reset: '\x1b[0m',
@@ -112,17 +117,14 @@ Also, I'm diabetic - does that change anything? Thanks, Sarah`
     }
   }
 
-  async callLLM(prompt, context = {}) {
+  async runTemplate(name, variables) {
     try {
-      const response = await axios.post(`${this.apiUrl}/generate`, {
+      const response = await axios.post(`${this.apiUrl}/templates/${name}/run`, {
         model: 'deepseek-coder:6.7b-instruct',
-        prompt,
+        variables,
         options: {
-          temperature: 0.4,
-          top_p: 0.8,
           stream: false
-        },
-        ...context
+        }
       });
       
       return response.data.response;
@@ -132,6 +134,20 @@ Also, I'm diabetic - does that change anything? Thanks, Sarah`
     }
   }
 
+  async runWorkflow(name, input) {
+    try {
+      const response = await axios.post(`${this.apiUrl}/workflows/${name}`, {
+        model: 'deepseek-coder:6.7b-instruct',
+        ...input
+      });
+      
+      return response.data.output;
+    } catch (error) {
+      this.error(`API call failed: ${error.message}`);
+      throw error;
+    }
+  }
+
   showBanner() {
     this.log('\n🦷 PortableLLM Dental Practice Demo', colors.cyan);
     this.log('='.repeat(50), colors.cyan);
@@ -162,53 +178,30 @@ Also, I'm diabetic - does that change anything? Thanks, Sarah`
     
     this.info('\nAnalyzing patient communication with PortableLLM...');
     
-    const analysisPrompt = `Analyze the following patient communication for a dental practice:
-
-Patient Message: "${scenario.patientMessage}"
-
-Please provide a structured analysis including:
-1. Overall sentiment (positive/neutral/negative/anxious)
-2. Specific concerns identified
-3. Recommended response approach
-4. Priority level for follow-up
-5. Key points to address in response
-
-Focus on healthcare communication best practices and patient care.`;
-
     try {
-      const analysis = await this.callLLM(analysisPrompt);
+      const { analysis, reply } = await this.runWorkflow('patient-communication', {
+        message: scenario.patientMessage,
+        provider: 'Dr. Smith',
+        patient: { name: 'Sarah', conditions: ['Diabetes'], upcomingProcedure: 'Root canal' }
+      });
       
       this.log('\n🔍 AI Analysis Results:', colors.green);
       this.log('='.repeat(30), colors.green);
-      console.log(analysis);
+      this.log(`Sentiment: ${analysis.sentiment}`, colors.reset);
+      this.log(`Priority: ${analysis.priority}`, colors.reset);
+      this.log('Concerns:', colors.reset);
+      analysis.concerns.forEach(concern => this.log(`  - [${concern.topic}] ${concern.detail}`, colors.reset));
+      this.log(`Response approach: ${analysis.responseApproach}`, colors.reset);
+      this.log('Key points:', colors.reset);
+      analysis.keyPoints.forEach(point => this.log(`  - ${point}`, colors.reset));
       
-      const generateResponse = await this.question('\nWould you like me to generate a response template? (y/n): ');
+      const showReply = await this.question('\nWould you like to see the drafted response? (y/n): ');
       
-      if (generateResponse.toLowerCase() === 'y' || generateResponse.toLowerCase() === 'yes') {
-        this.info('\nGenerating professional response...');
-        
-        const responsePrompt = `Based on this patient communication analysis, generate a professional, empathetic email response from Dr. Smith addressing all the patient's concerns:
-
-Patient Concerns:
-- Anxiety about root canal pain
-- Insurance coverage questions  
-- Diabetes considerations
-
-Generate a caring, informative response that:
-1. Acknowledges the patient's anxiety empathetically
-2. Provides factual information about modern root canal procedures
-3. Addresses insurance coverage specifically
-4. Explains diabetes considerations for the procedure
-5. Offers additional support (pre-treatment consultation)
-6. Uses professional but warm tone
-
-Format as a complete email response.`;
-        
-        const response = await this.callLLM(responsePrompt);
-        
+      if (showReply.toLowerCase() === 'y' || showReply.toLowerCase() === 'yes') {
         this.log('\n📝 Generated Response:', colors.green);
         this.log('='.repeat(30), colors.green);
-        console.log(response);
+        this.log(`Subject: ${reply.subject}\n`, colors.reset);
+        console.log(reply.body);
       }
       
     } catch (error) {
@@ -229,44 +222,13 @@ Format as a complete email response.`;
     
     this.info('\nGenerating patient-friendly treatment explanation...');
     
-    const explanationPrompt = `Create a patient-friendly treatment explanation for:
-
-Procedure: ${scenario.treatmentInfo.procedure}
-Patient Conditions: ${scenario.treatmentInfo.patientConditions}  
-Insurance Coverage: ${scenario.treatmentInfo.insurance}
-Estimated Cost: ${scenario.treatmentInfo.estimatedCost}
-
-Generate a clear, comprehensive explanation that includes:
-
-1. TREATMENT OVERVIEW
-   - What the procedure involves in simple terms
-   - Why this treatment is necessary
-   - Expected outcomes
-
-2. STEP-BY-STEP PROCESS
-   - Timeline and appointment schedule
-   - What happens at each visit
-   - Recovery expectations
-
-3. SPECIAL CONSIDERATIONS
-   - How diabetes affects treatment
-   - Pre-treatment preparations
-   - Post-treatment care
-
-4. FINANCIAL INFORMATION  
-   - Cost breakdown with insurance
-   - Payment options available
-   - What insurance covers
-
-5. PATIENT PREPARATION
-   - What to expect
-   - Questions to ask
-   - How to prepare
-
-Use clear, non-medical language that a patient can easily understand.`;
-
     try {
-      const explanation = await this.callLLM(explanationPrompt);
+      const explanation = await this.runTemplate('treatment-explanation', {
+        procedure: scenario.treatmentInfo.procedure,
+        patient_conditions: scenario.treatmentInfo.patientConditions,
+        insurance: scenario.treatmentInfo.insurance,
+        estimated_cost: scenario.treatmentInfo.estimatedCost
+      });
       
       this.log('\n📋 Patient Treatment Explanation:', colors.green);
       this.log('='.repeat(40), colors.green);
@@ -290,38 +252,12 @@ Use clear, non-medical language that a patient can easily understand.`;
     
     this.info('\nGenerating insurance pre-authorization documentation...');
     
-    const documentationPrompt = `Generate comprehensive insurance pre-authorization documentation for:
-
-Procedure Codes: ${scenario.procedure.codes}
-Clinical Findings: ${scenario.procedure.findings}
-Medical Necessity: ${scenario.procedure.necessity}
-
-Create professional insurance documentation including:
-
-1. PRE-AUTHORIZATION LETTER
-   - Formal request to insurance company
-   - Patient and provider information
-   - Clear medical necessity justification
-
-2. CLINICAL DOCUMENTATION
-   - Detailed findings and diagnosis
-   - Treatment rationale
-   - Expected outcomes
-
-3. SUPPORTING EVIDENCE
-   - Radiographic findings
-   - Clinical examination results  
-   - Alternative treatment considerations
-
-4. PROCEDURAL DETAILS
-   - Specific codes and descriptions
-   - Timeline and follow-up care
-   - Cost-effectiveness rationale
-
-Format as professional medical documentation suitable for insurance review.`;
-
     try {
-      const documentation = await this.callLLM(documentationPrompt);
+      const documentation = await this.runTemplate('insurance-preauthorization', {
+        procedure_codes: scenario.procedure.codes,
+        clinical_findings: scenario.procedure.findings,
+        medical_necessity: scenario.procedure.necessity
+      });
       
       this.log('\n📋 Insurance Documentation:', colors.green);
       this.log('='.repeat(35), colors.green);
@@ -345,69 +281,32 @@ Format as professional medical documentation suitable for insurance review.`;
     
     this.info('\nAnalyzing practice communication patterns...');
     
-    const analysisPrompt = `Analyze the following patient feedback for a dental practice to identify patterns and improvement opportunities:
-
-Patient Feedback:
-${scenario.feedback.map((comment, index) => `${index + 1}. "${comment}"`).join('\n')}
-
-Provide a comprehensive analysis including:
-
-1. SENTIMENT ANALYSIS
-   - Overall satisfaction levels
-   - Positive vs negative feedback breakdown
-   - Common emotional themes
-
-2. KEY THEMES IDENTIFIED
-   - Most frequently mentioned topics
-   - Recurring issues or concerns
-   - Areas of praise
-
-3. OPERATIONAL INSIGHTS
-   - Wait time issues
-   - Staff performance feedback
-   - Process improvement opportunities
-
-4. RECOMMENDATIONS
-   - Immediate actions to address concerns
-   - Long-term improvements  
-   - Staff training opportunities
-
-5. PRIORITY AREAS
-   - Critical issues requiring immediate attention
-   - Medium-term improvements
-   - Areas of strength to maintain
-
-Format as a practice management report with actionable insights.`;
-
     try {
-      const analysis = await this.callLLM(analysisPrompt);
+      const report = await this.runWorkflow('practice-analytics', {
+        feedback: scenario.feedback.map(text => ({ text }))
+      });
       
       this.log('\n📈 Practice Analysis Report:', colors.green);
       this.log('='.repeat(35), colors.green);
-      console.log(analysis);
+      this.log(`Overall sentiment: ${report.overallSentiment}`, colors.reset);
+      console.log(report.summary);
+      this.log('\nThemes:', colors.yellow);
+      report.themes.forEach(theme => this.log(`  - ${theme.theme} (${theme.sentiment}; feedback ${theme.feedback.join(', ')})`, colors.reset));
+      this.log('\nStrengths:', colors.yellow);
+      report.strengths.forEach(strength => this.log(`  - ${strength}`, colors.reset));
+      this.log('\nImprovements:', colors.yellow);
+      report.improvements.forEach(item => this.log(`  - [${item.priority}] ${item.area}: ${item.recommendation}`, colors.reset));
       
-      const generateAction = await this.question('\nWould you like me to generate an action plan? (y/n): ');
+      const showPlan = await this.question('\nWould you like to see the 30-day action plan? (y/n): ');
       
-      if (generateAction.toLowerCase() === 'y' || generateAction.toLowerCase() === 'yes') {
-        this.info('\nGenerating action plan...');
-        
-        const actionPrompt = `Based on the patient feedback analysis, create a specific 30-day action plan for practice improvement:
-
-Create an actionable plan with:
-1. Week 1 priorities (immediate fixes)
-2. Week 2-3 implementations (process improvements)  
-3. Week 4 evaluation and training
-4. Specific assignments for staff roles
-5. Measurable success metrics
-6. Follow-up procedures
-
-Format as a practical implementation guide for practice management.`;
-        
-        const actionPlan = await this.callLLM(actionPrompt);
-        
+      if (showPlan.toLowerCase() === 'y' || showPlan.toLowerCase() === 'yes') {
         this.log('\n📅 30-Day Action Plan:', colors.green);
         this.log('='.repeat(25), colors.green);
-        console.log(actionPlan);
+        report.actionPlan.forEach(step => {
+          this.log(`\n${step.period} (${step.owner})`, colors.yellow);
+          step.actions.forEach(action => this.log(`  - ${action}`, colors.reset));
+          this.log(`  Success metric: ${step.metric}`, colors.reset);
+        });
       }
       
     } catch (error) {
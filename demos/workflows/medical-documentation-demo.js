@@ -8,6 +8,11 @@
 const axios = require('axios');
 const readline = require('readline');
 
+// Authenticate against the PortableLLM API when a token is provided
+if (process.env.PORTABLELLM_TOKEN) {
+  axios.defaults.headers.common.Authorization = `Bearer ${process.env.PORTABLELLM_TOKEN}`;
+}
+
 // Colors for console output
 const colors = {
   reset: '\x1b[0m',
@@ -127,6 +132,23 @@ Thyroid slightly enlarged. Labs: TSH pending.`
     }
   }
 
+  async runTemplate(name, variables) {
+    try {
+      const response = await axios.post(`${this.apiUrl}/templates/${name}/run`, {
+        model: 'llama3.1:8b-instruct',
+        variables,
+        options: {
+          stream: false
+        }
+      });
+      
+      return response.data.response;
+    } catch (error) {
+      this.error(`API call failed: ${error.message}`);
+      throw error;
+    }
+  }
+
   showBanner() {
     this.log('\n🏥 PortableLLM Medical Documentation Demo', colors.cyan);
     this.log('='.repeat(55), colors.cyan);
@@ -157,46 +179,8 @@ Thyroid slightly enlarged. Labs: TSH pending.`
     
     this.info('\nEnhancing clinical note with PortableLLM...');
     
-    const enhancementPrompt = `Enhance the following clinical note into a comprehensive SOAP format suitable for medical documentation:
-
-Raw Note: "${scenario.rawNote}"
-
-Please provide:
-
-**ENHANCED CLINICAL NOTE**
-
-**PATIENT:** 45-year-old female
-
-**SUBJECTIVE:**
-- Chief complaint and history of present illness
-- Review of systems (relevant positives and negatives)
-- Past medical history, family history, social history
-
-**OBJECTIVE:**
-- Vital signs and physical examination findings
-- Laboratory and diagnostic test results
-
-**ASSESSMENT:**
-- Primary diagnosis with differential considerations
-- Clinical reasoning and supporting evidence
-
-**PLAN:**
-- Diagnostic workup
-- Treatment recommendations  
-- Follow-up instructions
-- Patient education provided
-
-**ICD-10 CODING SUGGESTIONS:**
-- Appropriate diagnostic codes
-
-**QUALITY MEASURES:**
-- Clinical quality indicators met
-- Documentation completeness score
-
-Ensure the note meets medical documentation standards and includes all relevant clinical information.`;
-
     try {
-      const enhancedNote = await this.callLLM(enhancementPrompt);
+      const enhancedNote = await this.runTemplate('soap-note', { raw_note: scenario.rawNote });
       
       this.log('\n📋 Enhanced Clinical Note:', colors.green);
       this.log('='.repeat(35), colors.green);
@@ -10,6 +10,11 @@ const os = require('os');
 const fs = require('fs');
 const path = require('path');
 
+// Authenticate against the PortableLLM API when a token is provided
+if (process.env.PORTABLELLM_TOKEN) {
+  axios.defaults.headers.common.Authorization = `Bearer ${process.env.PORTABLELLM_TOKEN}`;
+}
+
 // Configuration
 const config = {
   baseUrl: 'http://localhost:8080',
@@ -8,6 +8,11 @@
 const axios = require('axios');
 const os = require('os');
 
+// Authenticate against the PortableLLM API with a token or monitoring:read API key
+if (process.env.PORTABLELLM_TOKEN) {
+  axios.defaults.headers.common.Authorization = `Bearer ${process.env.PORTABLELLM_TOKEN}`;
+}
+
 // Colors for console output
 const colors = {
   reset: '\x1b[0m',
@@ -15,12 +15,69 @@ const path = require('path');
 const config = require('../config/app');
 const logger = require('../utils/logger');
 const OllamaService = require('../services/ollama');
+const ModelService = require('../services/models');
+const AuthService = require('../services/auth');
+const EncryptionService = require('../services/encryption');
+const ApiKeyService = require('../services/apiKeys');
+const InferenceScheduler = require('../services/scheduler');
+const ResponseCache = require('../services/responseCache');
+const RequestRegistry = require('../services/requestRegistry');
+const ModelDownloadService = require('../services/modelDownloads');
+const BatchJobService = require('../services/batchJobs');
+const PrivacyService = require('../services/privacy');
+const ComplianceService = require('../services/compliance');
+const DocumentService = require('../services/documents');
+const RagService = require('../services/rag');
+const DatabaseService = require('../services/database');
+const SessionService = require('../services/sessions');
+const TemplateService = require('../services/templates');
+const WorkflowService = require('../services/workflows');
+const ToolService = require('../services/tools');
+const ChatSocketServer = require('./websocket');
+const requestContext = require('../utils/requestContext');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { trackInference } = require('../middleware/cancellation');
+const { redactPHI, getRedactionMetadata } = require('../middleware/phiRedaction');
+const { applyModelProfile } = require('../middleware/modelProfile');
+const { attachDocuments } = require('../middleware/documentContext');
+const { retrieveContext } = require('../middleware/ragContext');
+const { loadSession } = require('../middleware/sessionContext');
+const { renderTemplate } = require('../middleware/promptTemplate');
+const { requireWorkflow, prepareWorkflow } = require('../middleware/workflow');
+const { authorizeTools } = require('../middleware/tools');
+const { errorHandler, openAIErrorHandler } = require('../middleware/errorHandler');
+const { ApiError, toApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { INFERENCE_ERRORS, buildOpenApiDocument, describeRoute } = require('../utils/openapi');
+const { modelParams } = require('../schemas/common');
+const { chatRequest, generateRequest, embeddingsRequest } = require('../schemas/inference');
+const { ragQueryRequest } = require('../schemas/rag');
+const { templateParams, runTemplateRequest } = require('../schemas/templates');
+const {
+  patientCommunicationRequest,
+  documentSummarizationRequest,
+  treatmentPlanningRequest,
+  practiceAnalyticsRequest,
+} = require('../schemas/workflows');
+const { initSSE, sendEvent, sendError, endSSE } = require('../utils/sse');
+const { checkResponseFormat, parseOutput, repairInstructions } = require('../utils/structuredOutput');
+
+// Completions can also be held to a response_format
+const COMPLETION_ERRORS = [...INFERENCE_ERRORS, 'OUTPUT_VALIDATION_FAILED'];
 
 class PortableLLMServer {
   constructor() {
     this.app = express();
     this.server = null;
     this.ollamaService = null;
+    this.modelService = null;
+    this.authService = null;
+    this.encryptionService = null;
+    this.apiKeyService = null;
+    this.scheduler = null;
+    this.responseCache = null;
+    this.rateLimitStore = null;
+    this.chatSocket = null;
     this.isShuttingDown = false;
   }
 
@@ -55,6 +112,92 @@ class PortableLLMServer {
     try {
       // Initialize Ollama service
       this.ollamaService = new OllamaService(config.ollama.baseUrl);
+      this.app.set('ollama', this.ollamaService);
+
+      // Model registry, optimization profiles and performance metrics
+      this.modelService = new ModelService(this.ollamaService);
+      await this.modelService.init();
+      this.app.set('models', this.modelService);
+
+      // Initialize encryption
+      this.encryptionService = new EncryptionService();
+      this.app.set('encryption', this.encryptionService);
+
+      // SQLite database, and conversation sessions encrypted per session
+      this.database = new DatabaseService();
+      await this.database.init();
+
+      this.sessions = new SessionService(this.database, this.encryptionService);
+      await this.sessions.init();
+      this.app.set('sessions', this.sessions);
+
+      // Versioned prompt template library
+      this.templates = new TemplateService(this.database, this.modelService);
+      await this.templates.init();
+      this.app.set('templates', this.templates);
+
+      // Healthcare workflows with structured output
+      this.workflows = new WorkflowService(this.modelService);
+      this.app.set('workflows', this.workflows);
+
+      // Local tools the model may call during a chat
+      this.tools = new ToolService(this.ollamaService);
+      this.app.set('tools', this.tools);
+
+      // Initialize authentication
+      this.authService = new AuthService();
+      this.app.set('auth', this.authService);
+
+      this.apiKeyService = new ApiKeyService(this.encryptionService);
+      this.app.set('apiKeys', this.apiKeyService);
+
+      // Queue inference so Ollama is never asked for more than it can serve
+      this.scheduler = new InferenceScheduler();
+      this.app.set('scheduler', this.scheduler);
+
+      // Cache deterministic responses, encrypted at rest
+      this.responseCache = new ResponseCache(this.encryptionService, this.ollamaService);
+      this.app.set('responseCache', this.responseCache);
+
+      // Track in-flight inference so it can be cancelled
+      this.requests = new RequestRegistry();
+      this.app.set('requests', this.requests);
+
+      // Model pulls run as tracked, resumable jobs
+      this.downloads = new ModelDownloadService(this.ollamaService);
+      this.app.set('downloads', this.downloads);
+
+      // PHI detection, de-identification and consent records
+      this.privacyService = new PrivacyService(this.encryptionService);
+      this.app.set('privacy', this.privacyService);
+
+      // Batch jobs run in the scheduler's batch lane and resume after a restart
+      this.batches = new BatchJobService(this.ollamaService, this.scheduler, this.encryptionService, this.privacyService);
+      this.app.set('batches', this.batches);
+
+      // Scheduled compliance checks, reports and incident records
+      this.complianceService = new ComplianceService(this.encryptionService, this.privacyService);
+      this.app.set('compliance', this.complianceService);
+
+      // Uploaded documents, encrypted at rest, usable as inference context
+      this.documents = new DocumentService(this.encryptionService);
+      this.app.set('documents', this.documents);
+
+      // Vector index over uploaded documents for retrieval-augmented chat
+      this.rag = new RagService(this.ollamaService, this.scheduler, this.documents, this.encryptionService);
+      this.app.set('rag', this.rag);
+
+      const monitoring = this.app.get('monitoring');
+      if (monitoring) {
+        monitoring.registerSource('queue', () => this.scheduler.getStats());
+        monitoring.registerSource('cache', () => this.responseCache.getStats());
+        monitoring.registerSource('requests', () => this.requests.getStats());
+        monitoring.registerSource('downloads', () => this.downloads.getStats());
+        monitoring.registerSource('batches', () => this.batches.getStats());
+        monitoring.registerSource('documents', () => this.documents.getStats());
+        monitoring.registerSource('rag', () => this.rag.getStats());
+        monitoring.registerSource('database', () => this.database.getStats());
+      }
       
       // Set up event listeners
       this.ollamaService.on('download:progress', (data) => {
@@ -98,13 +241,21 @@ class PortableLLMServer {
       }));
     }
 
-    // Rate limiting
+    // Request logging (assigns the request ID, so it runs before rate
+    // limiting and body parsing and their rejections can still be traced)
+    this.app.use(logger.requestLogger.bind(logger));
+
+    // Rate limiting (the store is shared with the WebSocket server so
+    // socket messages count against the same per-IP budget)
+    this.rateLimitStore = new rateLimit.MemoryStore();
     const limiter = rateLimit({
       windowMs: config.security.rateLimitWindow,
       max: config.security.rateLimitMax,
-      message: {
-        error: 'Too many requests, please try again later',
-        retryAfter: Math.ceil(config.security.rateLimitWindow / 1000),
+      store: this.rateLimitStore,
+      handler: (req, res, next) => {
+        next(new ApiError('RATE_LIMITED', 'Too many requests, please try again later', {
+          retryAfter: Math.ceil(config.security.rateLimitWindow / 1000),
+        }));
       },
       standardHeaders: true,
       legacyHeaders: false,
@@ -114,24 +265,16 @@ class PortableLLMServer {
     // Request parsing
     this.app.use(express.json({ 
       limit: '50mb',
-      verify: (req, res, buf, encoding) => {
-        // Log all API requests for audit
-        if (req.originalUrl.startsWith('/api/')) {
-          logger.auditLog('API Request', {
-            method: req.method,
-            url: req.originalUrl,
-            contentLength: buf.length,
-            userAgent: req.get('User-Agent'),
-            ip: req.ip,
-          });
-        }
+      verify: (req, res, buf) => {
+        // Recorded for the API request audit entry once the caller is known
+        req.bodyLength = buf.length;
       }
     }));
     
     this.app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-    // Request logging
-    this.app.use(logger.requestLogger.bind(logger));
+    // Per-request audit context (request ID, authenticated user)
+    this.app.use(requestContext.middleware);
 
     // Health check endpoint (before other middleware)
     this.app.get('/health', (req, res) => {
@@ -153,20 +296,38 @@ class PortableLLMServer {
   configureRoutes() {
     const apiRouter = express.Router();
 
+    // Log all authenticated API requests for audit
+    const auditRequest = (req, res, next) => {
+      logger.auditLog('API Request', {
+        method: req.method,
+        url: req.originalUrl,
+        contentLength: req.bodyLength || 0,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+      });
+      next();
+    };
+
     // API version info
-    apiRouter.get('/', (req, res) => {
+    apiRouter.get('/', describeRoute('Get API version and endpoint index'), (req, res) => {
+      // Endpoints come from the generated API document so the index cannot drift
+      const endpoints = Object.keys(req.app.get('openapi').paths)
+        .filter(endpoint => endpoint.startsWith(`${config.api.prefix}/`))
+        .map(endpoint => endpoint.slice(config.api.prefix.length));
+
       res.json({
         name: config.app.name,
         version: config.app.version,
         mode: config.app.mode,
         api: {
           version: 'v1',
-          endpoints: [
-            '/models',
-            '/chat',
-            '/generate',
-            '/system',
-          ],
+          endpoints,
+          openai: config.api.openai.enabled ? config.api.openai.prefix : null,
+          websocket: config.api.websocket.enabled ? config.api.websocket.path : null,
+          docs: config.api.docs.enabled ? {
+            openapi: `${config.api.prefix}/openapi.json`,
+            reference: `${config.api.prefix}/docs`,
+          } : null,
         },
         features: {
           privacy: config.security.localOnly,
@@ -177,49 +338,83 @@ class PortableLLMServer {
       });
     });
 
+    // OpenAPI document and interactive reference (public)
+    if (config.api.docs.enabled) {
+      const docsRoutes = require('../routes/docs');
+      apiRouter.use(docsRoutes);
+    }
+
+    // Authentication routes (login is public, the rest verify their own token)
+    const authRoutes = require('../routes/auth');
+    apiRouter.use('/auth', authRoutes);
+
+    // Every route below requires a valid token
+    apiRouter.use(authenticate, auditRequest);
+
+    // API key management
+    const apiKeyRoutes = require('../routes/apiKeys');
+    apiRouter.use('/api-keys', apiKeyRoutes);
+
+    // Response cache administration
+    const cacheRoutes = require('../routes/cache');
+    apiRouter.use('/cache', cacheRoutes);
+
     // Include monitoring routes
     const monitoringRoutes = require('../routes/monitoring');
     apiRouter.use('/monitoring', monitoringRoutes);
 
+    // In-flight request routes
+    const requestRoutes = require('../routes/requests');
+    apiRouter.use('/requests', requestRoutes);
+
+    // Model download jobs, mounted before /models/:model
+    const downloadRoutes = require('../routes/downloads');
+    apiRouter.use('/models/pull', downloadRoutes);
+
+    // Batch inference jobs
+    const batchRoutes = require('../routes/batches');
+    apiRouter.use('/batches', batchRoutes);
+
+    // Document uploads and extracted text
+    const documentRoutes = require('../routes/documents');
+    apiRouter.use('/documents', documentRoutes);
+
+    // Prompt template library; templates run below
+    const templateRoutes = require('../routes/templates');
+    apiRouter.use('/templates', templateRoutes);
+
+    // Conversation sessions
+    const sessionRoutes = require('../routes/sessions');
+    apiRouter.use('/sessions', sessionRoutes);
+
+    // Healthcare workflows; workflows run below
+    const workflowRoutes = require('../routes/workflows');
+    apiRouter.use('/workflows', workflowRoutes);
+
+    // Local tools the model may call during /chat
+    const toolRoutes = require('../routes/tools');
+    apiRouter.use('/tools', toolRoutes);
+
+    // Retrieval index status and maintenance
+    const ragRoutes = require('../routes/rag');
+    apiRouter.use('/rag', ragRoutes);
+
+    // Model registry, mounted before /models/:model
+    const modelRoutes = require('../routes/models');
+    apiRouter.use('/models', modelRoutes);
+
     // Models endpoints
-    apiRouter.get('/models', async (req, res) => {
+    apiRouter.get('/models', describeRoute('List installed models', { errors: ['OLLAMA_UNAVAILABLE'] }), requirePermission('models:read'), async (req, res, next) => {
       try {
         const models = await this.ollamaService.listModels();
         logger.auditLog('Models Listed', { count: models.length });
         res.json({ models });
       } catch (error) {
-        logger.error('Failed to list models:', error);
-        res.status(500).json({ error: 'Failed to list models' });
+        next(toApiError(error, 'Failed to list models'));
       }
     });
 
-    apiRouter.post('/models/pull', async (req, res) => {
-      try {
-        const { model } = req.body;
-        
-        if (!model) {
-          return res.status(400).json({ error: 'Model name is required' });
-        }
-
-        logger.auditLog('Model Download Started', { model });
-        
-        // Start download in background
-        this.ollamaService.pullModel(model, { stream: true })
-          .then(() => {
-            logger.auditLog('Model Download Completed', { model });
-          })
-          .catch((error) => {
-            logger.error('Model download failed:', { model, error: error.message });
-          });
-
-        res.json({ message: 'Model download started', model });
-      } catch (error) {
-        logger.error('Failed to start model download:', error);
-        res.status(500).json({ error: 'Failed to start model download' });
-      }
-    });
-
-    apiRouter.delete('/models/:model', async (req, res) => {
+    apiRouter.delete('/models/:model', describeRoute('Delete a model', { errors: ['MODEL_NOT_FOUND', 'OLLAMA_UNAVAILABLE'] }), requirePermission('models:write'), validateRequest({ params: modelParams }), async (req, res, next) => {
       try {
         const { model } = req.params;
         
@@ -228,117 +423,315 @@ class PortableLLMServer {
         
         res.json({ message: 'Model deleted successfully', model });
       } catch (error) {
-        logger.error('Failed to delete model:', error);
-        res.status(500).json({ error: 'Failed to delete model' });
+        next(toApiError(error, 'Failed to delete model', { model: req.params.model }));
       }
     });
 
-    apiRouter.get('/models/:model', async (req, res) => {
+    apiRouter.get('/models/:model', describeRoute('Get model details', { errors: ['MODEL_NOT_FOUND', 'OLLAMA_UNAVAILABLE'] }), requirePermission('models:read'), validateRequest({ params: modelParams }), async (req, res, next) => {
       try {
         const { model } = req.params;
         const modelInfo = await this.ollamaService.getModelInfo(model);
         
         res.json({ model, info: modelInfo });
       } catch (error) {
-        logger.error('Failed to get model info:', error);
-        res.status(500).json({ error: 'Failed to get model info' });
+        next(toApiError(error, 'Failed to get model info', { model: req.params.model }));
       }
     });
 
     // Chat endpoint
-    apiRouter.post('/chat', async (req, res) => {
+    apiRouter.post('/chat', describeRoute('Chat with a model', { produces: ['application/json', 'text/event-stream'], description: 'With `tools` the model may call the named local tools (see /tools); their results are fed back until it answers, and the response carries `tool_invocations`. Tool chats are never streamed or cached.', errors: COMPLETION_ERRORS }), requirePermission('chat'), validateRequest({ body: chatRequest }), applyModelProfile(), authorizeTools(), loadSession(), attachDocuments('chat'), redactPHI('chat'), trackInference('chat'), async (req, res, next) => {
       try {
         const { model, messages, options = {} } = req.body;
-        
-        if (!model || !messages) {
-          return res.status(400).json({ 
-            error: 'Model and messages are required' 
-          });
-        }
 
         const startTime = Date.now();
         logger.auditLog('Chat Request', { 
           model, 
           messageCount: messages.length,
+          session: req.chatSession?.id,
+          profile: req.modelProfile,
+          tools: req.tools,
           options: Object.keys(options) 
         });
 
-        // Set up streaming response if requested
-        if (options.stream !== false) {
-          res.writeHead(200, {
-            'Content-Type': 'text/event-stream',
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive',
+        // Stream tokens as Server-Sent Events unless explicitly disabled;
+        // structured output is validated whole and tool calls run between
+        // model turns, so neither is streamed
+        if (options.stream !== false && !options.response_format && !req.tools) {
+          return this.streamCompletion(req, res, {
+            type: 'chat',
+            model,
+            startTime,
+            priority: options.priority,
+            cacheRequest: { type: 'chat', model, input: messages, options },
+            run: (onToken) => this.ollamaService.chat(model, messages, {
+              ...options,
+              stream: true,
+              signal: req.signal,
+              onToken,
+            }),
+            getContent: (response) => response.message?.content,
           });
+        }
 
-          const response = await this.ollamaService.chat(model, messages, {
-            ...options,
-            stream: true,
-          });
+        const compute = () => this.runCompletion(req, res, { type: 'chat', model, input: messages, options });
 
-          // Note: In a real implementation, you'd handle the streaming response here
-          // For now, we'll return the complete response
-          res.end(JSON.stringify(response));
-        } else {
-          const response = await this.ollamaService.chat(model, messages, {
-            ...options,
-            stream: false,
-          });
+        // Tool results can change between calls, so tool chats are not cached
+        const { response, cache } = req.tools
+          ? { response: await compute(), cache: 'bypass' }
+          : await this.responseCache.fetch({ type: 'chat', model, input: messages, options }, compute);
 
-          const duration = Date.now() - startTime;
-          logger.auditLog('Chat Response', { 
-            model, 
-            duration: `${duration}ms`,
-            responseLength: response.message?.content?.length || 0 
-          });
+        const duration = Date.now() - startTime;
+        this.recordModelUsage(model, 'chat', duration, { response, cache });
+        logger.auditLog('Chat Response', { 
+          model, 
+          duration: `${duration}ms`,
+          responseLength: response.message?.content?.length || 0,
+          cache,
+          repairs: response.repairs,
+          toolInvocations: response.tool_invocations?.length,
+        });
 
-          res.json(response);
-        }
+        const body = this.restorePHI(req, response, 'chat');
+        await this.saveSessionTurn(req, model, body.message?.content || '');
+
+        res.set('X-Cache', cache.toUpperCase());
+        res.json(body);
       } catch (error) {
-        logger.error('Chat request failed:', error);
-        res.status(500).json({ error: 'Chat request failed' });
+        const apiError = toApiError(error, 'Chat request failed', { model: req.body.model });
+        this.recordModelUsage(req.body.model, 'chat', 0, { error: apiError });
+        next(apiError);
       }
     });
 
-    // Generate endpoint
-    apiRouter.post('/generate', async (req, res) => {
+    // Generate endpoint; also runs rendered prompt templates
+    const generate = async (req, res, next) => {
       try {
         const { model, prompt, options = {} } = req.body;
-        
-        if (!model || !prompt) {
-          return res.status(400).json({ 
-            error: 'Model and prompt are required' 
-          });
-        }
 
         const startTime = Date.now();
         logger.auditLog('Generate Request', { 
           model, 
           promptLength: prompt.length,
+          profile: req.modelProfile,
+          template: req.template,
           options: Object.keys(options)
         });
 
-        const response = await this.ollamaService.generate(model, prompt, {
-          ...options,
-          stream: false,
-        });
+        // Generation returns a single JSON body unless streaming is requested
+        if (options.stream === true && !options.response_format) {
+          return this.streamCompletion(req, res, {
+            type: 'generate',
+            model,
+            startTime,
+            priority: options.priority,
+            cacheRequest: { type: 'generate', model, input: prompt, options },
+            run: (onToken) => this.ollamaService.generate(model, prompt, {
+              ...options,
+              stream: true,
+              signal: req.signal,
+              onToken,
+            }),
+            getContent: (response) => response.response,
+          });
+        }
+
+        const { response, cache } = await this.responseCache.fetch(
+          { type: 'generate', model, input: prompt, options },
+          () => this.runCompletion(req, res, { type: 'generate', model, input: prompt, options })
+        );
 
         const duration = Date.now() - startTime;
+        this.recordModelUsage(model, 'generate', duration, { response, cache });
         logger.auditLog('Generate Response', { 
           model, 
           duration: `${duration}ms`,
-          responseLength: response.response?.length || 0 
+          responseLength: response.response?.length || 0,
+          template: req.template,
+          cache,
+          repairs: response.repairs,
+        });
+
+        res.set('X-Cache', cache.toUpperCase());
+        res.json(this.restorePHI(req, response, 'generate'));
+      } catch (error) {
+        const apiError = toApiError(error, 'Generate request failed', { model: req.body.model });
+        this.recordModelUsage(req.body.model, 'generate', 0, { error: apiError });
+        next(apiError);
+      }
+    };
+
+    apiRouter.post('/generate', describeRoute('Generate a completion for a prompt', { produces: ['application/json', 'text/event-stream'], errors: COMPLETION_ERRORS }), requirePermission('chat'), validateRequest({ body: generateRequest }), applyModelProfile(), attachDocuments('generate'), redactPHI('generate'), trackInference('generate'), generate);
+
+    // Run a prompt template; responds like /generate
+    apiRouter.post('/templates/:name/run', describeRoute('Run a prompt template', { produces: ['application/json', 'text/event-stream'], description: 'Renders the template with `variables` and generates a completion with its system prompt, model and profile; `model` and `options` override them. Responds like /generate.', errors: ['NOT_FOUND', ...COMPLETION_ERRORS] }), requirePermission('chat'), validateRequest({ params: templateParams, body: runTemplateRequest }), renderTemplate(), applyModelProfile(), redactPHI('generate'), trackInference('generate'), generate);
+
+    // Healthcare workflows: typed input, structured JSON output
+    const runWorkflow = async (req, res, next) => {
+      try {
+        const { model, prompt, options } = req.body;
+        const { name, useCase, input } = req.workflow;
+
+        const startTime = Date.now();
+        logger.auditLog('Workflow Request', {
+          workflow: name,
+          model,
+          useCase,
+          promptLength: prompt.length,
+          options: Object.keys(options)
+        });
+
+        const { response, cache } = await this.responseCache.fetch(
+          { type: 'generate', model, input: prompt, options },
+          () => this.runCompletion(req, res, { type: 'generate', label: 'workflow', model, input: prompt, options })
+        );
+
+        const { output: restored } = this.restorePHI(req, response, 'generate');
+        const output = this.workflows.finalize(name, restored, input);
+
+        const duration = Date.now() - startTime;
+        this.recordModelUsage(model, useCase, duration, { response, cache });
+        logger.auditLog('Workflow Completed', {
+          workflow: name,
+          model,
+          useCase,
+          duration: `${duration}ms`,
+          cache,
+          repairs: response.repairs,
+        });
+
+        res.set('X-Cache', cache.toUpperCase());
+        res.json({
+          workflow: name,
+          model,
+          useCase,
+          output,
+          repairs: response.repairs,
+          phi_redaction: getRedactionMetadata(req),
+        });
+      } catch (error) {
+        const apiError = toApiError(error, 'Workflow failed', { workflow: req.workflow?.name, model: req.body.model });
+        if (req.workflow) {
+          this.recordModelUsage(req.body.model, req.workflow.useCase, 0, { error: apiError });
+        }
+        next(apiError);
+      }
+    };
+
+    const WORKFLOW_ERRORS = ['NOT_FOUND', ...COMPLETION_ERRORS];
+
+    apiRouter.post('/workflows/patient-communication', describeRoute('Analyze a patient message and draft a reply', { description: 'Returns the sentiment, concerns, follow-up priority and key points of the message, and a reply to send. Uses the patient_communication use case.', errors: WORKFLOW_ERRORS }), requirePermission('chat'), requireWorkflow('patient-communication'), validateRequest({ body: patientCommunicationRequest }), prepareWorkflow('patient-communication'), redactPHI('generate'), trackInference('workflow'), runWorkflow);
+
+    apiRouter.post('/workflows/document-summarization', describeRoute('Summarize a clinical document', { description: 'Summarizes `text` or an uploaded `document` into key findings, diagnoses, medications, follow-up and flags for clinical attention. Uses the medical_documentation use case.', errors: ['FORBIDDEN', ...WORKFLOW_ERRORS] }), requirePermission('chat'), requireWorkflow('document-summarization'), validateRequest({ body: documentSummarizationRequest }), prepareWorkflow('document-summarization'), redactPHI('generate'), trackInference('workflow'), runWorkflow);
+
+    apiRouter.post('/workflows/treatment-planning', describeRoute('Explain a treatment plan to a patient', { description: 'Returns the steps, condition considerations, preparation and aftercare of a procedure. `costEstimate` is computed from the cost and insurance coverage, not by the model. Uses the treatment_planning use case.', errors: WORKFLOW_ERRORS }), requirePermission('chat'), requireWorkflow('treatment-planning'), validateRequest({ body: treatmentPlanningRequest }), prepareWorkflow('treatment-planning'), redactPHI('generate'), trackInference('workflow'), runWorkflow);
+
+    apiRouter.post('/workflows/practice-analytics', describeRoute('Analyze patient feedback', { description: 'Returns themes, strengths, improvements and a 30-day action plan. `statistics` is computed from the ratings and dates, not by the model. Uses the practice_analytics use case.', errors: WORKFLOW_ERRORS }), requirePermission('chat'), requireWorkflow('practice-analytics'), validateRequest({ body: practiceAnalyticsRequest }), prepareWorkflow('practice-analytics'), redactPHI('generate'), trackInference('workflow'), runWorkflow);
+
+    // Retrieval-augmented chat over uploaded documents
+    apiRouter.post('/rag/query', describeRoute('Chat with passages retrieved from uploaded documents', { produces: ['application/json', 'text/event-stream'], description: 'The last user message is embedded and matched against the indexed documents. The top passages are given to the model as numbered sources, and the response carries `citations` with the document ID and character offsets of each source.', errors: COMPLETION_ERRORS }), requirePermission('chat'), requirePermission('documents:read'), validateRequest({ body: ragQueryRequest }), applyModelProfile(), trackInference('rag'), retrieveContext(), redactPHI('chat'), async (req, res, next) => {
+      try {
+        const { model, messages, options = {} } = req.body;
+        const citations = req.ragCitations;
+
+        const startTime = Date.now();
+        logger.auditLog('RAG Request', {
+          model,
+          messageCount: messages.length,
+          passages: citations.length,
+          profile: req.modelProfile,
+          options: Object.keys(options)
+        });
+
+        // Streams like /chat, with the citations on the done event
+        if (options.stream !== false && !options.response_format) {
+          return this.streamCompletion(req, res, {
+            type: 'chat',
+            model,
+            startTime,
+            priority: options.priority,
+            cacheRequest: { type: 'chat', model, input: messages, options },
+            run: (onToken) => this.ollamaService.chat(model, messages, {
+              ...options,
+              stream: true,
+              signal: req.signal,
+              onToken,
+            }),
+            getContent: (response) => response.message?.content,
+            extra: { citations },
+          });
+        }
+
+        const { response, cache } = await this.responseCache.fetch(
+          { type: 'chat', model, input: messages, options },
+          () => this.runCompletion(req, res, { type: 'chat', model, input: messages, options })
+        );
+
+        const duration = Date.now() - startTime;
+        this.recordModelUsage(model, 'chat', duration, { response, cache });
+        logger.auditLog('RAG Response', {
+          model,
+          duration: `${duration}ms`,
+          responseLength: response.message?.content?.length || 0,
+          cache,
+          repairs: response.repairs,
         });
 
-        res.json(response);
+        res.set('X-Cache', cache.toUpperCase());
+        res.json({ ...this.restorePHI(req, response, 'chat'), citations });
       } catch (error) {
-        logger.error('Generate request failed:', error);
-        res.status(500).json({ error: 'Generate request failed' });
+        const apiError = toApiError(error, 'RAG request failed', { model: req.body.model });
+        this.recordModelUsage(req.body.model, 'chat', 0, { error: apiError });
+        next(apiError);
+      }
+    });
+
+    // Embeddings endpoint
+    apiRouter.post('/embeddings', describeRoute('Embed a string or an array of strings', { errors: INFERENCE_ERRORS }), requirePermission('chat'), validateRequest({ body: embeddingsRequest }), trackInference('embeddings'), async (req, res, next) => {
+      try {
+        const { model, input, options = {} } = req.body;
+        const inputs = Array.isArray(input) ? input : [input];
+
+        const startTime = Date.now();
+        logger.auditLog('Embedding Request', {
+          model,
+          inputCount: inputs.length,
+          inputLength: inputs.reduce((sum, item) => sum + item.length, 0),
+          options: Object.keys(options),
+        });
+
+        const response = await this.scheduleInference(req, res, options.priority, 'embeddings', () =>
+          this.ollamaService.embed(model, inputs, {
+            truncate: options.truncate,
+            timeout: options.timeout,
+            signal: req.signal,
+          })
+        );
+
+        const duration = Date.now() - startTime;
+        const dimensions = response.embeddings[0]?.length || 0;
+        logger.auditLog('Embedding Response', {
+          model,
+          duration: `${duration}ms`,
+          inputCount: inputs.length,
+          dimensions,
+        });
+
+        res.json({
+          model: response.model,
+          embeddings: response.embeddings,
+          dimensions,
+          prompt_eval_count: response.prompt_eval_count,
+          total_duration: response.total_duration,
+          load_duration: response.load_duration,
+          duration,
+        });
+      } catch (error) {
+        next(toApiError(error, 'Embedding request failed', { model: req.body.model }));
       }
     });
 
     // System information
-    apiRouter.get('/system', async (req, res) => {
+    apiRouter.get('/system', describeRoute('Get system information'), requirePermission('system:read'), async (req, res, next) => {
       try {
         const systemInfo = await this.ollamaService.getSystemInfo();
         
@@ -358,13 +751,24 @@ class PortableLLMServer {
           },
         });
       } catch (error) {
-        logger.error('Failed to get system info:', error);
-        res.status(500).json({ error: 'Failed to get system info' });
+        next(toApiError(error, 'Failed to get system info'));
       }
     });
 
+    // PHI detection, de-identification and re-identification
+    const privacyRoutes = require('../routes/privacy');
+    apiRouter.use('/privacy', privacyRoutes);
+
+    // Consent records and receipts
+    const consentRoutes = require('../routes/consents');
+    apiRouter.use('/consents', consentRoutes);
+
+    // Compliance status, checks, reports and incidents
+    const complianceRoutes = require('../routes/compliance');
+    apiRouter.use('/compliance', complianceRoutes);
+
     // Privacy and compliance endpoint
-    apiRouter.get('/privacy', (req, res) => {
+    apiRouter.get('/privacy', describeRoute('Get the privacy and compliance summary'), (req, res) => {
       res.json({
         dataProcessing: 'local-only',
         encryption: config.security.encryption,
@@ -378,68 +782,307 @@ class PortableLLMServer {
     // Mount API router
     this.app.use(config.api.prefix, apiRouter);
 
+    const documentedRouters = [{ prefix: config.api.prefix, router: apiRouter }];
+
+    // OpenAI-compatible facade
+    if (config.api.openai.enabled) {
+      const openaiRoutes = require('../routes/openai');
+      this.app.use(config.api.openai.prefix, authenticate, auditRequest, openaiRoutes, openAIErrorHandler);
+
+      documentedRouters.push({
+        prefix: config.api.openai.prefix,
+        router: openaiRoutes,
+        authenticated: true,
+        tag: 'openai',
+        errorSchema: 'OpenAIError',
+      });
+    }
+
+    // API document generated from the routes mounted above
+    this.app.set('openapi', buildOpenApiDocument(documentedRouters));
+
     // Serve static files (if needed)
     if (process.env.SERVE_STATIC) {
       this.app.use(express.static(path.join(__dirname, '../../public')));
     }
 
     // Catch-all route
-    this.app.use('*', (req, res) => {
-      res.status(404).json({ 
-        error: 'Not found',
+    this.app.use('*', (req, res, next) => {
+      next(new ApiError('NOT_FOUND', 'Not found', {
         path: req.originalUrl,
         available: [
           config.api.prefix,
+          ...(config.api.openai.enabled ? [config.api.openai.prefix] : []),
           '/health',
         ],
-      });
+      }));
     });
 
     logger.info('Routes configured successfully');
   }
 
   /**
-   * Configure error handling
+   * Run an inference call through the scheduler
+   * Non-streaming callers learn their starting queue position from the
+   * X-Queue-Position header and can poll it by request ID
    */
-  configureErrorHandling() {
-    // 404 handler
-    this.app.use((req, res, next) => {
-      const error = new Error(`Not Found - ${req.originalUrl}`);
-      error.status = 404;
-      next(error);
+  scheduleInference(req, res, priority, label, task) {
+    return this.scheduler.schedule(task, {
+      id: req.requestId,
+      priority,
+      label,
+      signal: req.signal,
+      onPosition: (position) => {
+        if (!res.headersSent && !res.get('X-Queue-Position')) {
+          res.set('X-Queue-Position', String(position));
+        }
+      },
     });
+  }
 
-    // Error logging middleware
-    this.app.use(logger.errorLogger.bind(logger));
+  /**
+   * Run a non-streamed chat or generate call in the scheduler
+   * With options.response_format the output must be JSON matching that
+   * schema: invalid output goes back to the model with the validation
+   * errors up to max_repairs times before failing with
+   * OUTPUT_VALIDATION_FAILED. The response then carries the parsed
+   * `output` and the number of `repairs`, with token counts summed over
+   * every attempt. Chats with authorized tools (req.tools) go through
+   * the tool loop.
+   */
+  async runCompletion(req, res, { type, model, input, options, label = type }) {
+    const { response_format: schema, max_repairs: maxRepairs = config.structuredOutput.maxRepairs, ...callOptions } = options;
 
-    // Global error handler
-    this.app.use((err, req, res, next) => {
-      const status = err.status || 500;
-      const message = err.message || 'Internal Server Error';
-      
-      // Security: Don't expose stack traces in production
-      const response = {
-        error: message,
-        status: status,
-        timestamp: new Date().toISOString(),
-        requestId: req.requestId,
+    const call = (attemptInput) => this.scheduleInference(req, res, options.priority, label, () => {
+      const requestOptions = { ...callOptions, format: schema, stream: false, signal: req.signal };
+      if (type === 'chat' && req.tools) {
+        return this.tools.runChat(model, attemptInput, requestOptions, { tools: req.tools, user: req.user });
+      }
+      return type === 'chat'
+        ? this.ollamaService.chat(model, attemptInput, requestOptions)
+        : this.ollamaService.generate(model, attemptInput, requestOptions);
+    });
+
+    if (!schema) {
+      return call(input);
+    }
+
+    checkResponseFormat(schema);
+
+    let attemptInput = input;
+    let evalCount = 0;
+    let promptEvalCount = 0;
+
+    for (let repairs = 0; ; repairs++) {
+      const response = await call(attemptInput);
+      evalCount += response.eval_count || 0;
+      promptEvalCount += response.prompt_eval_count || 0;
+
+      const text = (type === 'chat' ? response.message?.content : response.response) || '';
+      const { value, errors } = parseOutput(text, schema);
+
+      if (errors.length === 0) {
+        this.modelService.recordStructuredOutput(model, { valid: true, repairs });
+        return { ...response, eval_count: evalCount, prompt_eval_count: promptEvalCount, output: value, repairs };
+      }
+
+      if (repairs >= maxRepairs) {
+        this.modelService.recordStructuredOutput(model, { valid: false, repairs });
+        throw new ApiError('OUTPUT_VALIDATION_FAILED', null, { model, attempts: repairs + 1, errors });
+      }
+
+      logger.auditLog('Structured Output Repair', { model, type, attempt: repairs + 1, errors: errors.length });
+
+      const instructions = repairInstructions(errors);
+      attemptInput = type === 'chat'
+        ? [...attemptInput, { role: 'assistant', content: text }, { role: 'user', content: instructions }]
+        : `${input}\n\nYour previous response:\n${text}\n\n${instructions}`;
+    }
+  }
+
+  /**
+   * Stream a chat or generate call to the client as Server-Sent Events
+   * Emits `queued` events while waiting for an inference slot, `token`
+   * events while the model produces output, then a single `done` event
+   * with eval counts and timings (plus any `extra` fields), or an `error` event
+   * A cache hit is replayed as one `token` event carrying the full content
+   */
+  async streamCompletion(req, res, { type, model, startTime, priority, cacheRequest, run, getContent, extra = {} }) {
+    const label = type === 'chat' ? 'Chat' : 'Generate';
+    let tokenCount = 0;
+
+    // Surrogates from PHI redaction are restored as tokens arrive
+    const restorer = req.phiRedaction ? this.privacyService.createRestorer(req.phiRedaction.surrogates) : null;
+
+    initSSE(res);
+    sendEvent(res, 'start', {
+      model,
+      type,
+      requestId: req.requestId,
+      timestamp: new Date().toISOString(),
+    });
+
+    try {
+      const onToken = (data) => {
+        tokenCount++;
+        const token = restorer ? restorer.push(data.token) : data.token;
+        if (token || !restorer) {
+          sendEvent(res, 'token', { model, token, index: tokenCount - 1 });
+        }
       };
 
-      if (config.app.environment === 'development') {
-        response.stack = err.stack;
+      const infer = () => this.scheduler.schedule(() => run(onToken), {
+        id: req.requestId,
+        priority,
+        label: type,
+        signal: req.signal,
+        onPosition: (position) => {
+          sendEvent(res, 'queued', { position, requestId: req.requestId });
+        },
+      });
+
+      const { response, cache } = await this.responseCache.fetch(cacheRequest, infer, {
+        onHit: (cached) => onToken({ token: getContent(cached) || '' }),
+      });
+
+      const duration = Date.now() - startTime;
+      let content = getContent(response) || '';
+
+      if (restorer) {
+        const rest = restorer.flush();
+        if (rest) {
+          sendEvent(res, 'token', { model, token: rest, index: tokenCount });
+        }
+        content = this.privacyService.restore(content, req.phiRedaction.surrogates);
       }
 
-      logger.securityEvent('API Error', {
-        status,
-        message,
-        path: req.originalUrl,
-        method: req.method,
-        userAgent: req.get('User-Agent'),
-        ip: req.ip,
+      // Saved before `done` so a client's next turn sees this one
+      await this.saveSessionTurn(req, model, content);
+
+      sendEvent(res, 'done', {
+        model,
+        type,
+        requestId: req.requestId,
+        content,
+        done_reason: response.done_reason,
+        prompt_eval_count: response.prompt_eval_count,
+        eval_count: response.eval_count,
+        total_duration: response.total_duration,
+        load_duration: response.load_duration,
+        prompt_eval_duration: response.prompt_eval_duration,
+        eval_duration: response.eval_duration,
+        duration,
+        cached: cache === 'hit',
+        phi_redaction: getRedactionMetadata(req),
+        ...extra,
       });
+      endSSE(res);
 
-      res.status(status).json(response);
+      this.recordModelUsage(model, type, duration, { response, cache });
+      logger.auditLog(`${label} Response`, {
+        model,
+        duration: `${duration}ms`,
+        responseLength: content.length,
+        streamed: true,
+        tokens: tokenCount,
+        template: req.template,
+        cache,
+      });
+    } catch (error) {
+      const apiError = toApiError(error, `${label} request failed`, { model });
+      this.recordModelUsage(model, type, 0, { error: apiError });
+      if (apiError.code !== 'REQUEST_CANCELLED') {
+        logger.error(`${label} stream failed:`, { model, code: apiError.code, error: error.message });
+      }
+      sendError(res, apiError, {
+        model,
+        code: apiError.code,
+        status: apiError.status,
+        requestId: req.requestId,
+      });
+    }
+  }
+
+  /**
+   * Save a /chat turn to its session: the request's new messages and the
+   * reply. A failure is logged; the caller still gets the reply
+   */
+  async saveSessionTurn(req, model, content) {
+    if (!req.chatSession) {
+      return;
+    }
+
+    const { id, messages } = req.chatSession;
+    try {
+      await this.sessions.appendMessages(id, [...messages, { role: 'assistant', content }], { model });
+      logger.dataAccess(req.user.id, 'session', 'append', {
+        sessionId: id,
+        messages: messages.length + 1,
+        via: 'chat',
+      });
+    } catch (error) {
+      logger.error('Failed to save session turn:', { sessionId: id, error: error.message });
+    }
+  }
+
+  /**
+   * Feed a chat or generate call into the model performance metrics
+   * Cache hits would skew latency, and only failures of the model itself
+   * count as errors; cancellations, queue limits and unknown models do not
+   */
+  recordModelUsage(model, type, duration, { response = {}, cache, error } = {}) {
+    if (cache === 'hit' || (error && !['INFERENCE_FAILED', 'OUTPUT_VALIDATION_FAILED', 'OLLAMA_TIMEOUT'].includes(error.code))) {
+      return;
+    }
+
+    this.modelService.updateModelMetrics(model, {
+      tokens: response.eval_count || 0,
+      latency: duration,
+      useCase: type,
+      error: Boolean(error),
     });
+  }
+
+  /**
+   * Re-insert redacted PHI into a non-streamed response and report what
+   * was masked; the cached response is left untouched
+   */
+  restorePHI(req, response, type) {
+    if (!req.phiRedaction) {
+      return response;
+    }
+
+    const { surrogates } = req.phiRedaction;
+    const restored = { ...response, phi_redaction: getRedactionMetadata(req) };
+
+    if (type === 'chat' && response.message) {
+      restored.message = { ...response.message, content: this.privacyService.restore(response.message.content || '', surrogates) };
+    } else if (type === 'generate') {
+      restored.response = this.privacyService.restore(response.response || '', surrogates);
+    }
+
+    if (response.output !== undefined) {
+      restored.output = this.privacyService.restoreValue(response.output, surrogates);
+    }
+
+    if (response.tool_invocations) {
+      restored.tool_invocations = this.privacyService.restoreValue(response.tool_invocations, surrogates);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Configure error handling
+   */
+  configureErrorHandling() {
+    // Unmatched routes reach here as NOT_FOUND from the catch-all route
+
+    // Error logging middleware
+    this.app.use(logger.errorLogger.bind(logger));
+
+    // Global error handler
+    this.app.use(errorHandler);
 
     logger.info('Error handling configured successfully');
   }
@@ -460,6 +1103,18 @@ class PortableLLMServer {
         logger.systemEvent('Server Started', { host, port, mode: config.app.mode });
       });
 
+      // WebSocket chat shares the HTTP server
+      if (config.api.websocket.enabled) {
+        this.chatSocket = new ChatSocketServer(this.server, this.app, {
+          rateLimitStore: this.rateLimitStore,
+        });
+
+        const monitoring = this.app.get('monitoring');
+        if (monitoring) {
+          monitoring.registerSource('websocket', () => this.chatSocket.getStats());
+        }
+      }
+
       // Handle graceful shutdown
       process.on('SIGTERM', () => this.shutdown('SIGTERM'));
       process.on('SIGINT', () => this.shutdown('SIGINT'));
@@ -483,6 +1138,26 @@ class PortableLLMServer {
     logger.info(`Received ${signal}, starting graceful shutdown...`);
 
     try {
+      // Close WebSocket connections so the HTTP server can close
+      if (this.chatSocket) {
+        this.chatSocket.shutdown();
+      }
+
+      // Stop downloads, ending their progress streams; they stay resumable
+      if (this.downloads) {
+        this.downloads.shutdown();
+      }
+
+      // Stop the running batch job; it resumes from its checkpoint on restart
+      if (this.batches) {
+        this.batches.shutdown();
+      }
+
+      // Stop indexing; unfinished documents are indexed again on restart
+      if (this.rag) {
+        this.rag.shutdown();
+      }
+
       // Close HTTP server
       if (this.server) {
         await new Promise((resolve) => {
@@ -492,11 +1167,39 @@ class PortableLLMServer {
       }
 
       // Shutdown services
+      if (this.scheduler) {
+        this.scheduler.shutdown();
+      }
+
+      if (this.responseCache) {
+        this.responseCache.shutdown();
+      }
+
+      if (this.privacyService) {
+        this.privacyService.shutdown();
+      }
+
+      if (this.complianceService) {
+        this.complianceService.shutdown();
+      }
+
+      if (this.modelService) {
+        this.modelService.shutdown();
+      }
+
+      if (this.apiKeyService) {
+        this.apiKeyService.shutdown();
+      }
+
       if (this.ollamaService) {
         await this.ollamaService.shutdown();
         logger.info('Ollama service shut down');
       }
 
+      if (this.database) {
+        await this.database.close();
+      }
+
       logger.systemEvent('Server Shutdown', { signal });
       logger.info('Graceful shutdown completed');
       
@@ -0,0 +1,618 @@
+/**
+ * WebSocket Chat
+ * Multi-turn chat over a WebSocket on the same HTTP server. Clients send
+ * messages, receive streamed tokens, cancel a generation mid-stream and
+ * switch models without reconnecting. Connections are authenticated,
+ * rate limited, audited and masked for PHI like REST requests.
+ *
+ * Browsers cannot set headers on a WebSocket, so besides the usual
+ * Authorization / X-API-Key headers the token may be offered as a
+ * `bearer.<token>` subprotocol next to `portablellm.chat.v1`.
+ *
+ * Client messages: chat { content, id?, model?, options? },
+ * cancel { id? }, model { model }, reset { system? }
+ * Server messages: ready, start, queued, token, done, cancelled, model,
+ * reset and error (catalog errors, echoing the client's `id`)
+ *
+ * @module ChatSocket
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { WebSocket, WebSocketServer } = require('ws');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const { getBearerToken, getLocalPrincipal, resolvePrincipal, hasPermission } = require('../middleware/auth');
+const { isRedactionEnabled } = require('../middleware/phiRedaction');
+const { ApiError, toApiError } = require('../utils/errors');
+const { validate } = require('../utils/validation');
+const { modelName } = require('../schemas/common');
+const {
+  chatSocketMessage,
+  cancelSocketMessage,
+  modelSocketMessage,
+  resetSocketMessage,
+} = require('../schemas/websocket');
+
+const SUBPROTOCOL = 'portablellm.chat.v1';
+const TOKEN_PROTOCOL_PREFIX = 'bearer.';
+
+const MESSAGE_SCHEMAS = {
+  chat: chatSocketMessage,
+  cancel: cancelSocketMessage,
+  model: modelSocketMessage,
+  reset: resetSocketMessage,
+};
+
+/**
+ * Read the offered subprotocols from an upgrade request
+ */
+function getProtocols(req) {
+  return (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(protocol => protocol.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Bearer token from the Authorization / X-API-Key headers or the
+ * `bearer.<token>` subprotocol
+ */
+function getSocketToken(req) {
+  const token = getBearerToken(req);
+  if (token) {
+    return token;
+  }
+
+  const protocol = getProtocols(req).find(name => name.startsWith(TOKEN_PROTOCOL_PREFIX));
+  return protocol ? protocol.slice(TOKEN_PROTOCOL_PREFIX.length) : null;
+}
+
+class ChatSocketServer {
+  constructor(server, app, options = {}) {
+    this.server = server;
+    this.app = app;
+    this.path = options.path || config.api.websocket.path;
+    this.maxHistory = options.maxHistory || config.api.websocket.maxHistory;
+    this.rateLimitStore = options.rateLimitStore || null;
+
+    this.sessions = new Map(); // connection id -> session
+
+    this.wss = new WebSocketServer({
+      noServer: true,
+      maxPayload: options.maxPayload || config.api.websocket.maxPayload,
+      // Never echo the token subprotocol back
+      handleProtocols: (protocols) => (protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false),
+    });
+
+    this.onUpgrade = (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch((error) => {
+        this.rejectUpgrade(req, socket, toApiError(error, 'WebSocket upgrade failed'));
+      });
+    };
+    this.server.on('upgrade', this.onUpgrade);
+
+    this.heartbeat = setInterval(() => this.checkConnections(), config.api.websocket.heartbeatInterval);
+    this.heartbeat.unref();
+
+    logger.info('WebSocket chat available', { path: this.path });
+  }
+
+  /**
+   * Authenticate, authorize and rate limit an upgrade request
+   * Failures are answered with a plain HTTP error before the upgrade
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.path) {
+      return this.rejectUpgrade(req, socket, new ApiError('NOT_FOUND', 'Not found', { path: url.pathname }));
+    }
+
+    const ip = req.socket.remoteAddress;
+
+    const model = url.searchParams.get('model') || config.models.default;
+    const modelErrors = validate(modelName, model, 'model');
+    if (modelErrors.length > 0) {
+      return this.rejectUpgrade(req, socket, new ApiError('VALIDATION_FAILED', null, { errors: modelErrors }));
+    }
+
+    let principal = getLocalPrincipal();
+
+    if (config.security.auth.enabled) {
+      const token = getSocketToken(req);
+      if (!token) {
+        return this.rejectUpgrade(req, socket, new ApiError('UNAUTHORIZED'));
+      }
+
+      principal = resolvePrincipal(this.app, token);
+      if (!principal) {
+        logger.securityEvent('Invalid Token', { path: this.path, method: 'GET', ip });
+        return this.rejectUpgrade(req, socket, new ApiError('UNAUTHORIZED', 'Invalid or expired token'));
+      }
+    }
+
+    if (!hasPermission({ user: principal }, 'chat')) {
+      logger.securityEvent('Access Denied', { permission: 'chat', path: this.path, method: 'GET', ip });
+      return this.rejectUpgrade(req, socket, new ApiError('FORBIDDEN', null, { required: 'chat' }));
+    }
+
+    const limited = await this.consumeRateLimit(ip, principal);
+    if (limited) {
+      return this.rejectUpgrade(req, socket, limited);
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.handleConnection(ws, req, { principal, model, ip });
+    });
+  }
+
+  /**
+   * Answer a refused upgrade with an HTTP error in the API's JSON format
+   */
+  rejectUpgrade(req, socket, error) {
+    logger.securityEvent('API Error', {
+      status: error.status,
+      code: error.code,
+      message: error.message,
+      path: req.url.split('?')[0],
+      method: 'GET',
+      channel: 'websocket',
+      userAgent: req.headers['user-agent'],
+      ip: req.socket.remoteAddress,
+    });
+
+    const body = JSON.stringify({ ...error.toJSON(), timestamp: new Date().toISOString() });
+    const headers = [
+      `HTTP/1.1 ${error.status} ${http.STATUS_CODES[error.status]}`,
+      'Content-Type: application/json',
+      `Content-Length: ${Buffer.byteLength(body)}`,
+      'Connection: close',
+    ];
+
+    if (error.retryAfter) {
+      headers.push(`Retry-After: ${error.retryAfter}`);
+    }
+
+    socket.end(`${headers.join('\r\n')}\r\n\r\n${body}`);
+  }
+
+  /**
+   * Apply the global per-IP limit and, for API keys, the per-key limit
+   * Each upgrade and each chat message counts as one request
+   * Returns a RATE_LIMITED error, or null when the request may proceed
+   */
+  async consumeRateLimit(ip, principal) {
+    if (this.rateLimitStore) {
+      const { totalHits } = await this.rateLimitStore.increment(ip);
+      if (totalHits > config.security.rateLimitMax) {
+        return new ApiError('RATE_LIMITED', 'Too many requests, please try again later', {
+          retryAfter: Math.ceil(config.security.rateLimitWindow / 1000),
+        });
+      }
+    }
+
+    if (principal.type === 'api_key') {
+      const result = await this.app.get('apiKeys').consumeRateLimit(principal.apiKeyId);
+      if (result.limited) {
+        logger.securityEvent('API Key Rate Limited', { path: this.path, method: 'WS', ip });
+        return new ApiError('RATE_LIMITED', 'API key rate limit exceeded', {
+          retryAfter: Math.ceil(result.resetMs / 1000),
+        });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Set up a new chat session
+   */
+  handleConnection(ws, req, { principal, model, ip }) {
+    const session = {
+      id: crypto.randomUUID(),
+      ws,
+      principal,
+      ip,
+      model,
+      system: null,
+      messages: [], // history as the model saw it, PHI masked
+      surrogates: {}, // restores masked PHI for principals with privacy:reidentify
+      active: null,
+      alive: true,
+      turns: 0,
+    };
+
+    this.sessions.set(session.id, session);
+
+    this.runInContext(session, null, () => {
+      logger.auditLog('WebSocket Connected', {
+        connectionId: session.id,
+        model,
+        userAgent: req.headers['user-agent'],
+        ip,
+      });
+    });
+
+    ws.on('pong', () => {
+      session.alive = true;
+    });
+
+    ws.on('message', (data, isBinary) => this.handleMessage(session, data, isBinary));
+
+    ws.on('close', (code) => {
+      this.sessions.delete(session.id);
+
+      this.runInContext(session, null, () => {
+        if (session.active) {
+          this.app.get('requests').cancel(session.active.requestId, { reason: 'client_disconnect' });
+        }
+
+        logger.auditLog('WebSocket Disconnected', {
+          connectionId: session.id,
+          code,
+          turns: session.turns,
+        });
+      });
+    });
+
+    ws.on('error', (error) => {
+      logger.warn('WebSocket error', { connectionId: session.id, error: error.message });
+    });
+
+    this.send(session, 'ready', {
+      connectionId: session.id,
+      model,
+      principal: {
+        type: principal.type,
+        id: principal.id,
+        role: principal.role,
+      },
+    });
+  }
+
+  /**
+   * Parse, validate and dispatch a client message
+   */
+  handleMessage(session, data, isBinary) {
+    let message;
+
+    try {
+      if (isBinary) {
+        throw new Error('Binary messages are not supported');
+      }
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.sendError(session, new ApiError('VALIDATION_FAILED', 'Malformed JSON message'));
+    }
+
+    const schema = message && MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+      return this.sendError(session, new ApiError('VALIDATION_FAILED', null, {
+        errors: [{ path: 'type', message: `must be one of: ${Object.keys(MESSAGE_SCHEMAS).join(', ')}` }],
+      }), { id: message?.id });
+    }
+
+    const errors = validate(schema, message, '');
+    if (errors.length > 0) {
+      return this.sendError(session, new ApiError('VALIDATION_FAILED', null, { errors }), { id: message.id });
+    }
+
+    switch (message.type) {
+      case 'chat':
+        return this.handleChat(session, message);
+      case 'cancel':
+        return this.cancel(session, message.id);
+      case 'model':
+        return this.switchModel(session, message.model);
+      case 'reset':
+        session.messages = [];
+        session.surrogates = {};
+        session.system = message.system || null;
+        return this.send(session, 'reset', { model: session.model });
+    }
+  }
+
+  /**
+   * Run one conversation turn, streaming tokens back to the client
+   */
+  async handleChat(session, message) {
+    if (session.active) {
+      return this.sendError(session, new ApiError('CONFLICT', 'A generation is already in progress'), {
+        id: message.id,
+      });
+    }
+
+    // Tracked like HTTP inference, so DELETE /requests/:requestId works too
+    const requestId = crypto.randomUUID();
+    const registry = this.app.get('requests');
+    const entry = registry.track(requestId, {
+      type: 'chat',
+      model: session.model,
+      userId: session.principal.id,
+      channel: 'websocket',
+    });
+    session.active = { id: message.id, requestId };
+
+    await this.runInContext(session, requestId, async () => {
+      let model = session.model;
+      let tokenCount = 0;
+
+      try {
+        const limited = await this.consumeRateLimit(session.ip, session.principal);
+        if (limited) {
+          return this.sendError(session, limited, { id: message.id, requestId });
+        }
+
+        if (message.model && message.model !== session.model) {
+          const switched = await this.switchModel(session, message.model, message.id);
+          if (!switched) {
+            return;
+          }
+          model = session.model;
+          entry.model = model;
+        }
+
+        const options = message.options || {};
+        const redaction = this.redactTurn(session, message.content, model);
+        const turn = { role: 'user', content: redaction ? redaction.content : message.content };
+        const system = redaction ? redaction.system : session.system;
+        const messages = [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...session.messages,
+          turn,
+        ];
+        const restorer = redaction ? this.app.get('privacy').createRestorer(session.surrogates) : null;
+
+        const startTime = Date.now();
+        logger.auditLog('Chat Request', {
+          model,
+          messageCount: messages.length,
+          options: Object.keys(options),
+          channel: 'websocket',
+          connectionId: session.id,
+        });
+
+        this.send(session, 'start', { id: message.id, requestId, model });
+
+        const sendToken = (token) => {
+          if (token) {
+            tokenCount++;
+            this.send(session, 'token', { id: message.id, token, index: tokenCount - 1 });
+          }
+        };
+        const onToken = (data) => sendToken(restorer ? restorer.push(data.token) : data.token);
+
+        const infer = () => this.app.get('scheduler').schedule(() =>
+          this.app.get('ollama').chat(model, messages, {
+            ...options,
+            stream: true,
+            onToken,
+            signal: entry.signal,
+          }), {
+          id: requestId,
+          priority: options.priority,
+          label: 'chat',
+          signal: entry.signal,
+          onPosition: (position) => {
+            this.send(session, 'queued', { id: message.id, requestId, position });
+          },
+        });
+
+        const { response, cache } = await this.app.get('responseCache').fetch(
+          { type: 'chat', model, input: messages, options },
+          infer,
+          { onHit: (cached) => onToken({ token: cached.message?.content || '' }) }
+        );
+
+        if (restorer) {
+          sendToken(restorer.flush());
+        }
+
+        const duration = Date.now() - startTime;
+        const content = response.message?.content || '';
+
+        session.messages.push(turn, { role: 'assistant', content });
+        session.messages.splice(0, Math.max(0, session.messages.length - this.maxHistory));
+        session.turns++;
+
+        this.send(session, 'done', {
+          id: message.id,
+          requestId,
+          model,
+          content: restorer ? this.app.get('privacy').restore(content, session.surrogates) : content,
+          done_reason: response.done_reason,
+          prompt_eval_count: response.prompt_eval_count,
+          eval_count: response.eval_count,
+          total_duration: response.total_duration,
+          duration,
+          cached: cache === 'hit',
+          ...(redaction && { phi_redaction: { masked: redaction.masked, types: redaction.types, restored: redaction.restored } }),
+        });
+
+        logger.auditLog('Chat Response', {
+          model,
+          duration: `${duration}ms`,
+          responseLength: content.length,
+          streamed: true,
+          tokens: tokenCount,
+          cache,
+          channel: 'websocket',
+          connectionId: session.id,
+        });
+      } catch (error) {
+        if (entry.signal.aborted) {
+          this.send(session, 'cancelled', { id: message.id, requestId, tokens: tokenCount });
+          return;
+        }
+
+        const apiError = toApiError(error, 'Chat request failed', { model });
+        logger.error('WebSocket chat failed:', { model, code: apiError.code, error: error.message });
+        this.sendError(session, apiError, { id: message.id, requestId });
+      } finally {
+        registry.release(requestId);
+        session.active = null;
+      }
+    });
+  }
+
+  /**
+   * Mask PHI in a chat turn and the session's system prompt
+   * History is kept masked, so only the new turn needs it. Returns null
+   * when redaction is off.
+   */
+  redactTurn(session, content, model) {
+    const privacy = this.app.get('privacy');
+    if (!privacy || !isRedactionEnabled({})) {
+      return null;
+    }
+
+    const { messages, system, masked, types, surrogates } = privacy.redactInference({
+      messages: [{ role: 'user', content }],
+      system: session.system,
+    });
+
+    // Callers without re-identification rights keep the surrogates
+    const restored = masked > 0 && hasPermission({ user: session.principal }, 'privacy:reidentify');
+    if (restored) {
+      Object.assign(session.surrogates, surrogates);
+    }
+
+    logger.auditLog('PHI Redacted', {
+      type: 'chat',
+      model,
+      masked,
+      types,
+      restored,
+      channel: 'websocket',
+      connectionId: session.id,
+    });
+
+    return { content: messages[0].content, system, masked, types, restored };
+  }
+
+  /**
+   * Cancel the generation in progress, queued or streaming
+   */
+  cancel(session, id) {
+    if (!session.active || (id !== undefined && id !== session.active.id)) {
+      return this.sendError(session, new ApiError('NOT_FOUND', 'No generation in progress'), { id });
+    }
+
+    const { requestId } = session.active;
+    this.runInContext(session, null, () => {
+      this.app.get('requests').cancel(requestId, {
+        reason: 'user_request',
+        cancelledBy: session.principal.id,
+      });
+    });
+  }
+
+  /**
+   * Switch the session to another installed model, keeping the history
+   * Resolves to false when the model is not available
+   */
+  async switchModel(session, model, id = undefined) {
+    try {
+      const models = await this.app.get('ollama').listModels();
+      if (!models.some(m => m.name === model || m.name === `${model}:latest`)) {
+        this.sendError(session, new ApiError('MODEL_NOT_FOUND', `Model ${model} is not installed`, { model }), { id });
+        return false;
+      }
+
+      const previous = session.model;
+      session.model = model;
+
+      this.runInContext(session, null, () => {
+        logger.auditLog('WebSocket Model Switched', { connectionId: session.id, from: previous, to: model });
+      });
+
+      this.send(session, 'model', { model, previous });
+      return true;
+    } catch (error) {
+      this.sendError(session, toApiError(error, 'Failed to switch model', { model }), { id });
+      return false;
+    }
+  }
+
+  /**
+   * Run a callback with the session's identity in the audit context
+   */
+  runInContext(session, requestId, callback) {
+    return requestContext.run({
+      requestId,
+      userId: session.principal.id,
+      role: session.principal.role,
+      apiKeyId: session.principal.apiKeyId,
+    }, callback);
+  }
+
+  send(session, type, data = {}) {
+    if (session.ws.readyState === WebSocket.OPEN) {
+      session.ws.send(JSON.stringify({ type, ...data }));
+    }
+  }
+
+  /**
+   * Send a catalog error, logged like REST errors
+   */
+  sendError(session, error, extra = {}) {
+    if (error.cause) {
+      logger.error('Unhandled WebSocket error:', {
+        connectionId: session.id,
+        error: error.cause.message,
+        stack: error.cause.stack,
+      });
+    }
+
+    logger.securityEvent('API Error', {
+      status: error.status,
+      code: error.code,
+      message: error.message,
+      path: this.path,
+      method: 'WS',
+      channel: 'websocket',
+      ip: session.ip,
+    });
+
+    this.send(session, 'error', { ...extra, ...error.toJSON() });
+  }
+
+  /**
+   * Terminate connections that stopped answering pings
+   */
+  checkConnections() {
+    for (const session of this.sessions.values()) {
+      if (!session.alive) {
+        session.ws.terminate();
+        continue;
+      }
+
+      session.alive = false;
+      session.ws.ping();
+    }
+  }
+
+  getStats() {
+    return {
+      connections: this.sessions.size,
+      generating: Array.from(this.sessions.values()).filter(session => session.active).length,
+    };
+  }
+
+  /**
+   * Close every connection and stop accepting upgrades
+   */
+  shutdown() {
+    clearInterval(this.heartbeat);
+    this.server.off('upgrade', this.onUpgrade);
+
+    for (const session of this.sessions.values()) {
+      session.ws.close(1001, 'Server shutting down');
+    }
+
+    this.wss.close();
+  }
+}
+
+module.exports = ChatSocketServer;
@@ -27,6 +27,7 @@ const config = {
     timeout: parseInt(process.env.OLLAMA_TIMEOUT) || 120000,
     maxRetries: parseInt(process.env.OLLAMA_MAX_RETRIES) || 3,
     modelsPath: process.env.OLLAMA_MODELS || '/app/models',
+    embedBatchSize: parseInt(process.env.EMBED_BATCH_SIZE) || 32, // inputs per /api/embed call
   },
 
   // Model configuration
@@ -46,6 +47,11 @@ const config = {
       'llama3.1:8b-instruct',         // General medical knowledge
       'mistral:7b-instruct',          // Professional communication
     ],
+    registryFile: process.env.MODEL_REGISTRY_FILE || path.join(process.cwd(), 'src', 'config', 'models.json'),
+    downloads: {
+      historyFile: process.env.MODEL_DOWNLOADS_FILE || path.join(process.env.DATA_PATH || '/app/data', 'models', 'downloads.json'),
+      maxHistory: parseInt(process.env.MODEL_DOWNLOAD_HISTORY) || 100,
+    },
   },
 
   // Security and privacy settings
@@ -57,6 +63,21 @@ const config = {
     rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 900000, // 15 minutes
     rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 100,
     jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+    auth: {
+      enabled: process.env.AUTH_ENABLED !== 'false',
+      usersFile: process.env.USERS_FILE || path.join(process.env.DATA_PATH || '/app/data', 'auth', 'users.json'),
+      adminUsername: process.env.ADMIN_USERNAME || 'admin',
+      adminPassword: process.env.ADMIN_PASSWORD,
+      minPasswordLength: parseInt(process.env.MIN_PASSWORD_LENGTH) || 12,
+    },
+    apiKeys: {
+      file: process.env.API_KEYS_FILE || path.join(process.env.DATA_PATH || '/app/data', 'auth', 'api-keys.json'),
+      defaultExpiryDays: parseInt(process.env.API_KEY_EXPIRY_DAYS) || 365,
+      defaultRateLimit: {
+        requests: parseInt(process.env.API_KEY_RATE_LIMIT) || 60,
+        windowSeconds: parseInt(process.env.API_KEY_RATE_WINDOW) || 60,
+      },
+    },
   },
 
   // Database configuration
@@ -94,22 +115,52 @@ const config = {
     hipaaMode: process.env.HIPAA_MODE !== 'false',
     dataRetention: parseInt(process.env.DATA_RETENTION_DAYS) || 2555, // 7 years
     auditTrail: process.env.AUDIT_TRAIL !== 'false',
+    phiRedaction: {
+      enabled: process.env.PHI_REDACTION === 'true', // mask PHI before /chat and /generate reach the model
+      allowOverride: process.env.PHI_REDACTION_OVERRIDE !== 'false', // honour options.redactPhi per request
+    },
     encryption: {
       algorithm: 'aes-256-gcm',
       keyDerivation: 'pbkdf2',
       iterations: 100000,
     },
-    workflows: {
-      patientCommunication: true,
-      documentSummarization: true,
-      treatmentPlanning: true,
-      practiceAnalytics: true,
+    workflows: { // structured workflow endpoints under /workflows
+      patientCommunication: process.env.WORKFLOW_PATIENT_COMMUNICATION !== 'false',
+      documentSummarization: process.env.WORKFLOW_DOCUMENT_SUMMARIZATION !== 'false',
+      treatmentPlanning: process.env.WORKFLOW_TREATMENT_PLANNING !== 'false',
+      practiceAnalytics: process.env.WORKFLOW_PRACTICE_ANALYTICS !== 'false',
     },
   },
 
+  // Compliance checks and incident records
+  compliance: {
+    historyFile: process.env.COMPLIANCE_HISTORY_FILE || path.join(process.env.DATA_PATH || '/app/data', 'compliance', 'history.json'),
+    maxChecks: parseInt(process.env.COMPLIANCE_MAX_CHECKS) || 500,
+    checkInterval: parseInt(process.env.COMPLIANCE_CHECK_INTERVAL) || 3600000, // 1 hour
+  },
+
+  // Consent records (encrypted, append-only)
+  consent: {
+    storeFile: process.env.CONSENT_STORE_FILE || path.join(process.env.DATA_PATH || '/app/data', 'consents', 'consents.jsonl'),
+  },
+
   // API configuration
   api: {
     prefix: '/api/v1',
+    openai: {
+      enabled: process.env.OPENAI_COMPAT !== 'false',
+      prefix: process.env.OPENAI_COMPAT_PREFIX || '/v1',
+    },
+    docs: {
+      enabled: process.env.API_DOCS !== 'false',
+    },
+    websocket: {
+      enabled: process.env.WEBSOCKET_ENABLED !== 'false',
+      path: '/api/v1/ws/chat',
+      maxPayload: parseInt(process.env.WEBSOCKET_MAX_PAYLOAD) || 1048576, // 1MB per message
+      maxHistory: parseInt(process.env.WEBSOCKET_MAX_HISTORY) || 100, // messages kept per connection
+      heartbeatInterval: 30000,
+    },
     cors: {
       enabled: true,
       origin: process.env.CORS_ORIGIN || 'http://localhost:8080',
@@ -153,8 +204,44 @@ const config = {
   performance: {
     maxConcurrentRequests: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 10,
     requestTimeout: parseInt(process.env.REQUEST_TIMEOUT) || 300000, // 5 minutes
+    maxQueueSize: parseInt(process.env.MAX_QUEUE_SIZE) || 100,
     cacheEnabled: process.env.CACHE_ENABLED !== 'false',
     cacheTTL: parseInt(process.env.CACHE_TTL) || 3600, // 1 hour
+    cacheMaxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+    cachePath: process.env.CACHE_PATH || path.join(process.env.DATA_PATH || '/app/data', 'cache', 'responses'),
+  },
+
+  // Batch inference jobs
+  batch: {
+    path: process.env.BATCH_PATH || path.join(process.env.DATA_PATH || '/app/data', 'batches'),
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS) || 10000,
+    maxRetries: parseInt(process.env.BATCH_MAX_RETRIES) || 3, // per item, for queue and Ollama outages
+    retryDelay: parseInt(process.env.BATCH_RETRY_DELAY) || 30000,
+  },
+
+  // JSON Schema response formats on chat and generate
+  structuredOutput: {
+    maxRepairs: parseInt(process.env.STRUCTURED_OUTPUT_MAX_REPAIRS ?? 2), // re-prompts with the validation errors
+  },
+
+  // Local tools the model can call during /chat
+  tools: {
+    maxRounds: parseInt(process.env.TOOLS_MAX_ROUNDS) || 5, // model turns per request; the last is offered no tools
+    timeout: parseInt(process.env.TOOLS_TIMEOUT) || 5000, // per invocation
+    feeSchedule: process.env.TOOLS_FEE_SCHEDULE || path.join(process.env.DATA_PATH || '/app/data', 'tools', 'fee-schedule.csv'),
+    codeTable: process.env.TOOLS_CODE_TABLE || path.join(process.env.DATA_PATH || '/app/data', 'tools', 'code-table.csv'),
+    currency: process.env.TOOLS_CURRENCY || 'USD',
+  },
+
+  // Retrieval over uploaded documents
+  rag: {
+    indexPath: process.env.RAG_INDEX_PATH || path.join(process.env.DATA_PATH || '/app/data', 'rag'),
+    embeddingModel: process.env.RAG_EMBEDDING_MODEL || 'nomic-embed-text',
+    chunkSize: parseInt(process.env.RAG_CHUNK_SIZE) || 1000, // characters
+    chunkOverlap: parseInt(process.env.RAG_CHUNK_OVERLAP) || 150,
+    topK: parseInt(process.env.RAG_TOP_K) || 4,
+    retryDelay: parseInt(process.env.RAG_RETRY_DELAY) || 60000, // after an Ollama outage
+    maxRetries: parseInt(process.env.RAG_MAX_RETRIES) || 5,
   },
 
   // Monitoring and health checks
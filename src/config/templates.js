@@ -0,0 +1,161 @@
+/**
+ * Built-in Prompt Templates
+ * Seeded as version 1 when the template library is first created; after
+ * that they are ordinary templates that can be versioned or deleted
+ */
+
+module.exports = [
+  {
+    name: 'patient-anxiety-response',
+    description: 'Empathetic reply to an anxious patient message for a dental practice',
+    profile: 'healthcare',
+    variables: {
+      patient_message: { type: 'string', maxLength: 20000, description: 'The message received from the patient' },
+      provider_name: { type: 'string', maxLength: 200, required: false, default: 'the dentist', description: 'Who the reply is from' },
+      concerns: { type: 'string', maxLength: 5000, required: false, default: 'Identify them from the message', description: 'Concerns to address, e.g. pain, insurance coverage, medical conditions' },
+    },
+    system: 'You write patient communications for a dental practice. Be warm, factual and professional.',
+    prompt: `Generate a professional, empathetic email response from {{provider_name}} to the following patient message:
+
+Patient Message: "{{patient_message}}"
+
+Patient Concerns: {{concerns}}
+
+Generate a caring, informative response that:
+1. Acknowledges the patient's anxiety empathetically
+2. Provides factual information about the procedure and modern pain management
+3. Addresses insurance coverage questions specifically
+4. Explains how any medical conditions mentioned are taken into account
+5. Offers additional support, such as a pre-treatment consultation
+6. Uses a professional but warm tone
+
+Format as a complete email response.`,
+  },
+  {
+    name: 'treatment-explanation',
+    description: 'Patient-friendly explanation of a planned treatment, its costs and preparation',
+    profile: 'healthcare',
+    variables: {
+      procedure: { type: 'string', maxLength: 2000, description: 'Planned procedure' },
+      patient_conditions: { type: 'string', maxLength: 5000, required: false, default: 'None reported', description: 'Relevant medical conditions' },
+      insurance: { type: 'string', maxLength: 2000, required: false, default: 'Unknown', description: 'Insurance coverage' },
+      estimated_cost: { type: 'string', maxLength: 200, required: false, default: 'To be confirmed', description: 'Estimated cost' },
+    },
+    prompt: `Create a patient-friendly treatment explanation for:
+
+Procedure: {{procedure}}
+Patient Conditions: {{patient_conditions}}
+Insurance Coverage: {{insurance}}
+Estimated Cost: {{estimated_cost}}
+
+Generate a clear, comprehensive explanation that includes:
+
+1. TREATMENT OVERVIEW
+   - What the procedure involves in simple terms
+   - Why this treatment is necessary
+   - Expected outcomes
+
+2. STEP-BY-STEP PROCESS
+   - Timeline and appointment schedule
+   - What happens at each visit
+   - Recovery expectations
+
+3. SPECIAL CONSIDERATIONS
+   - How the patient's conditions affect treatment
+   - Pre-treatment preparations
+   - Post-treatment care
+
+4. FINANCIAL INFORMATION
+   - Cost breakdown with insurance
+   - Payment options available
+   - What insurance covers
+
+5. PATIENT PREPARATION
+   - What to expect
+   - Questions to ask
+   - How to prepare
+
+Use clear, non-medical language that a patient can easily understand.`,
+  },
+  {
+    name: 'insurance-preauthorization',
+    description: 'Insurance pre-authorization documentation for a procedure',
+    profile: 'healthcare',
+    variables: {
+      procedure_codes: { type: 'string', maxLength: 2000, description: 'Procedure codes, e.g. CDT or CPT' },
+      clinical_findings: { type: 'string', maxLength: 20000, description: 'Clinical findings and diagnosis' },
+      medical_necessity: { type: 'string', maxLength: 20000, description: 'Why the procedure is necessary' },
+    },
+    prompt: `Generate comprehensive insurance pre-authorization documentation for:
+
+Procedure Codes: {{procedure_codes}}
+Clinical Findings: {{clinical_findings}}
+Medical Necessity: {{medical_necessity}}
+
+Create professional insurance documentation including:
+
+1. PRE-AUTHORIZATION LETTER
+   - Formal request to insurance company
+   - Patient and provider information
+   - Clear medical necessity justification
+
+2. CLINICAL DOCUMENTATION
+   - Detailed findings and diagnosis
+   - Treatment rationale
+   - Expected outcomes
+
+3. SUPPORTING EVIDENCE
+   - Radiographic findings
+   - Clinical examination results
+   - Alternative treatment considerations
+
+4. PROCEDURAL DETAILS
+   - Specific codes and descriptions
+   - Timeline and follow-up care
+   - Cost-effectiveness rationale
+
+Format as professional medical documentation suitable for insurance review.`,
+  },
+  {
+    name: 'soap-note',
+    description: 'Enhance a brief clinical note into SOAP format with coding suggestions',
+    profile: 'healthcare',
+    variables: {
+      raw_note: { type: 'string', maxLength: 50000, description: 'The clinician\'s brief note' },
+    },
+    system: 'You are a clinical documentation assistant. Only document what the note supports; mark anything inferred as a suggestion for clinician review.',
+    prompt: `Enhance the following clinical note into a comprehensive SOAP format suitable for medical documentation:
+
+Raw Note: "{{raw_note}}"
+
+Please provide:
+
+**SUBJECTIVE:**
+- Chief complaint and history of present illness
+- Review of systems (relevant positives and negatives)
+- Past medical history, family history, social history
+
+**OBJECTIVE:**
+- Vital signs and physical examination findings
+- Laboratory and diagnostic test results
+
+**ASSESSMENT:**
+- Primary diagnosis with differential considerations
+- Clinical reasoning and supporting evidence
+
+**PLAN:**
+- Diagnostic workup
+- Treatment recommendations
+- Follow-up instructions
+- Patient education provided
+
+**ICD-10 CODING SUGGESTIONS:**
+- Appropriate diagnostic codes
+
+**QUALITY MEASURES:**
+- Clinical quality indicators met
+- Documentation completeness score
+
+Ensure the note meets medical documentation standards and includes all relevant clinical information.`,
+  },
+];
@@ -0,0 +1,170 @@
+/**
+ * Authentication Middleware
+ * Bearer token verification and permission checks for API routes
+ *
+ * @module AuthMiddleware
+ */
+
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Extract a bearer token from the Authorization header
+ * API keys may also be sent in the X-API-Key header
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) {
+    return req.headers['x-api-key'] || null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+
+  return token.trim();
+}
+
+/**
+ * Resolve a bearer token (JWT or API key) to a principal
+ */
+function resolvePrincipal(app, token) {
+  const apiKeys = app.get('apiKeys');
+  if (apiKeys && apiKeys.isApiKey(token)) {
+    return apiKeys.verifyKey(token);
+  }
+
+  const auth = app.get('auth');
+  return auth ? auth.verifyToken(token) : null;
+}
+
+/**
+ * Principal used for every request when authentication is disabled
+ */
+function getLocalPrincipal() {
+  return {
+    type: 'local',
+    id: 'local',
+    username: 'local',
+    role: 'admin',
+    permissions: ['*'],
+  };
+}
+
+/**
+ * Apply the per-key rate limit for API key principals
+ */
+async function enforceKeyRateLimit(req, res, next) {
+  try {
+    const result = await req.app.get('apiKeys').consumeRateLimit(req.user.apiKeyId);
+
+    res.set('X-RateLimit-Limit', String(result.limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+
+    if (result.limited) {
+      logger.securityEvent('API Key Rate Limited', {
+        path: req.originalUrl,
+        method: req.method,
+        ip: req.ip,
+      });
+
+      return next(new ApiError('RATE_LIMITED', 'API key rate limit exceeded', {
+        retryAfter: Math.ceil(result.resetMs / 1000),
+      }));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Attach the authenticated principal to the request and audit context
+ */
+function attachPrincipal(req, principal) {
+  req.user = principal;
+  requestContext.set({
+    userId: principal.id,
+    role: principal.role,
+    apiKeyId: principal.apiKeyId,
+  });
+}
+
+/**
+ * Require a valid bearer token
+ * When authentication is disabled every request runs as a local admin
+ */
+function authenticate(req, res, next) {
+  if (!config.security.auth.enabled) {
+    attachPrincipal(req, getLocalPrincipal());
+    return next();
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return next(new ApiError('UNAUTHORIZED'));
+  }
+
+  const principal = resolvePrincipal(req.app, token);
+  if (!principal) {
+    logger.securityEvent('Invalid Token', {
+      path: req.originalUrl,
+      method: req.method,
+      ip: req.ip,
+    });
+    return next(new ApiError('UNAUTHORIZED', 'Invalid or expired token'));
+  }
+
+  attachPrincipal(req, principal);
+
+  if (principal.type === 'api_key') {
+    return enforceKeyRateLimit(req, res, next);
+  }
+
+  next();
+}
+
+/**
+ * Check whether the current principal holds a permission
+ */
+function hasPermission(req, permission) {
+  const permissions = req.user?.permissions || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * Require a permission on the authenticated principal
+ * The permission stays attached to the middleware for the API document
+ */
+function requirePermission(permission) {
+  const middleware = (req, res, next) => {
+    if (hasPermission(req, permission)) {
+      return next();
+    }
+
+    logger.securityEvent('Access Denied', {
+      permission,
+      path: req.originalUrl,
+      method: req.method,
+      ip: req.ip,
+    });
+
+    next(new ApiError('FORBIDDEN', null, { required: permission }));
+  };
+
+  middleware.permission = permission;
+  return middleware;
+}
+
+module.exports = {
+  authenticate,
+  requirePermission,
+  hasPermission,
+  getBearerToken,
+  getLocalPrincipal,
+  resolvePrincipal,
+};
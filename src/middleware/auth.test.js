@@ -0,0 +1,112 @@
+jest.mock('../utils/logger', () => ({ securityEvent: jest.fn() }));
+
+const config = require('../config/app');
+const { authenticate, requirePermission, hasPermission } = require('./auth');
+
+/**
+ * Minimal request with an app whose services are looked up by name
+ */
+function createRequest({ authorization, services = {}, user } = {}) {
+  return {
+    headers: authorization ? { authorization } : {},
+    originalUrl: '/api/v1/test',
+    method: 'GET',
+    ip: '127.0.0.1',
+    user,
+    app: { get: name => services[name] },
+  };
+}
+
+describe('requirePermission', () => {
+  const middleware = requirePermission('consent:write');
+
+  it('passes principals holding the permission', () => {
+    const next = jest.fn();
+
+    middleware(createRequest({ user: { permissions: ['consent:read', 'consent:write'] } }), {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('passes administrators through the wildcard', () => {
+    const next = jest.fn();
+
+    middleware(createRequest({ user: { permissions: ['*'] } }), {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('refuses other principals with FORBIDDEN naming the permission', () => {
+    const next = jest.fn();
+
+    middleware(createRequest({ user: { permissions: ['consent:read'] } }), {}, next);
+
+    const [error] = next.mock.calls[0];
+    expect(error).toMatchObject({ code: 'FORBIDDEN', details: { required: 'consent:write' } });
+  });
+
+  it('refuses requests without a principal', () => {
+    const next = jest.fn();
+
+    middleware(createRequest(), {}, next);
+
+    expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    expect(hasPermission(createRequest(), 'chat')).toBe(false);
+  });
+
+  it('stays attached to the middleware for the API document', () => {
+    expect(middleware.permission).toBe('consent:write');
+  });
+});
+
+describe('authenticate', () => {
+  const enabled = config.security.auth.enabled;
+
+  beforeEach(() => {
+    config.security.auth.enabled = true;
+  });
+
+  afterEach(() => {
+    config.security.auth.enabled = enabled;
+  });
+
+  it('requires a bearer token', () => {
+    const next = jest.fn();
+
+    authenticate(createRequest(), {}, next);
+
+    expect(next.mock.calls[0][0].code).toBe('UNAUTHORIZED');
+  });
+
+  it('refuses tokens the auth service does not accept', () => {
+    const auth = { verifyToken: jest.fn(() => null) };
+    const next = jest.fn();
+
+    authenticate(createRequest({ authorization: 'Bearer stale', services: { auth } }), {}, next);
+
+    expect(auth.verifyToken).toHaveBeenCalledWith('stale');
+    expect(next.mock.calls[0][0]).toMatchObject({ code: 'UNAUTHORIZED', message: 'Invalid or expired token' });
+  });
+
+  it('attaches the principal for accepted tokens', () => {
+    const principal = { type: 'user', id: 'u1', role: 'auditor', permissions: ['system:read'] };
+    const req = createRequest({ authorization: 'Bearer good', services: { auth: { verifyToken: () => principal } } });
+    const next = jest.fn();
+
+    authenticate(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toBe(principal);
+  });
+
+  it('runs every request as a local administrator when disabled', () => {
+    config.security.auth.enabled = false;
+    const req = createRequest();
+    const next = jest.fn();
+
+    authenticate(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toMatchObject({ type: 'local', permissions: ['*'] });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Cancellation Middleware
+ * Registers inference requests so a client disconnect or an explicit
+ * DELETE /requests/:requestId aborts the upstream Ollama call
+ *
+ * @module Cancellation
+ */
+
+/**
+ * Track an inference request of the given type
+ * Sets req.signal, an AbortSignal to pass to the scheduler and
+ * OllamaService, and the X-Request-ID header used to cancel it
+ */
+function trackInference(type) {
+  return (req, res, next) => {
+    const registry = req.app.get('requests');
+    if (!registry) {
+      return next();
+    }
+
+    const entry = registry.track(req.requestId, {
+      type,
+      model: req.body?.model,
+      userId: req.user?.id,
+    });
+
+    req.signal = entry.signal;
+    res.set('X-Request-ID', req.requestId);
+
+    // The request's own 'close' fires once its body is read, so watch the
+    // response: closing before it finished means the client went away
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        registry.cancel(req.requestId, { reason: 'client_disconnect' });
+      }
+      registry.release(req.requestId);
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  trackInference,
+};
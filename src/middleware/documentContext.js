@@ -0,0 +1,83 @@
+/**
+ * Document Context Middleware
+ * Resolves the `documents` of a /chat or /generate request into their
+ * extracted text and gives it to the model as context: a system message
+ * for chat, a preamble for generate. Runs before PHI redaction, so
+ * document text is masked like the rest of the request.
+ *
+ * @module DocumentContext
+ */
+
+const logger = require('../utils/logger');
+const { hasPermission } = require('./auth');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Format documents as a context block
+ */
+function formatContext(documents) {
+  const blocks = documents.map(({ document, text }) =>
+    `<document id="${document.id}" name="${document.filename.replace(/["\n]/g, '')}">\n${text}\n</document>`
+  );
+
+  return `Use the following documents to answer.\n\n${blocks.join('\n\n')}`;
+}
+
+/**
+ * Attach referenced documents to the request
+ * Callers need documents:read and can only reference their own documents
+ * unless they hold '*'; others' documents are reported as unknown
+ */
+function attachDocuments(type) {
+  return (req, res, next) => {
+    const ids = req.body.documents;
+
+    if (!ids) {
+      return next();
+    }
+
+    try {
+      if (!hasPermission(req, 'documents:read')) {
+        throw new ApiError('FORBIDDEN', 'Referencing documents requires the documents:read permission');
+      }
+
+      const store = req.app.get('documents');
+      const documents = [...new Set(ids)].map(id => {
+        const document = store.getDocument(id);
+        if (document.owner !== req.user.id && !hasPermission(req, '*')) {
+          throw new ApiError('NOT_FOUND', 'Document not found', { documentId: id });
+        }
+        return { document, text: store.getText(id) };
+      });
+
+      const context = formatContext(documents);
+
+      if (type === 'chat') {
+        // After any leading system messages, so the caller's instructions come first
+        const index = req.body.messages.findIndex(message => message.role !== 'system');
+        const messages = [...req.body.messages];
+        messages.splice(index === -1 ? messages.length : index, 0, { role: 'system', content: context });
+        req.body.messages = messages;
+      } else {
+        req.body.prompt = `${context}\n\n${req.body.prompt}`;
+      }
+
+      req.documentContext = documents.map(({ document }) => document.id);
+
+      logger.auditLog('Documents Attached', {
+        type,
+        model: req.body.model,
+        documents: req.documentContext,
+        characters: documents.reduce((sum, { text }) => sum + text.length, 0),
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  attachDocuments,
+};
@@ -0,0 +1,113 @@
+/**
+ * Error Handling Middleware
+ * Renders catalog errors for the native API and the OpenAI facade
+ *
+ * @module ErrorHandler
+ */
+
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { toApiError } = require('../utils/errors');
+
+// OpenAI error types by HTTP status
+const OPENAI_ERROR_TYPES = {
+  401: 'authentication_error',
+  403: 'permission_error',
+  429: 'rate_limit_error',
+};
+
+// OpenAI error codes that differ from the catalog code
+const OPENAI_ERROR_CODES = {
+  MODEL_NOT_FOUND: 'model_not_found',
+  CONTEXT_TOO_LONG: 'context_length_exceeded',
+  RATE_LIMITED: 'rate_limit_exceeded',
+};
+
+/**
+ * Log and normalize an error passed to an error handler
+ */
+function prepareError(err, req, res) {
+  const error = toApiError(err);
+
+  // Unexpected errors are replaced by a generic message; keep the original
+  if (error.cause) {
+    logger.error('Unhandled error:', {
+      requestId: req.requestId,
+      path: req.originalUrl,
+      error: error.cause.message,
+      stack: error.cause.stack,
+    });
+  }
+
+  logger.securityEvent('API Error', {
+    status: error.status,
+    code: error.code,
+    message: error.message,
+    path: req.originalUrl,
+    method: req.method,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+  });
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  return error;
+}
+
+/**
+ * Build the OpenAI error envelope for an ApiError
+ */
+function toOpenAIError(error) {
+  const firstIssue = error.details?.errors?.[0];
+
+  return {
+    message: firstIssue ? `${firstIssue.path} ${firstIssue.message}` : error.message,
+    type: OPENAI_ERROR_TYPES[error.status] || (error.status >= 500 ? 'server_error' : 'invalid_request_error'),
+    param: firstIssue ? firstIssue.path : null,
+    code: OPENAI_ERROR_CODES[error.code] || error.code.toLowerCase(),
+  };
+}
+
+/**
+ * Global error handler for the native API
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = prepareError(err, req, res);
+
+  const response = {
+    ...error.toJSON(),
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId,
+  };
+
+  // Security: Don't expose stack traces in production
+  if (config.app.environment === 'development') {
+    response.stack = (error.cause || error).stack;
+  }
+
+  res.status(error.status).json(response);
+}
+
+/**
+ * Error handler for the OpenAI-compatible facade
+ */
+function openAIErrorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = prepareError(err, req, res);
+  res.status(error.status).json({ error: toOpenAIError(error) });
+}
+
+module.exports = {
+  errorHandler,
+  openAIErrorHandler,
+  toOpenAIError,
+};
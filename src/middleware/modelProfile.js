@@ -0,0 +1,34 @@
+/**
+ * Model Profile Middleware
+ * Applies a registry optimization profile (options.profile) to /chat and
+ * /generate requests before they are cached or scheduled, so a profiled
+ * request and its explicit equivalent share a cache entry
+ *
+ * @module ModelProfile
+ */
+
+/**
+ * Merge the profile's parameters into req.body.options
+ * Options set on the request take precedence over the profile
+ */
+function applyModelProfile() {
+  return (req, res, next) => {
+    const { profile, ...options } = req.body.options || {};
+
+    if (!profile) {
+      return next();
+    }
+
+    try {
+      req.body.options = req.app.get('models').applyProfile(profile, options);
+      req.modelProfile = profile;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  applyModelProfile,
+};
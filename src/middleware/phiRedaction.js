@@ -0,0 +1,106 @@
+/**
+ * PHI Redaction Middleware
+ * In healthcare mode, masks PHI in /chat and /generate requests with
+ * surrogate tokens before they reach the model, so model context, the
+ * response cache and logs never hold raw identifiers. Handlers restore
+ * the originals in the response for callers with privacy:reidentify.
+ * The WebSocket chat and batch jobs mask their inputs with the same
+ * PrivacyService.redactInference() call.
+ *
+ * @module PhiRedaction
+ */
+
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { hasPermission } = require('./auth');
+
+/**
+ * Whether a request should be redacted
+ * options.redactPhi overrides the configured default unless overrides
+ * are disabled
+ */
+function isRedactionEnabled(options) {
+  const settings = config.healthcare.phiRedaction;
+
+  if (config.app.mode !== 'healthcare') {
+    return false;
+  }
+  if (settings.allowOverride && typeof options.redactPhi === 'boolean') {
+    return options.redactPhi;
+  }
+  return settings.enabled;
+}
+
+/**
+ * Redact the prompt, messages and system prompt of an inference request
+ * Sets req.phiRedaction to { masked, types, restored, surrogates }
+ */
+function redactPHI(type) {
+  return (req, res, next) => {
+    const privacy = req.app.get('privacy');
+    const options = req.body.options || {};
+    const overridden = config.healthcare.phiRedaction.allowOverride && typeof options.redactPhi === 'boolean';
+
+    if (!privacy || !isRedactionEnabled(options)) {
+      if (overridden && config.healthcare.phiRedaction.enabled) {
+        logger.auditLog('PHI Redaction Skipped', { type, model: req.body.model, reason: 'request_override' });
+      }
+      return next();
+    }
+
+    const { messages, prompt, system, masked, types, surrogates } = privacy.redactInference({
+      messages: req.body.messages,
+      prompt: req.body.prompt,
+      system: options.system,
+    });
+
+    if (req.body.messages) {
+      req.body.messages = messages;
+    }
+    if (req.body.prompt) {
+      req.body.prompt = prompt;
+    }
+    if (options.system) {
+      req.body.options = { ...options, system };
+    }
+
+    // Callers without re-identification rights keep the surrogates
+    const restored = masked > 0 && hasPermission(req, 'privacy:reidentify');
+
+    req.phiRedaction = {
+      masked,
+      types,
+      restored,
+      surrogates: restored ? surrogates : {},
+    };
+
+    logger.auditLog('PHI Redacted', {
+      type,
+      model: req.body.model,
+      masked,
+      types,
+      restored,
+      overridden,
+    });
+
+    next();
+  };
+}
+
+/**
+ * Redaction metadata for a response, without the surrogate values
+ */
+function getRedactionMetadata(req) {
+  if (!req.phiRedaction) {
+    return undefined;
+  }
+
+  const { masked, types, restored } = req.phiRedaction;
+  return { masked, types, restored };
+}
+
+module.exports = {
+  isRedactionEnabled,
+  redactPHI,
+  getRedactionMetadata,
+};
@@ -0,0 +1,51 @@
+/**
+ * Prompt Template Middleware
+ * Turns a /templates/:name/run request into a /generate request: the
+ * template is rendered with the request's variables, and its system
+ * prompt, model and profile apply unless the request overrides them.
+ * Runs before the profile is applied and PHI is redacted, like a
+ * /generate body.
+ *
+ * @module PromptTemplate
+ */
+
+const config = require('../config/app');
+
+/**
+ * Render the template named in the path into req.body
+ * Sets req.template to { id, name, version } for auditing
+ */
+function renderTemplate() {
+  return async (req, res, next) => {
+    try {
+      const templates = req.app.get('templates');
+      const { variables, version, model, options = {} } = req.body;
+
+      const template = await templates.getTemplate(req.params.name, version);
+      const { prompt, system } = templates.render(template, variables);
+
+      const defaults = {};
+      if (system) {
+        defaults.system = system;
+      }
+      if (template.profile) {
+        defaults.profile = template.profile;
+      }
+
+      req.body = {
+        model: model || template.model || config.models.default,
+        prompt,
+        options: { ...defaults, ...options },
+      };
+      req.template = { id: template.id, name: template.name, version: template.version };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  renderTemplate,
+};
@@ -0,0 +1,112 @@
+/**
+ * Retrieval Context Middleware
+ * Retrieves the passages of indexed documents most relevant to the last
+ * user message of a /rag/query request and gives them to the model as
+ * numbered sources. Runs before PHI redaction, so passages are masked
+ * like the rest of the request.
+ *
+ * @module RagContext
+ */
+
+const logger = require('../utils/logger');
+const { hasPermission } = require('./auth');
+const { ApiError, toApiError } = require('../utils/errors');
+
+/**
+ * Resolve the documents a caller may search
+ * Listed documents must be the caller's own unless they hold '*';
+ * others' documents are reported as unknown. Without a list, all of the
+ * caller's documents (everyone's with '*') are searched.
+ */
+function getSearchableDocuments(req, ids) {
+  const store = req.app.get('documents');
+
+  if (!ids) {
+    const all = Array.from(store.documents.values());
+    return hasPermission(req, '*') ? all : all.filter(document => document.owner === req.user.id);
+  }
+
+  return [...new Set(ids)].map(id => {
+    const document = store.getDocument(id);
+    if (document.owner !== req.user.id && !hasPermission(req, '*')) {
+      throw new ApiError('NOT_FOUND', 'Document not found', { documentId: id });
+    }
+    return document;
+  });
+}
+
+/**
+ * Format retrieved passages as numbered sources
+ */
+function formatContext(passages) {
+  if (passages.length === 0) {
+    return 'No passages in the available documents matched the question. Say so if the answer depends on them.';
+  }
+
+  const sources = passages.map((passage, i) =>
+    `<source index="${i + 1}" document="${passage.filename.replace(/["\n]/g, '')}">\n${passage.text}\n</source>`
+  );
+
+  return 'Answer using the following sources. Cite the sources you use by their index in square brackets, e.g. [1]. ' +
+    `If the sources do not contain the answer, say so.\n\n${sources.join('\n\n')}`;
+}
+
+/**
+ * Retrieve passages for the request and add them as a system message
+ * Sets req.ragCitations to the passages' documents and offsets
+ */
+function retrieveContext() {
+  return async (req, res, next) => {
+    try {
+      const query = [...req.body.messages].reverse().find(message => message.role === 'user');
+      if (!query) {
+        throw new ApiError('VALIDATION_FAILED', 'A user message is required as the retrieval query');
+      }
+
+      const documents = getSearchableDocuments(req, req.body.documents);
+
+      let passages;
+      try {
+        passages = await req.app.get('rag').retrieve(query.content, {
+          documentIds: documents.map(document => document.id),
+          topK: req.body.topK,
+          minScore: req.body.minScore,
+          signal: req.signal,
+          requestId: `${req.requestId}-retrieval`,
+        });
+      } catch (error) {
+        throw toApiError(error, 'Retrieval failed', { model: req.app.get('rag').settings.model });
+      }
+
+      // After any leading system messages, so the caller's instructions come first
+      const index = req.body.messages.findIndex(message => message.role !== 'system');
+      const messages = [...req.body.messages];
+      messages.splice(index === -1 ? messages.length : index, 0, { role: 'system', content: formatContext(passages) });
+      req.body.messages = messages;
+
+      req.ragCitations = passages.map((passage, i) => ({
+        index: i + 1,
+        documentId: passage.documentId,
+        filename: passage.filename,
+        start: passage.start,
+        end: passage.end,
+        score: passage.score,
+      }));
+
+      logger.auditLog('Documents Retrieved', {
+        model: req.body.model,
+        searched: documents.length,
+        passages: req.ragCitations.map(({ documentId, start, end }) => ({ documentId, start, end })),
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  getSearchableDocuments,
+  retrieveContext,
+};
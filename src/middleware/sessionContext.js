@@ -0,0 +1,69 @@
+/**
+ * Session Context Middleware
+ * Continues a stored conversation on /chat: the session's history is put
+ * in front of the request's messages, which are kept aside so they can be
+ * saved with the reply. Runs before document context and PHI redaction,
+ * so the session stores what the caller sent.
+ *
+ * @module SessionContext
+ */
+
+const logger = require('../utils/logger');
+const { hasPermission } = require('./auth');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Look up a session the caller may access
+ * Sessions hold conversation content, so only '*' opens other
+ * principals' sessions; someone else's session is reported as unknown
+ */
+async function getAccessibleSession(req, id) {
+  const session = await req.app.get('sessions').getSession(id);
+
+  if (session.owner !== req.user.id && !hasPermission(req, '*')) {
+    throw new ApiError('NOT_FOUND', 'Session not found', { sessionId: id });
+  }
+  return session;
+}
+
+/**
+ * Prepend the history of req.body.session to the request's messages
+ * Sets req.chatSession to { id, messages } with the new messages
+ */
+function loadSession() {
+  return async (req, res, next) => {
+    const id = req.body.session;
+
+    if (!id) {
+      return next();
+    }
+
+    try {
+      const session = await getAccessibleSession(req, id);
+      if (session.status === 'archived') {
+        throw new ApiError('CONFLICT', 'Session is archived; restore it before adding messages', { sessionId: id });
+      }
+
+      const history = await req.app.get('sessions').getMessages(id);
+      const earlier = history.map(({ role, content, images }) => (images ? { role, content, images } : { role, content }));
+
+      req.chatSession = { id, messages: req.body.messages };
+      req.body.messages = [...earlier, ...req.body.messages];
+
+      logger.dataAccess(req.user.id, 'session', 'read', {
+        sessionId: id,
+        messages: history.length,
+        via: 'chat',
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  getAccessibleSession,
+  loadSession,
+};
@@ -0,0 +1,51 @@
+/**
+ * Tools Middleware
+ * Checks the tools named on a /chat request against the caller's
+ * permissions before the model is offered any of them
+ *
+ * @module Tools
+ */
+
+const logger = require('../utils/logger');
+const { hasPermission } = require('./auth');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Authorize the requested tools and set req.tools to their names
+ * Every tool must exist and the caller must hold its permission
+ */
+function authorizeTools() {
+  return (req, res, next) => {
+    if (!req.body.tools || req.body.tools.length === 0) {
+      return next();
+    }
+
+    try {
+      const registry = req.app.get('tools');
+      const names = [...new Set(req.body.tools)];
+
+      for (const name of names) {
+        const { permission } = registry.getTool(name);
+        if (!hasPermission(req, permission)) {
+          logger.securityEvent('Access Denied', {
+            permission,
+            tool: name,
+            path: req.originalUrl,
+            method: req.method,
+            ip: req.ip,
+          });
+          throw new ApiError('FORBIDDEN', `Tool ${name} requires the ${permission} permission`, { tool: name, required: permission });
+        }
+      }
+
+      req.tools = names;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  authorizeTools,
+};
@@ -0,0 +1,91 @@
+/**
+ * Workflow Middleware
+ * Turns a /workflows/<name> request into a generate request: the typed
+ * input becomes the workflow's prompt, with its system prompt, output
+ * schema and use-case parameters. Runs before PHI redaction, like a
+ * /generate body.
+ *
+ * @module Workflow
+ */
+
+const logger = require('../utils/logger');
+const config = require('../config/app');
+const { hasPermission } = require('./auth');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Reject requests to a disabled workflow before they are validated
+ */
+function requireWorkflow(name) {
+  return (req, res, next) => {
+    try {
+      req.app.get('workflows').getWorkflow(name);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Resolve the text of a document-summarization request
+ * An uploaded document is read with the same checks as `documents` on
+ * /generate
+ */
+function resolveDocumentText(req, input) {
+  if (Boolean(input.text) === Boolean(input.document)) {
+    throw new ApiError('VALIDATION_FAILED', null, {
+      errors: [{ path: 'body', message: 'must have exactly one of text or document' }],
+    });
+  }
+
+  if (input.text) {
+    return input;
+  }
+
+  if (!hasPermission(req, 'documents:read')) {
+    throw new ApiError('FORBIDDEN', 'Summarizing an uploaded document requires the documents:read permission');
+  }
+
+  const store = req.app.get('documents');
+  const document = store.getDocument(input.document);
+  if (document.owner !== req.user.id && !hasPermission(req, '*')) {
+    throw new ApiError('NOT_FOUND', 'Document not found', { documentId: input.document });
+  }
+
+  const text = store.getText(document.id);
+  logger.auditLog('Documents Attached', {
+    type: 'workflow',
+    documents: [document.id],
+    characters: text.length,
+  });
+
+  return { ...input, text };
+}
+
+/**
+ * Build the workflow's generate request into req.body
+ * Sets req.workflow to { name, useCase, input } for the run handler
+ */
+function prepareWorkflow(name) {
+  return (req, res, next) => {
+    try {
+      const workflows = req.app.get('workflows');
+      const { model = config.models.default, options, ...fields } = req.body;
+
+      const input = name === 'document-summarization' ? resolveDocumentText(req, fields) : fields;
+
+      req.body = workflows.buildRequest(name, input, { model, options });
+      req.workflow = { name, useCase: workflows.getWorkflow(name).useCase, input };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  requireWorkflow,
+  prepareWorkflow,
+};
@@ -0,0 +1,102 @@
+/**
+ * API Key Routes
+ * Create, list, revoke and rotate keys for service accounts
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const ApiKeyService = require('../services/apiKeys');
+const { requirePermission } = require('../middleware/auth');
+const { ApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { idParams } = require('../schemas/common');
+const { createApiKeyRequest, revokeApiKeyRequest, rotateApiKeyRequest } = require('../schemas/apiKeys');
+
+const router = express.Router();
+
+router.use(requirePermission('apikeys:manage'));
+
+/**
+ * Map ApiKeyService errors onto the error catalog
+ */
+function toKeyError(error) {
+  const code = error.message.includes('not found') ? 'NOT_FOUND' : 'VALIDATION_FAILED';
+  return new ApiError(code, error.message);
+}
+
+/**
+ * List API keys
+ */
+router.get('/', describeRoute('List API keys'), (req, res) => {
+  const apiKeys = req.app.get('apiKeys');
+  const keys = apiKeys.listKeys({ includeRevoked: req.query.includeRevoked === 'true' });
+
+  logger.auditLog('API Keys Listed', { count: keys.length });
+  res.json({ keys, scopes: ApiKeyService.SCOPES });
+});
+
+/**
+ * Create an API key
+ * The plaintext key is only returned in this response
+ */
+router.post('/', describeRoute('Create an API key', { status: 201, description: 'The plaintext key is only returned in this response.' }), validateRequest({ body: createApiKeyRequest }), (req, res, next) => {
+  try {
+    const { name, description, scopes, expiresAt, expiresInDays, rateLimit } = req.body;
+    const result = req.app.get('apiKeys').createKey(
+      { name, description, scopes, expiresAt, expiresInDays, rateLimit },
+      req.user.id
+    );
+
+    res.status(201).json({
+      ...result,
+      warning: 'Store this key securely. It will not be shown again.',
+    });
+  } catch (error) {
+    next(toKeyError(error));
+  }
+});
+
+/**
+ * Get a single API key
+ */
+router.get('/:id', describeRoute('Get a single API key'), validateRequest({ params: idParams }), (req, res, next) => {
+  const key = req.app.get('apiKeys').getKey(req.params.id);
+
+  if (!key) {
+    return next(new ApiError('NOT_FOUND', `API key ${req.params.id} not found`));
+  }
+
+  res.json({ key });
+});
+
+/**
+ * Revoke an API key
+ */
+router.delete('/:id', describeRoute('Revoke an API key'), validateRequest({ params: idParams, body: revokeApiKeyRequest }), (req, res, next) => {
+  try {
+    const key = req.app.get('apiKeys').revokeKey(req.params.id, req.body?.reason || 'revoked');
+    res.json({ message: 'API key revoked', key });
+  } catch (error) {
+    next(toKeyError(error));
+  }
+});
+
+/**
+ * Rotate an API key
+ */
+router.post('/:id/rotate', describeRoute('Rotate an API key'), validateRequest({ params: idParams, body: rotateApiKeyRequest }), (req, res, next) => {
+  try {
+    const gracePeriodSeconds = req.body?.gracePeriodSeconds || 0;
+    const result = req.app.get('apiKeys').rotateKey(req.params.id, { gracePeriodSeconds }, req.user.id);
+
+    res.json({
+      ...result,
+      warning: 'Store this key securely. It will not be shown again.',
+    });
+  } catch (error) {
+    next(toKeyError(error));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * Authentication API Routes
+ * Login, token management and user administration
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const AuthService = require('../services/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { ApiError, toApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { idParams } = require('../schemas/common');
+const {
+  loginRequest,
+  changePasswordRequest,
+  createUserRequest,
+  updateUserRequest,
+} = require('../schemas/auth');
+
+const router = express.Router();
+
+/**
+ * Map AuthService errors onto the error catalog
+ */
+function toUserError(error) {
+  if (error.message.includes('not found')) {
+    return new ApiError('NOT_FOUND', error.message);
+  }
+  if (error.message.includes('already exists')) {
+    return new ApiError('CONFLICT', error.message);
+  }
+  return new ApiError('VALIDATION_FAILED', error.message);
+}
+
+/**
+ * Exchange credentials for an access token
+ */
+router.post('/login', describeRoute('Exchange credentials for an access token', { errors: ['UNAUTHORIZED'] }), validateRequest({ body: loginRequest }), async (req, res, next) => {
+  try {
+    const auth = req.app.get('auth');
+    const { username, password } = req.body;
+
+    const session = await auth.login(username, password, { ip: req.ip });
+
+    if (!session) {
+      return next(new ApiError('UNAUTHORIZED', 'Invalid username or password'));
+    }
+
+    res.json(session);
+  } catch (error) {
+    next(toApiError(error, 'Login failed'));
+  }
+});
+
+// Everything below requires a valid token
+router.use(authenticate);
+
+/**
+ * Get the current principal
+ */
+router.get('/me', describeRoute('Get the current principal'), (req, res) => {
+  res.json({
+    user: req.user.type === 'user' ? req.app.get('auth').getUser(req.user.id) : null,
+    principal: {
+      type: req.user.type,
+      id: req.user.id,
+      role: req.user.role,
+      permissions: req.user.permissions,
+    },
+  });
+});
+
+/**
+ * Revoke the current token
+ */
+router.post('/logout', describeRoute('Revoke the current token'), (req, res) => {
+  const auth = req.app.get('auth');
+
+  if (req.user.tokenId) {
+    auth.revokeToken(req.user.tokenId, req.user.tokenExpires);
+  }
+
+  logger.userActivity(req.user.id, 'logout');
+  res.json({ message: 'Logged out' });
+});
+
+/**
+ * Change the current user's password
+ */
+router.put('/password', describeRoute('Change the current user password', { description: 'Tokens issued before the change stop working, including the one used for this request.' }), validateRequest({ body: changePasswordRequest }), async (req, res, next) => {
+  try {
+    const auth = req.app.get('auth');
+    const { currentPassword, newPassword } = req.body;
+
+    if (req.user.type !== 'user') {
+      return next(new ApiError('VALIDATION_FAILED', 'Only user accounts have passwords'));
+    }
+
+    const verified = await auth.verifyPassword(req.user.id, currentPassword);
+    if (!verified) {
+      logger.securityEvent('Password Change Rejected', { ip: req.ip });
+      return next(new ApiError('UNAUTHORIZED', 'Current password is incorrect'));
+    }
+
+    // Changing the password revokes every token issued so far, this one included
+    auth.updateUser(req.user.id, { password: newPassword });
+    res.json({ message: 'Password changed; sign in again with the new password' });
+  } catch (error) {
+    next(toUserError(error));
+  }
+});
+
+/**
+ * List roles and their permissions
+ */
+router.get('/roles', describeRoute('List roles and their permissions'), (req, res) => {
+  res.json({ roles: AuthService.ROLE_PERMISSIONS });
+});
+
+/**
+ * User administration
+ */
+router.get('/users', describeRoute('List users'), requirePermission('users:manage'), (req, res) => {
+  const users = req.app.get('auth').listUsers();
+  logger.auditLog('Users Listed', { count: users.length });
+  res.json({ users });
+});
+
+router.post('/users', describeRoute('Create a user', { status: 201, errors: ['CONFLICT'] }), requirePermission('users:manage'), validateRequest({ body: createUserRequest }), (req, res, next) => {
+  try {
+    const { username, password, role, name } = req.body;
+    const user = req.app.get('auth').createUser({ username, password, role, name });
+    res.status(201).json({ user });
+  } catch (error) {
+    next(toUserError(error));
+  }
+});
+
+router.patch('/users/:id', describeRoute('Update a user', { description: 'A new role or password, or disabling the account, revokes the tokens already issued to the user. The last active administrator cannot be demoted or disabled.' }), requirePermission('users:manage'), validateRequest({ params: idParams, body: updateUserRequest }), (req, res, next) => {
+  try {
+    const { role, name, disabled, password } = req.body;
+    const user = req.app.get('auth').updateUser(req.params.id, { role, name, disabled, password });
+    res.json({ user });
+  } catch (error) {
+    next(toUserError(error));
+  }
+});
+
+router.delete('/users/:id', describeRoute('Delete a user'), requirePermission('users:manage'), validateRequest({ params: idParams }), (req, res, next) => {
+  try {
+    req.app.get('auth').deleteUser(req.params.id);
+    res.json({ message: 'User deleted', id: req.params.id });
+  } catch (error) {
+    next(toUserError(error));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+/**
+ * Batch Job Routes
+ * Submit JSONL or CSV inputs with a prompt template, follow progress and
+ * download per-item results
+ * Principals see their own jobs; full administrators see everyone's
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const { isRedactionEnabled } = require('../middleware/phiRedaction');
+const { ApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { batchJobRequest, batchJobParams, batchListQuery, batchResultsQuery } = require('../schemas/batches');
+
+const router = express.Router();
+
+router.use(requirePermission('chat'));
+
+/**
+ * Look up a job the caller may access
+ * Batch inputs and outputs may hold PHI, so there is no narrower
+ * permission that opens other principals' jobs; only '*' does.
+ * Someone else's job is reported as unknown rather than forbidden.
+ */
+function getAccessibleJob(req) {
+  const job = req.app.get('batches').getJob(req.params.jobId);
+
+  if (job.owner !== req.user.id && !hasPermission(req, '*')) {
+    throw new ApiError('NOT_FOUND', 'Batch job not found', { jobId: req.params.jobId });
+  }
+  return job;
+}
+
+/**
+ * Submit a batch job
+ */
+router.post('/', describeRoute('Submit a batch inference job', { status: 202, description: 'Each input is rendered into the prompt template and run at batch priority. Progress is checkpointed, so jobs resume after a restart.', errors: ['VALIDATION_FAILED'] }), validateRequest({ body: batchJobRequest }), (req, res, next) => {
+  try {
+    const batches = req.app.get('batches');
+    const job = batches.create(req.body, {
+      owner: req.user.id,
+      phiRedaction: {
+        enabled: Boolean(req.app.get('privacy')) && isRedactionEnabled(req.body.options || {}),
+        restore: hasPermission(req, 'privacy:reidentify'),
+      },
+    });
+
+    logger.auditLog('Batch Job Submitted', {
+      jobId: job.id,
+      model: job.model,
+      format: job.format,
+      items: job.total,
+    });
+
+    res.status(202).json({
+      message: 'Batch job queued',
+      job: batches.describe(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List batch jobs, newest first
+ */
+router.get('/', describeRoute('List batch inference jobs'), validateRequest({ query: batchListQuery }), (req, res) => {
+  const batches = req.app.get('batches');
+  const owner = hasPermission(req, '*') ? undefined : req.user.id;
+
+  res.json({
+    jobs: batches.list({ owner, status: req.query.status }),
+    stats: batches.getStats(),
+  });
+});
+
+/**
+ * Get batch job progress and ETA
+ */
+router.get('/:jobId', describeRoute('Get batch job status', { errors: ['NOT_FOUND'] }), validateRequest({ params: batchJobParams }), (req, res, next) => {
+  try {
+    const job = getAccessibleJob(req);
+    res.json({ job: req.app.get('batches').describe(job) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Download results processed so far
+ * Failed items carry an error code and message instead of output
+ */
+router.get('/:jobId/results', describeRoute('Download batch job results', { produces: ['application/x-ndjson', 'text/csv'], errors: ['NOT_FOUND'] }), validateRequest({ params: batchJobParams, query: batchResultsQuery }), (req, res, next) => {
+  try {
+    const batches = req.app.get('batches');
+    const job = getAccessibleJob(req);
+    const format = req.query.format || 'jsonl';
+    const results = batches.getResults(job.id);
+
+    logger.auditLog('Batch Results Downloaded', { jobId: job.id, format, items: results.length });
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="batch-${job.id}.${format}"`);
+    res.send(batches.formatResults(results, format));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Cancel a queued or running job
+ * Results produced so far stay available
+ */
+router.post('/:jobId/cancel', describeRoute('Cancel a batch job', { errors: ['NOT_FOUND', 'CONFLICT'] }), validateRequest({ params: batchJobParams }), async (req, res, next) => {
+  try {
+    const batches = req.app.get('batches');
+    const job = await batches.cancel(getAccessibleJob(req).id);
+
+    res.json({
+      message: 'Batch job cancelled',
+      job: batches.describe(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a job with its stored inputs and results
+ */
+router.delete('/:jobId', describeRoute('Delete a batch job', { description: 'A queued or running job is cancelled first.', errors: ['NOT_FOUND'] }), validateRequest({ params: batchJobParams }), async (req, res, next) => {
+  try {
+    const job = await req.app.get('batches').remove(getAccessibleJob(req).id);
+
+    logger.auditLog('Batch Job Deleted', { jobId: job.id, model: job.model });
+
+    res.json({ message: 'Batch job deleted', jobId: job.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
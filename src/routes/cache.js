@@ -0,0 +1,42 @@
+/**
+ * Response Cache Routes
+ * Inspect and purge cached inference responses
+ */
+
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { purgeCacheQuery } = require('../schemas/monitoring');
+
+const router = express.Router();
+
+router.use(requirePermission('cache:manage'));
+
+/**
+ * Get cache statistics
+ */
+router.get('/', describeRoute('Get cache statistics'), (req, res) => {
+  res.json({
+    cache: req.app.get('responseCache').getStats(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Purge cached responses
+ * Pass ?model=<name> to purge a single model's entries
+ */
+router.delete('/', describeRoute('Purge cached responses'), validateRequest({ query: purgeCacheQuery }), (req, res) => {
+  const responseCache = req.app.get('responseCache');
+  const removed = responseCache.purge({ model: req.query.model });
+
+  res.json({
+    message: 'Response cache purged',
+    model: req.query.model || null,
+    removed,
+    cache: responseCache.getStats(),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/**
+ * Compliance Routes
+ * Compliance status, on-demand checks and their history, reports and
+ * incident records, for compliance officers and administrators
+ */
+
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const {
+  checkParams,
+  reportQuery,
+  incidentRequest,
+  incidentParams,
+  incidentListQuery,
+  updateIncidentRequest,
+} = require('../schemas/compliance');
+
+const router = express.Router();
+
+/**
+ * Get compliance status
+ */
+router.get('/status', describeRoute('Get compliance status'), requirePermission('compliance:read'), (req, res) => {
+  res.json(req.app.get('compliance').getStatus());
+});
+
+/**
+ * Run compliance checks now
+ */
+router.post('/checks', describeRoute('Run compliance checks now', { status: 201 }), requirePermission('compliance:write'), async (req, res, next) => {
+  try {
+    const check = await req.app.get('compliance').performComplianceChecks({
+      trigger: 'manual',
+      requestedBy: req.user.id,
+    });
+
+    res.status(201).json({ check });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List past compliance checks, newest first
+ */
+router.get('/checks', describeRoute('List compliance check history'), requirePermission('compliance:read'), (req, res) => {
+  res.json({ checks: req.app.get('compliance').listChecks() });
+});
+
+/**
+ * Get the full results of a compliance check
+ */
+router.get('/checks/:checkId', describeRoute('Get compliance check results', { errors: ['NOT_FOUND'] }), requirePermission('compliance:read'), validateRequest({ params: checkParams }), (req, res, next) => {
+  try {
+    res.json({ check: req.app.get('compliance').getCheck(req.params.checkId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Generate a compliance report from the latest check
+ */
+router.get('/report', describeRoute('Generate a compliance report', { produces: ['application/json', 'text/html'], errors: ['NOT_FOUND'] }), requirePermission('compliance:read'), validateRequest({ query: reportQuery }), (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    const report = req.app.get('compliance').generateComplianceReport(format);
+
+    if (format === 'html') {
+      return res.type('html').send(report);
+    }
+    res.json({ report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Report an incident
+ * The response includes the breach notification assessment and deadline
+ */
+router.post('/incidents', describeRoute('Report a compliance incident', { status: 201, errors: ['VALIDATION_FAILED'] }), requirePermission('compliance:write'), validateRequest({ body: incidentRequest }), async (req, res, next) => {
+  try {
+    const { occurredAt, ...incident } = req.body;
+    const record = await req.app.get('compliance').handleIncident(
+      { ...incident, timestamp: occurredAt },
+      { reportedBy: req.user.id }
+    );
+
+    res.status(201).json({ incident: record });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List incidents, newest first
+ */
+router.get('/incidents', describeRoute('List compliance incidents'), requirePermission('compliance:read'), validateRequest({ query: incidentListQuery }), (req, res) => {
+  const incidents = req.app.get('compliance').listIncidents({
+    status: req.query.status,
+    severity: req.query.severity,
+  });
+
+  res.json({ incidents });
+});
+
+/**
+ * Get an incident with its response history
+ */
+router.get('/incidents/:incidentId', describeRoute('Get a compliance incident', { errors: ['NOT_FOUND'] }), requirePermission('compliance:read'), validateRequest({ params: incidentParams }), (req, res, next) => {
+  try {
+    res.json({ incident: req.app.get('compliance').getIncident(req.params.incidentId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update an incident's status or assignee, or record a response action
+ */
+router.patch('/incidents/:incidentId', describeRoute('Update a compliance incident', { description: 'Each change is appended to response_actions. Closed incidents cannot be changed.', errors: ['NOT_FOUND', 'CONFLICT', 'VALIDATION_FAILED'] }), requirePermission('compliance:write'), validateRequest({ params: incidentParams, body: updateIncidentRequest }), (req, res, next) => {
+  try {
+    const { status, assignee, action } = req.body;
+    const incident = req.app.get('compliance').updateIncident(
+      req.params.incidentId,
+      { status, assignee, action },
+      { updatedBy: req.user.id }
+    );
+
+    res.json({ incident });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+/**
+ * Consent Routes
+ * Record, view, withdraw and validate data subjects' consents
+ * Every new or withdrawn consent is a new version with a printable receipt
+ */
+
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { ApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const {
+  recordConsentRequest,
+  withdrawConsentRequest,
+  validateConsentRequest,
+  consentParams,
+  consentListQuery,
+  receiptQuery,
+} = require('../schemas/consent');
+
+const router = express.Router();
+
+function getConsents(req) {
+  return req.app.get('privacy').consentManager;
+}
+
+function getVersion(req) {
+  const consent = getConsents(req).getVersion(req.params.consentId);
+  if (!consent) {
+    throw new ApiError('NOT_FOUND', 'Consent not found', { consentId: req.params.consentId });
+  }
+  return consent;
+}
+
+/**
+ * Record a consent
+ * Supersedes the subject's current consent, which stays in the history
+ */
+router.post('/', describeRoute('Record a consent', { status: 201, errors: ['VALIDATION_FAILED'] }), requirePermission('consent:write'), validateRequest({ body: recordConsentRequest }), async (req, res, next) => {
+  try {
+    const { subjectId, dataTypes, purposes, method, expires } = req.body;
+
+    if (expires && !(Date.parse(expires) > Date.now())) {
+      throw new ApiError('VALIDATION_FAILED', null, {
+        errors: [{ path: 'expires', message: 'must be an ISO 8601 date in the future' }],
+      });
+    }
+
+    const consents = getConsents(req);
+    const consent = await consents.recordConsent(subjectId, { dataTypes, purposes, method, expires }, { recordedBy: req.user.id });
+
+    res.status(201).json({
+      consent: consents.describe(consent),
+      receipt: consents.getReceipt(consent),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List a subject's consent history, newest first
+ */
+router.get('/', describeRoute('List consent history for a subject'), requirePermission('consent:read'), validateRequest({ query: consentListQuery }), async (req, res) => {
+  const consents = getConsents(req);
+  const current = await consents.getConsent(req.query.subjectId);
+
+  res.json({
+    subjectId: req.query.subjectId,
+    current: current ? consents.describe(current) : null,
+    history: consents.getHistory(req.query.subjectId).map(consent => consents.describe(consent)),
+  });
+});
+
+/**
+ * Check whether a subject's current consent covers a data type and purpose
+ */
+router.post('/validate', describeRoute('Check consent for a data type and purpose'), requirePermission('consent:read'), validateRequest({ body: validateConsentRequest }), async (req, res) => {
+  const { subjectId, dataType, purpose } = req.body;
+  res.json(await req.app.get('privacy').validateConsent(subjectId, dataType, purpose));
+});
+
+/**
+ * Get one consent version
+ */
+router.get('/:consentId', describeRoute('Get a consent version', { errors: ['NOT_FOUND'] }), requirePermission('consent:read'), validateRequest({ params: consentParams }), (req, res, next) => {
+  try {
+    res.json({ consent: getConsents(req).describe(getVersion(req)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the receipt for a consent version
+ */
+router.get('/:consentId/receipt', describeRoute('Get a consent receipt', { produces: ['application/json', 'text/plain', 'text/html'], errors: ['NOT_FOUND'] }), requirePermission('consent:read'), validateRequest({ params: consentParams, query: receiptQuery }), (req, res, next) => {
+  try {
+    const consents = getConsents(req);
+    const receipt = consents.getReceipt(getVersion(req));
+    const format = req.query.format || 'json';
+
+    if (format === 'json') {
+      return res.json({ receipt });
+    }
+    res.type(format === 'html' ? 'html' : 'text').send(consents.renderReceipt(receipt, format));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Withdraw a consent
+ * Only the subject's current, active version can be withdrawn
+ */
+router.post('/:consentId/withdraw', describeRoute('Withdraw a consent', { status: 201, errors: ['NOT_FOUND', 'CONFLICT'] }), requirePermission('consent:write'), validateRequest({ params: consentParams, body: withdrawConsentRequest }), async (req, res, next) => {
+  try {
+    const consents = getConsents(req);
+    const consent = getVersion(req);
+    const current = await consents.getConsent(consent.subjectId);
+
+    if (current.id !== consent.id || !consent.isActive()) {
+      throw new ApiError('CONFLICT', 'Only the current, active consent can be withdrawn', {
+        consentId: consent.id,
+        currentConsentId: current.id,
+      });
+    }
+
+    const withdrawn = await consents.withdrawConsent(consent.subjectId, req.body.reason || null, { withdrawnBy: req.user.id });
+
+    res.status(201).json({
+      consent: consents.describe(withdrawn),
+      receipt: consents.getReceipt(withdrawn),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
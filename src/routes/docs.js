@@ -0,0 +1,74 @@
+/**
+ * API Documentation Routes
+ * OpenAPI document and interactive reference, served from local assets
+ * so they work on machines without internet access
+ */
+
+const express = require('express');
+const path = require('path');
+const swaggerUi = require('swagger-ui-dist');
+const config = require('../config/app');
+const { describeRoute } = require('../utils/openapi');
+
+const router = express.Router();
+
+const ASSETS_PATH = swaggerUi.getAbsoluteFSPath();
+const ASSETS = ['swagger-ui.css', 'swagger-ui-bundle.js', 'favicon-16x16.png', 'favicon-32x32.png'];
+
+/**
+ * Render the Swagger UI page
+ * The validator badge is disabled because it calls an external service
+ */
+function renderPage() {
+  const docsPath = `${config.api.prefix}/docs`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${config.app.name} API Reference</title>
+  <link rel="stylesheet" href="${docsPath}/swagger-ui.css">
+  <link rel="icon" type="image/png" href="${docsPath}/favicon-32x32.png" sizes="32x32">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${docsPath}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: '${config.api.prefix}/openapi.json',
+      dom_id: '#swagger-ui',
+      validatorUrl: null,
+      persistAuthorization: true,
+      tryItOutEnabled: true,
+    });
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Get the OpenAPI document
+ */
+router.get('/openapi.json', describeRoute('Get the OpenAPI document', { tag: 'docs' }), (req, res) => {
+  res.json(req.app.get('openapi'));
+});
+
+/**
+ * Interactive API reference
+ */
+router.get('/docs', describeRoute('Interactive API reference', { tag: 'docs', produces: ['text/html'] }), (req, res) => {
+  res.type('html').send(renderPage());
+});
+
+// Swagger UI assets
+router.use('/docs', (req, res, next) => {
+  const asset = req.path.slice(1);
+
+  if (req.method !== 'GET' || !ASSETS.includes(asset)) {
+    return next();
+  }
+
+  res.sendFile(path.join(ASSETS_PATH, asset), { maxAge: '1d' });
+});
+
+module.exports = router;
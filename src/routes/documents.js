@@ -0,0 +1,169 @@
+/**
+ * Document Routes
+ * Upload documents, read their extracted text and download or delete them
+ * Principals see their own documents; full administrators see everyone's
+ */
+
+const express = require('express');
+const multer = require('multer');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const { ApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { uploadRequest, documentParams } = require('../schemas/documents');
+
+const router = express.Router();
+
+// Uploads are held in memory and encrypted from there, so the plaintext
+// never touches disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.storage.maxFileSize,
+    files: 1,
+  },
+});
+
+/**
+ * Receive a single file in the "file" field
+ * Multer errors are mapped onto the API error catalog
+ */
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(error.code === 'LIMIT_FILE_SIZE'
+        ? new ApiError('PAYLOAD_TOO_LARGE', `File exceeds the ${config.storage.maxFileSize} byte limit`, { maxFileSize: config.storage.maxFileSize })
+        : new ApiError('VALIDATION_FAILED', error.message, { field: error.field }));
+    }
+    if (error) {
+      return next(error);
+    }
+    if (!req.file) {
+      return next(new ApiError('VALIDATION_FAILED', 'A file is required in the "file" field'));
+    }
+    next();
+  });
+}
+
+/**
+ * Look up a document the caller may access
+ * Documents may hold PHI, so only '*' opens other principals' documents.
+ * Someone else's document is reported as unknown rather than forbidden.
+ */
+function getAccessibleDocument(req) {
+  const document = req.app.get('documents').getDocument(req.params.documentId);
+
+  if (document.owner !== req.user.id && !hasPermission(req, '*')) {
+    throw new ApiError('NOT_FOUND', 'Document not found', { documentId: req.params.documentId });
+  }
+  return document;
+}
+
+/**
+ * Upload a document
+ * The original is encrypted at rest and its text extracted for use as
+ * context in chat and generate requests
+ */
+router.post('/', describeRoute('Upload a document', { status: 201, description: `Multipart upload of one file in the \`file\` field, up to ${config.storage.maxFileSize} bytes. Reference the returned ID in the \`documents\` field of /chat or /generate.`, requestBody: { 'multipart/form-data': uploadRequest }, errors: ['VALIDATION_FAILED', 'PAYLOAD_TOO_LARGE'] }), requirePermission('documents:write'), receiveFile, async (req, res, next) => {
+  try {
+    const documents = req.app.get('documents');
+    const document = await documents.create(req.file, { owner: req.user.id });
+
+    logger.auditLog('Document Uploaded', {
+      documentId: document.id,
+      type: document.type,
+      size: document.size,
+      characters: document.characters,
+    });
+
+    res.status(201).json({
+      message: 'Document uploaded',
+      document: documents.describe(document),
+    });
+  } catch (error) {
+    if (error.code === 'VALIDATION_FAILED') {
+      logger.securityEvent('Document Upload Rejected', {
+        declaredType: req.file.mimetype,
+        size: req.file.size,
+        reason: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * List documents, newest first
+ */
+router.get('/', describeRoute('List documents'), requirePermission('documents:read'), (req, res) => {
+  const documents = req.app.get('documents');
+  const owner = hasPermission(req, '*') ? undefined : req.user.id;
+
+  res.json({ documents: documents.list({ owner }) });
+});
+
+/**
+ * Get document metadata
+ */
+router.get('/:documentId', describeRoute('Get a document', { errors: ['NOT_FOUND'] }), requirePermission('documents:read'), validateRequest({ params: documentParams }), (req, res, next) => {
+  try {
+    res.json({ document: req.app.get('documents').describe(getAccessibleDocument(req)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the extracted text of a document
+ */
+router.get('/:documentId/text', describeRoute('Get the extracted text of a document', { errors: ['NOT_FOUND'] }), requirePermission('documents:read'), validateRequest({ params: documentParams }), (req, res, next) => {
+  try {
+    const documents = req.app.get('documents');
+    const document = getAccessibleDocument(req);
+    const text = documents.getText(document.id);
+
+    logger.auditLog('Document Text Accessed', { documentId: document.id, characters: text.length });
+
+    res.json({ document: documents.describe(document), text });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Download the original file
+ */
+router.get('/:documentId/content', describeRoute('Download the original document', { produces: ['application/octet-stream'], errors: ['NOT_FOUND'] }), requirePermission('documents:read'), validateRequest({ params: documentParams }), async (req, res, next) => {
+  try {
+    const document = getAccessibleDocument(req);
+    const content = await req.app.get('documents').getContent(document.id);
+
+    logger.auditLog('Document Downloaded', { documentId: document.id, size: content.length });
+
+    // attachment() sets a type from the extension, so the detected type is set after it
+    res.attachment(document.filename);
+    res.setHeader('Content-Type', document.type);
+    res.send(content);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a document with its stored file and text
+ */
+router.delete('/:documentId', describeRoute('Delete a document', { errors: ['NOT_FOUND'] }), requirePermission('documents:write'), validateRequest({ params: documentParams }), (req, res, next) => {
+  try {
+    const document = req.app.get('documents').remove(getAccessibleDocument(req).id);
+
+    logger.auditLog('Document Deleted', { documentId: document.id, type: document.type });
+
+    res.json({ message: 'Document deleted', documentId: document.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
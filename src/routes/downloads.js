@@ -0,0 +1,144 @@
+/**
+ * Model Download Routes
+ * Start model pulls as jobs, follow their progress, cancel and resume them
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { initSSE, sendEvent, endSSE } = require('../utils/sse');
+const { pullModelRequest, downloadJobParams, downloadListQuery } = require('../schemas/inference');
+
+const router = express.Router();
+
+// Minimum time between progress events on a stream
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Start downloading a model
+ */
+router.post('/', describeRoute('Start downloading a model', { status: 202, description: 'Returns a job to poll or stream. Only one download per model runs at a time.', errors: ['CONFLICT'] }), requirePermission('models:write'), validateRequest({ body: pullModelRequest }), (req, res, next) => {
+  try {
+    const { model } = req.body;
+    const downloads = req.app.get('downloads');
+    const job = downloads.start(model, { requestedBy: req.user.id });
+
+    logger.auditLog('Model Download Started', { model, jobId: job.id });
+
+    res.status(202).json({
+      message: 'Model download started',
+      job: downloads.describe(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List download jobs, newest first
+ */
+router.get('/', describeRoute('List model download jobs'), requirePermission('models:read'), validateRequest({ query: downloadListQuery }), (req, res) => {
+  const downloads = req.app.get('downloads');
+
+  res.json({
+    jobs: downloads.list({ model: req.query.model, status: req.query.status }),
+    stats: downloads.getStats(),
+  });
+});
+
+/**
+ * Get download status, bytes and ETA
+ */
+router.get('/:jobId', describeRoute('Get model download status', { errors: ['NOT_FOUND'] }), requirePermission('models:read'), validateRequest({ params: downloadJobParams }), (req, res, next) => {
+  try {
+    res.json({ job: req.app.get('downloads').get(req.params.jobId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stream download progress as Server-Sent Events
+ * Emits `progress` events while downloading, then one `completed`,
+ * `failed`, `cancelled` or `interrupted` event and closes
+ */
+router.get('/:jobId/events', describeRoute('Stream model download progress', { produces: ['text/event-stream'], errors: ['NOT_FOUND'] }), requirePermission('models:read'), validateRequest({ params: downloadJobParams }), (req, res, next) => {
+  const downloads = req.app.get('downloads');
+
+  let job;
+  try {
+    job = downloads.get(req.params.jobId);
+  } catch (error) {
+    return next(error);
+  }
+
+  initSSE(res);
+
+  if (job.status !== 'downloading') {
+    sendEvent(res, job.status, job);
+    return endSSE(res);
+  }
+
+  sendEvent(res, 'progress', job);
+  let lastSent = Date.now();
+
+  const onUpdate = (update) => {
+    if (update.id !== job.id) {
+      return;
+    }
+
+    if (update.status !== 'downloading') {
+      sendEvent(res, update.status, update);
+      return endSSE(res);
+    }
+
+    if (Date.now() - lastSent >= PROGRESS_INTERVAL_MS) {
+      lastSent = Date.now();
+      sendEvent(res, 'progress', update);
+    }
+  };
+
+  downloads.on('job:updated', onUpdate);
+  res.on('close', () => downloads.off('job:updated', onUpdate));
+});
+
+/**
+ * Cancel a running download
+ * Layers already fetched stay on disk, so the job can be resumed
+ */
+router.delete('/:jobId', describeRoute('Cancel a model download', { errors: ['NOT_FOUND', 'CONFLICT'] }), requirePermission('models:write'), validateRequest({ params: downloadJobParams }), async (req, res, next) => {
+  try {
+    const downloads = req.app.get('downloads');
+    const job = await downloads.cancel(req.params.jobId, { cancelledBy: req.user.id });
+
+    res.json({
+      message: 'Model download cancelled',
+      job: downloads.describe(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Resume a failed, cancelled or interrupted download
+ */
+router.post('/:jobId/resume', describeRoute('Resume a model download', { status: 202, errors: ['NOT_FOUND', 'CONFLICT'] }), requirePermission('models:write'), validateRequest({ params: downloadJobParams }), (req, res, next) => {
+  try {
+    const downloads = req.app.get('downloads');
+    const job = downloads.resume(req.params.jobId);
+
+    logger.auditLog('Model Download Resumed', { model: job.model, jobId: job.id, attempt: job.attempts });
+
+    res.status(202).json({
+      message: 'Model download resumed',
+      job: downloads.describe(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Model Registry Routes
+ * Registry metadata, use case recommendations, optimization profiles and
+ * per-model performance reports
+ */
+
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { toApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { modelParams } = require('../schemas/common');
+const { recommendationsQuery, optimizeQuery, performanceQuery } = require('../schemas/inference');
+
+const router = express.Router();
+
+router.use(requirePermission('models:read'));
+
+/**
+ * Get the model registry with current install status
+ */
+router.get('/registry', describeRoute('Get the model registry', { description: 'Install status is refreshed from Ollama on each call.', errors: ['OLLAMA_UNAVAILABLE'] }), async (req, res, next) => {
+  try {
+    const models = req.app.get('models');
+    await models.syncInstalledModels();
+
+    res.json(models.getRegistry());
+  } catch (error) {
+    next(toApiError(error, 'Failed to load model registry'));
+  }
+});
+
+/**
+ * Recommend registered models for a use case, best first
+ */
+router.get('/recommendations', describeRoute('Recommend models for a use case'), validateRequest({ query: recommendationsQuery }), (req, res) => {
+  const models = req.app.get('models');
+  const { useCase, ...constraints } = req.query;
+
+  res.json({
+    useCase,
+    recommendations: models.getModelRecommendations(useCase, constraints),
+    useCases: models.getUseCases(),
+  });
+});
+
+/**
+ * Get optimized parameters for a registered model
+ */
+router.get('/:model/optimize', describeRoute('Get optimized parameters for a model', { description: 'Pass the profile as options.profile on /chat or /generate to apply these parameters.', errors: ['MODEL_NOT_FOUND', 'VALIDATION_FAILED'] }), validateRequest({ params: modelParams, query: optimizeQuery }), (req, res, next) => {
+  try {
+    const { model } = req.params;
+    const { profile = 'balanced', useCase = null } = req.query;
+    const parameters = req.app.get('models').optimizeForUseCase(model, useCase, profile);
+
+    res.json({ model, profile, useCase, parameters });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a model's performance report
+ */
+router.get('/:model/performance', describeRoute('Get model performance', { errors: ['MODEL_NOT_FOUND'] }), validateRequest({ params: modelParams, query: performanceQuery }), (req, res, next) => {
+  try {
+    const report = req.app.get('models').getPerformanceReport(req.params.model, req.query.days || 30);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
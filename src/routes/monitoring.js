@@ -4,12 +4,17 @@
  */
 
 const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { timeRangeQuery, exportQuery, queueQuery, updateConfigRequest } = require('../schemas/monitoring');
+
 const router = express.Router();
 
 /**
  * Get system health status
  */
-router.get('/health', async (req, res) => {
+router.get('/health', describeRoute('Get system health status'), requirePermission('monitoring:read'), async (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -49,7 +54,7 @@ router.get('/health', async (req, res) => {
 /**
  * Get current system metrics
  */
-router.get('/metrics', async (req, res) => {
+router.get('/metrics', describeRoute('Get current system metrics'), requirePermission('monitoring:read'), validateRequest({ query: timeRangeQuery }), async (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -74,7 +79,7 @@ router.get('/metrics', async (req, res) => {
 /**
  * Get performance statistics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', describeRoute('Get performance statistics'), requirePermission('monitoring:read'), validateRequest({ query: timeRangeQuery }), async (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -99,7 +104,7 @@ router.get('/stats', async (req, res) => {
 /**
  * Get live metrics (current snapshot)
  */
-router.get('/live', async (req, res) => {
+router.get('/live', describeRoute('Get live metrics (current snapshot)'), requirePermission('monitoring:read'), async (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -114,6 +119,7 @@ router.get('/live', async (req, res) => {
       system: monitoring.metrics.system[monitoring.metrics.system.length - 1],
       api: monitoring.metrics.api[monitoring.metrics.api.length - 1],
       ollama: monitoring.metrics.ollama[monitoring.metrics.ollama.length - 1],
+      services: monitoring.getSourceMetrics(),
       health: monitoring.health,
       timestamp: new Date().toISOString()
     };
@@ -127,10 +133,34 @@ router.get('/live', async (req, res) => {
   }
 });
 
+/**
+ * Get inference queue depth and wait times
+ */
+router.get('/queue', describeRoute('Get inference queue depth and wait times'), requirePermission('monitoring:read'), validateRequest({ query: queueQuery }), (req, res) => {
+  const scheduler = req.app.get('scheduler');
+
+  if (!scheduler) {
+    return res.status(503).json({
+      error: 'Inference scheduler not available'
+    });
+  }
+
+  const queue = scheduler.getStats();
+
+  if (req.query.requestId) {
+    queue.position = scheduler.getPosition(req.query.requestId);
+  }
+
+  res.json({
+    queue,
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * Export metrics data
  */
-router.get('/export', async (req, res) => {
+router.get('/export', describeRoute('Export metrics data', { produces: ['application/json', 'text/csv'] }), requirePermission('monitoring:read'), validateRequest({ query: exportQuery }), async (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -171,7 +201,7 @@ router.get('/export', async (req, res) => {
 /**
  * Get monitoring configuration
  */
-router.get('/config', (req, res) => {
+router.get('/config', describeRoute('Get monitoring configuration'), requirePermission('monitoring:read'), (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -199,7 +229,7 @@ router.get('/config', (req, res) => {
 /**
  * Update monitoring configuration
  */
-router.patch('/config', (req, res) => {
+router.patch('/config', describeRoute('Update monitoring configuration'), requirePermission('monitoring:write'), validateRequest({ body: updateConfigRequest }), (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -249,7 +279,7 @@ router.patch('/config', (req, res) => {
 /**
  * Start monitoring
  */
-router.post('/start', (req, res) => {
+router.post('/start', describeRoute('Start monitoring'), requirePermission('monitoring:write'), (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -282,7 +312,7 @@ router.post('/start', (req, res) => {
 /**
  * Stop monitoring
  */
-router.post('/stop', (req, res) => {
+router.post('/stop', describeRoute('Stop monitoring'), requirePermission('monitoring:write'), (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -315,7 +345,7 @@ router.post('/stop', (req, res) => {
 /**
  * Get alerts history
  */
-router.get('/alerts', (req, res) => {
+router.get('/alerts', describeRoute('Get alerts history'), requirePermission('monitoring:read'), (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -342,7 +372,7 @@ router.get('/alerts', (req, res) => {
 /**
  * Clear metrics data
  */
-router.delete('/metrics', (req, res) => {
+router.delete('/metrics', describeRoute('Clear metrics data'), requirePermission('monitoring:write'), (req, res) => {
   try {
     const monitoring = req.app.get('monitoring');
     
@@ -355,13 +385,15 @@ router.delete('/metrics', (req, res) => {
     const beforeCounts = {
       system: monitoring.metrics.system.length,
       api: monitoring.metrics.api.length,
-      ollama: monitoring.metrics.ollama.length
+      ollama: monitoring.metrics.ollama.length,
+      services: monitoring.metrics.services.length
     };
 
     // Clear all metrics
     monitoring.metrics.system = [];
     monitoring.metrics.api = [];
     monitoring.metrics.ollama = [];
+    monitoring.metrics.services = [];
 
     res.json({
       message: 'Metrics data cleared',
@@ -0,0 +1,470 @@
+/**
+ * OpenAI-Compatible API Routes
+ * Maps the OpenAI wire format onto the local Ollama service so existing
+ * tooling (IDE plugins, LangChain, dashboards) can talk to PortableLLM.
+ * Prompts are masked for PHI like /chat and /generate requests.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { initSSE, sendEvent, endSSE } = require('../utils/sse');
+const { requirePermission } = require('../middleware/auth');
+const { trackInference } = require('../middleware/cancellation');
+const { redactPHI } = require('../middleware/phiRedaction');
+const { toOpenAIError } = require('../middleware/errorHandler');
+const { ApiError, toApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { INFERENCE_ERRORS, describeRoute } = require('../utils/openapi');
+const { chatCompletionRequest, completionRequest, embeddingRequest } = require('../schemas/openai');
+
+const router = express.Router();
+
+/**
+ * Map OpenAI sampling parameters onto OllamaService options
+ */
+function mapSamplingOptions(body) {
+  const modelOptions = {};
+
+  if (body.stop !== undefined) {
+    modelOptions.stop = Array.isArray(body.stop) ? body.stop : [body.stop];
+  }
+  if (body.seed !== undefined) {
+    modelOptions.seed = body.seed;
+  }
+  if (body.presence_penalty !== undefined) {
+    modelOptions.presence_penalty = body.presence_penalty;
+  }
+  if (body.frequency_penalty !== undefined) {
+    modelOptions.frequency_penalty = body.frequency_penalty;
+  }
+
+  return {
+    temperature: body.temperature,
+    top_p: body.top_p,
+    max_tokens: body.max_tokens ?? body.max_completion_tokens,
+    modelOptions,
+  };
+}
+
+/**
+ * Flatten OpenAI message content parts into plain text
+ * `developer` messages are the newer name for system instructions, which
+ * Ollama only knows as `system`
+ */
+function normalizeMessages(messages) {
+  return messages.map((message) => ({
+    role: message.role === 'developer' ? 'system' : message.role,
+    content: Array.isArray(message.content)
+      ? message.content
+        .filter((part) => part.type === 'text')
+        .map((part) => part.text)
+        .join('\n')
+      : message.content || '',
+  }));
+}
+
+/**
+ * Bring the request into the shape PHI redaction and the handlers expect:
+ * plain-text messages, and a single prompt string
+ * Only one choice is returned, so a prompt array with several entries is
+ * refused rather than answered for its first prompt alone
+ */
+function normalizeRequest(req, res, next) {
+  if (req.body.messages) {
+    req.body.messages = normalizeMessages(req.body.messages);
+  }
+  if (Array.isArray(req.body.prompt)) {
+    if (req.body.prompt.length !== 1) {
+      return next(new ApiError('VALIDATION_FAILED', null, {
+        errors: [{ path: 'prompt', message: 'must contain exactly one prompt; send one request per prompt' }],
+      }));
+    }
+    req.body.prompt = req.body.prompt[0];
+  }
+  next();
+}
+
+/**
+ * Restorer for surrogates from PHI redaction in model output
+ * Callers without privacy:reidentify have no surrogates, so their output
+ * keeps the tokens
+ */
+function getRestorer(req) {
+  if (!req.phiRedaction) {
+    return { push: (text) => text, flush: () => '' };
+  }
+  return req.app.get('privacy').createRestorer(req.phiRedaction.surrogates);
+}
+
+/**
+ * Build the OpenAI usage block from Ollama eval counts
+ */
+function buildUsage(response) {
+  const promptTokens = response.prompt_eval_count || 0;
+  const completionTokens = response.eval_count || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+}
+
+function mapFinishReason(response) {
+  return response.done_reason === 'length' ? 'length' : 'stop';
+}
+
+/**
+ * Run an inference call through the shared scheduler
+ * req.signal drops the call from the queue if the request is cancelled
+ */
+function schedule(req, label, task) {
+  return req.app.get('scheduler').schedule(task, {
+    id: req.requestId,
+    label,
+    signal: req.signal,
+  });
+}
+
+/**
+ * Serve deterministic requests from the response cache
+ * Resolves to { response, cache } where cache is 'hit', 'miss' or 'bypass'
+ */
+function withCache(req, request, compute, onHit) {
+  return req.app.get('responseCache').fetch(request, compute, { onHit });
+}
+
+/**
+ * End an OpenAI stream with an error chunk
+ * Headers are already sent, so the error handler cannot be used
+ */
+function sendStreamError(res, error) {
+  sendEvent(res, null, { error: toOpenAIError(error) });
+  endSSE(res);
+}
+
+function getOllama(req, next) {
+  const ollama = req.app.get('ollama');
+
+  if (!ollama) {
+    next(new ApiError('OLLAMA_UNAVAILABLE', 'Inference service not available'));
+    return null;
+  }
+
+  return ollama;
+}
+
+/**
+ * Chat completions
+ */
+router.post('/chat/completions', describeRoute('Create a chat completion', { produces: ['application/json', 'text/event-stream'], errors: INFERENCE_ERRORS }), requirePermission('chat'), validateRequest({ body: chatCompletionRequest }), normalizeRequest, redactPHI('chat'), trackInference('chat'), async (req, res, next) => {
+  const { model, messages: chatMessages, stream = false } = req.body;
+  const ollama = getOllama(req, next);
+  if (!ollama) return;
+
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
+  const options = mapSamplingOptions(req.body);
+  const cacheRequest = { type: 'chat', model, input: chatMessages, options };
+  const restorer = getRestorer(req);
+
+  logger.auditLog('Chat Request', {
+    model,
+    messageCount: chatMessages.length,
+    options: Object.keys(req.body).filter((key) => !['model', 'messages'].includes(key)),
+    api: 'openai',
+  });
+
+  if (!stream) {
+    try {
+      const { response, cache } = await withCache(req, cacheRequest, () =>
+        schedule(req, 'chat', () => ollama.chat(model, chatMessages, {
+          ...options,
+          stream: false,
+          signal: req.signal,
+        }))
+      );
+
+      logger.auditLog('Chat Response', {
+        model,
+        duration: `${Date.now() - startTime}ms`,
+        responseLength: response.message?.content?.length || 0,
+        cache,
+        api: 'openai',
+      });
+
+      res.set('X-Cache', cache.toUpperCase());
+      return res.json({
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: restorer.push(response.message?.content || '') + restorer.flush(),
+          },
+          finish_reason: mapFinishReason(response),
+        }],
+        usage: buildUsage(response),
+      });
+    } catch (error) {
+      return next(toApiError(error, 'Chat completion failed', { model }));
+    }
+  }
+
+  const chunk = (delta, finishReason = null) => ({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  });
+
+  initSSE(res);
+  sendEvent(res, null, chunk({ role: 'assistant', content: '' }));
+
+  // The restorer holds back text that may be the start of a surrogate token
+  const sendContent = (text) => {
+    if (text) {
+      sendEvent(res, null, chunk({ content: text }));
+    }
+  };
+
+  try {
+    const infer = () => schedule(req, 'chat', () => ollama.chat(model, chatMessages, {
+      ...options,
+      stream: true,
+      signal: req.signal,
+      onToken: (data) => sendContent(restorer.push(data.token)),
+    }));
+
+    const { response, cache } = await withCache(req, cacheRequest, infer, (cached) =>
+      sendContent(restorer.push(cached.message?.content || ''))
+    );
+    sendContent(restorer.flush());
+
+    const final = chunk({}, mapFinishReason(response));
+    if (req.body.stream_options?.include_usage) {
+      final.usage = buildUsage(response);
+    }
+    sendEvent(res, null, final);
+    res.write('data: [DONE]\n\n');
+    endSSE(res);
+
+    logger.auditLog('Chat Response', {
+      model,
+      duration: `${Date.now() - startTime}ms`,
+      responseLength: response.message?.content?.length || 0,
+      streamed: true,
+      cache,
+      api: 'openai',
+    });
+  } catch (error) {
+    const apiError = toApiError(error, 'Chat completion failed', { model });
+    if (apiError.code !== 'REQUEST_CANCELLED') {
+      logger.error('OpenAI chat stream failed:', { model, error: error.message });
+    }
+    sendStreamError(res, apiError);
+  }
+});
+
+/**
+ * Legacy text completions
+ */
+router.post('/completions', describeRoute('Create a text completion (legacy)', { produces: ['application/json', 'text/event-stream'], errors: INFERENCE_ERRORS }), requirePermission('chat'), validateRequest({ body: completionRequest }), normalizeRequest, redactPHI('generate'), trackInference('generate'), async (req, res, next) => {
+  const { model, prompt, stream = false } = req.body;
+  const ollama = getOllama(req, next);
+  if (!ollama) return;
+
+  const id = `cmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
+  const options = mapSamplingOptions(req.body);
+  const cacheRequest = { type: 'generate', model, input: prompt, options };
+  const restorer = getRestorer(req);
+
+  logger.auditLog('Generate Request', {
+    model,
+    promptLength: prompt.length,
+    options: Object.keys(req.body).filter((key) => !['model', 'prompt'].includes(key)),
+    api: 'openai',
+  });
+
+  const completion = (text, finishReason = null) => ({
+    id,
+    object: 'text_completion',
+    created,
+    model,
+    choices: [{ index: 0, text, logprobs: null, finish_reason: finishReason }],
+  });
+
+  if (!stream) {
+    try {
+      const { response, cache } = await withCache(req, cacheRequest, () =>
+        schedule(req, 'generate', () => ollama.generate(model, prompt, { ...options, stream: false, signal: req.signal }))
+      );
+
+      logger.auditLog('Generate Response', {
+        model,
+        duration: `${Date.now() - startTime}ms`,
+        responseLength: response.response?.length || 0,
+        cache,
+        api: 'openai',
+      });
+
+      res.set('X-Cache', cache.toUpperCase());
+      return res.json({
+        ...completion(restorer.push(response.response || '') + restorer.flush(), mapFinishReason(response)),
+        usage: buildUsage(response),
+      });
+    } catch (error) {
+      return next(toApiError(error, 'Completion failed', { model }));
+    }
+  }
+
+  initSSE(res);
+
+  const sendText = (text) => {
+    if (text) {
+      sendEvent(res, null, completion(text));
+    }
+  };
+
+  try {
+    const infer = () => schedule(req, 'generate', () => ollama.generate(model, prompt, {
+      ...options,
+      stream: true,
+      signal: req.signal,
+      onToken: (data) => sendText(restorer.push(data.token)),
+    }));
+
+    const { response, cache } = await withCache(req, cacheRequest, infer, (cached) =>
+      sendText(restorer.push(cached.response || ''))
+    );
+    sendText(restorer.flush());
+
+    sendEvent(res, null, completion('', mapFinishReason(response)));
+    res.write('data: [DONE]\n\n');
+    endSSE(res);
+
+    logger.auditLog('Generate Response', {
+      model,
+      duration: `${Date.now() - startTime}ms`,
+      responseLength: response.response?.length || 0,
+      streamed: true,
+      cache,
+      api: 'openai',
+    });
+  } catch (error) {
+    const apiError = toApiError(error, 'Completion failed', { model });
+    if (apiError.code !== 'REQUEST_CANCELLED') {
+      logger.error('OpenAI completion stream failed:', { model, error: error.message });
+    }
+    sendStreamError(res, apiError);
+  }
+});
+
+/**
+ * List installed models
+ */
+router.get('/models', describeRoute('List installed models', { errors: ['OLLAMA_UNAVAILABLE'] }), requirePermission('models:read'), async (req, res, next) => {
+  const ollama = getOllama(req, next);
+  if (!ollama) return;
+
+  try {
+    const models = await ollama.listModels();
+    logger.auditLog('Models Listed', { count: models.length, api: 'openai' });
+
+    res.json({
+      object: 'list',
+      data: models.map((model) => ({
+        id: model.name,
+        object: 'model',
+        created: model.modified_at ? Math.floor(new Date(model.modified_at).getTime() / 1000) : 0,
+        owned_by: 'portablellm',
+      })),
+    });
+  } catch (error) {
+    next(toApiError(error, 'Failed to list models'));
+  }
+});
+
+/**
+ * Retrieve a single model
+ */
+router.get('/models/:model(*)', describeRoute('Retrieve a single model', { errors: ['MODEL_NOT_FOUND', 'OLLAMA_UNAVAILABLE'] }), requirePermission('models:read'), async (req, res, next) => {
+  const ollama = getOllama(req, next);
+  if (!ollama) return;
+
+  try {
+    const models = await ollama.listModels();
+    const model = models.find((m) => m.name === req.params.model);
+
+    if (!model) {
+      return next(new ApiError('MODEL_NOT_FOUND', `The model '${req.params.model}' does not exist`));
+    }
+
+    res.json({
+      id: model.name,
+      object: 'model',
+      created: model.modified_at ? Math.floor(new Date(model.modified_at).getTime() / 1000) : 0,
+      owned_by: 'portablellm',
+    });
+  } catch (error) {
+    next(toApiError(error, 'Failed to retrieve model'));
+  }
+});
+
+/**
+ * Create embeddings
+ */
+router.post('/embeddings', describeRoute('Create embeddings', { errors: INFERENCE_ERRORS }), requirePermission('chat'), validateRequest({ body: embeddingRequest }), trackInference('embeddings'), async (req, res, next) => {
+  const { model, input } = req.body;
+  const inputs = Array.isArray(input) ? input : [input];
+
+  const ollama = getOllama(req, next);
+  if (!ollama) return;
+
+  const startTime = Date.now();
+  logger.auditLog('Embedding Request', {
+    model,
+    inputCount: inputs.length,
+    inputLength: inputs.reduce((sum, item) => sum + item.length, 0),
+    api: 'openai',
+  });
+
+  try {
+    const response = await schedule(req, 'embeddings', () => ollama.embed(model, inputs, { signal: req.signal }));
+    const promptTokens = response.prompt_eval_count || 0;
+
+    logger.auditLog('Embedding Response', {
+      model,
+      duration: `${Date.now() - startTime}ms`,
+      inputCount: inputs.length,
+      dimensions: response.embeddings[0]?.length || 0,
+      api: 'openai',
+    });
+
+    res.json({
+      object: 'list',
+      data: (response.embeddings || []).map((embedding, index) => ({
+        object: 'embedding',
+        embedding,
+        index,
+      })),
+      model,
+      usage: {
+        prompt_tokens: promptTokens,
+        total_tokens: promptTokens,
+      },
+    });
+  } catch (error) {
+    next(toApiError(error, 'Embedding request failed', { model }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * Privacy Routes
+ * Detect PHI in text, de-identify it and, with privacy:reidentify,
+ * restore the original values from a de-identification map
+ */
+
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { detectRequest, deidentifyRequest, reidentifyRequest } = require('../schemas/privacy');
+
+const router = express.Router();
+
+/**
+ * Detect PHI
+ * Returns each span with its type, position and length
+ */
+router.post('/detect', describeRoute('Detect PHI in text'), requirePermission('privacy:read'), validateRequest({ body: detectRequest }), (req, res) => {
+  const detections = req.app.get('privacy').detectPHI(req.body.text);
+
+  res.json({
+    detections,
+    count: detections.length,
+    types: [...new Set(detections.map(detection => detection.type))],
+  });
+});
+
+/**
+ * De-identify text
+ * The returned mapId is kept for 24 hours for re-identification
+ */
+router.post('/deidentify', describeRoute('De-identify text', { description: 'Replaces, removes or hashes detected PHI. Unless generateMap is false or mode is remove, the response includes a mapId for re-identification, valid for 24 hours.' }), requirePermission('privacy:read'), validateRequest({ body: deidentifyRequest }), (req, res) => {
+  const { text, mode, generateMap } = req.body;
+
+  const result = req.app.get('privacy').deidentify(text, {
+    mode,
+    generateMap,
+    createdBy: req.user.id,
+  });
+
+  res.json(result);
+});
+
+/**
+ * Re-identify text using a de-identification map
+ * Every call is audited, including refusals
+ */
+router.post('/reidentify', describeRoute('Re-identify text', { description: 'Restores original values for the placeholders in text. Requires privacy:reidentify.', errors: ['NOT_FOUND'] }), requirePermission('privacy:reidentify'), validateRequest({ body: reidentifyRequest }), (req, res, next) => {
+  try {
+    const { text, mapId } = req.body;
+    const result = req.app.get('privacy').reidentify(text, mapId, req.user);
+
+    res.json({ mapId, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+/**
+ * Retrieval Routes
+ * Index status of uploaded documents and reindexing
+ * Principals see their own documents; full administrators see everyone's
+ * Retrieval-augmented chat itself is POST /rag/query on the API router
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { requirePermission } = require('../middleware/auth');
+const { getSearchableDocuments } = require('../middleware/ragContext');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { reindexRequest } = require('../schemas/rag');
+
+const router = express.Router();
+
+/**
+ * Get the index status of the caller's documents
+ */
+router.get('/index', describeRoute('Get the retrieval index status', { description: 'Index status of each accessible document: pending, indexing, indexed, stale, failed or not_indexed.' }), requirePermission('documents:read'), (req, res) => {
+  const rag = req.app.get('rag');
+  const documents = getSearchableDocuments(req);
+
+  res.json({
+    settings: rag.settings,
+    documents: documents.reverse().map(document => ({ ...rag.describe(document.id), filename: document.filename })),
+  });
+});
+
+/**
+ * Queue documents for reindexing
+ */
+router.post('/reindex', describeRoute('Reindex documents', { status: 202, description: 'Queues the listed documents, or all accessible documents, to be chunked and embedded again. Clears earlier failures.', errors: ['VALIDATION_FAILED', 'NOT_FOUND'] }), requirePermission('documents:write'), validateRequest({ body: reindexRequest }), (req, res, next) => {
+  try {
+    const rag = req.app.get('rag');
+    const ids = getSearchableDocuments(req, req.body.documents).map(document => document.id);
+
+    rag.reindex(ids);
+
+    logger.auditLog('Documents Reindexed', { documents: ids });
+
+    res.status(202).json({
+      message: 'Documents queued for indexing',
+      documents: ids.map(id => rag.describe(id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * In-Flight Request Routes
+ * List running inference requests and cancel them by request ID
+ * Principals see and cancel their own requests; monitoring:read and
+ * monitoring:write extend that to everyone's
+ */
+
+const express = require('express');
+const { hasPermission } = require('../middleware/auth');
+const { ApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const { requestIdParams } = require('../schemas/monitoring');
+
+const router = express.Router();
+
+/**
+ * List in-flight inference requests
+ */
+router.get('/', describeRoute('List in-flight inference requests', { description: 'Returns the caller\'s own requests, or every request with monitoring:read.' }), (req, res) => {
+  const registry = req.app.get('requests');
+  const userId = hasPermission(req, 'monitoring:read') ? undefined : req.user.id;
+
+  res.json({
+    requests: registry.list({ userId }),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Cancel an in-flight inference request
+ * Queued requests leave the queue; running ones abort the Ollama call
+ */
+router.delete('/:requestId', describeRoute('Cancel an in-flight inference request', { description: 'Cancelling another principal\'s request requires monitoring:write.', errors: ['NOT_FOUND'] }), validateRequest({ params: requestIdParams }), (req, res, next) => {
+  const registry = req.app.get('requests');
+  const { requestId } = req.params;
+  const entry = registry.get(requestId);
+
+  // Someone else's request is reported as unknown rather than forbidden
+  const visible = entry && (entry.userId === req.user.id || hasPermission(req, 'monitoring:write'));
+  if (!visible || entry.cancelled) {
+    return next(new ApiError('NOT_FOUND', 'No in-flight request with that ID', { requestId }));
+  }
+
+  registry.cancel(requestId, { reason: 'user_request', cancelledBy: req.user.id });
+
+  res.json({
+    message: 'Request cancelled',
+    request: registry.describe(entry),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+/**
+ * Session Routes
+ * Create, list, rename, archive and delete conversation sessions and
+ * append messages to them. Continue a session on /chat by passing its ID
+ * in the `session` field.
+ * Principals see their own sessions; full administrators see everyone's
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const { getAccessibleSession } = require('../middleware/sessionContext');
+const { ApiError } = require('../utils/errors');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const {
+  sessionCreateRequest,
+  sessionUpdateRequest,
+  sessionAppendRequest,
+  sessionParams,
+  sessionListQuery,
+} = require('../schemas/sessions');
+
+const router = express.Router();
+
+router.use(requirePermission('chat'));
+
+/**
+ * Create a session
+ */
+router.post('/', describeRoute('Create a conversation session', { status: 201, errors: ['VALIDATION_FAILED'] }), validateRequest({ body: sessionCreateRequest }), async (req, res, next) => {
+  try {
+    const session = await req.app.get('sessions').create(req.body, { owner: req.user.id });
+
+    logger.dataAccess(req.user.id, 'session', 'create', {
+      sessionId: session.id,
+      messages: session.messageCount,
+    });
+
+    res.status(201).json({ message: 'Session created', session });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List sessions, most recently updated first, a page at a time
+ */
+router.get('/', describeRoute('List conversation sessions', { description: 'Pages with `limit` (default 50, at most 200) and `offset`; `total` counts every matching session.' }), validateRequest({ query: sessionListQuery }), async (req, res, next) => {
+  try {
+    const owner = hasPermission(req, '*') ? undefined : req.user.id;
+    const { limit = 50, offset = 0, status } = req.query;
+    const { sessions, total } = await req.app.get('sessions').list({ owner, status, limit, offset });
+
+    logger.dataAccess(req.user.id, 'session', 'list', { sessions: sessions.length, total, status });
+
+    res.json({ sessions, total, limit, offset });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a session with its messages
+ */
+router.get('/:sessionId', describeRoute('Get a conversation session with its messages', { errors: ['NOT_FOUND'] }), validateRequest({ params: sessionParams }), async (req, res, next) => {
+  try {
+    const session = await getAccessibleSession(req, req.params.sessionId);
+    const messages = await req.app.get('sessions').getMessages(session.id);
+
+    logger.dataAccess(req.user.id, 'session', 'read', { sessionId: session.id, messages: messages.length });
+
+    res.json({ session, messages });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rename, archive or restore a session
+ */
+router.patch('/:sessionId', describeRoute('Rename, archive or restore a conversation session', { errors: ['VALIDATION_FAILED', 'NOT_FOUND'] }), validateRequest({ params: sessionParams, body: sessionUpdateRequest }), async (req, res, next) => {
+  try {
+    const { title, status } = req.body;
+    if (title === undefined && status === undefined) {
+      throw new ApiError('VALIDATION_FAILED', 'Provide a title or status to change');
+    }
+
+    const session = await getAccessibleSession(req, req.params.sessionId);
+    const updated = await req.app.get('sessions').update(session.id, { title, status });
+
+    logger.dataAccess(req.user.id, 'session', 'update', {
+      sessionId: session.id,
+      renamed: title !== undefined,
+      status,
+    });
+
+    res.json({ message: 'Session updated', session: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Append messages without running inference
+ */
+router.post('/:sessionId/messages', describeRoute('Append messages to a conversation session', { status: 201, errors: ['VALIDATION_FAILED', 'NOT_FOUND', 'CONFLICT'] }), validateRequest({ params: sessionParams, body: sessionAppendRequest }), async (req, res, next) => {
+  try {
+    const session = await getAccessibleSession(req, req.params.sessionId);
+    const updated = await req.app.get('sessions').appendMessages(session.id, req.body.messages);
+
+    logger.dataAccess(req.user.id, 'session', 'append', {
+      sessionId: session.id,
+      messages: req.body.messages.length,
+    });
+
+    res.status(201).json({ message: 'Messages added', session: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a session and its messages
+ */
+router.delete('/:sessionId', describeRoute('Delete a conversation session', { errors: ['NOT_FOUND'] }), validateRequest({ params: sessionParams }), async (req, res, next) => {
+  try {
+    const session = await req.app.get('sessions').remove((await getAccessibleSession(req, req.params.sessionId)).id);
+
+    logger.dataAccess(req.user.id, 'session', 'delete', {
+      sessionId: session.id,
+      messages: session.messageCount,
+    });
+
+    res.json({ message: 'Session deleted', sessionId: session.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
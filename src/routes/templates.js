@@ -0,0 +1,101 @@
+/**
+ * Template Routes
+ * Browse and maintain the prompt template library
+ * Templates are run with POST /templates/:name/run on the API router
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { describeRoute } = require('../utils/openapi');
+const {
+  createTemplateRequest,
+  templateVersionRequest,
+  templateParams,
+  templateQuery,
+} = require('../schemas/templates');
+
+const router = express.Router();
+
+router.use(requirePermission('chat'));
+
+/**
+ * List templates at their latest version
+ */
+router.get('/', describeRoute('List prompt templates'), async (req, res, next) => {
+  try {
+    res.json({ templates: await req.app.get('templates').list() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a template
+ */
+router.post('/', describeRoute('Create a prompt template', { status: 201, description: 'Creates version 1. Placeholders are written {{variable}} and must be declared in `variables`.', errors: ['VALIDATION_FAILED', 'CONFLICT'] }), requirePermission('templates:write'), validateRequest({ body: createTemplateRequest }), async (req, res, next) => {
+  try {
+    const template = await req.app.get('templates').create(req.body, { createdBy: req.user.id });
+
+    logger.auditLog('Template Created', { templateId: template.id, template: template.name, version: template.version });
+
+    res.status(201).json({ message: 'Template created', template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a template version
+ */
+router.get('/:name', describeRoute('Get a prompt template', { errors: ['NOT_FOUND'] }), validateRequest({ params: templateParams, query: templateQuery }), async (req, res, next) => {
+  try {
+    res.json({ template: await req.app.get('templates').getTemplate(req.params.name, req.query.version) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List a template's versions, newest first
+ */
+router.get('/:name/versions', describeRoute('List prompt template versions', { errors: ['NOT_FOUND'] }), validateRequest({ params: templateParams }), async (req, res, next) => {
+  try {
+    res.json({ versions: await req.app.get('templates').listVersions(req.params.name) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Add a version; earlier versions stay available for pinned runs
+ */
+router.post('/:name/versions', describeRoute('Add a prompt template version', { status: 201, errors: ['VALIDATION_FAILED', 'NOT_FOUND', 'CONFLICT'] }), requirePermission('templates:write'), validateRequest({ params: templateParams, body: templateVersionRequest }), async (req, res, next) => {
+  try {
+    const template = await req.app.get('templates').addVersion(req.params.name, req.body, { createdBy: req.user.id });
+
+    logger.auditLog('Template Version Added', { templateId: template.id, template: template.name, version: template.version });
+
+    res.status(201).json({ message: 'Template version added', template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a template with all its versions
+ */
+router.delete('/:name', describeRoute('Delete a prompt template', { description: 'Deletes every version.', errors: ['NOT_FOUND'] }), requirePermission('templates:write'), validateRequest({ params: templateParams }), async (req, res, next) => {
+  try {
+    const versions = await req.app.get('templates').remove(req.params.name);
+
+    logger.auditLog('Template Deleted', { template: req.params.name, versions });
+
+    res.json({ message: 'Template deleted', name: req.params.name, versions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
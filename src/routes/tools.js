@@ -0,0 +1,24 @@
+/**
+ * Tool Routes
+ * Lists the tools that can be offered to the model with `tools` on /chat
+ */
+
+const express = require('express');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const { describeRoute } = require('../utils/openapi');
+
+const router = express.Router();
+
+/**
+ * List tools with their parameters and whether the caller may use them
+ */
+router.get('/', describeRoute('List chat tools', { description: 'Each tool needs its own permission; `allowed` tells whether the caller has it.' }), requirePermission('chat'), (req, res) => {
+  const tools = req.app.get('tools').list().map(tool => ({
+    ...tool,
+    allowed: hasPermission(req, tool.permission),
+  }));
+
+  res.json({ tools });
+});
+
+module.exports = router;
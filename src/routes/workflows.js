@@ -0,0 +1,20 @@
+/**
+ * Workflow Routes
+ * Lists the healthcare workflows and whether each is enabled
+ * Workflows are run with POST /workflows/<name> on the API router
+ */
+
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { describeRoute } = require('../utils/openapi');
+
+const router = express.Router();
+
+/**
+ * List workflows with their use case and enabled flag
+ */
+router.get('/', describeRoute('List healthcare workflows', { description: 'Disabled workflows are switched off by their WORKFLOW_* setting and answer 404.' }), requirePermission('chat'), (req, res) => {
+  res.json({ workflows: req.app.get('workflows').list() });
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+/**
+ * API Key Schemas
+ * Request bodies for creating, revoking and rotating service keys
+ */
+
+const ApiKeyService = require('../services/apiKeys');
+
+const createApiKeyRequest = {
+  type: 'object',
+  required: ['name', 'scopes'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: ['string', 'null'], maxLength: 500 },
+    scopes: {
+      type: 'array',
+      items: { type: 'string', enum: ApiKeyService.SCOPES },
+      minItems: 1,
+    },
+    expiresAt: { type: 'string', description: 'ISO 8601 timestamp' },
+    expiresInDays: { type: 'integer', minimum: 0, maximum: 3650, description: '0 for a non-expiring key' },
+    rateLimit: {
+      type: 'object',
+      required: ['requests', 'windowSeconds'],
+      properties: {
+        requests: { type: 'integer', minimum: 1, maximum: 100000 },
+        windowSeconds: { type: 'integer', minimum: 1, maximum: 86400 },
+      },
+    },
+  },
+};
+
+const revokeApiKeyRequest = {
+  type: 'object',
+  properties: {
+    reason: { type: 'string', maxLength: 200 },
+  },
+};
+
+const rotateApiKeyRequest = {
+  type: 'object',
+  properties: {
+    gracePeriodSeconds: { type: 'integer', minimum: 0, maximum: 2592000 },
+  },
+};
+
+module.exports = {
+  createApiKeyRequest,
+  revokeApiKeyRequest,
+  rotateApiKeyRequest,
+};
@@ -0,0 +1,66 @@
+/**
+ * Authentication Schemas
+ * Request bodies for login, password changes and user administration
+ */
+
+const config = require('../config/app');
+const AuthService = require('../services/auth');
+
+const password = {
+  type: 'string',
+  minLength: config.security.auth.minPasswordLength,
+  maxLength: 256,
+};
+
+const role = {
+  type: 'string',
+  enum: Object.keys(AuthService.ROLE_PERMISSIONS),
+};
+
+const loginRequest = {
+  type: 'object',
+  required: ['username', 'password'],
+  properties: {
+    username: { type: 'string', minLength: 1, maxLength: 64 },
+    password: { type: 'string', minLength: 1, maxLength: 256 },
+  },
+};
+
+const changePasswordRequest = {
+  type: 'object',
+  required: ['currentPassword', 'newPassword'],
+  properties: {
+    currentPassword: { type: 'string', minLength: 1, maxLength: 256 },
+    newPassword: password,
+  },
+};
+
+const createUserRequest = {
+  type: 'object',
+  required: ['username', 'password', 'role'],
+  additionalProperties: false,
+  properties: {
+    username: { type: 'string', pattern: '^[A-Za-z0-9._@-]{3,64}$' },
+    password,
+    role,
+    name: { type: ['string', 'null'], maxLength: 200 },
+  },
+};
+
+const updateUserRequest = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    password,
+    role,
+    name: { type: ['string', 'null'], maxLength: 200 },
+    disabled: { type: 'boolean' },
+  },
+};
+
+module.exports = {
+  loginRequest,
+  changePasswordRequest,
+  createUserRequest,
+  updateUserRequest,
+};
@@ -0,0 +1,66 @@
+/**
+ * Batch Schemas
+ * Request bodies and query strings for batch inference jobs
+ */
+
+const { modelName, uuid } = require('./common');
+const { inferenceOptions, redactableOptions } = require('./inference');
+
+const { temperature, top_p, top_k, max_tokens, timeout, modelOptions } = inferenceOptions.properties;
+const { redactPhi } = redactableOptions.properties;
+
+const batchJobRequest = {
+  type: 'object',
+  required: ['model', 'prompt', 'format', 'data'],
+  additionalProperties: false,
+  properties: {
+    model: modelName,
+    prompt: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100000,
+      description: 'Prompt template; {{field}} is replaced by the input field of that name',
+    },
+    system: { type: 'string', maxLength: 100000 },
+    format: { type: 'string', enum: ['jsonl', 'csv'] },
+    data: {
+      type: 'string',
+      minLength: 1,
+      description: 'Inputs as JSONL (one object or string per line) or CSV with a header row',
+    },
+    options: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { temperature, top_p, top_k, max_tokens, timeout, modelOptions, redactPhi },
+    },
+  },
+};
+
+const batchJobParams = {
+  type: 'object',
+  required: ['jobId'],
+  properties: {
+    jobId: uuid,
+  },
+};
+
+const batchListQuery = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['queued', 'running', 'completed', 'cancelled', 'failed'] },
+  },
+};
+
+const batchResultsQuery = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['jsonl', 'csv'] },
+  },
+};
+
+module.exports = {
+  batchJobRequest,
+  batchJobParams,
+  batchListQuery,
+  batchResultsQuery,
+};
@@ -0,0 +1,55 @@
+/**
+ * Common Schemas
+ * Building blocks shared by the request schemas
+ */
+
+const modelName = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9][A-Za-z0-9._/:-]{0,199}$',
+  description: 'Installed Ollama model name, e.g. llama3.2:3b',
+};
+
+const id = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9-]{1,64}$',
+};
+
+const uuid = {
+  type: 'string',
+  pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$',
+};
+
+const chatMessage = {
+  type: 'object',
+  required: ['role', 'content'],
+  properties: {
+    role: { type: 'string', enum: ['system', 'user', 'assistant', 'tool'] },
+    content: { type: 'string', maxLength: 1000000 },
+    images: { type: 'array', items: { type: 'string' }, maxItems: 16 },
+  },
+};
+
+const modelParams = {
+  type: 'object',
+  required: ['model'],
+  properties: {
+    model: modelName,
+  },
+};
+
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id,
+  },
+};
+
+module.exports = {
+  modelName,
+  id,
+  uuid,
+  chatMessage,
+  modelParams,
+  idParams,
+};
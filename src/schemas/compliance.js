@@ -0,0 +1,80 @@
+/**
+ * Compliance Schemas
+ * Request bodies, params and query strings for compliance checks,
+ * reports and incidents
+ */
+
+const ComplianceService = require('../services/compliance');
+const { uuid } = require('./common');
+
+const incidentStatus = { type: 'string', enum: ComplianceService.INCIDENT_STATES };
+const severity = { type: 'string', enum: ['low', 'medium', 'high', 'critical'] };
+
+const checkParams = {
+  type: 'object',
+  required: ['checkId'],
+  properties: {
+    checkId: uuid,
+  },
+};
+
+const reportQuery = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['json', 'html'] },
+  },
+};
+
+const incidentRequest = {
+  type: 'object',
+  required: ['type', 'severity', 'description'],
+  additionalProperties: false,
+  properties: {
+    type: {
+      type: 'string',
+      enum: ['data_disclosure', 'unauthorized_access', 'data_loss', 'system_compromise', 'policy_violation', 'other'],
+    },
+    severity,
+    description: { type: 'string', minLength: 1, maxLength: 10000 },
+    affectedData: { type: 'string', maxLength: 2000 },
+    involvesPHI: { type: 'boolean', description: 'PHI disclosure triggers the HIPAA breach assessment' },
+    detectionMethod: { type: 'string', maxLength: 200 },
+    assignee: { type: 'string', maxLength: 200 },
+    occurredAt: { type: 'string', maxLength: 64, description: 'ISO 8601 time the incident occurred, default now' },
+  },
+};
+
+const incidentParams = {
+  type: 'object',
+  required: ['incidentId'],
+  properties: {
+    incidentId: uuid,
+  },
+};
+
+const incidentListQuery = {
+  type: 'object',
+  properties: {
+    status: incidentStatus,
+    severity,
+  },
+};
+
+const updateIncidentRequest = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    status: incidentStatus,
+    assignee: { type: ['string', 'null'], maxLength: 200 },
+    action: { type: 'string', minLength: 1, maxLength: 2000, description: 'Response action to record' },
+  },
+};
+
+module.exports = {
+  checkParams,
+  reportQuery,
+  incidentRequest,
+  incidentParams,
+  incidentListQuery,
+  updateIncidentRequest,
+};
@@ -0,0 +1,83 @@
+/**
+ * Consent Schemas
+ * Request bodies, params and query strings for consent records
+ */
+
+const { uuid } = require('./common');
+
+const subjectId = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9._:-]{1,128}$',
+  description: 'Identifier of the data subject, e.g. a patient or chart number',
+};
+
+const labels = {
+  type: 'array',
+  items: { type: 'string', pattern: '^[a-z0-9_]{1,64}$' },
+  minItems: 1,
+  maxItems: 50,
+};
+
+const recordConsentRequest = {
+  type: 'object',
+  required: ['subjectId', 'dataTypes', 'purposes'],
+  additionalProperties: false,
+  properties: {
+    subjectId,
+    dataTypes: { ...labels, description: 'Data types covered, e.g. clinical_notes, or all' },
+    purposes: { ...labels, description: 'Purposes covered, e.g. treatment, or all' },
+    method: { type: 'string', enum: ['written', 'verbal', 'electronic'] },
+    expires: { type: 'string', maxLength: 64, description: 'ISO 8601 expiry, default none' },
+  },
+};
+
+const withdrawConsentRequest = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    reason: { type: 'string', maxLength: 1000 },
+  },
+};
+
+const validateConsentRequest = {
+  type: 'object',
+  required: ['subjectId', 'dataType', 'purpose'],
+  additionalProperties: false,
+  properties: {
+    subjectId,
+    dataType: { type: 'string', maxLength: 64 },
+    purpose: { type: 'string', maxLength: 64 },
+  },
+};
+
+const consentParams = {
+  type: 'object',
+  required: ['consentId'],
+  properties: {
+    consentId: uuid,
+  },
+};
+
+const consentListQuery = {
+  type: 'object',
+  required: ['subjectId'],
+  properties: {
+    subjectId,
+  },
+};
+
+const receiptQuery = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['json', 'text', 'html'] },
+  },
+};
+
+module.exports = {
+  recordConsentRequest,
+  withdrawConsentRequest,
+  validateConsentRequest,
+  consentParams,
+  consentListQuery,
+  receiptQuery,
+};
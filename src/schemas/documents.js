@@ -0,0 +1,32 @@
+/**
+ * Document Schemas
+ * Upload form and path parameters for document storage
+ */
+
+const { uuid } = require('./common');
+
+// Documented only; multipart bodies are checked by the upload handler
+const uploadRequest = {
+  type: 'object',
+  required: ['file'],
+  properties: {
+    file: {
+      type: 'string',
+      format: 'binary',
+      description: 'Plain text, CSV, PDF, DOC or DOCX; the type is detected from the content',
+    },
+  },
+};
+
+const documentParams = {
+  type: 'object',
+  required: ['documentId'],
+  properties: {
+    documentId: uuid,
+  },
+};
+
+module.exports = {
+  uploadRequest,
+  documentParams,
+};
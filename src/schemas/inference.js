@@ -0,0 +1,187 @@
+/**
+ * Inference Schemas
+ * Request bodies for the native chat, generate, embeddings and model
+ * endpoints
+ */
+
+const { modelName, uuid, chatMessage } = require('./common');
+
+const inferenceOptions = {
+  type: 'object',
+  description: 'Sampling and delivery options',
+  properties: {
+    stream: { type: 'boolean', description: 'Stream tokens as Server-Sent Events' },
+    priority: { type: 'string', enum: ['interactive', 'batch'] },
+    temperature: { type: 'number', minimum: 0, maximum: 2 },
+    top_p: { type: 'number', minimum: 0, maximum: 1 },
+    top_k: { type: 'integer', minimum: 1, maximum: 1000 },
+    max_tokens: { type: 'integer', minimum: -1, maximum: 131072 },
+    system: { type: 'string', maxLength: 100000 },
+    timeout: { type: 'integer', minimum: 1000, maximum: 3600000 },
+    modelOptions: {
+      type: 'object',
+      description: 'Raw Ollama model options (seed, stop, num_ctx, ...)',
+      properties: {
+        seed: { type: 'integer' },
+        num_ctx: { type: 'integer', minimum: 1 },
+        stop: { type: 'array', items: { type: 'string' }, maxItems: 16 },
+      },
+    },
+  },
+};
+
+const profileName = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_-]{1,64}$',
+  description: 'Optimization profile from the model registry, e.g. balanced',
+};
+
+const useCase = {
+  type: 'string',
+  pattern: '^[a-z0-9_]{1,64}$',
+  description: 'Registry use case, e.g. medical_documentation',
+};
+
+const responseFormat = {
+  type: 'object',
+  description: 'JSON Schema the response must match. Supports type, enum, required, properties, additionalProperties, items, minimum/maximum, minLength/maxLength, minItems/maxItems and pattern (up to 200 characters, matched against strings of up to 1000; no repeated groups that contain a quantifier or alternation, no adjacent repeated parts that can match the same text, no backreferences). The response is returned as one JSON body with the parsed `output`, never streamed.',
+};
+
+// /chat and /generate can override PHI redaction, apply an optimization
+// profile and require structured output per request
+const redactableOptions = {
+  ...inferenceOptions,
+  properties: {
+    ...inferenceOptions.properties,
+    redactPhi: { type: 'boolean', description: 'Mask PHI before it reaches the model (healthcare mode); overrides PHI_REDACTION' },
+    profile: { ...profileName, description: 'Apply an optimization profile; options set on the request take precedence' },
+    response_format: responseFormat,
+    max_repairs: { type: 'integer', minimum: 0, maximum: 5, description: 'Re-prompts with the validation errors before failing with OUTPUT_VALIDATION_FAILED; defaults to STRUCTURED_OUTPUT_MAX_REPAIRS' },
+  },
+};
+
+const documentReferences = {
+  type: 'array',
+  items: uuid,
+  minItems: 1,
+  maxItems: 10,
+  description: 'IDs of uploaded documents whose text is given to the model as context',
+};
+
+const chatRequest = {
+  type: 'object',
+  required: ['model', 'messages'],
+  properties: {
+    model: modelName,
+    messages: { type: 'array', items: chatMessage, minItems: 1, maxItems: 1000 },
+    session: { ...uuid, description: 'Continue a stored session: its history is prepended to messages, and the new messages and reply are saved to it' },
+    documents: documentReferences,
+    tools: {
+      type: 'array',
+      items: { type: 'string', pattern: '^[a-z][a-z0-9_]{0,63}$' },
+      maxItems: 20,
+      description: 'Names of local tools the model may call (see /tools); each needs its own permission',
+    },
+    options: redactableOptions,
+  },
+};
+
+const generateRequest = {
+  type: 'object',
+  required: ['model', 'prompt'],
+  properties: {
+    model: modelName,
+    prompt: { type: 'string', minLength: 1, maxLength: 1000000 },
+    documents: documentReferences,
+    options: redactableOptions,
+  },
+};
+
+const embeddingsRequest = {
+  type: 'object',
+  required: ['model', 'input'],
+  properties: {
+    model: modelName,
+    input: {
+      type: ['string', 'array'],
+      items: { type: 'string', maxLength: 1000000 },
+      minItems: 1,
+      maxItems: 10000,
+      description: 'A string or an array of strings, embedded in batches',
+    },
+    options: {
+      type: 'object',
+      properties: {
+        priority: { type: 'string', enum: ['interactive', 'batch'] },
+        truncate: { type: 'boolean', description: 'Truncate inputs to the model context instead of failing' },
+        timeout: { type: 'integer', minimum: 1000, maximum: 3600000 },
+      },
+    },
+  },
+};
+
+const pullModelRequest = {
+  type: 'object',
+  required: ['model'],
+  properties: {
+    model: modelName,
+  },
+};
+
+const downloadJobParams = {
+  type: 'object',
+  required: ['jobId'],
+  properties: {
+    jobId: uuid,
+  },
+};
+
+const downloadListQuery = {
+  type: 'object',
+  properties: {
+    model: modelName,
+    status: { type: 'string', enum: ['downloading', 'completed', 'failed', 'cancelled', 'interrupted'] },
+  },
+};
+
+const recommendationsQuery = {
+  type: 'object',
+  required: ['useCase'],
+  properties: {
+    useCase,
+    maxMemory: { type: 'integer', minimum: 1, description: 'Maximum memory use in MB' },
+    maxSize: { type: 'integer', minimum: 1, description: 'Maximum download size in MB' },
+    minSpeed: { type: 'number', minimum: 0, description: 'Minimum tokens per second' },
+    healthcareOnly: { type: 'boolean', description: 'Only healthcare-optimized models; defaults to true in healthcare mode' },
+  },
+};
+
+const optimizeQuery = {
+  type: 'object',
+  properties: {
+    profile: profileName,
+    useCase,
+  },
+};
+
+const performanceQuery = {
+  type: 'object',
+  properties: {
+    days: { type: 'integer', minimum: 1, maximum: 90, description: 'Period covered by daily usage, default 30' },
+  },
+};
+
+module.exports = {
+  inferenceOptions,
+  profileName,
+  redactableOptions,
+  chatRequest,
+  generateRequest,
+  embeddingsRequest,
+  pullModelRequest,
+  downloadJobParams,
+  downloadListQuery,
+  recommendationsQuery,
+  optimizeQuery,
+  performanceQuery,
+};
@@ -0,0 +1,72 @@
+/**
+ * Monitoring Schemas
+ * Request bodies and query strings for monitoring, request cancellation
+ * and cache administration
+ */
+
+const { modelName, id } = require('./common');
+
+const timeRangeQuery = {
+  type: 'object',
+  properties: {
+    timeRange: { type: 'integer', minimum: 1000, description: 'Window in milliseconds' },
+  },
+};
+
+const exportQuery = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['json', 'csv'] },
+    timeRange: { type: 'integer', minimum: 1000 },
+  },
+};
+
+const queueQuery = {
+  type: 'object',
+  properties: {
+    requestId: { type: 'string', maxLength: 64 },
+  },
+};
+
+const requestIdParams = {
+  type: 'object',
+  required: ['requestId'],
+  properties: {
+    requestId: id,
+  },
+};
+
+const updateConfigRequest = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    metricsInterval: { type: 'integer', minimum: 1000 },
+    healthCheckInterval: { type: 'integer', minimum: 1000 },
+    alertThresholds: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        cpuUsage: { type: 'number', minimum: 0, maximum: 100 },
+        memoryUsage: { type: 'number', minimum: 0, maximum: 100 },
+        diskUsage: { type: 'number', minimum: 0, maximum: 100 },
+        responseTime: { type: 'integer', minimum: 1 },
+      },
+    },
+  },
+};
+
+const purgeCacheQuery = {
+  type: 'object',
+  properties: {
+    model: modelName,
+  },
+};
+
+module.exports = {
+  timeRangeQuery,
+  exportQuery,
+  queueQuery,
+  requestIdParams,
+  updateConfigRequest,
+  purgeCacheQuery,
+};
@@ -0,0 +1,88 @@
+/**
+ * OpenAI-Compatible Schemas
+ * Request bodies for the /v1 facade. Unknown fields are accepted because
+ * OpenAI clients send many parameters that have no local equivalent.
+ */
+
+const { modelName } = require('./common');
+
+const contentPart = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string' },
+    text: { type: 'string' },
+  },
+};
+
+const openAIMessage = {
+  type: 'object',
+  required: ['role'],
+  properties: {
+    role: { type: 'string', enum: ['system', 'developer', 'user', 'assistant', 'tool'] },
+    content: { type: ['string', 'array', 'null'], items: contentPart },
+    name: { type: 'string' },
+  },
+};
+
+const sampling = {
+  temperature: { type: 'number', minimum: 0, maximum: 2 },
+  top_p: { type: 'number', minimum: 0, maximum: 1 },
+  max_tokens: { type: 'integer', minimum: 1 },
+  max_completion_tokens: { type: 'integer', minimum: 1 },
+  presence_penalty: { type: 'number', minimum: -2, maximum: 2 },
+  frequency_penalty: { type: 'number', minimum: -2, maximum: 2 },
+  seed: { type: 'integer' },
+  stop: { type: ['string', 'array'], items: { type: 'string' }, maxItems: 4 },
+  n: { type: 'integer', enum: [1], description: 'Only a single choice is supported' },
+  stream: { type: 'boolean' },
+  stream_options: {
+    type: ['object', 'null'],
+    properties: {
+      include_usage: { type: 'boolean' },
+    },
+  },
+};
+
+const chatCompletionRequest = {
+  type: 'object',
+  required: ['model', 'messages'],
+  properties: {
+    model: modelName,
+    messages: { type: 'array', items: openAIMessage, minItems: 1 },
+    ...sampling,
+  },
+};
+
+const completionRequest = {
+  type: 'object',
+  required: ['model', 'prompt'],
+  properties: {
+    model: modelName,
+    prompt: {
+      type: ['string', 'array'],
+      minLength: 1,
+      items: { type: 'string', minLength: 1 },
+      minItems: 1,
+      maxItems: 1,
+      description: 'A single prompt; arrays must contain exactly one string, since one choice is returned per request',
+    },
+    ...sampling,
+  },
+};
+
+const embeddingRequest = {
+  type: 'object',
+  required: ['model', 'input'],
+  properties: {
+    model: modelName,
+    input: { type: ['string', 'array'], items: { type: 'string' }, minItems: 1 },
+    encoding_format: { type: 'string', enum: ['float'] },
+  },
+};
+
+module.exports = {
+  chatCompletionRequest,
+  completionRequest,
+  embeddingRequest,
+};
@@ -0,0 +1,51 @@
+/**
+ * Privacy Schemas
+ * Request bodies for PHI detection, de-identification and re-identification
+ */
+
+const { uuid } = require('./common');
+
+const text = { type: 'string', minLength: 1, maxLength: 1000000 };
+
+const detectRequest = {
+  type: 'object',
+  required: ['text'],
+  additionalProperties: false,
+  properties: {
+    text,
+  },
+};
+
+const deidentifyRequest = {
+  type: 'object',
+  required: ['text'],
+  additionalProperties: false,
+  properties: {
+    text,
+    mode: {
+      type: 'string',
+      enum: ['replace', 'remove', 'hash'],
+      description: 'replace (default): typed placeholders; remove: delete PHI; hash: stable per-value tokens',
+    },
+    generateMap: {
+      type: 'boolean',
+      description: 'Keep a map for re-identification, default true (never with mode remove)',
+    },
+  },
+};
+
+const reidentifyRequest = {
+  type: 'object',
+  required: ['text', 'mapId'],
+  additionalProperties: false,
+  properties: {
+    text,
+    mapId: uuid,
+  },
+};
+
+module.exports = {
+  detectRequest,
+  deidentifyRequest,
+  reidentifyRequest,
+};
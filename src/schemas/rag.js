@@ -0,0 +1,49 @@
+/**
+ * Retrieval Schemas
+ * Request bodies for retrieval-augmented chat and index maintenance
+ */
+
+const { modelName, uuid, chatMessage } = require('./common');
+const { redactableOptions } = require('./inference');
+
+const documentFilter = {
+  type: 'array',
+  items: uuid,
+  minItems: 1,
+  maxItems: 100,
+  description: 'Search only these documents; defaults to all of the caller\'s documents',
+};
+
+const ragQueryRequest = {
+  type: 'object',
+  required: ['model', 'messages'],
+  properties: {
+    model: modelName,
+    messages: {
+      type: 'array',
+      items: chatMessage,
+      minItems: 1,
+      maxItems: 1000,
+      description: 'Conversation; the last user message is the retrieval query',
+    },
+    documents: documentFilter,
+    topK: { type: 'integer', minimum: 1, maximum: 20, description: 'Passages to retrieve, default RAG_TOP_K' },
+    minScore: { type: 'number', minimum: -1, maximum: 1, description: 'Minimum cosine similarity of a passage' },
+    options: redactableOptions,
+  },
+};
+
+const reindexRequest = {
+  type: 'object',
+  properties: {
+    documents: {
+      ...documentFilter,
+      description: 'Documents to reindex; defaults to all of the caller\'s documents',
+    },
+  },
+};
+
+module.exports = {
+  ragQueryRequest,
+  reindexRequest,
+};
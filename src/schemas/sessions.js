@@ -0,0 +1,60 @@
+/**
+ * Session Schemas
+ * Request bodies and parameters for conversation sessions
+ */
+
+const { modelName, uuid, chatMessage } = require('./common');
+
+const sessionTitle = { type: 'string', minLength: 1, maxLength: 200 };
+
+const sessionMessages = { type: 'array', items: chatMessage, minItems: 1, maxItems: 1000 };
+
+const sessionCreateRequest = {
+  type: 'object',
+  properties: {
+    title: sessionTitle,
+    model: { ...modelName, description: 'Model the session is used with; updated by each /chat turn' },
+    messages: { ...sessionMessages, description: 'Messages to start the session with, e.g. a system prompt' },
+  },
+};
+
+const sessionUpdateRequest = {
+  type: 'object',
+  properties: {
+    title: sessionTitle,
+    status: { type: 'string', enum: ['active', 'archived'], description: 'Archive a session, or restore it to add messages again' },
+  },
+};
+
+const sessionAppendRequest = {
+  type: 'object',
+  required: ['messages'],
+  properties: {
+    messages: sessionMessages,
+  },
+};
+
+const sessionParams = {
+  type: 'object',
+  required: ['sessionId'],
+  properties: {
+    sessionId: uuid,
+  },
+};
+
+const sessionListQuery = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['active', 'archived'] },
+    limit: { type: 'integer', minimum: 1, maximum: 200, description: 'Defaults to 50' },
+    offset: { type: 'integer', minimum: 0 },
+  },
+};
+
+module.exports = {
+  sessionCreateRequest,
+  sessionUpdateRequest,
+  sessionAppendRequest,
+  sessionParams,
+  sessionListQuery,
+};
@@ -0,0 +1,92 @@
+/**
+ * Template Schemas
+ * Prompt template definitions, versions and runs
+ */
+
+const { modelName } = require('./common');
+const { profileName, redactableOptions } = require('./inference');
+
+const templateName = {
+  type: 'string',
+  pattern: '^[a-z0-9][a-z0-9_-]{0,63}$',
+  description: 'Template name, e.g. soap-note',
+};
+
+const variableDefinition = {
+  type: 'object',
+  required: ['type'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: ['string', 'number', 'integer', 'boolean'] },
+    description: { type: 'string', maxLength: 1000 },
+    required: { type: 'boolean', description: 'Defaults to true' },
+    default: { type: ['string', 'number', 'boolean'], description: 'Used when an optional variable is not given' },
+    enum: { type: 'array', items: { type: ['string', 'number'] }, minItems: 1, maxItems: 100 },
+    minimum: { type: 'number' },
+    maximum: { type: 'number' },
+    minLength: { type: 'integer', minimum: 0 },
+    maxLength: { type: 'integer', minimum: 1 },
+  },
+};
+
+// Everything but the name; shared by new templates and new versions
+const templateDefinition = {
+  description: { type: 'string', maxLength: 1000 },
+  system: { type: 'string', maxLength: 100000, description: 'System prompt; may use {{variables}}' },
+  prompt: { type: 'string', minLength: 1, maxLength: 100000, description: 'Prompt with {{variable}} placeholders' },
+  variables: {
+    type: 'object',
+    additionalProperties: variableDefinition,
+    description: 'Typed variables by name; every placeholder must be declared',
+  },
+  model: { ...modelName, description: 'Default model; DEFAULT_MODEL when not set' },
+  profile: { ...profileName, description: 'Default optimization profile' },
+};
+
+const createTemplateRequest = {
+  type: 'object',
+  required: ['name', 'prompt'],
+  properties: {
+    name: templateName,
+    ...templateDefinition,
+  },
+};
+
+const templateVersionRequest = {
+  type: 'object',
+  required: ['prompt'],
+  properties: templateDefinition,
+};
+
+const templateParams = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: templateName,
+  },
+};
+
+const templateQuery = {
+  type: 'object',
+  properties: {
+    version: { type: 'integer', minimum: 1, description: 'Defaults to the latest version' },
+  },
+};
+
+const runTemplateRequest = {
+  type: 'object',
+  properties: {
+    variables: { type: 'object', description: 'Values for the template\'s variables' },
+    version: { type: 'integer', minimum: 1, description: 'Pin a version; defaults to the latest' },
+    model: { ...modelName, description: 'Overrides the template\'s model' },
+    options: redactableOptions,
+  },
+};
+
+module.exports = {
+  createTemplateRequest,
+  templateVersionRequest,
+  templateParams,
+  templateQuery,
+  runTemplateRequest,
+};
@@ -0,0 +1,59 @@
+/**
+ * WebSocket Schemas
+ * Client messages accepted by the chat socket
+ */
+
+const { modelName } = require('./common');
+const { inferenceOptions } = require('./inference');
+
+const messageId = { type: 'string', maxLength: 64, description: 'Client-chosen ID echoed on every reply' };
+
+const chatSocketMessage = {
+  type: 'object',
+  required: ['type', 'content'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: ['chat'] },
+    id: messageId,
+    model: modelName,
+    content: { type: 'string', minLength: 1, maxLength: 1000000 },
+    options: inferenceOptions,
+  },
+};
+
+const cancelSocketMessage = {
+  type: 'object',
+  required: ['type'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: ['cancel'] },
+    id: messageId,
+  },
+};
+
+const modelSocketMessage = {
+  type: 'object',
+  required: ['type', 'model'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: ['model'] },
+    model: modelName,
+  },
+};
+
+const resetSocketMessage = {
+  type: 'object',
+  required: ['type'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: ['reset'] },
+    system: { type: 'string', maxLength: 100000 },
+  },
+};
+
+module.exports = {
+  chatSocketMessage,
+  cancelSocketMessage,
+  modelSocketMessage,
+  resetSocketMessage,
+};
@@ -0,0 +1,121 @@
+/**
+ * Workflow Schemas
+ * Typed inputs of the healthcare workflows
+ */
+
+const { modelName, uuid } = require('./common');
+const { redactableOptions } = require('./inference');
+
+// Workflows always respond with a single JSON body in their own format
+const workflowOptions = {
+  ...redactableOptions,
+  properties: {
+    ...Object.fromEntries(Object.entries(redactableOptions.properties).filter(([name]) => !['stream', 'response_format'].includes(name))),
+    profile: { ...redactableOptions.properties.profile, description: 'Optimization profile the use-case parameters are based on; defaults to healthcare' },
+  },
+};
+
+const practiceType = {
+  type: 'string',
+  enum: ['dental', 'medical', 'orthodontic', 'veterinary', 'therapy'],
+  description: 'Defaults to dental',
+};
+
+const shortList = (description) => ({
+  type: 'array',
+  items: { type: 'string', minLength: 1, maxLength: 500 },
+  maxItems: 50,
+  description,
+});
+
+// Fields every workflow request accepts besides its input
+const runProperties = {
+  model: { ...modelName, description: 'Defaults to DEFAULT_MODEL' },
+  options: workflowOptions,
+};
+
+const patientCommunicationRequest = {
+  type: 'object',
+  required: ['message'],
+  properties: {
+    message: { type: 'string', minLength: 1, maxLength: 20000, description: 'The message received from the patient' },
+    provider: { type: 'string', maxLength: 200, description: 'Who the reply is from, e.g. Dr. Smith' },
+    practiceType,
+    patient: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 200 },
+        conditions: shortList('Known medical conditions, e.g. diabetes'),
+        upcomingProcedure: { type: 'string', maxLength: 2000 },
+      },
+    },
+    ...runProperties,
+  },
+};
+
+const documentSummarizationRequest = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', minLength: 1, maxLength: 1000000, description: 'Document text; give this or document' },
+    document: { ...uuid, description: 'ID of an uploaded document to summarize; needs documents:read' },
+    documentType: {
+      type: 'string',
+      enum: ['clinical_note', 'lab_report', 'discharge_summary', 'referral_letter', 'radiology_report', 'insurance', 'correspondence', 'other'],
+    },
+    audience: { type: 'string', enum: ['clinician', 'patient'], description: 'Defaults to clinician' },
+    ...runProperties,
+  },
+};
+
+const treatmentPlanningRequest = {
+  type: 'object',
+  required: ['procedure', 'estimatedCost'],
+  properties: {
+    procedure: { type: 'string', minLength: 1, maxLength: 2000, description: 'e.g. Root canal therapy on tooth #19, followed by crown placement' },
+    patientConditions: shortList('e.g. diabetes, mild heart condition'),
+    medications: shortList('Current medications'),
+    allergies: shortList('Known allergies'),
+    estimatedCost: { type: 'number', minimum: 0, maximum: 10000000, description: 'Total cost before insurance' },
+    insurance: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string', maxLength: 200 },
+        coveragePercent: { type: 'number', minimum: 0, maximum: 100, description: 'Share of the procedure the plan covers' },
+        deductibleRemaining: { type: 'number', minimum: 0 },
+        annualMaximumRemaining: { type: 'number', minimum: 0, description: 'Caps what the plan pays' },
+        currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 code; defaults to USD' },
+      },
+    },
+    ...runProperties,
+  },
+};
+
+const practiceAnalyticsRequest = {
+  type: 'object',
+  required: ['feedback'],
+  properties: {
+    feedback: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 500,
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string', minLength: 1, maxLength: 5000 },
+          rating: { type: 'integer', minimum: 1, maximum: 5 },
+          date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}', description: 'ISO 8601 date' },
+        },
+      },
+    },
+    practiceType,
+    ...runProperties,
+  },
+};
+
+module.exports = {
+  patientCommunicationRequest,
+  documentSummarizationRequest,
+  treatmentPlanningRequest,
+  practiceAnalyticsRequest,
+};
@@ -0,0 +1,422 @@
+/**
+ * API Key Service
+ * Scoped, hashed API keys for service accounts and integrations
+ *
+ * @module ApiKeyService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const logger = require('../utils/logger');
+const config = require('../config/app');
+const AuthService = require('./auth');
+
+const KEY_PREFIX = 'pllm';
+
+// Scopes that may be granted to a key (user administration stays interactive)
+const ASSIGNABLE_SCOPES = AuthService.PERMISSIONS
+  .filter(scope => !['users:manage', 'apikeys:manage'].includes(scope));
+
+class ApiKeyService {
+  constructor(encryptionService, options = {}) {
+    this.encryptionService = encryptionService;
+    this.keysPath = options.keysPath || config.security.apiKeys.file;
+
+    this.keys = new Map();
+    this.rateLimiters = new Map();
+    this.saveTimer = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize API key service
+   */
+  init() {
+    try {
+      this.loadKeys();
+      logger.info('API key service initialized', { keys: this.keys.size });
+    } catch (error) {
+      logger.error('Failed to initialize API key service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load key records from disk
+   */
+  loadKeys() {
+    if (!fs.existsSync(this.keysPath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.keysPath, 'utf8'));
+    for (const record of data.keys || []) {
+      this.keys.set(record.id, record);
+    }
+  }
+
+  /**
+   * Persist key records to disk
+   */
+  saveKeys() {
+    const dir = path.dirname(this.keysPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+
+    const data = {
+      version: '1.0',
+      updated: new Date().toISOString(),
+      keys: Array.from(this.keys.values()),
+    };
+
+    fs.writeFileSync(this.keysPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Validate requested scopes
+   */
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+
+    const invalid = scopes.filter(scope => !ASSIGNABLE_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid scopes: ${invalid.join(', ')}`);
+    }
+  }
+
+  /**
+   * Normalize a rate limit definition
+   */
+  normalizeRateLimit(rateLimit) {
+    const defaults = config.security.apiKeys.defaultRateLimit;
+
+    if (!rateLimit) {
+      return { ...defaults };
+    }
+
+    const requests = parseInt(rateLimit.requests);
+    const windowSeconds = parseInt(rateLimit.windowSeconds);
+
+    if (!(requests > 0) || !(windowSeconds > 0)) {
+      throw new Error('Rate limit requires positive requests and windowSeconds');
+    }
+
+    return { requests, windowSeconds };
+  }
+
+  /**
+   * Resolve an expiry timestamp from expiresAt or expiresInDays
+   */
+  resolveExpiry({ expiresAt, expiresInDays }) {
+    if (expiresAt) {
+      const date = new Date(expiresAt);
+      if (isNaN(date.getTime()) || date <= new Date()) {
+        throw new Error('expiresAt must be a future date');
+      }
+      return date.toISOString();
+    }
+
+    const days = expiresInDays ?? config.security.apiKeys.defaultExpiryDays;
+    if (!days) {
+      return null; // Non-expiring
+    }
+
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Generate a new secret and its lookup prefix
+   */
+  generateSecret() {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = this.encryptionService.generateToken(32);
+    return {
+      prefix,
+      key: `${KEY_PREFIX}_${prefix}_${secret}`,
+    };
+  }
+
+  /**
+   * Create an API key
+   * The plaintext key is returned once and never stored
+   */
+  createKey({ name, scopes, expiresAt, expiresInDays, rateLimit, description = null }, createdBy = null) {
+    if (!name) {
+      throw new Error('Key name is required');
+    }
+
+    this.validateScopes(scopes);
+
+    const { prefix, key } = this.generateSecret();
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      description,
+      prefix,
+      hash: this.encryptionService.hash(key),
+      scopes: [...new Set(scopes)],
+      rateLimit: this.normalizeRateLimit(rateLimit),
+      expiresAt: this.resolveExpiry({ expiresAt, expiresInDays }),
+      created: new Date().toISOString(),
+      createdBy,
+      lastUsed: null,
+      usageCount: 0,
+      revoked: null,
+      revokedReason: null,
+    };
+
+    this.keys.set(record.id, record);
+    this.saveKeys();
+
+    logger.auditLog('API Key Created', {
+      targetApiKeyId: record.id,
+      name,
+      scopes: record.scopes,
+      expiresAt: record.expiresAt,
+    });
+
+    return { key, apiKey: this.sanitizeKey(record) };
+  }
+
+  /**
+   * Revoke an API key
+   */
+  revokeKey(keyId, reason = 'revoked') {
+    const record = this.keys.get(keyId);
+    if (!record) {
+      throw new Error(`API key ${keyId} not found`);
+    }
+
+    if (!record.revoked) {
+      record.revoked = new Date().toISOString();
+      record.revokedReason = reason;
+      this.rateLimiters.delete(keyId);
+      this.saveKeys();
+
+      logger.auditLog('API Key Revoked', { targetApiKeyId: keyId, name: record.name, reason });
+    }
+
+    return this.sanitizeKey(record);
+  }
+
+  /**
+   * Rotate an API key
+   * Issues a new secret with the same settings; the old key stays valid
+   * for the optional grace period so integrations can switch over
+   */
+  rotateKey(keyId, { gracePeriodSeconds = 0 } = {}, rotatedBy = null) {
+    const record = this.keys.get(keyId);
+    if (!record) {
+      throw new Error(`API key ${keyId} not found`);
+    }
+
+    if (this.getKeyState(record) !== 'active') {
+      throw new Error(`API key ${keyId} is not active`);
+    }
+
+    const { key, apiKey } = this.createKey({
+      name: record.name,
+      description: record.description,
+      scopes: record.scopes,
+      expiresAt: record.expiresAt && new Date(record.expiresAt) > new Date() ? record.expiresAt : undefined,
+      rateLimit: record.rateLimit,
+    }, rotatedBy);
+
+    const replacement = this.keys.get(apiKey.id);
+    replacement.rotatedFrom = keyId;
+    record.replacedBy = apiKey.id;
+
+    if (gracePeriodSeconds > 0) {
+      const graceExpiry = new Date(Date.now() + gracePeriodSeconds * 1000);
+      if (!record.expiresAt || graceExpiry < new Date(record.expiresAt)) {
+        record.expiresAt = graceExpiry.toISOString();
+      }
+      this.saveKeys();
+    } else {
+      this.revokeKey(keyId, 'rotated');
+    }
+
+    logger.auditLog('API Key Rotated', {
+      targetApiKeyId: keyId,
+      newApiKeyId: apiKey.id,
+      gracePeriodSeconds,
+    });
+
+    return { key, apiKey: this.sanitizeKey(replacement), previous: this.sanitizeKey(record) };
+  }
+
+  /**
+   * Check whether a bearer credential looks like an API key
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  /**
+   * Verify a plaintext key and resolve the principal it represents
+   * Returns null for unknown, revoked or expired keys
+   */
+  verifyKey(key) {
+    if (!this.isApiKey(key)) {
+      return null;
+    }
+
+    const prefix = key.split('_')[1];
+    const hash = Buffer.from(this.encryptionService.hash(key), 'hex');
+
+    for (const record of this.keys.values()) {
+      if (record.prefix !== prefix) {
+        continue;
+      }
+
+      const stored = Buffer.from(record.hash, 'hex');
+      if (stored.length !== hash.length || !crypto.timingSafeEqual(stored, hash)) {
+        continue;
+      }
+
+      if (this.getKeyState(record) !== 'active') {
+        return null;
+      }
+
+      record.lastUsed = new Date().toISOString();
+      record.usageCount = (record.usageCount || 0) + 1;
+      this.scheduleSave();
+
+      return {
+        type: 'api_key',
+        id: `apikey:${record.id}`,
+        apiKeyId: record.id,
+        username: record.name,
+        role: 'service',
+        permissions: record.scopes,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Consume one request from a key's rate limit
+   * Resolves to the remaining budget or rejects with retry information
+   */
+  async consumeRateLimit(keyId) {
+    const record = this.keys.get(keyId);
+    if (!record) {
+      throw new Error(`API key ${keyId} not found`);
+    }
+
+    let limiter = this.rateLimiters.get(keyId);
+    if (!limiter) {
+      limiter = new RateLimiterMemory({
+        keyPrefix: `apikey_${keyId}`,
+        points: record.rateLimit.requests,
+        duration: record.rateLimit.windowSeconds,
+      });
+      this.rateLimiters.set(keyId, limiter);
+    }
+
+    try {
+      const result = await limiter.consume(keyId);
+      return {
+        limited: false,
+        limit: record.rateLimit.requests,
+        remaining: result.remainingPoints,
+        resetMs: result.msBeforeNext,
+      };
+    } catch (rejection) {
+      if (rejection instanceof Error) {
+        throw rejection;
+      }
+      return {
+        limited: true,
+        limit: record.rateLimit.requests,
+        remaining: 0,
+        resetMs: rejection.msBeforeNext,
+      };
+    }
+  }
+
+  /**
+   * Usage timestamps are written lazily to avoid a disk write per request
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.saveKeys();
+      } catch (error) {
+        logger.error('Failed to persist API key usage:', error);
+      }
+    }, 5000);
+    this.saveTimer.unref();
+  }
+
+  getKeyState(record) {
+    if (record.revoked) {
+      return 'revoked';
+    }
+    if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+      return 'expired';
+    }
+    return 'active';
+  }
+
+  getKey(keyId) {
+    const record = this.keys.get(keyId);
+    return record ? this.sanitizeKey(record) : null;
+  }
+
+  listKeys({ includeRevoked = false } = {}) {
+    return Array.from(this.keys.values())
+      .filter(record => includeRevoked || !record.revoked)
+      .map(record => this.sanitizeKey(record));
+  }
+
+  sanitizeKey(record) {
+    const { hash, ...safe } = record;
+    return {
+      ...safe,
+      displayKey: `${KEY_PREFIX}_${record.prefix}_…`,
+      state: this.getKeyState(record),
+    };
+  }
+
+  /**
+   * Get API key service status
+   */
+  getStatus() {
+    const records = Array.from(this.keys.values());
+
+    return {
+      total: records.length,
+      active: records.filter(r => this.getKeyState(r) === 'active').length,
+      revoked: records.filter(r => r.revoked).length,
+      scopes: ASSIGNABLE_SCOPES,
+    };
+  }
+
+  /**
+   * Flush pending writes
+   */
+  shutdown() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.saveKeys();
+    }
+  }
+}
+
+ApiKeyService.SCOPES = ASSIGNABLE_SCOPES;
+
+module.exports = ApiKeyService;
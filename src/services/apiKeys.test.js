@@ -0,0 +1,210 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  auditLog: jest.fn(),
+  securityEvent: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config/app');
+const ApiKeyService = require('./apiKeys');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const encryptionService = {
+  hash: data => crypto.createHash('sha256').update(data).digest('hex'),
+  generateToken: length => crypto.randomBytes(length).toString('base64url'),
+};
+
+describe('ApiKeyService', () => {
+  let dir;
+  let keysPath;
+  let apiKeys;
+
+  const create = (overrides = {}) => apiKeys.createKey({ name: 'lab-sync', scopes: ['chat', 'models:read'], ...overrides }, 'admin-id');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    keysPath = path.join(dir, 'api-keys.json');
+    apiKeys = new ApiKeyService(encryptionService, { keysPath });
+  });
+
+  afterEach(() => {
+    apiKeys.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('createKey', () => {
+    it('stores only a hash of the key and returns the key once', () => {
+      const { key, apiKey } = create();
+
+      expect(key).toMatch(/^pllm_[0-9a-f]{8}_/);
+      expect(apiKey).not.toHaveProperty('hash');
+      expect(apiKey).toMatchObject({ name: 'lab-sync', scopes: ['chat', 'models:read'], state: 'active', createdBy: 'admin-id' });
+
+      const stored = fs.readFileSync(keysPath, 'utf8');
+      expect(stored).not.toContain(key);
+      expect(stored).toContain(encryptionService.hash(key));
+    });
+
+    it('requires assignable scopes', () => {
+      expect(() => create({ scopes: [] })).toThrow('At least one scope is required');
+      expect(() => create({ scopes: ['chat', 'root'] })).toThrow('Invalid scopes: root');
+      expect(() => create({ scopes: ['*'] })).toThrow('Invalid scopes: *');
+    });
+
+    it('keeps account and key management out of key scopes', () => {
+      expect(() => create({ scopes: ['users:manage'] })).toThrow('Invalid scopes: users:manage');
+      expect(() => create({ scopes: ['apikeys:manage'] })).toThrow('Invalid scopes: apikeys:manage');
+    });
+
+    it('refuses expiry dates in the past', () => {
+      expect(() => create({ expiresAt: '2000-01-01T00:00:00Z' })).toThrow('expiresAt must be a future date');
+    });
+  });
+
+  describe('verifyKey', () => {
+    it('resolves a key to a service principal limited to its scopes', () => {
+      const { key, apiKey } = create();
+
+      expect(apiKeys.verifyKey(key)).toEqual({
+        type: 'api_key',
+        id: `apikey:${apiKey.id}`,
+        apiKeyId: apiKey.id,
+        username: 'lab-sync',
+        role: 'service',
+        permissions: ['chat', 'models:read'],
+      });
+    });
+
+    it('rejects unknown and altered keys', () => {
+      const { key } = create();
+
+      expect(apiKeys.verifyKey(`${key}x`)).toBeNull();
+      expect(apiKeys.verifyKey(key.replace(/_[0-9a-f]{8}_/, '_00000000_'))).toBeNull();
+      expect(apiKeys.verifyKey('not-a-key')).toBeNull();
+    });
+
+    it('rejects revoked keys', () => {
+      const { key, apiKey } = create();
+
+      expect(apiKeys.revokeKey(apiKey.id, 'leaked')).toMatchObject({ state: 'revoked', revokedReason: 'leaked' });
+      expect(apiKeys.verifyKey(key)).toBeNull();
+    });
+
+    it('rejects expired keys', () => {
+      const { key, apiKey } = create({ expiresInDays: 1 });
+
+      apiKeys.keys.get(apiKey.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      expect(apiKeys.getKey(apiKey.id).state).toBe('expired');
+      expect(apiKeys.verifyKey(key)).toBeNull();
+    });
+
+    it('rejects revoked keys after a restart', () => {
+      const { key, apiKey } = create();
+      apiKeys.revokeKey(apiKey.id);
+
+      const reloaded = new ApiKeyService(encryptionService, { keysPath });
+
+      expect(reloaded.verifyKey(key)).toBeNull();
+    });
+  });
+
+  describe('rotateKey', () => {
+    it('revokes the old key without a grace period', () => {
+      const { key, apiKey } = create();
+
+      const rotated = apiKeys.rotateKey(apiKey.id);
+
+      expect(apiKeys.verifyKey(key)).toBeNull();
+      expect(apiKeys.verifyKey(rotated.key).permissions).toEqual(['chat', 'models:read']);
+      expect(rotated.previous).toMatchObject({ state: 'revoked', revokedReason: 'rotated', replacedBy: rotated.apiKey.id });
+    });
+
+    it('keeps the old key valid for the grace period only', () => {
+      const { key, apiKey } = create();
+
+      apiKeys.rotateKey(apiKey.id, { gracePeriodSeconds: 60 });
+      expect(apiKeys.verifyKey(key)).not.toBeNull();
+
+      apiKeys.keys.get(apiKey.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+      expect(apiKeys.verifyKey(key)).toBeNull();
+    });
+
+    it('refuses to rotate revoked keys', () => {
+      const { apiKey } = create();
+      apiKeys.revokeKey(apiKey.id);
+
+      expect(() => apiKeys.rotateKey(apiKey.id)).toThrow('is not active');
+    });
+  });
+
+  describe('scope enforcement', () => {
+    const enabled = config.security.auth.enabled;
+
+    beforeEach(() => {
+      config.security.auth.enabled = true;
+    });
+
+    afterEach(() => {
+      config.security.auth.enabled = enabled;
+    });
+
+    /**
+     * Run a request with the key through authenticate and requirePermission
+     * Resolves to the error passed on, or undefined when the request passes
+     */
+    const request = (key, permission) => new Promise((resolve) => {
+      const req = {
+        headers: { 'x-api-key': key },
+        originalUrl: '/api/v1/test',
+        method: 'POST',
+        app: { get: name => ({ apiKeys, auth: { verifyToken: () => null } })[name] },
+      };
+      const res = { set: jest.fn() };
+
+      authenticate(req, res, (error) => {
+        if (error) {
+          return resolve(error);
+        }
+        requirePermission(permission)(req, res, resolve);
+      });
+    });
+
+    it('allows the scopes granted to the key', async () => {
+      const { key } = create();
+
+      await expect(request(key, 'chat')).resolves.toBeUndefined();
+      await expect(request(key, 'models:read')).resolves.toBeUndefined();
+    });
+
+    it('denies everything outside its scopes', async () => {
+      const { key } = create();
+
+      for (const permission of ['documents:read', 'privacy:reidentify', 'users:manage', 'apikeys:manage']) {
+        await expect(request(key, permission)).resolves.toMatchObject({ code: 'FORBIDDEN', details: { required: permission } });
+      }
+    });
+
+    it('refuses revoked and expired keys as unauthenticated', async () => {
+      const revoked = create();
+      const expired = create({ name: 'old-sync' });
+      apiKeys.revokeKey(revoked.apiKey.id);
+      apiKeys.keys.get(expired.apiKey.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      await expect(request(revoked.key, 'chat')).resolves.toMatchObject({ code: 'UNAUTHORIZED' });
+      await expect(request(expired.key, 'chat')).resolves.toMatchObject({ code: 'UNAUTHORIZED' });
+    });
+
+    it('applies the key rate limit', async () => {
+      const { key } = create({ rateLimit: { requests: 1, windowSeconds: 60 } });
+
+      await expect(request(key, 'chat')).resolves.toBeUndefined();
+      await expect(request(key, 'chat')).resolves.toMatchObject({ code: 'RATE_LIMITED' });
+    });
+  });
+});
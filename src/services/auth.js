@@ -0,0 +1,484 @@
+/**
+ * Authentication Service
+ * User accounts, JWT issuance and role-based access control
+ *
+ * @module AuthService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const config = require('../config/app');
+
+/**
+ * Permissions granted to each role
+ * The same vocabulary is used for API key scopes
+ */
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  clinician: [
+    'chat',
+    'models:read',
+    'monitoring:read',
+    'privacy:read',
+    'privacy:reidentify',
+    'consent:read',
+    'consent:write',
+    'documents:read',
+    'documents:write',
+    'templates:write',
+    'tools:billing',
+    'tools:clinical',
+    'system:read',
+  ],
+  front_desk: [
+    'chat',
+    'models:read',
+    'privacy:read',
+    'consent:read',
+    'consent:write',
+    'documents:read',
+    'documents:write',
+    'tools:billing',
+  ],
+  // Compliance status, reports and incidents are for compliance officers
+  // and administrators only
+  auditor: [
+    'models:read',
+    'monitoring:read',
+    'consent:read',
+    'system:read',
+  ],
+  compliance_officer: [
+    'models:read',
+    'monitoring:read',
+    'privacy:read',
+    'consent:read',
+    'compliance:read',
+    'compliance:write',
+    'system:read',
+  ],
+};
+
+const PERMISSIONS = [
+  'chat',
+  'models:read',
+  'models:write',
+  'monitoring:read',
+  'monitoring:write',
+  'privacy:read',
+  'privacy:reidentify',
+  'consent:read',
+  'consent:write',
+  'documents:read',
+  'documents:write',
+  'templates:write',
+  'tools:billing',
+  'tools:clinical',
+  'compliance:read',
+  'compliance:write',
+  'system:read',
+  'cache:manage',
+  'users:manage',
+  'apikeys:manage',
+];
+
+class AuthService {
+  constructor(options = {}) {
+    this.usersPath = options.usersPath || config.security.auth.usersFile;
+    this.users = new Map();
+    this.revokedTokens = new Map(); // jti -> expiry (ms)
+    this.dummyHash = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize authentication service
+   */
+  init() {
+    try {
+      this.loadUsers();
+
+      if (this.users.size === 0) {
+        this.createInitialAdmin();
+      }
+
+      logger.info('Authentication service initialized', { users: this.users.size });
+    } catch (error) {
+      logger.error('Failed to initialize authentication service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load user accounts from disk
+   */
+  loadUsers() {
+    if (!fs.existsSync(this.usersPath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.usersPath, 'utf8'));
+    for (const user of data.users || []) {
+      this.users.set(user.id, user);
+    }
+  }
+
+  /**
+   * Persist user accounts to disk
+   */
+  saveUsers() {
+    const dir = path.dirname(this.usersPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+
+    const data = {
+      version: '1.0',
+      updated: new Date().toISOString(),
+      users: Array.from(this.users.values()),
+    };
+
+    fs.writeFileSync(this.usersPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Create the first administrator account
+   * Uses ADMIN_USERNAME/ADMIN_PASSWORD when set, otherwise generates a
+   * one-time password written next to the user store
+   */
+  createInitialAdmin() {
+    const username = config.security.auth.adminUsername;
+    let password = config.security.auth.adminPassword;
+
+    if (!password) {
+      password = crypto.randomBytes(18).toString('base64url');
+      const passwordPath = path.join(path.dirname(this.usersPath), 'initial-admin-password');
+
+      const dir = path.dirname(passwordPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+      }
+      fs.writeFileSync(passwordPath, `${password}\n`, { mode: 0o600 });
+
+      logger.warn(`Initial admin password written to ${passwordPath}. Change it after first login.`);
+    }
+
+    this.createUser({ username, password, role: 'admin' });
+
+    logger.securityEvent('Initial Admin Created', { username });
+  }
+
+  /**
+   * Create a user account
+   */
+  createUser({ username, password, role, name = null }) {
+    if (!username || !password) {
+      throw new Error('Username and password are required');
+    }
+
+    if (!ROLE_PERMISSIONS[role]) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    if (password.length < config.security.auth.minPasswordLength) {
+      throw new Error(`Password must be at least ${config.security.auth.minPasswordLength} characters`);
+    }
+
+    if (this.findByUsername(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      name,
+      role,
+      passwordHash: bcrypt.hashSync(password, 12),
+      disabled: false,
+      created: new Date().toISOString(),
+      lastLogin: null,
+    };
+
+    this.users.set(user.id, user);
+    this.saveUsers();
+
+    logger.auditLog('User Created', { targetUserId: user.id, username, role });
+
+    return this.sanitizeUser(user);
+  }
+
+  /**
+   * Update role, name, disabled flag or password
+   * A new role, password or disabling the account invalidates the tokens
+   * already issued to the user
+   */
+  updateUser(userId, updates = {}) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    if (updates.role !== undefined && !ROLE_PERMISSIONS[updates.role]) {
+      throw new Error(`Unknown role: ${updates.role}`);
+    }
+
+    if (updates.password !== undefined && updates.password.length < config.security.auth.minPasswordLength) {
+      throw new Error(`Password must be at least ${config.security.auth.minPasswordLength} characters`);
+    }
+
+    const demoted = updates.role !== undefined && updates.role !== 'admin';
+    if ((demoted || updates.disabled) && this.isLastAdmin(user)) {
+      throw new Error('Cannot demote or disable the last administrator');
+    }
+
+    let revokeTokens = false;
+
+    if (updates.role !== undefined) {
+      revokeTokens = updates.role !== user.role;
+      user.role = updates.role;
+    }
+
+    if (updates.name !== undefined) {
+      user.name = updates.name;
+    }
+
+    if (updates.disabled !== undefined) {
+      revokeTokens = revokeTokens || (!!updates.disabled && !user.disabled);
+      user.disabled = !!updates.disabled;
+    }
+
+    if (updates.password !== undefined) {
+      user.passwordHash = bcrypt.hashSync(updates.password, 12);
+      user.passwordChanged = new Date().toISOString();
+      revokeTokens = true;
+    }
+
+    if (revokeTokens) {
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+    }
+
+    user.updated = new Date().toISOString();
+    this.saveUsers();
+
+    logger.auditLog('User Updated', {
+      targetUserId: userId,
+      fields: Object.keys(updates).filter(key => updates[key] !== undefined && key !== 'password'),
+      passwordChanged: updates.password !== undefined,
+      tokensRevoked: revokeTokens,
+    });
+
+    return this.sanitizeUser(user);
+  }
+
+  /**
+   * Delete a user account
+   */
+  deleteUser(userId) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    if (this.isLastAdmin(user)) {
+      throw new Error('Cannot delete the last administrator');
+    }
+
+    this.users.delete(userId);
+    this.saveUsers();
+
+    logger.auditLog('User Deleted', { targetUserId: userId, username: user.username });
+  }
+
+  /**
+   * Whether a user is the only active administrator
+   */
+  isLastAdmin(user) {
+    if (user.role !== 'admin' || user.disabled) {
+      return false;
+    }
+    return !Array.from(this.users.values()).some(u => u.role === 'admin' && !u.disabled && u.id !== user.id);
+  }
+
+  /**
+   * List user accounts without credentials
+   */
+  listUsers() {
+    return Array.from(this.users.values()).map(user => this.sanitizeUser(user));
+  }
+
+  getUser(userId) {
+    const user = this.users.get(userId);
+    return user ? this.sanitizeUser(user) : null;
+  }
+
+  findByUsername(username) {
+    for (const user of this.users.values()) {
+      if (user.username === username) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Verify credentials and issue an access token
+   */
+  async login(username, password, meta = {}) {
+    const user = this.findByUsername(username);
+
+    // Compare against a dummy hash when the user is unknown to keep timing uniform
+    if (!this.dummyHash) {
+      this.dummyHash = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 12);
+    }
+    const hash = user ? user.passwordHash : this.dummyHash;
+    const valid = await bcrypt.compare(password || '', hash);
+
+    if (!user || !valid || user.disabled) {
+      logger.securityEvent('Login Failed', {
+        username,
+        reason: !user ? 'unknown_user' : user.disabled ? 'disabled' : 'bad_password',
+        ip: meta.ip,
+      });
+      return null;
+    }
+
+    user.lastLogin = new Date().toISOString();
+    this.saveUsers();
+
+    const token = this.issueToken(user);
+
+    logger.userActivity(user.id, 'login', { role: user.role, ip: meta.ip });
+
+    return {
+      token,
+      tokenType: 'Bearer',
+      expiresIn: Math.floor(config.security.sessionTimeout / 1000),
+      user: this.sanitizeUser(user),
+    };
+  }
+
+  /**
+   * Check a user's current password without issuing a token
+   */
+  async verifyPassword(userId, password) {
+    const user = this.users.get(userId);
+    if (!user || !password) {
+      return false;
+    }
+    return bcrypt.compare(password, user.passwordHash);
+  }
+
+  /**
+   * Sign a JWT for a user
+   */
+  issueToken(user) {
+    return jwt.sign(
+      {
+        sub: user.id,
+        username: user.username,
+        role: user.role,
+        ver: user.tokenVersion || 0,
+      },
+      config.security.jwtSecret,
+      {
+        expiresIn: Math.floor(config.security.sessionTimeout / 1000),
+        issuer: 'portablellm',
+        jwtid: crypto.randomUUID(),
+      }
+    );
+  }
+
+  /**
+   * Verify a JWT and resolve the principal it represents
+   * Returns null for invalid, expired, revoked or disabled principals, and
+   * for tokens issued before the user's last password or role change
+   */
+  verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.security.jwtSecret, { issuer: 'portablellm' });
+    } catch (error) {
+      return null;
+    }
+
+    if (this.revokedTokens.has(payload.jti)) {
+      return null;
+    }
+
+    const user = this.users.get(payload.sub);
+    if (!user || user.disabled || (payload.ver || 0) !== (user.tokenVersion || 0)) {
+      return null;
+    }
+
+    return {
+      type: 'user',
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      permissions: this.getPermissions(user.role),
+      tokenId: payload.jti,
+      tokenExpires: payload.exp * 1000,
+    };
+  }
+
+  /**
+   * Revoke a token until it would have expired anyway
+   */
+  revokeToken(tokenId, expires) {
+    this.revokedTokens.set(tokenId, expires);
+
+    // Drop entries that have expired naturally
+    const now = Date.now();
+    for (const [jti, expiry] of this.revokedTokens) {
+      if (expiry < now) {
+        this.revokedTokens.delete(jti);
+      }
+    }
+  }
+
+  getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  /**
+   * Check whether a principal holds a permission
+   */
+  hasPermission(principal, permission) {
+    if (!principal) {
+      return false;
+    }
+
+    const permissions = principal.permissions || [];
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  sanitizeUser(user) {
+    const { passwordHash, tokenVersion, ...safe } = user;
+    return safe;
+  }
+
+  /**
+   * Get authentication service status
+   */
+  getStatus() {
+    const users = Array.from(this.users.values());
+
+    return {
+      enabled: config.security.auth.enabled,
+      users: users.length,
+      activeUsers: users.filter(u => !u.disabled).length,
+      roles: Object.keys(ROLE_PERMISSIONS),
+      sessionTimeout: config.security.sessionTimeout,
+    };
+  }
+}
+
+AuthService.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+AuthService.PERMISSIONS = PERMISSIONS;
+
+module.exports = AuthService;
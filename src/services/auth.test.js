@@ -0,0 +1,164 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  auditLog: jest.fn(),
+  securityEvent: jest.fn(),
+  userActivity: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuthService = require('./auth');
+
+const { ROLE_PERMISSIONS, PERMISSIONS } = AuthService;
+
+// What each role may do; everything else in PERMISSIONS is denied
+const ALLOWED = {
+  admin: PERMISSIONS,
+  clinician: [
+    'chat', 'models:read', 'monitoring:read', 'privacy:read', 'privacy:reidentify', 'consent:read',
+    'consent:write', 'documents:read', 'documents:write', 'templates:write', 'tools:billing',
+    'tools:clinical', 'system:read',
+  ],
+  front_desk: [
+    'chat', 'models:read', 'privacy:read', 'consent:read', 'consent:write', 'documents:read',
+    'documents:write', 'tools:billing',
+  ],
+  auditor: ['models:read', 'monitoring:read', 'consent:read', 'system:read'],
+  compliance_officer: [
+    'models:read', 'monitoring:read', 'privacy:read', 'consent:read', 'compliance:read',
+    'compliance:write', 'system:read',
+  ],
+};
+
+const PASSWORD = 'correct horse battery';
+
+describe('AuthService', () => {
+  let dir;
+  let auth;
+
+  const principalFor = (role) => ({ role, permissions: auth.getPermissions(role) });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+    auth = new AuthService({ usersPath: path.join(dir, 'users.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('role permissions', () => {
+    it('defines exactly the documented roles', () => {
+      expect(Object.keys(ROLE_PERMISSIONS).sort()).toEqual(Object.keys(ALLOWED).sort());
+    });
+
+    it.each(Object.keys(ALLOWED))('grants %s only its permissions', (role) => {
+      const principal = principalFor(role);
+      const granted = PERMISSIONS.filter(permission => auth.hasPermission(principal, permission));
+
+      expect(granted.sort()).toEqual([...ALLOWED[role]].sort());
+    });
+
+    it('keeps account and key management to administrators', () => {
+      for (const role of Object.keys(ALLOWED).filter(name => name !== 'admin')) {
+        expect(auth.hasPermission(principalFor(role), 'users:manage')).toBe(false);
+        expect(auth.hasPermission(principalFor(role), 'apikeys:manage')).toBe(false);
+      }
+    });
+
+    it('grants nothing to unknown roles or missing principals', () => {
+      expect(auth.getPermissions('superuser')).toEqual([]);
+      expect(auth.hasPermission(principalFor('superuser'), 'chat')).toBe(false);
+      expect(auth.hasPermission(null, 'chat')).toBe(false);
+    });
+
+    it('only uses permissions from the shared vocabulary', () => {
+      for (const permissions of Object.values(ROLE_PERMISSIONS)) {
+        expect(permissions.filter(permission => permission !== '*' && !PERMISSIONS.includes(permission))).toEqual([]);
+      }
+    });
+  });
+
+  describe('accounts and tokens', () => {
+    let admin;
+
+    beforeEach(() => {
+      [admin] = auth.listUsers();
+    });
+
+    it('creates the first administrator and never exposes hashes', () => {
+      expect(admin).toMatchObject({ username: 'admin', role: 'admin' });
+      expect(admin).not.toHaveProperty('passwordHash');
+      expect(fs.existsSync(path.join(dir, 'initial-admin-password'))).toBe(true);
+    });
+
+    it('rejects unknown roles and short passwords', () => {
+      expect(() => auth.createUser({ username: 'x1', password: PASSWORD, role: 'root' })).toThrow('Unknown role: root');
+      expect(() => auth.createUser({ username: 'x1', password: 'short', role: 'auditor' })).toThrow('Password must be at least');
+    });
+
+    it('resolves a token to the role permissions of its user', () => {
+      const user = auth.createUser({ username: 'desk1', password: PASSWORD, role: 'front_desk' });
+
+      const principal = auth.verifyToken(auth.issueToken(auth.users.get(user.id)));
+
+      expect(principal).toMatchObject({ type: 'user', id: user.id, role: 'front_desk', permissions: ALLOWED.front_desk });
+    });
+
+    it('rejects forged, revoked and disabled-user tokens', () => {
+      const user = auth.createUser({ username: 'clin1', password: PASSWORD, role: 'clinician' });
+      const token = auth.issueToken(auth.users.get(user.id));
+      const principal = auth.verifyToken(token);
+
+      expect(auth.verifyToken(`${token}x`)).toBeNull();
+
+      auth.revokeToken(principal.tokenId, principal.tokenExpires);
+      expect(auth.verifyToken(token)).toBeNull();
+
+      const second = auth.issueToken(auth.users.get(user.id));
+      auth.updateUser(user.id, { disabled: true });
+      expect(auth.verifyToken(second)).toBeNull();
+    });
+
+    it('rejects tokens issued before a role or password change, but not a rename', () => {
+      const user = auth.createUser({ username: 'clin2', password: PASSWORD, role: 'clinician' });
+      const issue = () => auth.issueToken(auth.users.get(user.id));
+
+      const beforeRename = issue();
+      auth.updateUser(user.id, { name: 'Dr. Example' });
+      expect(auth.verifyToken(beforeRename)).not.toBeNull();
+
+      const beforeRole = issue();
+      auth.updateUser(user.id, { role: 'auditor' });
+      expect(auth.verifyToken(beforeRole)).toBeNull();
+      expect(auth.verifyToken(issue()).permissions).toEqual(ALLOWED.auditor);
+
+      const beforePassword = issue();
+      auth.updateUser(user.id, { password: `${PASSWORD} 2` });
+      expect(auth.verifyToken(beforePassword)).toBeNull();
+    });
+
+    it('refuses to demote, disable or delete the last administrator', () => {
+      expect(() => auth.updateUser(admin.id, { role: 'auditor' })).toThrow('Cannot demote or disable the last administrator');
+      expect(() => auth.updateUser(admin.id, { disabled: true })).toThrow('Cannot demote or disable the last administrator');
+      expect(() => auth.deleteUser(admin.id)).toThrow('Cannot delete the last administrator');
+
+      auth.createUser({ username: 'admin2', password: PASSWORD, role: 'admin' });
+      expect(auth.updateUser(admin.id, { role: 'auditor' }).role).toBe('auditor');
+    });
+
+    it('logs in with the right password only', async () => {
+      auth.createUser({ username: 'desk2', password: PASSWORD, role: 'front_desk' });
+
+      await expect(auth.login('desk2', 'wrong password!')).resolves.toBeNull();
+      await expect(auth.login('nobody', PASSWORD)).resolves.toBeNull();
+
+      const session = await auth.login('desk2', PASSWORD);
+      expect(session.user).toMatchObject({ username: 'desk2', role: 'front_desk' });
+      expect(auth.verifyToken(session.token)).toMatchObject({ username: 'desk2' });
+    });
+  });
+});
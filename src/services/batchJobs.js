@@ -0,0 +1,566 @@
+/**
+ * Batch Job Service
+ * Runs one prompt template over many inputs in the scheduler's batch lane,
+ * one item at a time, so interactive requests keep priority. Inputs and
+ * results are encrypted at rest and every result is appended as soon as
+ * it is ready, which makes the results file the checkpoint a restart
+ * resumes from. In healthcare mode each rendered prompt is masked for PHI
+ * before it reaches the model.
+ *
+ * @module BatchJobService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const logger = require('../utils/logger');
+const config = require('../config/app');
+const csv = require('../utils/csv');
+const { ApiError, toApiError } = require('../utils/errors');
+
+const ENCRYPTION_CONTEXT = 'batch-jobs';
+
+const PENDING_STATES = ['queued', 'running'];
+
+// Failures worth waiting out instead of recording against the item
+const RETRYABLE_CODES = ['QUEUE_FULL', 'QUEUE_TIMEOUT', 'OLLAMA_UNAVAILABLE', 'OLLAMA_TIMEOUT'];
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+class BatchJobService {
+  constructor(ollamaService, scheduler, encryptionService, privacyService, options = {}) {
+    this.ollamaService = ollamaService;
+    this.scheduler = scheduler;
+    this.encryptionService = encryptionService;
+    this.privacyService = privacyService;
+    this.basePath = options.path || config.batch.path;
+    this.maxItems = options.maxItems || config.batch.maxItems;
+    this.maxRetries = options.maxRetries ?? config.batch.maxRetries;
+    this.retryDelay = options.retryDelay || config.batch.retryDelay;
+
+    this.jobs = new Map(); // job id -> job
+    this.queue = []; // ids of queued jobs, oldest first
+    this.current = null; // { job, controller, done, started, processedAtStart }
+    this.stopping = false;
+
+    this.init();
+  }
+
+  /**
+   * Load jobs and resume unfinished ones
+   */
+  init() {
+    try {
+      this.loadJobs();
+      logger.info('Batch job service initialized', { jobs: this.jobs.size, pending: this.queue.length });
+      this.processNext();
+    } catch (error) {
+      logger.error('Failed to initialize batch job service:', error);
+      throw error;
+    }
+  }
+
+  getJobDir(id) {
+    return path.join(this.basePath, id);
+  }
+
+  /**
+   * Load job metadata from disk
+   * Queued and running jobs are requeued from their results checkpoint
+   */
+  loadJobs() {
+    if (!fs.existsSync(this.basePath)) {
+      return;
+    }
+
+    const pending = [];
+    for (const id of fs.readdirSync(this.basePath)) {
+      const jobPath = path.join(this.getJobDir(id), 'job.json');
+      if (!fs.existsSync(jobPath)) {
+        continue;
+      }
+
+      const job = JSON.parse(fs.readFileSync(jobPath, 'utf8'));
+      this.jobs.set(job.id, job);
+
+      if (PENDING_STATES.includes(job.status)) {
+        this.restoreCheckpoint(job);
+        job.status = 'queued';
+        this.saveJob(job);
+        pending.push(job);
+      }
+    }
+
+    pending
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach(job => this.queue.push(job.id));
+  }
+
+  /**
+   * Recount progress from the results file, dropping a line cut short by
+   * a crash mid-write
+   */
+  restoreCheckpoint(job) {
+    const lines = this.readResultLines(job);
+    const resultsPath = path.join(this.getJobDir(job.id), 'results.jsonl');
+
+    if (fs.existsSync(resultsPath)) {
+      fs.writeFileSync(resultsPath, lines.map(line => `${JSON.stringify(line)}\n`).join(''), { mode: 0o600 });
+    }
+
+    job.processed = lines.length;
+    job.succeeded = lines.filter(line => line.status === 'ok').length;
+    job.failed = lines.length - job.succeeded;
+  }
+
+  saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    fs.writeFileSync(path.join(this.getJobDir(job.id), 'job.json'), JSON.stringify(job, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Parse submitted JSONL or CSV into input objects
+   * JSONL lines may be objects or plain strings, which become { input }
+   */
+  parseInputs(format, data) {
+    let items;
+
+    if (format === 'csv') {
+      try {
+        items = csv.parse(data);
+      } catch (error) {
+        throw new ApiError('VALIDATION_FAILED', null, { errors: [{ path: 'data', message: error.message }] });
+      }
+    } else {
+      items = [];
+      const lines = data.split(/\r?\n/);
+
+      lines.forEach((line, index) => {
+        if (!line.trim()) {
+          return;
+        }
+
+        let value;
+        try {
+          value = JSON.parse(line);
+        } catch (error) {
+          throw new ApiError('VALIDATION_FAILED', null, {
+            errors: [{ path: `data line ${index + 1}`, message: 'is not valid JSON' }],
+          });
+        }
+
+        if (typeof value === 'string') {
+          items.push({ input: value });
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+          items.push(value);
+        } else {
+          throw new ApiError('VALIDATION_FAILED', null, {
+            errors: [{ path: `data line ${index + 1}`, message: 'must be an object or a string' }],
+          });
+        }
+      });
+    }
+
+    if (items.length === 0) {
+      throw new ApiError('VALIDATION_FAILED', 'Batch contains no inputs');
+    }
+    if (items.length > this.maxItems) {
+      throw new ApiError('VALIDATION_FAILED', `Batch exceeds ${this.maxItems} inputs`, { items: items.length });
+    }
+
+    return items;
+  }
+
+  /**
+   * Fill a prompt template from an input's fields
+   */
+  renderPrompt(template, item) {
+    return template.replace(PLACEHOLDER, (match, field) => {
+      const value = item[field];
+      if (value === undefined || value === null) {
+        throw new Error(`Input has no field "${field}"`);
+      }
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    });
+  }
+
+  /**
+   * Create a job and queue it
+   * phiRedaction is { enabled, restore }: whether inputs are masked for
+   * PHI, and whether results get the originals back (privacy:reidentify)
+   */
+  create({ model, prompt, system = null, format, data, options = {} }, { owner = null, phiRedaction = null } = {}) {
+    const items = this.parseInputs(format, data);
+    const { redactPhi, ...inferenceOptions } = options;
+    const now = new Date().toISOString();
+
+    const job = {
+      id: crypto.randomUUID(),
+      owner,
+      model,
+      format,
+      status: 'queued',
+      total: items.length,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      options: inferenceOptions,
+      phiRedaction: phiRedaction || { enabled: false, restore: false },
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      updatedAt: now,
+      finishedAt: null,
+    };
+
+    fs.mkdirSync(this.getJobDir(job.id), { recursive: true, mode: 0o700 });
+
+    const payload = this.encryptionService.encrypt(JSON.stringify({ prompt, system, items }), ENCRYPTION_CONTEXT);
+    fs.writeFileSync(path.join(this.getJobDir(job.id), 'input.json'), JSON.stringify({ payload }), { mode: 0o600 });
+    this.saveJob(job);
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this.processNext();
+
+    return job;
+  }
+
+  loadInput(job) {
+    const { payload } = JSON.parse(fs.readFileSync(path.join(this.getJobDir(job.id), 'input.json'), 'utf8'));
+    return JSON.parse(this.encryptionService.decrypt(payload, ENCRYPTION_CONTEXT));
+  }
+
+  /**
+   * Start the oldest queued job if none is running
+   */
+  processNext() {
+    if (this.current || this.stopping || this.queue.length === 0) {
+      return;
+    }
+
+    const job = this.jobs.get(this.queue.shift());
+    const controller = new AbortController();
+
+    this.current = {
+      job,
+      controller,
+      started: Date.now(),
+      processedAtStart: job.processed,
+    };
+    this.current.done = this.run(job, controller.signal).then(() => {
+      this.current = null;
+      this.processNext();
+    });
+  }
+
+  /**
+   * Process a job's remaining items; never rejects
+   */
+  async run(job, signal) {
+    const resumed = job.processed > 0;
+
+    try {
+      const { prompt, system, items } = this.loadInput(job);
+
+      job.status = 'running';
+      job.startedAt = job.startedAt || new Date().toISOString();
+      this.saveJob(job);
+
+      logger.auditLog(resumed ? 'Batch Job Resumed' : 'Batch Job Started', {
+        jobId: job.id,
+        model: job.model,
+        total: job.total,
+        processed: job.processed,
+        phiRedaction: Boolean(job.phiRedaction?.enabled),
+      });
+
+      for (let index = job.processed; index < job.total; index++) {
+        const result = await this.processItem(job, items[index], index, { prompt, system }, signal);
+        if (signal.aborted) {
+          break;
+        }
+
+        this.appendResult(job, result);
+        job.processed++;
+        if (result.status === 'ok') {
+          job.succeeded++;
+        } else {
+          job.failed++;
+        }
+        this.saveJob(job);
+      }
+
+      if (!signal.aborted) {
+        job.status = 'completed';
+      } else {
+        // Stopped by shutdown: left queued so the next start resumes it
+        job.status = this.stopping ? 'queued' : 'cancelled';
+      }
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error('Batch job failed:', { jobId: job.id, error: error.message });
+    }
+
+    if (job.status !== 'queued') {
+      job.finishedAt = new Date().toISOString();
+      logger.auditLog(`Batch Job ${job.status === 'completed' ? 'Completed' : job.status === 'cancelled' ? 'Cancelled' : 'Failed'}`, {
+        jobId: job.id,
+        model: job.model,
+        total: job.total,
+        succeeded: job.succeeded,
+        failed: job.failed,
+      });
+    }
+
+    try {
+      this.saveJob(job);
+    } catch (error) {
+      logger.error('Failed to save batch job:', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Run one input through the batch lane
+   * Resolves to a result record, or null when the job was aborted
+   */
+  async processItem(job, item, index, template, signal) {
+    const id = item.id !== undefined ? String(item.id) : String(index);
+    const startTime = Date.now();
+
+    let prompt;
+    try {
+      prompt = this.renderPrompt(template.prompt, item);
+    } catch (error) {
+      return { index, id, status: 'error', error: { code: 'VALIDATION_FAILED', message: error.message } };
+    }
+
+    let system = template.system;
+    let redaction = null;
+    if (job.phiRedaction?.enabled) {
+      redaction = this.privacyService.redactInference({ prompt, system });
+      ({ prompt, system } = redaction);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.scheduler.schedule(() =>
+          this.ollamaService.generate(job.model, prompt, {
+            ...job.options,
+            system,
+            stream: false,
+            signal,
+          }), {
+          id: `batch-${job.id}-${index}`,
+          priority: 'batch',
+          label: 'batch',
+          signal,
+        });
+
+        const output = response.response || '';
+        const restored = Boolean(redaction && redaction.masked > 0 && job.phiRedaction.restore);
+
+        return {
+          index,
+          id,
+          status: 'ok',
+          output: restored ? this.privacyService.restore(output, redaction.surrogates) : output,
+          eval_count: response.eval_count,
+          duration: Date.now() - startTime,
+          ...(redaction && { phi_redaction: { masked: redaction.masked, types: redaction.types, restored } }),
+        };
+      } catch (error) {
+        if (signal.aborted) {
+          return null;
+        }
+
+        const apiError = toApiError(error, 'Inference failed', { model: job.model });
+        if (RETRYABLE_CODES.includes(apiError.code) && attempt < this.maxRetries) {
+          logger.warn('Batch item will be retried', { jobId: job.id, index, code: apiError.code, attempt: attempt + 1 });
+          await sleep(this.retryDelay, null, { signal }).catch(() => {});
+          continue;
+        }
+
+        return { index, id, status: 'error', error: { code: apiError.code, message: apiError.message } };
+      }
+    }
+  }
+
+  appendResult(job, result) {
+    const payload = this.encryptionService.encrypt(JSON.stringify(result), ENCRYPTION_CONTEXT);
+    const line = JSON.stringify({ index: result.index, status: result.status, payload });
+    fs.appendFileSync(path.join(this.getJobDir(job.id), 'results.jsonl'), `${line}\n`, { mode: 0o600 });
+  }
+
+  /**
+   * Read result lines without decrypting them
+   */
+  readResultLines(job) {
+    const resultsPath = path.join(this.getJobDir(job.id), 'results.jsonl');
+    if (!fs.existsSync(resultsPath)) {
+      return [];
+    }
+
+    const lines = [];
+    for (const text of fs.readFileSync(resultsPath, 'utf8').split('\n')) {
+      try {
+        lines.push(JSON.parse(text));
+      } catch (error) {
+        break; // Empty or truncated last line
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Get decrypted results processed so far, in input order
+   */
+  getResults(id) {
+    const job = this.getJob(id);
+    return this.readResultLines(job)
+      .map(line => JSON.parse(this.encryptionService.decrypt(line.payload, ENCRYPTION_CONTEXT)));
+  }
+
+  /**
+   * Serialize results as JSONL or CSV
+   */
+  formatResults(results, format) {
+    if (format === 'csv') {
+      return csv.stringify(results.map(result => ({
+        ...result,
+        error_code: result.error?.code,
+        error_message: result.error?.message,
+      })), ['index', 'id', 'status', 'output', 'error_code', 'error_message']);
+    }
+
+    return results.map(result => `${JSON.stringify(result)}\n`).join('');
+  }
+
+  /**
+   * Cancel a queued or running job, keeping results produced so far
+   */
+  async cancel(id) {
+    const job = this.getJob(id);
+
+    if (this.current?.job === job) {
+      this.current.controller.abort();
+      await this.current.done;
+      return job;
+    }
+
+    const position = this.queue.indexOf(id);
+    if (position === -1) {
+      throw new ApiError('CONFLICT', `Batch job is already ${job.status}`, { jobId: id, status: job.status });
+    }
+
+    this.queue.splice(position, 1);
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    this.saveJob(job);
+    logger.auditLog('Batch Job Cancelled', { jobId: job.id, model: job.model, total: job.total, succeeded: job.succeeded, failed: job.failed });
+
+    return job;
+  }
+
+  /**
+   * Delete a job with its inputs and results, cancelling it first
+   */
+  async remove(id) {
+    const job = this.getJob(id);
+    if (PENDING_STATES.includes(job.status)) {
+      await this.cancel(id);
+    }
+
+    fs.rmSync(this.getJobDir(id), { recursive: true, force: true });
+    this.jobs.delete(id);
+    return job;
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new ApiError('NOT_FOUND', 'Batch job not found', { jobId: id });
+    }
+    return job;
+  }
+
+  /**
+   * List jobs, newest first
+   */
+  list({ owner, status } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!owner || job.owner === owner) && (!status || job.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.describe(job));
+  }
+
+  /**
+   * Public view of a job with derived percent and ETA
+   */
+  describe(job) {
+    let etaSeconds = null;
+    if (this.current?.job === job) {
+      const done = job.processed - this.current.processedAtStart;
+      if (done > 0) {
+        const perItem = (Date.now() - this.current.started) / done;
+        etaSeconds = Math.ceil((perItem * (job.total - job.processed)) / 1000);
+      }
+    }
+
+    return {
+      id: job.id,
+      model: job.model,
+      format: job.format,
+      status: job.status,
+      total: job.total,
+      processed: job.processed,
+      succeeded: job.succeeded,
+      failed: job.failed,
+      percent: Math.floor((job.processed / job.total) * 1000) / 10,
+      etaSeconds,
+      queuePosition: job.status === 'queued' ? this.queue.indexOf(job.id) + 1 : null,
+      error: job.error,
+      phiRedaction: job.phiRedaction,
+      owner: job.owner,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  /**
+   * Get job counts by status
+   */
+  getStats() {
+    const byStatus = {};
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+
+    return {
+      running: this.current ? 1 : 0,
+      queued: this.queue.length,
+      jobs: this.jobs.size,
+      byStatus,
+    };
+  }
+
+  /**
+   * Stop the running job; it stays queued and resumes on the next start
+   */
+  shutdown() {
+    this.stopping = true;
+    if (this.current) {
+      this.current.controller.abort();
+
+      // Saved now too, as the process may exit before the run settles
+      this.current.job.status = 'queued';
+      this.saveJob(this.current.job);
+    }
+  }
+}
+
+module.exports = BatchJobService;
@@ -10,16 +10,25 @@ const path = require('path');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const config = require('../config/app');
+const { ApiError } = require('../utils/errors');
+
+const ENCRYPTION_CONTEXT = 'compliance-incidents';
+
+const INCIDENT_STATES = ['open', 'investigating', 'contained', 'resolved', 'closed'];
 
 class ComplianceService {
-  constructor(encryptionService, privacyService) {
+  constructor(encryptionService, privacyService, options = {}) {
     this.encryptionService = encryptionService;
     this.privacyService = privacyService;
+    this.historyPath = options.historyPath || config.compliance.historyFile;
+    this.maxChecks = options.maxChecks || config.compliance.maxChecks;
+    this.checkInterval = options.checkInterval || config.compliance.checkInterval;
     
     this.frameworks = new Map();
-    this.auditTrail = [];
-    this.complianceChecks = new Map();
+    this.incidents = [];
+    this.complianceChecks = new Map(); // check id -> results, oldest first
     this.riskAssessments = new Map();
+    this.timers = [];
     
     this.init();
   }
@@ -27,10 +36,11 @@ class ComplianceService {
   /**
    * Initialize compliance service
    */
-  async init() {
+  init() {
     try {
       this.initializeFrameworks();
-      await this.loadComplianceConfig();
+      this.loadComplianceConfig();
+      this.loadHistory();
       this.startComplianceMonitoring();
       
       logger.info('Compliance service initialized');
@@ -179,7 +189,7 @@ class ComplianceService {
   /**
    * Load compliance configuration
    */
-  async loadComplianceConfig() {
+  loadComplianceConfig() {
     const configPath = path.join(config.paths.config, 'compliance.json');
     
     try {
@@ -188,7 +198,7 @@ class ComplianceService {
         this.processComplianceConfig(complianceConfig);
         logger.info('Compliance configuration loaded');
       } else {
-        await this.createDefaultComplianceConfig(configPath);
+        this.createDefaultComplianceConfig(configPath);
         logger.info('Default compliance configuration created');
       }
     } catch (error) {
@@ -200,7 +210,7 @@ class ComplianceService {
   /**
    * Create default compliance configuration
    */
-  async createDefaultComplianceConfig(configPath) {
+  createDefaultComplianceConfig(configPath) {
     const defaultConfig = {
       active_frameworks: config.app.mode === 'healthcare' ? ['HIPAA'] : ['GDPR'],
       organization: {
@@ -229,7 +239,9 @@ class ComplianceService {
       }
     };
 
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
     fs.writeFileSync(configPath, JSON.stringify(defaultConfig, null, 2));
+    this.processComplianceConfig(defaultConfig);
   }
 
   /**
@@ -248,25 +260,69 @@ class ComplianceService {
     this.riskTolerance = complianceConfig.risk_tolerance;
   }
 
+  /**
+   * Load check history and incidents from disk
+   * Incidents can describe PHI exposure, so they are stored encrypted
+   */
+  loadHistory() {
+    if (!fs.existsSync(this.historyPath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.historyPath, 'utf8'));
+
+    for (const check of data.checks || []) {
+      this.complianceChecks.set(check.checkId, check);
+    }
+    if (data.incidents) {
+      this.incidents = JSON.parse(this.encryptionService.decrypt(data.incidents, ENCRYPTION_CONTEXT));
+    }
+  }
+
+  /**
+   * Persist check history and incidents to disk
+   */
+  saveHistory() {
+    try {
+      fs.mkdirSync(path.dirname(this.historyPath), { recursive: true, mode: 0o700 });
+
+      const data = {
+        version: '1.0',
+        updated: new Date().toISOString(),
+        checks: Array.from(this.complianceChecks.values()),
+        incidents: this.encryptionService.encrypt(JSON.stringify(this.incidents), ENCRYPTION_CONTEXT),
+      };
+
+      fs.writeFileSync(this.historyPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    } catch (error) {
+      logger.error('Failed to persist compliance history:', error);
+    }
+  }
+
   /**
    * Start compliance monitoring
+   * Failures are logged by performComplianceChecks
    */
   startComplianceMonitoring() {
-    // Check compliance status every hour
-    setInterval(() => {
-      this.performComplianceChecks();
-    }, 60 * 60 * 1000);
+    const runScheduled = () => this.performComplianceChecks().catch(() => {});
+
+    // Check compliance status every hour by default
+    const interval = setInterval(runScheduled, this.checkInterval);
 
     // Perform initial compliance check
-    setTimeout(() => {
-      this.performComplianceChecks();
-    }, 5000);
+    const initial = setTimeout(runScheduled, 5000);
+
+    for (const timer of [interval, initial]) {
+      timer.unref();
+      this.timers.push(timer);
+    }
   }
 
   /**
    * Perform comprehensive compliance checks
+   * trigger is 'scheduled' or 'manual'
    */
-  async performComplianceChecks() {
+  async performComplianceChecks({ trigger = 'scheduled', requestedBy = null } = {}) {
     try {
       const checkId = crypto.randomUUID();
       const timestamp = new Date().toISOString();
@@ -276,6 +332,8 @@ class ComplianceService {
       const results = {
         checkId,
         timestamp,
+        trigger,
+        requestedBy,
         frameworks: {},
         overallScore: 0,
         criticalIssues: [],
@@ -293,14 +351,31 @@ class ComplianceService {
 
       // Calculate overall compliance score
       const frameworkScores = Object.values(results.frameworks).map(f => f.score);
-      results.overallScore = frameworkScores.reduce((a, b) => a + b, 0) / frameworkScores.length;
+      results.overallScore = frameworkScores.length > 0
+        ? frameworkScores.reduce((a, b) => a + b, 0) / frameworkScores.length
+        : 0;
+
+      for (const [frameworkName, framework] of Object.entries(results.frameworks)) {
+        results.criticalIssues.push(...framework.issues.map(issue => ({ framework: frameworkName, issue })));
+        results.warnings.push(...framework.partialControls.map(control => ({ framework: frameworkName, control: control.control, description: control.description })));
+        results.recommendations.push(...framework.recommendations);
+      }
+      results.recommendations = [...new Set(results.recommendations)];
 
-      // Store results
+      // Store results, keeping the newest checks
       this.complianceChecks.set(checkId, results);
+      for (const id of this.complianceChecks.keys()) {
+        if (this.complianceChecks.size <= this.maxChecks) {
+          break;
+        }
+        this.complianceChecks.delete(id);
+      }
+      this.saveHistory();
 
       // Log compliance check results
       logger.auditLog('Compliance Check Completed', {
         checkId,
+        trigger,
         overallScore: results.overallScore,
         frameworks: Object.keys(results.frameworks),
         criticalIssues: results.criticalIssues.length,
@@ -354,12 +429,12 @@ class ComplianceService {
             break;
           case 'fail':
             results.failedControls.push(controlResult);
-            results.issues.push(controlResult.issue);
+            results.issues.push(...(controlResult.issues || [controlResult.issue]));
             break;
           case 'partial':
             results.partialControls.push(controlResult);
             passedControls += 0.5; // Partial credit
-            results.recommendations.push(controlResult.recommendation);
+            results.recommendations.push(...(controlResult.recommendations || [controlResult.recommendation]));
             break;
         }
       }
@@ -611,14 +686,50 @@ class ComplianceService {
   }
 
   /**
-   * Generate compliance report
+   * Get the most recent check results, or null before the first check
+   */
+  getLatestCheck() {
+    return Array.from(this.complianceChecks.values())
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null;
+  }
+
+  /**
+   * Get one check's full results
+   */
+  getCheck(checkId) {
+    const check = this.complianceChecks.get(checkId);
+    if (!check) {
+      throw new ApiError('NOT_FOUND', 'Compliance check not found', { checkId });
+    }
+    return check;
+  }
+
+  /**
+   * Summaries of past checks, newest first
+   */
+  listChecks() {
+    return Array.from(this.complianceChecks.values())
+      .reverse()
+      .map(check => ({
+        checkId: check.checkId,
+        timestamp: check.timestamp,
+        trigger: check.trigger,
+        requestedBy: check.requestedBy,
+        overallScore: check.overallScore,
+        frameworks: Object.keys(check.frameworks),
+        criticalIssues: check.criticalIssues.length,
+        warnings: check.warnings.length,
+      }));
+  }
+
+  /**
+   * Generate compliance report as a JSON object or an HTML document
    */
   generateComplianceReport(format = 'json') {
-    const latestCheck = Array.from(this.complianceChecks.values())
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+    const latestCheck = this.getLatestCheck();
 
     if (!latestCheck) {
-      throw new Error('No compliance checks available');
+      throw new ApiError('NOT_FOUND', 'No compliance checks available yet; run one first');
     }
 
     const report = {
@@ -642,8 +753,6 @@ class ComplianceService {
     });
 
     switch (format) {
-      case 'pdf':
-        return this.generatePDFReport(report);
       case 'html':
         return this.generateHTMLReport(report);
       case 'json':
@@ -652,6 +761,57 @@ class ComplianceService {
     }
   }
 
+  /**
+   * Render a report as a standalone, printable HTML page
+   */
+  generateHTMLReport(report) {
+    const escape = (value) => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const list = (items) => items.length > 0
+      ? `<ul>${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`
+      : '<p>None</p>';
+
+    const status = report.compliance_status;
+    const frameworkRows = Object.entries(status.frameworks).map(([name, framework]) =>
+      `<tr><td>${escape(name)}</td><td>${framework.score.toFixed(1)}%</td><td>${framework.passedControls.length}</td><td>${framework.partialControls.length}</td><td>${framework.failedControls.length}</td></tr>`
+    ).join('');
+    const riskRows = report.risk_assessment.risk_factors.map(factor =>
+      `<tr><td>${escape(factor.category)}</td><td>${escape(factor.level)}</td><td>${escape(factor.description)}</td></tr>`
+    ).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Compliance Report - ${escape(report.organization?.name)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #cbd2d9; padding: 0.4rem 0.8rem; text-align: left; }
+th { background: #f0f4f8; }
+</style>
+</head>
+<body>
+<h1>Compliance Report</h1>
+<p>${escape(report.organization?.name)} &middot; generated ${escape(report.report_date)}</p>
+<p>Period ${escape(report.period.start)} to ${escape(report.period.end)}</p>
+<h2>Status</h2>
+<p>Overall score <strong>${status.overallScore.toFixed(1)}%</strong>, risk level <strong>${escape(report.risk_assessment.overall_risk_level)}</strong>, last checked ${escape(status.timestamp)}</p>
+<table><tr><th>Framework</th><th>Score</th><th>Passed</th><th>Partial</th><th>Failed</th></tr>${frameworkRows}</table>
+<h2>Critical issues</h2>
+${list(status.criticalIssues.map(item => `${item.framework}: ${item.issue}`))}
+<h2>Risk factors</h2>
+<table><tr><th>Category</th><th>Level</th><th>Description</th></tr>${riskRows}</table>
+<h2>Recommendations</h2>
+${list(report.recommendations)}
+</body>
+</html>
+`;
+  }
+
   /**
    * Generate risk assessment
    */
@@ -688,8 +848,7 @@ class ComplianceService {
    * Calculate overall risk level
    */
   calculateRiskLevel() {
-    const latestCheck = Array.from(this.complianceChecks.values())
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+    const latestCheck = this.getLatestCheck();
 
     if (!latestCheck) return 'unknown';
 
@@ -707,8 +866,7 @@ class ComplianceService {
   generateRecommendations() {
     const recommendations = [];
     
-    const latestCheck = Array.from(this.complianceChecks.values())
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+    const latestCheck = this.getLatestCheck();
 
     if (latestCheck) {
       for (const framework of Object.values(latestCheck.frameworks)) {
@@ -747,41 +905,124 @@ class ComplianceService {
 
   /**
    * Handle compliance incident
+   * incident.timestamp is when it occurred and defaults to now
    */
-  async handleIncident(incident) {
+  async handleIncident(incident, { reportedBy = null } = {}) {
     const incidentId = crypto.randomUUID();
     const timestamp = new Date().toISOString();
+
+    if (incident.timestamp && Number.isNaN(Date.parse(incident.timestamp))) {
+      throw new ApiError('VALIDATION_FAILED', null, {
+        errors: [{ path: 'occurredAt', message: 'must be an ISO 8601 date' }],
+      });
+    }
     
     const incidentRecord = {
       id: incidentId,
       timestamp,
+      occurred_at: incident.timestamp || timestamp,
       type: incident.type,
       severity: incident.severity,
       description: incident.description,
       affected_data: incident.affectedData,
+      involves_phi: Boolean(incident.involvesPHI),
       detection_method: incident.detectionMethod,
       response_actions: [],
       status: 'open',
-      assignee: incident.assignee
+      assignee: incident.assignee || null,
+      reported_by: reportedBy,
+      updated_at: timestamp
     };
 
-    // Log incident
-    logger.securityEvent('Compliance Incident', incidentRecord);
-
     // Determine if breach notification is required
     const notificationRequired = this.assessBreachNotificationRequirement(incident);
     
     if (notificationRequired) {
       incidentRecord.breach_assessment = notificationRequired;
-      incidentRecord.notification_deadline = this.calculateNotificationDeadline(incident);
+      incidentRecord.notification_deadline = this.calculateNotificationDeadline(incident).toISOString();
     }
 
+    // Log incident; the description may itself contain PHI, so it stays
+    // in the encrypted incident store
+    logger.securityEvent('Compliance Incident', {
+      incidentId,
+      type: incidentRecord.type,
+      severity: incidentRecord.severity,
+      involvesPHI: incidentRecord.involves_phi,
+      notificationRequired: Boolean(notificationRequired),
+      reportedBy
+    });
+
     // Store incident record
-    this.auditTrail.push(incidentRecord);
+    this.incidents.push(incidentRecord);
+    this.saveHistory();
 
     return incidentRecord;
   }
 
+  getIncident(incidentId) {
+    const incident = this.incidents.find(entry => entry.id === incidentId);
+    if (!incident) {
+      throw new ApiError('NOT_FOUND', 'Incident not found', { incidentId });
+    }
+    return incident;
+  }
+
+  /**
+   * List incidents, newest first
+   */
+  listIncidents({ status, severity } = {}) {
+    return this.incidents
+      .filter(incident => (!status || incident.status === status) && (!severity || incident.severity === severity))
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Update an incident's status or assignee and record response actions
+   * Every change is appended to response_actions; closed incidents are final
+   */
+  updateIncident(incidentId, { status, assignee, action }, { updatedBy = null } = {}) {
+    const incident = this.getIncident(incidentId);
+
+    if (incident.status === 'closed') {
+      throw new ApiError('CONFLICT', 'Incident is closed', { incidentId });
+    }
+
+    const timestamp = new Date().toISOString();
+    const entry = { timestamp, by: updatedBy };
+
+    if (status && status !== incident.status) {
+      entry.status = { from: incident.status, to: status };
+      incident.status = status;
+    }
+    if (assignee !== undefined && assignee !== incident.assignee) {
+      entry.assignee = { from: incident.assignee, to: assignee };
+      incident.assignee = assignee;
+    }
+    if (action) {
+      entry.action = action;
+    }
+
+    if (!entry.status && !entry.assignee && !entry.action) {
+      throw new ApiError('VALIDATION_FAILED', 'Nothing to update: give a new status, assignee or action');
+    }
+
+    incident.response_actions.push(entry);
+    incident.updated_at = timestamp;
+    this.saveHistory();
+
+    logger.auditLog('Compliance Incident Updated', {
+      incidentId,
+      status: incident.status,
+      statusChanged: Boolean(entry.status),
+      assigneeChanged: Boolean(entry.assignee),
+      actionRecorded: Boolean(action)
+    });
+
+    return incident;
+  }
+
   /**
    * Assess if breach notification is required
    */
@@ -841,8 +1082,7 @@ class ComplianceService {
    * Get compliance status
    */
   getStatus() {
-    const latestCheck = Array.from(this.complianceChecks.values())
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+    const latestCheck = this.getLatestCheck();
 
     return {
       active_frameworks: this.activeFrameworks,
@@ -854,7 +1094,10 @@ class ComplianceService {
       } : null,
       risk_level: this.calculateRiskLevel(),
       total_checks: this.complianceChecks.size,
-      incidents: this.auditTrail.length,
+      incidents: {
+        total: this.incidents.length,
+        open: this.incidents.filter(incident => incident.status !== 'closed' && incident.status !== 'resolved').length
+      },
       features: {
         continuous_monitoring: true,
         automated_checks: true,
@@ -878,13 +1121,24 @@ class ComplianceService {
       }
     }
     
-    // Clean old audit trail entries
-    this.auditTrail = this.auditTrail.filter(entry => 
+    // Clean old incident records
+    this.incidents = this.incidents.filter(entry => 
       new Date(entry.timestamp) >= cutoff
     );
     
     logger.info('Compliance data cleanup completed');
   }
+
+  /**
+   * Stop scheduled checks and flush history
+   */
+  shutdown() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.saveHistory();
+  }
 }
 
+ComplianceService.INCIDENT_STATES = INCIDENT_STATES;
+
 module.exports = ComplianceService;
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * Database Service
+ * SQLite connection shared by services that keep relational data
+ * Wraps the callback API of sqlite3 in promises, applies named schema
+ * migrations once, serializes transactions on the single connection and
+ * takes scheduled online backups
+ *
+ * @module DatabaseService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const logger = require('../utils/logger');
+const config = require('../config/app');
+
+const BACKUP_PREFIX = 'portablellm-';
+
+class DatabaseService {
+  constructor(options = {}) {
+    this.path = options.path || config.database.path;
+    this.backup = options.backup || config.database.backup;
+    this.backupPath = options.backupPath || config.storage.backups;
+
+    this.db = null;
+    this.lock = Promise.resolve(); // tail of the transaction chain
+    this.backupTimer = null;
+    this.lastBackup = null;
+  }
+
+  /**
+   * Open the database and schedule backups
+   */
+  async init() {
+    try {
+      const inMemory = this.path === ':memory:';
+      if (!inMemory) {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true, mode: 0o700 });
+      }
+
+      this.db = await new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(this.path, (error) => (error ? reject(error) : resolve(db)));
+      });
+
+      if (!inMemory) {
+        fs.chmodSync(this.path, 0o600);
+        await this.exec('PRAGMA journal_mode = WAL');
+      }
+      await this.exec('PRAGMA foreign_keys = ON');
+      await this.exec('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+
+      if (this.backup.enabled && !inMemory) {
+        this.backupTimer = setInterval(() => {
+          this.createBackup().catch(error => logger.error('Database backup failed:', error));
+        }, this.backup.interval);
+        this.backupTimer.unref();
+      }
+
+      logger.info('Database initialized', { path: this.path });
+    } catch (error) {
+      logger.error('Failed to initialize database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a statement; resolves to { lastID, changes }
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function onRun(error) {
+        return error ? reject(error) : resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  /**
+   * Get the first row of a query, or undefined
+   */
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+    });
+  }
+
+  /**
+   * Get all rows of a query
+   */
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+  }
+
+  /**
+   * Execute one or more statements without parameters
+   */
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Run fn inside a transaction
+   * There is one connection, so transactions are queued behind each other
+   * rather than nested; fn must not start another transaction
+   */
+  transaction(fn) {
+    const result = this.lock.then(async () => {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const value = await fn();
+        await this.run('COMMIT');
+        return value;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    });
+
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Apply a named migration unless it has been applied already
+   */
+  async migrate(name, sql) {
+    const applied = await this.get('SELECT name FROM schema_migrations WHERE name = ?', [name]);
+    if (applied) {
+      return false;
+    }
+
+    await this.transaction(async () => {
+      await this.exec(sql);
+      await this.run('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)', [name, new Date().toISOString()]);
+    });
+
+    logger.info('Database migration applied', { name });
+    return true;
+  }
+
+  /**
+   * Write a consistent copy of the database to the backups path and
+   * delete backups past the retention period
+   */
+  async createBackup() {
+    fs.mkdirSync(this.backupPath, { recursive: true, mode: 0o700 });
+
+    const file = path.join(this.backupPath, `${BACKUP_PREFIX}${new Date().toISOString().replace(/[:.]/g, '-')}.db`);
+    await this.run('VACUUM INTO ?', [file]);
+    fs.chmodSync(file, 0o600);
+
+    const cutoff = Date.now() - this.backup.retention * 24 * 60 * 60 * 1000;
+    for (const name of fs.readdirSync(this.backupPath)) {
+      const backupFile = path.join(this.backupPath, name);
+      if (name.startsWith(BACKUP_PREFIX) && name.endsWith('.db') && fs.statSync(backupFile).mtimeMs < cutoff) {
+        fs.rmSync(backupFile, { force: true });
+      }
+    }
+
+    this.lastBackup = { file, createdAt: new Date().toISOString() };
+    logger.auditLog('Database Backup', { file });
+
+    return this.lastBackup;
+  }
+
+  /**
+   * Get database file and backup details
+   */
+  getStats() {
+    return {
+      path: this.path,
+      size: this.path !== ':memory:' && fs.existsSync(this.path) ? fs.statSync(this.path).size : null,
+      backup: {
+        enabled: this.backup.enabled,
+        interval: this.backup.interval,
+        retentionDays: this.backup.retention,
+        last: this.lastBackup,
+      },
+    };
+  }
+
+  /**
+   * Stop backups and close the connection once queued transactions finish
+   */
+  async close() {
+    clearInterval(this.backupTimer);
+
+    if (!this.db) {
+      return;
+    }
+
+    await this.lock;
+    await new Promise((resolve, reject) => {
+      this.db.close((error) => (error ? reject(error) : resolve()));
+    });
+    this.db = null;
+  }
+}
+
+module.exports = DatabaseService;
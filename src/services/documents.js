@@ -0,0 +1,221 @@
+/**
+ * Document Service
+ * Stores uploaded documents encrypted at rest together with their
+ * extracted text, so chat and generate requests can reference them by ID
+ *
+ * Each document has a directory under the uploads path holding
+ * document.json (metadata, filename encrypted), original.enc (the upload,
+ * written with encryptBufferToFile) and text.enc (the extracted text).
+ * Emits document:created and document:deleted so derived data such as
+ * the retrieval index can follow changes
+ *
+ * @module DocumentService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const config = require('../config/app');
+const { ApiError } = require('../utils/errors');
+const { detectType, extractText } = require('../utils/documentText');
+
+const ENCRYPTION_CONTEXT = 'documents';
+
+class DocumentService extends EventEmitter {
+  constructor(encryptionService, options = {}) {
+    super();
+    this.encryptionService = encryptionService;
+    this.storePath = options.storePath || config.storage.uploads;
+    this.allowedTypes = options.allowedTypes || config.storage.allowedTypes;
+
+    this.documents = new Map(); // document id -> metadata, oldest first
+
+    this.init();
+  }
+
+  /**
+   * Initialize the document store
+   */
+  init() {
+    try {
+      this.load();
+      logger.info('Document service initialized', { documents: this.documents.size });
+    } catch (error) {
+      logger.error('Failed to initialize document service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load document metadata from disk
+   * Directories without document.json are uploads that never completed
+   */
+  load() {
+    if (!fs.existsSync(this.storePath)) {
+      fs.mkdirSync(this.storePath, { recursive: true, mode: 0o700 });
+      return;
+    }
+
+    const documents = fs.readdirSync(this.storePath)
+      .filter(id => fs.existsSync(this.getPath(id, 'document.json')))
+      .map(id => JSON.parse(fs.readFileSync(this.getPath(id, 'document.json'), 'utf8')))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const document of documents) {
+      this.documents.set(document.id, {
+        ...document,
+        filename: this.encryptionService.decrypt(document.filename, ENCRYPTION_CONTEXT),
+      });
+    }
+  }
+
+  getPath(id, file) {
+    return path.join(this.storePath, id, file);
+  }
+
+  /**
+   * Store an uploaded file
+   * The type is sniffed from the content, not taken from the upload, and
+   * must be one of the allowed types. Files without extractable text are
+   * rejected since they could not be used as context.
+   */
+  async create({ buffer, originalname, mimetype, size }, { owner = null } = {}) {
+    const type = detectType(buffer, { declaredType: mimetype, filename: originalname });
+
+    if (!type || !this.allowedTypes.includes(type)) {
+      throw new ApiError('VALIDATION_FAILED', 'Unsupported file type', {
+        declaredType: mimetype,
+        detectedType: type,
+        allowedTypes: this.allowedTypes,
+      });
+    }
+
+    let extracted;
+    try {
+      extracted = await extractText(buffer, type);
+    } catch (error) {
+      logger.warn('Document text extraction failed', { type, error: error.message });
+      throw new ApiError('VALIDATION_FAILED', 'Could not extract text from the file', { type });
+    }
+
+    if (!extracted.text) {
+      throw new ApiError('VALIDATION_FAILED', 'The file contains no extractable text', { type });
+    }
+
+    const document = {
+      id: crypto.randomUUID(),
+      owner,
+      filename: originalname,
+      type,
+      declaredType: mimetype,
+      size,
+      characters: extracted.text.length,
+      pages: extracted.pages,
+      createdAt: new Date().toISOString(),
+    };
+
+    const dir = path.join(this.storePath, document.id);
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    // document.json is written last so a failed upload is never loaded
+    try {
+      await this.encryptionService.encryptBufferToFile(buffer, this.getPath(document.id, 'original.enc'), ENCRYPTION_CONTEXT);
+
+      const text = this.encryptionService.encrypt(extracted.text, ENCRYPTION_CONTEXT);
+      fs.writeFileSync(this.getPath(document.id, 'text.enc'), JSON.stringify(text), { mode: 0o600 });
+
+      const stored = { ...document, filename: this.encryptionService.encrypt(originalname, ENCRYPTION_CONTEXT) };
+      fs.writeFileSync(this.getPath(document.id, 'document.json'), JSON.stringify(stored, null, 2), { mode: 0o600 });
+    } catch (error) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw error;
+    }
+
+    this.documents.set(document.id, document);
+    this.emit('document:created', document);
+
+    return document;
+  }
+
+  getDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) {
+      throw new ApiError('NOT_FOUND', 'Document not found', { documentId: id });
+    }
+    return document;
+  }
+
+  /**
+   * Get a document's extracted text
+   */
+  getText(id) {
+    const document = this.getDocument(id);
+    const text = JSON.parse(fs.readFileSync(this.getPath(document.id, 'text.enc'), 'utf8'));
+    return this.encryptionService.decrypt(text, ENCRYPTION_CONTEXT);
+  }
+
+  /**
+   * Get the original upload, decrypted in memory
+   */
+  async getContent(id) {
+    const document = this.getDocument(id);
+    const { content } = await this.encryptionService.readEncryptedFile(this.getPath(document.id, 'original.enc'), ENCRYPTION_CONTEXT);
+    return content;
+  }
+
+  /**
+   * Delete a document with its stored file and text
+   */
+  remove(id) {
+    const document = this.getDocument(id);
+
+    fs.rmSync(path.join(this.storePath, document.id), { recursive: true, force: true });
+    this.documents.delete(document.id);
+    this.emit('document:deleted', document);
+
+    return document;
+  }
+
+  /**
+   * List documents, newest first
+   */
+  list({ owner } = {}) {
+    return Array.from(this.documents.values())
+      .filter(document => !owner || document.owner === owner)
+      .reverse()
+      .map(document => this.describe(document));
+  }
+
+  /**
+   * Public view of a document
+   */
+  describe(document) {
+    return {
+      id: document.id,
+      filename: document.filename,
+      type: document.type,
+      size: document.size,
+      characters: document.characters,
+      pages: document.pages,
+      owner: document.owner,
+      createdAt: document.createdAt,
+    };
+  }
+
+  /**
+   * Get document counts and stored bytes
+   */
+  getStats() {
+    const documents = Array.from(this.documents.values());
+
+    return {
+      documents: documents.length,
+      bytes: documents.reduce((sum, document) => sum + document.size, 0),
+      characters: documents.reduce((sum, document) => sum + document.characters, 0),
+    };
+  }
+}
+
+module.exports = DocumentService;
@@ -184,15 +184,26 @@ class EncryptionService {
     }
   }
 
+  /**
+   * Derive a subkey of a context key with HKDF
+   * For data split into many scopes, such as one per record: the context
+   * key is derived, cached and audited once, and each subkey is a cheap
+   * expansion of it that is neither cached nor audited
+   */
+  deriveSubkey(context, subcontext) {
+    return Buffer.from(crypto.hkdfSync('sha256', this.deriveKey(context), Buffer.alloc(0), subcontext, this.keyLength));
+  }
+
   /**
    * Encrypt data
+   * With a subcontext, the key is that subkey of the context key
    */
-  encrypt(data, context = 'default', userKey = null) {
+  encrypt(data, context = 'default', userKey = null, subcontext = null) {
     try {
-      const key = this.deriveKey(context, userKey);
+      const key = subcontext ? this.deriveSubkey(context, subcontext) : this.deriveKey(context, userKey);
       const iv = crypto.randomBytes(this.ivLength);
       
-      const cipher = crypto.createCipher(this.algorithm, key, iv);
+      const cipher = crypto.createCipheriv(this.algorithm, key, iv);
       
       let encrypted = cipher.update(data, 'utf8', 'base64');
       encrypted += cipher.final('base64');
@@ -226,7 +237,7 @@ class EncryptionService {
   /**
    * Decrypt data
    */
-  decrypt(encryptedData, context = 'default', userKey = null) {
+  decrypt(encryptedData, context = 'default', userKey = null, subcontext = null) {
     try {
       const { data, iv, tag, algorithm } = encryptedData;
       
@@ -234,11 +245,11 @@ class EncryptionService {
         throw new Error(`Unsupported encryption algorithm: ${algorithm}`);
       }
 
-      const key = this.deriveKey(context, userKey);
+      const key = subcontext ? this.deriveSubkey(context, subcontext) : this.deriveKey(context, userKey);
       const ivBuffer = Buffer.from(iv, 'base64');
       const tagBuffer = Buffer.from(tag, 'base64');
       
-      const decipher = crypto.createDecipher(algorithm, key, ivBuffer);
+      const decipher = crypto.createDecipheriv(algorithm, key, ivBuffer);
       decipher.setAuthTag(tagBuffer);
       
       let decrypted = decipher.update(data, 'base64', 'utf8');
@@ -267,7 +278,7 @@ class EncryptionService {
       const key = this.deriveKey(context, userKey);
       const iv = crypto.randomBytes(this.ivLength);
       
-      const cipher = crypto.createCipher(this.algorithm, key, iv);
+      const cipher = crypto.createCipheriv(this.algorithm, key, iv);
       
       // Create streams
       const input = fs.createReadStream(inputPath);
@@ -319,10 +330,67 @@ class EncryptionService {
     }
   }
 
+  /**
+   * Encrypt an in-memory buffer into a file
+   * Writes the same format as encryptFile, for content that should never
+   * be written to disk in plaintext
+   */
+  async encryptBufferToFile(buffer, outputPath, context = 'file', userKey = null) {
+    try {
+      const key = this.deriveKey(context, userKey);
+      const iv = crypto.randomBytes(this.ivLength);
+
+      const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+
+      const metadata = {
+        algorithm: this.algorithm,
+        iv: iv.toString('base64'),
+        context,
+        timestamp: new Date().toISOString(),
+        originalSize: buffer.length
+      };
+
+      const metadataBuffer = Buffer.from(JSON.stringify(metadata));
+      const metadataLengthBuffer = Buffer.alloc(4);
+      metadataLengthBuffer.writeUInt32LE(metadataBuffer.length, 0);
+
+      const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+      await fs.promises.writeFile(outputPath, Buffer.concat([
+        metadataLengthBuffer,
+        metadataBuffer,
+        encrypted,
+        cipher.getAuthTag()
+      ]), { mode: 0o600 });
+
+      logger.auditLog('File Encryption', {
+        outputPath: path.basename(outputPath),
+        context,
+        originalSize: metadata.originalSize
+      });
+    } catch (error) {
+      logger.error('File encryption failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Decrypt file
    */
   async decryptFile(inputPath, outputPath, context = 'file', userKey = null) {
+    const { metadata, content } = await this.readEncryptedFile(inputPath, context, userKey);
+
+    // Write decrypted file
+    fs.writeFileSync(outputPath, content);
+
+    return metadata;
+  }
+
+  /**
+   * Decrypt a file written by encryptFile into memory
+   * Returns { metadata, content } without writing plaintext to disk
+   */
+  async readEncryptedFile(inputPath, context = 'file', userKey = null) {
     try {
       // Read metadata header
       const input = fs.readFileSync(inputPath);
@@ -343,7 +411,7 @@ class EncryptionService {
       const tag = input.slice(input.length - this.tagLength);
       
       // Decrypt
-      const decipher = crypto.createDecipher(metadata.algorithm, key, iv);
+      const decipher = crypto.createDecipheriv(metadata.algorithm, key, iv);
       decipher.setAuthTag(tag);
       
       const decrypted = Buffer.concat([
@@ -351,17 +419,13 @@ class EncryptionService {
         decipher.final()
       ]);
       
-      // Write decrypted file
-      fs.writeFileSync(outputPath, decrypted);
-      
       logger.auditLog('File Decryption', {
         inputPath: path.basename(inputPath),
-        outputPath: path.basename(outputPath),
         context,
         decryptedSize: decrypted.length
       });
       
-      return metadata;
+      return { metadata, content: decrypted };
       
     } catch (error) {
       logger.error('File decryption failed:', error);
@@ -0,0 +1,419 @@
+/**
+ * Model Download Service
+ * Runs model pulls as tracked jobs with byte progress and ETA, so clients
+ * can poll or stream a download, cancel it and resume it later. Job
+ * history is kept on disk across restarts.
+ *
+ * @module ModelDownloadService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const config = require('../config/app');
+const { ApiError } = require('../utils/errors');
+
+const ACTIVE_STATES = ['downloading'];
+const RESUMABLE_STATES = ['failed', 'cancelled', 'interrupted'];
+
+// Minimum time between download rate samples
+const RATE_SAMPLE_MS = 500;
+
+/**
+ * Name a model with its tag, as Ollama does: `llama3` is `llama3:latest`
+ * A colon before the last slash belongs to a registry port, not a tag
+ */
+function withTag(model) {
+  const name = model.slice(model.lastIndexOf('/') + 1);
+  return name.includes(':') ? model : `${model}:latest`;
+}
+
+class ModelDownloadService extends EventEmitter {
+  constructor(ollamaService, options = {}) {
+    super();
+    this.ollamaService = ollamaService;
+    this.historyPath = options.historyPath || config.models.downloads.historyFile;
+    this.maxHistory = options.maxHistory || config.models.downloads.maxHistory;
+
+    this.jobs = new Map(); // job id -> job, oldest first
+    this.runs = new Map(); // job id -> { controller, done } of a running pull
+    this.saveTimer = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize download history
+   */
+  init() {
+    try {
+      this.loadHistory();
+      logger.info('Model download service initialized', { jobs: this.jobs.size });
+    } catch (error) {
+      logger.error('Failed to initialize model download service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load job history from disk
+   * Jobs that were running when the server stopped become resumable
+   */
+  loadHistory() {
+    if (!fs.existsSync(this.historyPath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.historyPath, 'utf8'));
+    let interrupted = 0;
+
+    for (const job of data.jobs || []) {
+      if (ACTIVE_STATES.includes(job.status)) {
+        job.status = 'interrupted';
+        job.finishedAt = data.updated;
+        interrupted++;
+      }
+      this.jobs.set(job.id, job);
+    }
+
+    if (interrupted > 0) {
+      this.saveHistory();
+    }
+  }
+
+  /**
+   * Persist job history to disk
+   */
+  saveHistory() {
+    const dir = path.dirname(this.historyPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+
+    const data = {
+      version: '1.0',
+      updated: new Date().toISOString(),
+      jobs: Array.from(this.jobs.values()),
+    };
+
+    fs.writeFileSync(this.historyPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Progress updates are written lazily to avoid a disk write per chunk
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.persist();
+    }, 5000);
+    this.saveTimer.unref();
+  }
+
+  persist() {
+    try {
+      this.saveHistory();
+    } catch (error) {
+      logger.error('Failed to persist model download history:', error);
+    }
+  }
+
+  /**
+   * Start downloading a model
+   * Refuses a second concurrent pull of the same model, with or without
+   * its default tag
+   */
+  start(requestedModel, { requestedBy = null } = {}) {
+    const model = withTag(requestedModel);
+    this.assertNotDownloading(model);
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      model,
+      status: 'downloading',
+      phase: null,
+      requestedBy,
+      attempts: 0,
+      layers: {},
+      completedBytes: 0,
+      totalBytes: 0,
+      bytesPerSecond: null,
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      updatedAt: now,
+      finishedAt: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.pruneHistory();
+    this.launch(job);
+
+    return job;
+  }
+
+  /**
+   * Restart a failed, cancelled or interrupted download
+   * Ollama skips the layers it already has, so only missing bytes are fetched
+   */
+  resume(id) {
+    const job = this.getJob(id);
+
+    if (!RESUMABLE_STATES.includes(job.status)) {
+      throw new ApiError('CONFLICT', `Download is ${job.status} and cannot be resumed`, {
+        jobId: job.id,
+        status: job.status,
+      });
+    }
+    this.assertNotDownloading(job.model);
+
+    job.status = 'downloading';
+    job.error = null;
+    job.finishedAt = null;
+    this.launch(job);
+
+    return job;
+  }
+
+  /**
+   * Stop a running download; the job can be resumed later
+   * Resolves once the job has settled as cancelled
+   */
+  async cancel(id, { cancelledBy = null } = {}) {
+    const job = this.getJob(id);
+    const run = this.runs.get(id);
+
+    if (!run) {
+      throw new ApiError('CONFLICT', `Download is already ${job.status}`, {
+        jobId: job.id,
+        status: job.status,
+      });
+    }
+
+    job.cancelledBy = cancelledBy;
+    run.controller.abort();
+    await run.done;
+
+    return job;
+  }
+
+  /**
+   * Start the pull for a job in the background
+   */
+  launch(job) {
+    const controller = new AbortController();
+    const done = this.run(job, controller.signal);
+    this.runs.set(job.id, { controller, done });
+  }
+
+  /**
+   * Run the pull for a job and record the outcome; never rejects
+   */
+  async run(job, signal) {
+    job.attempts++;
+    job.cancelledBy = null;
+    job.startedAt = new Date().toISOString();
+    job.bytesPerSecond = null;
+    job.sample = null;
+    this.update(job, { persist: true });
+
+    try {
+      await this.ollamaService.pullModel(job.model, {
+        stream: true,
+        signal,
+        onProgress: (progress) => this.recordProgress(job, progress),
+      });
+
+      job.status = 'completed';
+      job.completedBytes = job.totalBytes;
+      logger.auditLog('Model Download Completed', {
+        model: job.model,
+        jobId: job.id,
+        attempts: job.attempts,
+        totalBytes: job.totalBytes,
+      });
+    } catch (error) {
+      if (signal.aborted) {
+        job.status = job.interruptedBy ? 'interrupted' : 'cancelled';
+        logger.auditLog('Model Download Cancelled', {
+          model: job.model,
+          jobId: job.id,
+          cancelledBy: job.cancelledBy || null,
+          reason: job.interruptedBy || 'user_request',
+          completedBytes: job.completedBytes,
+          totalBytes: job.totalBytes,
+        });
+      } else {
+        job.status = 'failed';
+        job.error = error.ollamaError || error.message;
+        logger.error('Model download failed:', { model: job.model, jobId: job.id, error: job.error });
+      }
+    } finally {
+      this.runs.delete(job.id);
+      delete job.sample;
+      delete job.interruptedBy;
+      job.bytesPerSecond = null;
+      job.finishedAt = new Date().toISOString();
+      this.update(job, { persist: true });
+    }
+  }
+
+  /**
+   * Fold a progress line into the job's byte counts and download rate
+   * Ollama reports completed/total per layer digest
+   */
+  recordProgress(job, { status, digest, completed, total }) {
+    job.phase = status;
+
+    if (digest && total > 0) {
+      job.layers[digest] = { completed, total };
+
+      const layers = Object.values(job.layers);
+      job.completedBytes = layers.reduce((sum, layer) => sum + layer.completed, 0);
+      job.totalBytes = layers.reduce((sum, layer) => sum + layer.total, 0);
+
+      // Exponential moving average over sample windows smooths the rate
+      const now = Date.now();
+      if (!job.sample) {
+        job.sample = { time: now, bytes: job.completedBytes };
+      } else if (now - job.sample.time >= RATE_SAMPLE_MS) {
+        const rate = (job.completedBytes - job.sample.bytes) / ((now - job.sample.time) / 1000);
+        job.bytesPerSecond = job.bytesPerSecond === null
+          ? rate
+          : Math.round(job.bytesPerSecond * 0.7 + rate * 0.3);
+        job.sample = { time: now, bytes: job.completedBytes };
+      }
+    }
+
+    this.update(job);
+  }
+
+  /**
+   * Record a change and notify subscribers
+   */
+  update(job, { persist = false } = {}) {
+    job.updatedAt = new Date().toISOString();
+    this.emit('job:updated', this.describe(job));
+
+    if (persist) {
+      this.persist();
+    } else {
+      this.scheduleSave();
+    }
+  }
+
+  assertNotDownloading(model) {
+    const active = Array.from(this.jobs.values())
+      .find(job => withTag(job.model) === withTag(model) && ACTIVE_STATES.includes(job.status));
+
+    if (active) {
+      throw new ApiError('CONFLICT', `Model ${model} is already downloading`, {
+        jobId: active.id,
+        model,
+      });
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the history limit
+   */
+  pruneHistory() {
+    for (const job of this.jobs.values()) {
+      if (this.jobs.size <= this.maxHistory) {
+        break;
+      }
+      if (!ACTIVE_STATES.includes(job.status)) {
+        this.jobs.delete(job.id);
+      }
+    }
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new ApiError('NOT_FOUND', 'Download job not found', { jobId: id });
+    }
+    return job;
+  }
+
+  get(id) {
+    return this.describe(this.getJob(id));
+  }
+
+  /**
+   * List jobs, newest first
+   */
+  list({ model, status } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!model || job.model === model) && (!status || job.status === status))
+      .reverse()
+      .map(job => this.describe(job));
+  }
+
+  /**
+   * Public view of a job with derived percent and ETA
+   */
+  describe(job) {
+    const remaining = job.totalBytes - job.completedBytes;
+    const downloading = ACTIVE_STATES.includes(job.status);
+
+    return {
+      id: job.id,
+      model: job.model,
+      status: job.status,
+      phase: job.phase,
+      completedBytes: job.completedBytes,
+      totalBytes: job.totalBytes,
+      percent: job.status === 'completed' ? 100 : job.totalBytes > 0 ? Math.floor((job.completedBytes / job.totalBytes) * 1000) / 10 : 0,
+      bytesPerSecond: downloading ? job.bytesPerSecond : null,
+      etaSeconds: downloading && job.bytesPerSecond > 0 ? Math.ceil(remaining / job.bytesPerSecond) : null,
+      resumable: RESUMABLE_STATES.includes(job.status),
+      attempts: job.attempts,
+      error: job.error,
+      requestedBy: job.requestedBy,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  /**
+   * Get job counts by status
+   */
+  getStats() {
+    const byStatus = {};
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+
+    return {
+      active: this.runs.size,
+      jobs: this.jobs.size,
+      byStatus,
+    };
+  }
+
+  /**
+   * Stop running downloads, leaving them resumable, and flush history
+   */
+  shutdown() {
+    for (const [id, run] of this.runs) {
+      this.jobs.get(id).interruptedBy = 'shutdown';
+      run.controller.abort();
+    }
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.persist();
+  }
+}
+
+module.exports = ModelDownloadService;
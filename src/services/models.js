@@ -11,6 +11,11 @@ const crypto = require('crypto');
 const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
 const config = require('../config/app');
+const { ApiError } = require('../utils/errors');
+
+// Profile parameters Ollama takes as request options; the rest are raw
+// model options
+const REQUEST_PARAMETERS = ['temperature', 'top_p', 'top_k'];
 
 class ModelService extends EventEmitter {
   constructor(ollamaService) {
@@ -18,12 +23,12 @@ class ModelService extends EventEmitter {
     this.ollamaService = ollamaService;
     
     this.models = new Map();
+    this.embeddingModels = new Map();
     this.modelCache = new Map();
     this.performanceMetrics = new Map();
     this.optimizations = new Map();
     this.modelQueue = [];
-    
-    this.init();
+    this.timers = [];
   }
 
   /**
@@ -46,7 +51,7 @@ class ModelService extends EventEmitter {
    * Load model registry
    */
   async loadModelRegistry() {
-    const registryPath = path.join(config.paths.config, 'models.json');
+    const registryPath = config.models.registryFile;
     
     try {
       if (fs.existsSync(registryPath)) {
@@ -140,6 +145,39 @@ class ModelService extends EventEmitter {
         }
       },
       
+      // Embedding models are tracked apart from chat models: they back
+      // search and similarity, never generate text and are not recommended
+      // for chat use cases
+      embedding_models: {
+        'nomic-embed-text': {
+          name: 'Nomic Embed Text',
+          description: 'Long-context text embeddings for document search',
+          size: '274MB',
+          dimensions: 768,
+          context_length: 8192,
+          use_cases: ['semantic_search', 'document_retrieval'],
+          tags: ['embedding', 'search', 'long-context']
+        },
+        'mxbai-embed-large': {
+          name: 'mxbai Embed Large',
+          description: 'High-accuracy embeddings for retrieval',
+          size: '670MB',
+          dimensions: 1024,
+          context_length: 512,
+          use_cases: ['semantic_search', 'similarity'],
+          tags: ['embedding', 'search', 'accuracy']
+        },
+        'all-minilm': {
+          name: 'all-MiniLM',
+          description: 'Small, fast embeddings for low-resource machines',
+          size: '46MB',
+          dimensions: 384,
+          context_length: 512,
+          use_cases: ['similarity', 'clustering'],
+          tags: ['embedding', 'fast', 'small']
+        }
+      },
+
       healthcare_specializations: {
         'medical-documentation': {
           base_model: 'deepseek-coder:6.7b-instruct',
@@ -206,6 +244,7 @@ class ModelService extends EventEmitter {
       }
     };
 
+    fs.mkdirSync(path.dirname(registryPath), { recursive: true });
     fs.writeFileSync(registryPath, JSON.stringify(defaultRegistry, null, 2));
     this.processModelRegistry(defaultRegistry);
   }
@@ -225,6 +264,19 @@ class ModelService extends EventEmitter {
       });
     }
 
+    // Store embedding model metadata (registries written before embedding
+    // support have none)
+    for (const [modelId, modelData] of Object.entries(registry.embedding_models || {})) {
+      this.embeddingModels.set(modelId, {
+        ...modelData,
+        id: modelId,
+        type: 'embedding',
+        status: 'not_installed',
+        last_used: null,
+        usage_count: 0
+      });
+    }
+
     // Store optimization profiles
     this.optimizations = new Map(Object.entries(registry.optimization_profiles));
     
@@ -240,27 +292,44 @@ class ModelService extends EventEmitter {
       return;
     }
 
-    try {
-      // Get list of currently installed models
-      const installedModels = await this.ollamaService.listModels();
-      const installedModelNames = installedModels.map(m => m.name);
-
-      // Update model status
-      for (const [modelId, model] of this.models) {
-        if (installedModelNames.includes(modelId)) {
-          model.status = 'installed';
-          model.installed_date = new Date().toISOString();
+    // Syncing with Ollama and auto-installing run in the background and are
+    // best effort, so an unreachable Ollama neither holds up nor stops
+    // startup. Errors are logged by message: axios errors do not serialize.
+    this.syncInstalledModels()
+      .then(async () => {
+        logger.info('Healthcare models initialized');
+
+        // Auto-install default healthcare models if configured
+        if (config.models.autoDownload) {
+          await this.autoInstallHealthcareModels().catch(error => {
+            logger.error('Healthcare model auto-install failed', { error: error.message, code: error.code });
+          });
         }
-      }
+      })
+      .catch(error => {
+        logger.warn('Could not sync installed models with Ollama', { error: error.message, code: error.code });
+      });
+  }
 
-      // Auto-install default healthcare models if configured
-      if (config.models.autoDownload) {
-        await this.autoInstallHealthcareModels();
+  /**
+   * Update registry status from the models Ollama has installed
+   * Models removed outside the registry go back to not_installed
+   */
+  async syncInstalledModels() {
+    const installedModels = await this.ollamaService.listModels();
+    const installedModelNames = installedModels.map(m => m.name);
+    const now = new Date().toISOString();
+
+    for (const model of [...this.models.values(), ...this.embeddingModels.values()]) {
+      const installed = installedModelNames.includes(model.id) || installedModelNames.includes(`${model.id}:latest`);
+
+      if (installed && model.status !== 'installed') {
+        model.status = 'installed';
+        model.installed_date = now;
+      } else if (!installed && model.status === 'installed') {
+        model.status = 'not_installed';
+        model.installed_date = null;
       }
-
-      logger.info('Healthcare models initialized');
-    } catch (error) {
-      logger.error('Failed to initialize healthcare models:', error);
     }
   }
 
@@ -501,16 +570,46 @@ class ModelService extends EventEmitter {
   optimizeForUseCase(modelId, useCase, profile = 'balanced') {
     const model = this.models.get(modelId);
     if (!model) {
-      throw new Error(`Model ${modelId} not found`);
+      throw new ApiError('MODEL_NOT_FOUND', `Model ${modelId} is not in the registry`, { model: modelId });
     }
 
+    const optimizedParams = this.getOptimizedParameters(profile, useCase);
+
+    // Store optimization
+    const optimizationKey = `${modelId}:${useCase}`;
+    this.modelCache.set(optimizationKey, {
+      modelId,
+      useCase,
+      profile,
+      parameters: optimizedParams,
+      created: new Date().toISOString()
+    });
+
+    logger.auditLog('Model Optimization', {
+      modelId,
+      useCase,
+      profile,
+      parameters: Object.keys(optimizedParams)
+    });
+
+    return optimizedParams;
+  }
+
+  /**
+   * Parameters of an optimization profile, tuned for a use case
+   * Profiles are not tied to a model, so they apply to any installed model
+   */
+  getOptimizedParameters(profile = 'balanced', useCase = null) {
     const optimizationProfile = this.optimizations.get(profile);
     if (!optimizationProfile) {
-      throw new Error(`Optimization profile ${profile} not found`);
+      throw new ApiError('VALIDATION_FAILED', `Optimization profile ${profile} not found`, {
+        profile,
+        available: Array.from(this.optimizations.keys()),
+      });
     }
 
     // Create use case specific optimizations
-    let optimizedParams = { ...optimizationProfile.parameters };
+    const optimizedParams = { ...optimizationProfile.parameters };
 
     switch (useCase) {
       case 'medical_documentation':
@@ -531,6 +630,18 @@ class ModelService extends EventEmitter {
         optimizedParams.num_ctx = 4096; // Larger context for analysis
         break;
 
+      case 'treatment_planning':
+        optimizedParams.temperature = 0.3; // Consistent plans and figures
+        optimizedParams.repeat_penalty = 1.1; // Avoid repeated steps
+        optimizedParams.num_ctx = 4096; // Room for conditions and coverage
+        break;
+
+      case 'practice_analytics':
+        optimizedParams.temperature = 0.4; // Grounded in the feedback given
+        optimizedParams.top_k = 30; // Focused themes
+        optimizedParams.num_ctx = 8192; // Many feedback entries at once
+        break;
+
       case 'code_analysis':
         optimizedParams.temperature = 0.2; // Very deterministic
         optimizedParams.top_p = 0.8; // Focused on likely tokens
@@ -538,24 +649,38 @@ class ModelService extends EventEmitter {
         break;
     }
 
-    // Store optimization
-    const optimizationKey = `${modelId}:${useCase}`;
-    this.modelCache.set(optimizationKey, {
-      modelId,
-      useCase,
-      profile,
-      parameters: optimizedParams,
-      created: new Date().toISOString()
-    });
+    return optimizedParams;
+  }
 
-    logger.auditLog('Model Optimization', {
-      modelId,
-      useCase,
-      profile,
-      parameters: Object.keys(optimizedParams)
-    });
+  /**
+   * Apply a profile to chat or generate options
+   * Options set explicitly on the request win over the profile
+   */
+  applyProfile(profile, options = {}) {
+    return this.applyParameters(this.getOptimizedParameters(profile), options);
+  }
 
-    return optimizedParams;
+  /**
+   * Split optimized parameters into request parameters and Ollama model
+   * options, underneath the options set on the request
+   */
+  applyParameters(parameters, options = {}) {
+    const requestParameters = {};
+    const modelOptions = {};
+
+    for (const [name, value] of Object.entries(parameters)) {
+      if (REQUEST_PARAMETERS.includes(name)) {
+        requestParameters[name] = value;
+      } else {
+        modelOptions[name] = value;
+      }
+    }
+
+    return {
+      ...requestParameters,
+      ...options,
+      modelOptions: { ...modelOptions, ...options.modelOptions },
+    };
   }
 
   /**
@@ -571,10 +696,46 @@ class ModelService extends EventEmitter {
       errorCount: 0,
       lastUsed: null,
       dailyUsage: new Map(), // Date -> usage count
-      useCaseBreakdown: new Map() // Use case -> usage count
+      useCaseBreakdown: new Map(), // Use case -> usage count
+      structuredOutput: { requests: 0, valid: 0, repaired: 0, failed: 0, repairAttempts: 0 }
     });
   }
 
+  /**
+   * Record the validation outcome of a response_format request
+   * `repairs` is the number of re-prompts it took
+   */
+  recordStructuredOutput(modelId, { valid, repairs = 0 }) {
+    if (!this.performanceMetrics.has(modelId)) {
+      this.initializeModelMetrics(modelId);
+    }
+
+    const structured = this.performanceMetrics.get(modelId).structuredOutput;
+    structured.requests++;
+    structured.repairAttempts += repairs;
+    if (!valid) {
+      structured.failed++;
+    } else if (repairs > 0) {
+      structured.repaired++;
+    } else {
+      structured.valid++;
+    }
+  }
+
+  /**
+   * Structured output counts of a model in report form
+   */
+  getStructuredOutputReport(structured) {
+    return {
+      requests: structured.requests,
+      valid_first_attempt: structured.valid,
+      repaired: structured.repaired,
+      failed: structured.failed,
+      repair_attempts: structured.repairAttempts,
+      success_rate: structured.requests > 0 ? ((structured.valid + structured.repaired) / structured.requests) * 100 : null
+    };
+  }
+
   /**
    * Update model performance metrics
    */
@@ -618,7 +779,7 @@ class ModelService extends EventEmitter {
     modelMetrics.useCaseBreakdown.set(useCase, useCaseCount + 1);
 
     // Update model usage count
-    const model = this.models.get(modelId);
+    const model = this.models.get(modelId) || this.getEmbeddingModel(modelId);
     if (model) {
       model.usage_count++;
       model.last_used = modelMetrics.lastUsed;
@@ -644,11 +805,16 @@ class ModelService extends EventEmitter {
    * Get performance report for single model
    */
   getSingleModelReport(modelId, cutoffDate) {
-    const model = this.models.get(modelId);
-    const metrics = this.performanceMetrics.get(modelId);
+    const model = this.models.get(modelId) || this.getEmbeddingModel(modelId);
+    let metrics = this.performanceMetrics.get(modelId);
 
-    if (!model || !metrics) {
-      throw new Error(`Model ${modelId} not found or no metrics available`);
+    // Installed models outside the registry are reported once used;
+    // registered models are reported even before their first request
+    if (!metrics) {
+      if (!model) {
+        throw new ApiError('MODEL_NOT_FOUND', `No performance data for model ${modelId}`, { model: modelId });
+      }
+      metrics = { totalRequests: 0, totalTokens: 0, averageTokensPerSecond: 0, averageLatency: 0, errorCount: 0, lastUsed: null, dailyUsage: new Map(), useCaseBreakdown: new Map(), structuredOutput: { requests: 0, valid: 0, repaired: 0, failed: 0, repairAttempts: 0 } };
     }
 
     // Filter daily usage by period
@@ -662,9 +828,10 @@ class ModelService extends EventEmitter {
     return {
       model: {
         id: modelId,
-        name: model.name,
-        version: model.version,
-        status: model.status
+        name: model ? model.name : modelId,
+        version: model ? model.version : null,
+        status: model ? model.status : 'installed',
+        registered: Boolean(model)
       },
       performance: {
         total_requests: metrics.totalRequests,
@@ -674,6 +841,7 @@ class ModelService extends EventEmitter {
         error_rate: metrics.totalRequests > 0 ? (metrics.errorCount / metrics.totalRequests) * 100 : 0,
         last_used: metrics.lastUsed
       },
+      structured_output: this.getStructuredOutputReport(metrics.structuredOutput),
       usage: {
         daily_usage: Object.fromEntries(recentUsage),
         use_case_breakdown: Object.fromEntries(metrics.useCaseBreakdown),
@@ -689,21 +857,16 @@ class ModelService extends EventEmitter {
   getAllModelsReport(cutoffDate) {
     const reports = new Map();
     
-    for (const [modelId] of this.models) {
-      try {
-        reports.set(modelId, this.getSingleModelReport(modelId, cutoffDate));
-      } catch (error) {
-        // Skip models without metrics
-        continue;
-      }
+    for (const modelId of this.performanceMetrics.keys()) {
+      reports.set(modelId, this.getSingleModelReport(modelId, cutoffDate));
     }
 
     // Calculate aggregate statistics
     const totalRequests = Array.from(reports.values())
       .reduce((sum, report) => sum + report.performance.total_requests, 0);
     
-    const averageTokensPerSecond = Array.from(reports.values())
-      .reduce((sum, report) => sum + report.performance.average_tokens_per_second, 0) / reports.size;
+    const averageTokensPerSecond = reports.size > 0 ? Array.from(reports.values())
+      .reduce((sum, report) => sum + report.performance.average_tokens_per_second, 0) / reports.size : 0;
 
     return {
       summary: {
@@ -724,6 +887,7 @@ class ModelService extends EventEmitter {
     const model = this.models.get(modelId);
     const metrics = this.performanceMetrics.get(modelId);
 
+    // Memory use is only known for registered chat models
     if (!model || !metrics || metrics.totalRequests === 0) {
       return null;
     }
@@ -755,14 +919,16 @@ class ModelService extends EventEmitter {
    */
   async startPerformanceMonitoring() {
     // Monitor performance every 5 minutes
-    setInterval(() => {
+    this.timers.push(setInterval(() => {
       this.collectPerformanceData();
-    }, 5 * 60 * 1000);
+    }, 5 * 60 * 1000));
 
     // Clean up old metrics daily
-    setInterval(() => {
+    this.timers.push(setInterval(() => {
       this.cleanupOldMetrics();
-    }, 24 * 60 * 60 * 1000);
+    }, 24 * 60 * 60 * 1000));
+
+    this.timers.forEach(timer => timer.unref());
 
     logger.info('Model performance monitoring started');
   }
@@ -837,6 +1003,50 @@ class ModelService extends EventEmitter {
     return match ? parseFloat(match[1]) * 1024 : 0; // Convert to MB
   }
 
+  /**
+   * Find an embedding model by registry ID or installed name
+   * Ollama lists untagged models as <name>:latest
+   */
+  getEmbeddingModel(name) {
+    return this.embeddingModels.get(name) || this.embeddingModels.get(name.replace(/:latest$/, '')) || null;
+  }
+
+  isEmbeddingModel(name) {
+    return this.getEmbeddingModel(name) !== null;
+  }
+
+  /**
+   * List registered embedding models
+   */
+  getEmbeddingModels() {
+    return Array.from(this.embeddingModels.values());
+  }
+
+  /**
+   * Use cases covered by registered chat models
+   */
+  getUseCases() {
+    const useCases = new Set();
+    for (const model of this.models.values()) {
+      model.use_cases.forEach(useCase => useCases.add(useCase));
+    }
+    return Array.from(useCases).sort();
+  }
+
+  /**
+   * Registry contents: chat and embedding models, optimization profiles
+   * and healthcare specializations
+   */
+  getRegistry() {
+    return {
+      models: Array.from(this.models.values()),
+      embedding_models: this.getEmbeddingModels(),
+      use_cases: this.getUseCases(),
+      optimization_profiles: Object.fromEntries(this.optimizations),
+      healthcare_specializations: this.healthcareSpecializations || {},
+    };
+  }
+
   /**
    * Get model service status
    */
@@ -848,6 +1058,8 @@ class ModelService extends EventEmitter {
       total_models: this.models.size,
       installed_models: installedModels.length,
       healthcare_models: healthcareModels.length,
+      embedding_models: this.embeddingModels.size,
+      installed_embedding_models: this.getEmbeddingModels().filter(m => m.status === 'installed').length,
       optimization_profiles: this.optimizations.size,
       cached_optimizations: this.modelCache.size,
       performance_metrics: this.performanceMetrics.size,
@@ -865,9 +1077,9 @@ class ModelService extends EventEmitter {
    * Get detailed model information
    */
   getModelInfo(modelId) {
-    const model = this.models.get(modelId);
+    const model = this.models.get(modelId) || this.getEmbeddingModel(modelId);
     if (!model) {
-      throw new Error(`Model ${modelId} not found`);
+      throw new ApiError('MODEL_NOT_FOUND', `Model ${modelId} is not in the registry`, { model: modelId });
     }
 
     const metrics = this.performanceMetrics.get(modelId);
@@ -881,11 +1093,20 @@ class ModelService extends EventEmitter {
         average_tokens_per_second: Math.round(metrics.averageTokensPerSecond),
         average_latency: Math.round(metrics.averageLatency),
         error_rate: metrics.totalRequests > 0 ? (metrics.errorCount / metrics.totalRequests) * 100 : 0,
-        last_used: metrics.lastUsed
+        last_used: metrics.lastUsed,
+        structured_output: this.getStructuredOutputReport(metrics.structuredOutput)
       } : null,
       efficiency
     };
   }
+
+  /**
+   * Stop monitoring timers
+   */
+  shutdown() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
 }
 
 module.exports = ModelService;
\ No newline at end of file
@@ -31,9 +31,13 @@ class MonitoringService extends EventEmitter {
       system: [],
       api: [],
       ollama: [],
-      models: []
+      models: [],
+      services: []
     };
 
+    // Application services that report their own metrics (queue, cache, requests)
+    this.sources = new Map();
+
     this.health = {
       system: 'unknown',
       api: 'unknown',
@@ -46,6 +50,31 @@ class MonitoringService extends EventEmitter {
     this.intervals = {};
   }
 
+  /**
+   * Register an application service whose stats are sampled with each
+   * metrics collection and included in live snapshots
+   */
+  registerSource(name, collect) {
+    this.sources.set(name, collect);
+  }
+
+  /**
+   * Read the current stats of every registered source
+   */
+  getSourceMetrics() {
+    const metrics = {};
+
+    for (const [name, collect] of this.sources) {
+      try {
+        metrics[name] = collect();
+      } catch (error) {
+        metrics[name] = { error: error.message };
+      }
+    }
+
+    return metrics;
+  }
+
   /**
    * Start monitoring services
    */
@@ -126,11 +155,21 @@ class MonitoringService extends EventEmitter {
         });
       }
 
+      // Application service metrics
+      const serviceMetrics = this.getSourceMetrics();
+      if (this.sources.size > 0) {
+        this.metrics.services.push({
+          timestamp,
+          ...serviceMetrics
+        });
+      }
+
       this.emit('metrics:collected', {
         timestamp,
         system: systemMetrics,
         api: apiMetrics,
-        ollama: ollamaMetrics
+        ollama: ollamaMetrics,
+        services: serviceMetrics
       });
 
       // Check for alerts
@@ -540,6 +579,7 @@ class MonitoringService extends EventEmitter {
       system: filterMetrics(this.metrics.system),
       api: filterMetrics(this.metrics.api),
       ollama: filterMetrics(this.metrics.ollama),
+      services: filterMetrics(this.metrics.services),
       health: this.health,
       timeRange,
       generated: new Date().toISOString()
@@ -572,6 +612,7 @@ class MonitoringService extends EventEmitter {
       memory: calculateStats(summary.system.map(m => m.memory.usage)),
       apiResponseTime: calculateStats(summary.api.map(m => m.responseTime).filter(t => t)),
       ollamaResponseTime: calculateStats(summary.ollama.map(m => m.versionResponseTime).filter(t => t)),
+      queueDepth: calculateStats(summary.services.filter(m => m.queue).map(m => m.queue.queued)),
       timeRange,
       generated: new Date().toISOString()
     };
@@ -589,17 +630,20 @@ class MonitoringService extends EventEmitter {
     const originalCounts = {
       system: this.metrics.system.length,
       api: this.metrics.api.length,
-      ollama: this.metrics.ollama.length
+      ollama: this.metrics.ollama.length,
+      services: this.metrics.services.length
     };
 
     this.metrics.system = cleanMetricsArray(this.metrics.system);
     this.metrics.api = cleanMetricsArray(this.metrics.api);
     this.metrics.ollama = cleanMetricsArray(this.metrics.ollama);
+    this.metrics.services = cleanMetricsArray(this.metrics.services);
 
     const removedCounts = {
       system: originalCounts.system - this.metrics.system.length,
       api: originalCounts.api - this.metrics.api.length,
-      ollama: originalCounts.ollama - this.metrics.ollama.length
+      ollama: originalCounts.ollama - this.metrics.ollama.length,
+      services: originalCounts.services - this.metrics.services.length
     };
 
     this.emit('monitoring:cleanup', { removed: removedCounts, cutoffTime });
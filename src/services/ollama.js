@@ -10,6 +10,62 @@ const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
 const config = require('../config/app');
 
+/**
+ * Split a streamed NDJSON body into complete lines, buffering partial
+ * lines that straddle chunk boundaries
+ */
+function createLineParser(onLine) {
+  let buffer = '';
+
+  return {
+    push(chunk) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          onLine(line);
+        }
+      }
+    },
+
+    flush() {
+      if (buffer.trim()) {
+        onLine(buffer);
+      }
+      buffer = '';
+    },
+  };
+}
+
+/**
+ * Attach Ollama's error message to a failed request as `ollamaError`
+ * Streaming requests receive the error body as a stream that must be read
+ */
+async function attachErrorBody(error) {
+  const data = error.response?.data;
+  if (!data) {
+    return error;
+  }
+
+  if (typeof data.on === 'function') {
+    try {
+      const chunks = [];
+      for await (const chunk of data) {
+        chunks.push(chunk);
+      }
+      error.ollamaError = JSON.parse(Buffer.concat(chunks).toString()).error;
+    } catch (readError) {
+      logger.debug('Failed to read Ollama error body:', readError.message);
+    }
+  } else if (typeof data.error === 'string') {
+    error.ollamaError = data.error;
+  }
+
+  return error;
+}
+
 class OllamaService extends EventEmitter {
   constructor(baseUrl = 'http://localhost:11434') {
     super();
@@ -101,6 +157,9 @@ class OllamaService extends EventEmitter {
 
   /**
    * Download and install a model
+   * Pass options.onProgress to receive each progress line and
+   * options.signal (AbortSignal) to stop the download; Ollama keeps the
+   * blobs already fetched, so pulling the same model again resumes
    */
   async pullModel(modelName, options = {}) {
     try {
@@ -112,48 +171,69 @@ class OllamaService extends EventEmitter {
       }, {
         responseType: options.stream !== false ? 'stream' : 'json',
         timeout: 0, // No timeout for downloads
+        signal: options.signal,
       });
 
       if (options.stream !== false) {
         return new Promise((resolve, reject) => {
-          let downloadProgress = 0;
-          
-          response.data.on('data', (chunk) => {
+          let result = null;
+          let streamError = null;
+
+          const parser = createLineParser((line) => {
             try {
-              const lines = chunk.toString().split('\n').filter(line => line.trim());
-              
-              for (const line of lines) {
-                const data = JSON.parse(line);
-                
-                if (data.status) {
-                  logger.debug(`Download progress: ${data.status}`);
-                  this.emit('download:progress', {
-                    model: modelName,
-                    status: data.status,
-                    completed: data.completed || 0,
-                    total: data.total || 0,
-                  });
-                }
-                
-                if (data.status === 'success') {
-                  logger.info(`Model ${modelName} downloaded successfully`);
-                  this.modelCache.set(modelName, { name: modelName, size: data.total });
-                  resolve(data);
-                  return;
+              const data = JSON.parse(line);
+
+              if (data.error) {
+                streamError = new Error(data.error);
+                streamError.ollamaError = data.error;
+                return;
+              }
+
+              if (data.status) {
+                logger.debug(`Download progress: ${data.status}`);
+                const progress = {
+                  model: modelName,
+                  status: data.status,
+                  digest: data.digest,
+                  completed: data.completed || 0,
+                  total: data.total || 0,
+                };
+                this.emit('download:progress', progress);
+                if (options.onProgress) {
+                  options.onProgress(progress);
                 }
               }
+
+              if (data.status === 'success') {
+                result = data;
+              }
             } catch (parseError) {
               logger.debug('Failed to parse download progress:', parseError.message);
             }
           });
 
+          response.data.on('data', parser.push);
+
           response.data.on('end', () => {
-            logger.info(`Model download completed: ${modelName}`);
-            resolve({ model: modelName, status: 'success' });
+            parser.flush();
+            if (streamError) {
+              logger.error(`Download error for ${modelName}:`, streamError.message);
+              return reject(streamError);
+            }
+            if (!result) {
+              return reject(new Error('Download stream ended before the model was complete'));
+            }
+
+            logger.info(`Model ${modelName} downloaded successfully`);
+            this.modelCache.set(modelName, { name: modelName, size: result.total });
+            resolve(result);
           });
 
+          // Aborting options.signal destroys the stream with ERR_CANCELED
           response.data.on('error', (error) => {
-            logger.error(`Download error for ${modelName}:`, error.message);
+            if (!options.signal?.aborted) {
+              logger.error(`Download error for ${modelName}:`, error.message);
+            }
             reject(error);
           });
         });
@@ -162,7 +242,11 @@ class OllamaService extends EventEmitter {
         return response.data;
       }
     } catch (error) {
-      logger.error(`Failed to download model ${modelName}:`, error.message);
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      await attachErrorBody(error);
+      logger.error(`Failed to download model ${modelName}:`, error.ollamaError || error.message);
       throw error;
     }
   }
@@ -185,13 +269,17 @@ class OllamaService extends EventEmitter {
       logger.info(`Model ${modelName} deleted successfully`);
       return true;
     } catch (error) {
-      logger.error(`Failed to delete model ${modelName}:`, error.message);
+      await attachErrorBody(error);
+      logger.error(`Failed to delete model ${modelName}:`, error.ollamaError || error.message);
       throw error;
     }
   }
 
   /**
    * Generate a response from a model
+   * Pass options.onToken to receive each streamed token as it arrives,
+   * options.signal (AbortSignal) to cancel the request mid-stream and
+   * options.format to constrain the output to JSON
    */
   async generate(modelName, prompt, options = {}) {
     try {
@@ -200,10 +288,10 @@ class OllamaService extends EventEmitter {
         prompt: prompt,
         stream: options.stream !== false,
         options: {
-          temperature: options.temperature || 0.7,
-          top_p: options.top_p || 0.9,
-          top_k: options.top_k || 40,
-          num_predict: options.max_tokens || -1,
+          temperature: options.temperature ?? 0.7,
+          top_p: options.top_p ?? 0.9,
+          top_k: options.top_k ?? 40,
+          num_predict: options.max_tokens ?? -1,
           ...options.modelOptions
         }
       };
@@ -212,45 +300,72 @@ class OllamaService extends EventEmitter {
         requestData.system = options.system;
       }
 
+      // 'json' or a JSON schema the response must follow
+      if (options.format) {
+        requestData.format = options.format;
+      }
+
       const response = await this.client.post('/api/generate', requestData, {
         responseType: options.stream !== false ? 'stream' : 'json',
         timeout: options.timeout || 120000,
+        signal: options.signal,
       });
 
       if (options.stream !== false) {
         return new Promise((resolve, reject) => {
           let fullResponse = '';
           let responseData = null;
+          let streamError = null;
           
-          response.data.on('data', (chunk) => {
+          const parser = createLineParser((line) => {
             try {
-              const lines = chunk.toString().split('\n').filter(line => line.trim());
+              const data = JSON.parse(line);
+
+              if (data.error) {
+                streamError = new Error(data.error);
+                streamError.ollamaError = data.error;
+                response.data.destroy();
+                return;
+              }
               
-              for (const line of lines) {
-                const data = JSON.parse(line);
-                
-                if (data.response) {
-                  fullResponse += data.response;
-                  this.emit('generate:token', {
-                    model: modelName,
-                    token: data.response,
-                    done: data.done || false,
-                  });
-                }
-                
-                if (data.done) {
-                  responseData = {
-                    ...data,
-                    response: fullResponse,
-                  };
+              if (data.response) {
+                fullResponse += data.response;
+                const tokenEvent = {
+                  model: modelName,
+                  token: data.response,
+                  done: data.done || false,
+                };
+                this.emit('generate:token', tokenEvent);
+                if (options.onToken) {
+                  options.onToken(tokenEvent);
                 }
               }
+              
+              if (data.done) {
+                responseData = {
+                  ...data,
+                  response: fullResponse,
+                };
+              }
             } catch (parseError) {
               logger.debug('Failed to parse generation response:', parseError.message);
             }
           });
 
+          response.data.on('data', parser.push);
+
+          response.data.on('close', () => {
+            if (streamError) {
+              logger.error(`Generation error for ${modelName}:`, streamError.message);
+              reject(streamError);
+            }
+          });
+
           response.data.on('end', () => {
+            parser.flush();
+            if (streamError) {
+              return;
+            }
             if (responseData) {
               resolve(responseData);
             } else {
@@ -258,8 +373,11 @@ class OllamaService extends EventEmitter {
             }
           });
 
+          // Aborting options.signal destroys the stream with ERR_CANCELED
           response.data.on('error', (error) => {
-            logger.error(`Generation error for ${modelName}:`, error.message);
+            if (!options.signal?.aborted) {
+              logger.error(`Generation error for ${modelName}:`, error.message);
+            }
             reject(error);
           });
         });
@@ -267,13 +385,21 @@ class OllamaService extends EventEmitter {
         return response.data;
       }
     } catch (error) {
-      logger.error(`Failed to generate response with ${modelName}:`, error.message);
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      await attachErrorBody(error);
+      logger.error(`Failed to generate response with ${modelName}:`, error.ollamaError || error.message);
       throw error;
     }
   }
 
   /**
    * Chat with a model (conversation format)
+   * Pass options.onToken to receive each streamed token as it arrives,
+   * options.signal (AbortSignal) to cancel the request mid-stream,
+   * options.format to constrain the output to JSON and options.tools to
+   * offer function definitions
    */
   async chat(modelName, messages, options = {}) {
     try {
@@ -282,53 +408,85 @@ class OllamaService extends EventEmitter {
         messages: messages,
         stream: options.stream !== false,
         options: {
-          temperature: options.temperature || 0.7,
-          top_p: options.top_p || 0.9,
-          top_k: options.top_k || 40,
-          num_predict: options.max_tokens || -1,
+          temperature: options.temperature ?? 0.7,
+          top_p: options.top_p ?? 0.9,
+          top_k: options.top_k ?? 40,
+          num_predict: options.max_tokens ?? -1,
           ...options.modelOptions
         }
       };
 
+      // 'json' or a JSON schema the response must follow
+      if (options.format) {
+        requestData.format = options.format;
+      }
+
+      // Functions the model may call instead of answering
+      if (options.tools) {
+        requestData.tools = options.tools;
+      }
+
       const response = await this.client.post('/api/chat', requestData, {
         responseType: options.stream !== false ? 'stream' : 'json',
         timeout: options.timeout || 120000,
+        signal: options.signal,
       });
 
       if (options.stream !== false) {
         return new Promise((resolve, reject) => {
           let fullMessage = { role: 'assistant', content: '' };
           let responseData = null;
+          let streamError = null;
           
-          response.data.on('data', (chunk) => {
+          const parser = createLineParser((line) => {
             try {
-              const lines = chunk.toString().split('\n').filter(line => line.trim());
+              const data = JSON.parse(line);
+
+              if (data.error) {
+                streamError = new Error(data.error);
+                streamError.ollamaError = data.error;
+                response.data.destroy();
+                return;
+              }
               
-              for (const line of lines) {
-                const data = JSON.parse(line);
-                
-                if (data.message && data.message.content) {
-                  fullMessage.content += data.message.content;
-                  this.emit('chat:token', {
-                    model: modelName,
-                    token: data.message.content,
-                    done: data.done || false,
-                  });
-                }
-                
-                if (data.done) {
-                  responseData = {
-                    ...data,
-                    message: fullMessage,
-                  };
+              if (data.message && data.message.content) {
+                fullMessage.content += data.message.content;
+                const tokenEvent = {
+                  model: modelName,
+                  token: data.message.content,
+                  done: data.done || false,
+                };
+                this.emit('chat:token', tokenEvent);
+                if (options.onToken) {
+                  options.onToken(tokenEvent);
                 }
               }
+              
+              if (data.done) {
+                responseData = {
+                  ...data,
+                  message: fullMessage,
+                };
+              }
             } catch (parseError) {
               logger.debug('Failed to parse chat response:', parseError.message);
             }
           });
 
+          response.data.on('data', parser.push);
+
+          response.data.on('close', () => {
+            if (streamError) {
+              logger.error(`Chat error for ${modelName}:`, streamError.message);
+              reject(streamError);
+            }
+          });
+
           response.data.on('end', () => {
+            parser.flush();
+            if (streamError) {
+              return;
+            }
             if (responseData) {
               resolve(responseData);
             } else {
@@ -336,8 +494,11 @@ class OllamaService extends EventEmitter {
             }
           });
 
+          // Aborting options.signal destroys the stream with ERR_CANCELED
           response.data.on('error', (error) => {
-            logger.error(`Chat error for ${modelName}:`, error.message);
+            if (!options.signal?.aborted) {
+              logger.error(`Chat error for ${modelName}:`, error.message);
+            }
             reject(error);
           });
         });
@@ -345,7 +506,60 @@ class OllamaService extends EventEmitter {
         return response.data;
       }
     } catch (error) {
-      logger.error(`Failed to chat with ${modelName}:`, error.message);
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      await attachErrorBody(error);
+      logger.error(`Failed to chat with ${modelName}:`, error.ollamaError || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate embeddings for a string or array of strings
+   * Large arrays are sent in batches of options.batchSize (default
+   * config.ollama.embedBatchSize) and merged into one response
+   * Pass options.signal (AbortSignal) to cancel the request
+   */
+  async embed(modelName, input, options = {}) {
+    const inputs = Array.isArray(input) ? input : [input];
+    const batchSize = options.batchSize || config.ollama.embedBatchSize;
+
+    try {
+      const result = {
+        model: modelName,
+        embeddings: [],
+        total_duration: 0,
+        load_duration: 0,
+        prompt_eval_count: 0,
+      };
+
+      for (let offset = 0; offset < inputs.length; offset += batchSize) {
+        const response = await this.client.post('/api/embed', {
+          model: modelName,
+          input: inputs.slice(offset, offset + batchSize),
+          truncate: options.truncate !== false,
+          options: options.modelOptions,
+        }, {
+          timeout: options.timeout || 120000,
+          signal: options.signal,
+        });
+
+        const batch = response.data;
+        result.model = batch.model || result.model;
+        result.embeddings.push(...(batch.embeddings || []));
+        result.total_duration += batch.total_duration || 0;
+        result.load_duration += batch.load_duration || 0;
+        result.prompt_eval_count += batch.prompt_eval_count || 0;
+      }
+
+      return result;
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      await attachErrorBody(error);
+      logger.error(`Failed to embed input with ${modelName}:`, error.ollamaError || error.message);
       throw error;
     }
   }
@@ -382,7 +596,8 @@ class OllamaService extends EventEmitter {
       });
       return response.data;
     } catch (error) {
-      logger.error(`Failed to get model info for ${modelName}:`, error.message);
+      await attachErrorBody(error);
+      logger.error(`Failed to get model info for ${modelName}:`, error.ollamaError || error.message);
       throw error;
     }
   }
@@ -5,16 +5,25 @@
  * @module PrivacyService
  */
 
+const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const config = require('../config/app');
+const { ApiError } = require('../utils/errors');
+
+// Re-identification maps hold PHI, so they are only kept for a day
+const MAP_TTL_MS = 24 * 60 * 60 * 1000;
+const MAP_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const CONSENT_CONTEXT = 'consents';
 
 class PrivacyService {
-  constructor() {
+  constructor(encryptionService, options = {}) {
     this.phiPatterns = this.initializePHIPatterns();
     this.deidentificationMap = new Map();
     this.privacyPolicies = new Map();
-    this.consentManager = new ConsentManager();
+    this.consentManager = new ConsentManager(encryptionService, { storePath: options.consentStorePath });
     
     this.init();
   }
@@ -25,6 +34,10 @@ class PrivacyService {
   init() {
     try {
       this.loadPrivacyPolicies();
+
+      this.cleanupTimer = setInterval(() => this.cleanupExpiredMaps(), MAP_CLEANUP_INTERVAL_MS);
+      this.cleanupTimer.unref();
+
       logger.info('Privacy service initialized');
     } catch (error) {
       logger.error('Failed to initialize privacy service:', error);
@@ -144,15 +157,14 @@ class PrivacyService {
 
   /**
    * Detect PHI in text
+   * Returns non-overlapping spans in text order
    */
   detectPHI(text) {
-    const detections = [];
+    const matches = [];
     
     for (const [type, pattern] of Object.entries(this.phiPatterns)) {
-      const matches = [...text.matchAll(pattern.pattern)];
-      
-      for (const match of matches) {
-        detections.push({
+      for (const match of text.matchAll(pattern.pattern)) {
+        matches.push({
           type,
           description: pattern.description,
           text: match[0],
@@ -162,6 +174,19 @@ class PrivacyService {
         });
       }
     }
+
+    // Patterns overlap (a 9-digit account number is also an SSN), so keep
+    // the earliest and then longest span and drop those it covers
+    matches.sort((a, b) => a.index - b.index || b.length - a.length);
+
+    const detections = [];
+    let end = 0;
+    for (const match of matches) {
+      if (match.index >= end) {
+        detections.push(match);
+        end = match.index + match.length;
+      }
+    }
     
     // Log PHI detection for audit
     if (detections.length > 0) {
@@ -177,22 +202,23 @@ class PrivacyService {
 
   /**
    * De-identify text by removing or replacing PHI
+   * Removed PHI leaves nothing to map back, so 'remove' never generates a map
    */
   deidentify(text, options = {}) {
     const {
       mode = 'replace', // 'replace', 'remove', 'hash'
-      preserveFormat = true,
-      generateMap = true
+      generateMap = true,
+      createdBy = null
     } = options;
 
     let deidentified = text;
+    let mapId = null;
     const detections = this.detectPHI(text);
     const identifierMap = new Map();
+    const keepMap = generateMap && mode !== 'remove';
 
-    // Sort detections by index (reverse order to maintain positions)
-    detections.sort((a, b) => b.index - a.index);
-
-    for (const detection of detections) {
+    // Replace from the end so earlier positions stay valid
+    for (const detection of [...detections].reverse()) {
       const { type, text: originalText, index, length, replacement } = detection;
       
       let newText;
@@ -213,7 +239,7 @@ class PrivacyService {
       }
       
       // Store mapping if requested
-      if (generateMap) {
+      if (keepMap) {
         const mappingKey = `${type}_${crypto.randomUUID()}`;
         identifierMap.set(mappingKey, {
           original: originalText,
@@ -228,10 +254,11 @@ class PrivacyService {
     }
 
     // Store de-identification map for potential re-identification (if needed for authorized users)
-    if (generateMap && identifierMap.size > 0) {
-      const mapId = crypto.randomUUID();
+    if (keepMap && identifierMap.size > 0) {
+      mapId = crypto.randomUUID();
       this.deidentificationMap.set(mapId, {
         map: identifierMap,
+        createdBy,
         timestamp: new Date().toISOString(),
         textHash: crypto.createHash('sha256').update(text).digest('hex')
       });
@@ -243,13 +270,13 @@ class PrivacyService {
       deidentifiedLength: deidentified.length,
       detectionCount: detections.length,
       mode,
-      mapGenerated: generateMap
+      mapGenerated: mapId !== null
     });
 
     return {
       text: deidentified,
       detections,
-      mapId: generateMap ? mapId : null,
+      mapId,
       statistics: {
         originalLength: text.length,
         deidentifiedLength: deidentified.length,
@@ -258,6 +285,119 @@ class PrivacyService {
     };
   }
 
+  /**
+   * Mask PHI with surrogate tokens for a round trip through the model
+   * Tokens are stable per value, so repeated identifiers and cached
+   * responses line up; the surrogates needed to restore them are returned
+   * instead of stored
+   */
+  redact(text) {
+    const result = this.deidentify(text, { mode: 'hash', generateMap: false });
+    const surrogates = {};
+    const types = {};
+
+    for (const detection of result.detections) {
+      surrogates[this.generateConsistentHash(detection.text, detection.type)] = detection.text;
+      types[detection.type] = (types[detection.type] || 0) + 1;
+    }
+
+    return {
+      text: result.text,
+      surrogates,
+      masked: result.detections.length,
+      types,
+    };
+  }
+
+  /**
+   * Mask PHI in the messages, prompt and system prompt of an inference call
+   * Returns the masked fields with { masked, types, surrogates }
+   */
+  redactInference({ messages, prompt, system }) {
+    const surrogates = {};
+    const types = {};
+    let masked = 0;
+
+    const mask = (text) => {
+      if (typeof text !== 'string' || !text) {
+        return text;
+      }
+
+      const result = this.redact(text);
+      Object.assign(surrogates, result.surrogates);
+      for (const [name, count] of Object.entries(result.types)) {
+        types[name] = (types[name] || 0) + count;
+      }
+      masked += result.masked;
+      return result.text;
+    };
+
+    const fields = {
+      messages: messages && messages.map(message => ({ ...message, content: mask(message.content) })),
+      prompt: mask(prompt),
+      system: mask(system),
+    };
+
+    return { ...fields, masked, types, surrogates };
+  }
+
+  /**
+   * Replace surrogate tokens in text with the original values
+   */
+  restore(text, surrogates) {
+    let restored = text;
+    for (const [token, original] of Object.entries(surrogates)) {
+      restored = restored.split(token).join(original);
+    }
+    return restored;
+  }
+
+  /**
+   * Replace surrogate tokens in every string of a parsed JSON value
+   */
+  restoreValue(value, surrogates) {
+    if (typeof value === 'string') {
+      return this.restore(value, surrogates);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restoreValue(item, surrogates));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restoreValue(item, surrogates)]));
+    }
+    return value;
+  }
+
+  /**
+   * Restore surrogates in streamed text
+   * A chunk ending inside a token is held back until the token completes;
+   * push() returns the text that is safe to emit and flush() the remainder
+   */
+  createRestorer(surrogates) {
+    const maxLength = Math.max(0, ...Object.keys(surrogates).map(token => token.length));
+    let pending = '';
+
+    return {
+      push: (chunk) => {
+        pending += chunk;
+
+        const open = pending.lastIndexOf('[');
+        const held = open !== -1 && !pending.includes(']', open) && pending.length - open < maxLength
+          ? pending.substring(open)
+          : '';
+
+        const ready = pending.substring(0, pending.length - held.length);
+        pending = held;
+        return this.restore(ready, surrogates);
+      },
+      flush: () => {
+        const rest = this.restore(pending, surrogates);
+        pending = '';
+        return rest;
+      },
+    };
+  }
+
   /**
    * Generate consistent hash for PHI elements
    */
@@ -273,39 +413,61 @@ class PrivacyService {
   }
 
   /**
-   * Re-identify text (only for authorized users)
+   * Re-identify text (only for authorized principals)
+   * The text may be the de-identified text or output derived from it;
+   * placeholders are restored in order and missing ones are skipped
    */
-  reidentify(deidentifiedText, mapId, userId) {
+  reidentify(deidentifiedText, mapId, principal) {
+    const userId = principal?.id || null;
+
     try {
       // Verify authorization
-      if (!this.isAuthorizedForReidentification(userId)) {
-        throw new Error('User not authorized for re-identification');
+      if (!this.isAuthorizedForReidentification(principal)) {
+        throw new ApiError('FORBIDDEN', 'Not authorized for re-identification');
       }
 
       const mapData = this.deidentificationMap.get(mapId);
-      if (!mapData) {
-        throw new Error('De-identification map not found');
+      if (!mapData || Date.now() - new Date(mapData.timestamp) > MAP_TTL_MS) {
+        throw new ApiError('NOT_FOUND', 'De-identification map not found or expired', { mapId });
       }
 
-      let reidentified = deidentifiedText;
-      
-      // Apply reverse mappings
-      for (const [key, mapping] of mapData.map) {
-        reidentified = reidentified.replace(mapping.replacement, mapping.original);
+      // Placeholders such as [PHONE] repeat, so walk the text in order
+      // rather than replacing the first occurrence of each
+      const mappings = Array.from(mapData.map.values()).sort((a, b) => a.index - b.index);
+      let reidentified = '';
+      let cursor = 0;
+      let restored = 0;
+
+      for (const mapping of mappings) {
+        const position = deidentifiedText.indexOf(mapping.replacement, cursor);
+        if (position === -1) {
+          continue;
+        }
+
+        reidentified += deidentifiedText.substring(cursor, position) + mapping.original;
+        cursor = position + mapping.replacement.length;
+        restored++;
       }
+      reidentified += deidentifiedText.substring(cursor);
 
       // Log re-identification for audit
       logger.auditLog('Data Re-identification', {
         userId,
         mapId,
-        timestamp: new Date().toISOString(),
+        mapCreatedBy: mapData.createdBy,
+        restored,
+        total: mappings.length,
         authorized: true
       });
 
-      return reidentified;
+      return {
+        text: reidentified,
+        restored,
+        total: mappings.length
+      };
       
     } catch (error) {
-      logger.securityEvent('Unauthorized Re-identification Attempt', {
+      logger.securityEvent(error.code === 'FORBIDDEN' ? 'Unauthorized Re-identification Attempt' : 'Re-identification Failed', {
         userId,
         mapId,
         error: error.message
@@ -315,24 +477,19 @@ class PrivacyService {
   }
 
   /**
-   * Check if user is authorized for re-identification
+   * Check if a principal is authorized for re-identification
    */
-  isAuthorizedForReidentification(userId) {
-    // Implementation depends on user role system
-    // For now, check if user has appropriate role
-    return userId && (
-      userId.includes('admin') || 
-      userId.includes('physician') ||
-      userId.includes('authorized')
-    );
+  isAuthorizedForReidentification(principal) {
+    const permissions = principal?.permissions || [];
+    return permissions.includes('*') || permissions.includes('privacy:reidentify');
   }
 
   /**
    * Validate data processing consent
    */
-  async validateConsent(userId, dataType, purpose) {
+  async validateConsent(subjectId, dataType, purpose) {
     try {
-      const consent = await this.consentManager.getConsent(userId);
+      const consent = await this.consentManager.getConsent(subjectId);
       
       if (!consent) {
         return {
@@ -364,7 +521,7 @@ class PrivacyService {
       
       // Log consent validation
       logger.auditLog('Consent Validation', {
-        userId,
+        subjectId,
         dataType,
         purpose,
         consentId: consent.id,
@@ -473,14 +630,13 @@ class PrivacyService {
    */
   cleanupExpiredMaps() {
     const now = new Date();
-    const maxAge = 24 * 60 * 60 * 1000; // 24 hours
     
     let cleanedCount = 0;
     
     for (const [mapId, mapData] of this.deidentificationMap) {
       const age = now - new Date(mapData.timestamp);
       
-      if (age > maxAge) {
+      if (age > MAP_TTL_MS) {
         this.deidentificationMap.delete(mapId);
         cleanedCount++;
       }
@@ -491,6 +647,14 @@ class PrivacyService {
     }
   }
 
+  /**
+   * Stop the map cleanup timer and drop stored maps
+   */
+  shutdown() {
+    clearInterval(this.cleanupTimer);
+    this.deidentificationMap.clear();
+  }
+
   /**
    * Get privacy service status
    */
@@ -517,57 +681,257 @@ class PrivacyService {
 
 /**
  * Consent Management Class
+ * Consents are versioned per data subject: recording or withdrawing a
+ * consent appends a new version, and earlier versions are kept. Versions
+ * are stored encrypted in an append-only file.
  */
 class ConsentManager {
-  constructor() {
-    this.consents = new Map();
+  constructor(encryptionService, options = {}) {
+    this.encryptionService = encryptionService;
+    this.storePath = options.storePath || config.consent.storeFile;
+    this.versions = new Map(); // version id -> ConsentRecord
+    this.subjects = new Map(); // subject id -> version ids, oldest first
+
+    this.load();
   }
 
-  async getConsent(userId) {
-    return this.consents.get(userId);
+  /**
+   * Load all consent versions from the store
+   */
+  load() {
+    if (!fs.existsSync(this.storePath)) {
+      return;
+    }
+
+    for (const line of fs.readFileSync(this.storePath, 'utf8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      const { payload } = JSON.parse(line);
+      this.index(ConsentRecord.fromJSON(JSON.parse(this.encryptionService.decrypt(payload, CONSENT_CONTEXT))));
+    }
   }
 
-  async recordConsent(userId, consentData) {
-    const consent = new ConsentRecord(userId, consentData);
-    this.consents.set(userId, consent);
+  index(consent) {
+    this.versions.set(consent.id, consent);
+    if (!this.subjects.has(consent.subjectId)) {
+      this.subjects.set(consent.subjectId, []);
+    }
+    this.subjects.get(consent.subjectId).push(consent.id);
+  }
+
+  /**
+   * Append a version to the store; existing lines are never rewritten
+   */
+  append(consent) {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true, mode: 0o700 });
+
+    const payload = this.encryptionService.encrypt(JSON.stringify(consent), CONSENT_CONTEXT);
+    fs.appendFileSync(this.storePath, `${JSON.stringify({ payload })}\n`, { mode: 0o600 });
+    this.index(consent);
+  }
+
+  /**
+   * Get the current consent version for a subject
+   */
+  async getConsent(subjectId) {
+    const ids = this.subjects.get(subjectId);
+    return ids ? this.versions.get(ids[ids.length - 1]) : undefined;
+  }
+
+  getVersion(consentId) {
+    return this.versions.get(consentId);
+  }
+
+  /**
+   * All versions for a subject, newest first
+   */
+  getHistory(subjectId) {
+    return (this.subjects.get(subjectId) || [])
+      .map(id => this.versions.get(id))
+      .reverse();
+  }
+
+  /**
+   * Summary of a version; versions replaced by a newer one are superseded
+   */
+  describe(consent) {
+    const summary = consent.getSummary();
+    const ids = this.subjects.get(consent.subjectId);
+
+    if (ids[ids.length - 1] !== consent.id) {
+      summary.status = 'superseded';
+      summary.active = false;
+    }
+    return summary;
+  }
+
+  async recordConsent(subjectId, consentData, { recordedBy = null } = {}) {
+    const previous = await this.getConsent(subjectId);
+    const consent = new ConsentRecord(subjectId, consentData, {
+      version: previous ? previous.version + 1 : 1,
+      supersedes: previous ? previous.id : null,
+      recordedBy
+    });
+
+    this.append(consent);
     
     logger.auditLog('Consent Recorded', {
-      userId,
+      subjectId,
       consentId: consent.id,
-      dataTypes: consentData.dataTypes,
-      purposes: consentData.purposes
+      version: consent.version,
+      dataTypes: consent.dataTypes,
+      purposes: consent.purposes
     });
     
     return consent;
   }
 
-  async withdrawConsent(userId, reason = null) {
-    const consent = this.consents.get(userId);
-    if (consent) {
-      consent.withdraw(reason);
-      
-      logger.auditLog('Consent Withdrawn', {
-        userId,
-        consentId: consent.id,
-        reason
-      });
+  /**
+   * Withdraw a subject's current consent by appending a withdrawn version
+   * Returns the new version, or undefined if there is no active consent
+   */
+  async withdrawConsent(subjectId, reason = null, { withdrawnBy = null } = {}) {
+    const consent = await this.getConsent(subjectId);
+    if (!consent || !consent.isActive()) {
+      return undefined;
     }
+
+    const withdrawn = consent.withdraw(reason, { recordedBy: withdrawnBy });
+    this.append(withdrawn);
+
+    logger.auditLog('Consent Withdrawn', {
+      subjectId,
+      consentId: withdrawn.id,
+      supersedes: consent.id,
+      version: withdrawn.version,
+      reason
+    });
+
+    return withdrawn;
+  }
+
+  /**
+   * Build the receipt for a consent version
+   * The signature is an HMAC over the receipt fields, so a printed
+   * receipt can be checked against the store
+   */
+  getReceipt(consent) {
+    const receipt = {
+      receiptNumber: `CR-${consent.id.substring(0, 8).toUpperCase()}-${consent.version}`,
+      organization: config.app.name,
+      action: consent.withdrawn ? 'withdrawn' : 'granted',
+      subjectId: consent.subjectId,
+      consentId: consent.id,
+      version: consent.version,
+      supersedes: consent.supersedes,
+      dataTypes: consent.dataTypes,
+      purposes: consent.purposes,
+      method: consent.method,
+      granted: consent.granted.toISOString(),
+      expires: consent.expires ? consent.expires.toISOString() : null,
+      withdrawn: consent.withdrawn ? consent.withdrawn.toISOString() : null,
+      withdrawalReason: consent.withdrawalReason,
+      recordedBy: consent.recordedBy,
+      issuedAt: consent.recordedAt.toISOString()
+    };
+
+    receipt.signature = this.encryptionService.hmac(JSON.stringify(receipt));
+    return receipt;
+  }
+
+  /**
+   * Render a receipt as plain text or a printable HTML page
+   */
+  renderReceipt(receipt, format = 'text') {
+    const rows = [
+      ['Receipt', receipt.receiptNumber],
+      ['Action', receipt.action === 'withdrawn' ? 'Consent withdrawn' : 'Consent granted'],
+      ['Subject', receipt.subjectId],
+      ['Data types', receipt.dataTypes.join(', ')],
+      ['Purposes', receipt.purposes.join(', ')],
+      ['Method', receipt.method],
+      ['Granted', receipt.granted],
+      ['Expires', receipt.expires || 'No expiry'],
+      ...(receipt.withdrawn ? [['Withdrawn', receipt.withdrawn], ['Reason', receipt.withdrawalReason || 'Not given']] : []),
+      ['Consent version', `${receipt.version} (${receipt.consentId})`],
+      ['Recorded by', receipt.recordedBy || 'Unknown'],
+      ['Issued', receipt.issuedAt],
+      ['Signature', receipt.signature]
+    ];
+
+    if (format === 'html') {
+      const escape = (value) => String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Consent Receipt ${escape(receipt.receiptNumber)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+th { text-align: left; padding-right: 1.5rem; vertical-align: top; }
+td { word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>${escape(receipt.organization)} Consent Receipt</h1>
+<table>
+${rows.map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`).join('\n')}
+</table>
+<p>Keep this receipt for your records. You may withdraw your consent at any time.</p>
+</body>
+</html>
+`;
+    }
+
+    const width = Math.max(...rows.map(([label]) => label.length));
+    return [
+      `${receipt.organization} Consent Receipt`,
+      '',
+      ...rows.map(([label, value]) => `${label.padEnd(width)}  ${value ?? ''}`),
+      '',
+      'Keep this receipt for your records. You may withdraw your consent at any time.',
+      ''
+    ].join('\n');
   }
 }
 
 /**
  * Consent Record Class
+ * One immutable version of a subject's consent
  */
 class ConsentRecord {
-  constructor(userId, consentData) {
+  constructor(subjectId, consentData, { version = 1, supersedes = null, recordedBy = null } = {}) {
     this.id = crypto.randomUUID();
-    this.userId = userId;
+    this.subjectId = subjectId;
+    this.version = version;
+    this.supersedes = supersedes;
     this.dataTypes = consentData.dataTypes || [];
     this.purposes = consentData.purposes || [];
-    this.granted = new Date();
+    this.method = consentData.method || null;
+    this.granted = consentData.granted ? new Date(consentData.granted) : new Date();
     this.expires = consentData.expires ? new Date(consentData.expires) : null;
     this.withdrawn = null;
     this.withdrawalReason = null;
+    this.recordedBy = recordedBy;
+    this.recordedAt = new Date();
+  }
+
+  /**
+   * Restore a version read from the store
+   */
+  static fromJSON(data) {
+    const consent = Object.assign(Object.create(ConsentRecord.prototype), data);
+    for (const field of ['granted', 'expires', 'withdrawn', 'recordedAt']) {
+      consent[field] = data[field] ? new Date(data[field]) : null;
+    }
+    return consent;
   }
 
   isActive() {
@@ -592,20 +956,37 @@ class ConsentRecord {
     return this.purposes.includes(purpose) || this.purposes.includes('all');
   }
 
-  withdraw(reason = null) {
-    this.withdrawn = new Date();
-    this.withdrawalReason = reason;
+  /**
+   * Create the withdrawn version that supersedes this one
+   */
+  withdraw(reason = null, { recordedBy = null } = {}) {
+    const withdrawn = new ConsentRecord(this.subjectId, this, {
+      version: this.version + 1,
+      supersedes: this.id,
+      recordedBy
+    });
+    withdrawn.withdrawn = withdrawn.recordedAt;
+    withdrawn.withdrawalReason = reason;
+    return withdrawn;
   }
 
   getSummary() {
     return {
       id: this.id,
-      userId: this.userId,
+      subjectId: this.subjectId,
+      version: this.version,
+      supersedes: this.supersedes,
+      status: this.withdrawn ? 'withdrawn' : this.isActive() ? 'active' : 'expired',
       granted: this.granted,
       expires: this.expires,
+      withdrawn: this.withdrawn,
+      withdrawalReason: this.withdrawalReason,
       active: this.isActive(),
       dataTypes: this.dataTypes,
-      purposes: this.purposes
+      purposes: this.purposes,
+      method: this.method,
+      recordedBy: this.recordedBy,
+      recordedAt: this.recordedAt
     };
   }
 }
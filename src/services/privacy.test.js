@@ -0,0 +1,194 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), auditLog: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PrivacyService = require('./privacy');
+
+describe('PrivacyService', () => {
+  let privacy;
+
+  beforeEach(() => {
+    privacy = new PrivacyService({});
+  });
+
+  afterEach(() => {
+    privacy.shutdown();
+  });
+
+  describe('redact', () => {
+    it('masks PHI with stable surrogates and returns the originals', () => {
+      const first = privacy.redact('SSN 123-45-6789, email jo@example.com');
+      const second = privacy.redact('Again: 123-45-6789');
+
+      expect(first.text).not.toContain('123-45-6789');
+      expect(first.text).not.toContain('jo@example.com');
+      expect(first.masked).toBe(2);
+      expect(first.types).toEqual({ ssn: 1, email: 1 });
+      expect(Object.values(first.surrogates).sort()).toEqual(['123-45-6789', 'jo@example.com']);
+
+      const [ssnToken] = Object.keys(second.surrogates);
+      expect(first.surrogates[ssnToken]).toBe('123-45-6789');
+    });
+
+    it('masks every field of an inference call and merges the counts', () => {
+      const result = privacy.redactInference({
+        messages: [{ role: 'user', content: 'Call 555-123-4567' }, { role: 'assistant', content: '' }],
+        prompt: undefined,
+        system: 'Patient SSN 123-45-6789',
+      });
+
+      expect(result.messages[0]).toEqual({ role: 'user', content: expect.not.stringContaining('555-123-4567') });
+      expect(result.messages[1].content).toBe('');
+      expect(result.prompt).toBeUndefined();
+      expect(result.system).not.toContain('123-45-6789');
+      expect(result).toMatchObject({ masked: 2, types: { phone: 1, ssn: 1 } });
+      expect(Object.keys(result.surrogates)).toHaveLength(2);
+    });
+  });
+
+  describe('restore', () => {
+    it('replaces every occurrence of a surrogate', () => {
+      const { text, surrogates } = privacy.redact('SSN 123-45-6789');
+      const [token] = Object.keys(surrogates);
+
+      expect(privacy.restore(`${text} / ${token}`, surrogates)).toBe('SSN 123-45-6789 / 123-45-6789');
+    });
+
+    it('restores strings nested in parsed JSON', () => {
+      const { surrogates } = privacy.redact('jo@example.com');
+      const [token] = Object.keys(surrogates);
+
+      expect(privacy.restoreValue({ contact: [token, 3], note: null }, surrogates)).toEqual({ contact: ['jo@example.com', 3], note: null });
+    });
+  });
+
+  describe('createRestorer', () => {
+    const stream = (restorer, chunks) => chunks.map(chunk => restorer.push(chunk));
+
+    it('holds back a surrogate split across chunks until it completes', () => {
+      const { surrogates } = privacy.redact('123-45-6789');
+      const [token] = Object.keys(surrogates);
+      const restorer = privacy.createRestorer(surrogates);
+
+      const emitted = stream(restorer, ['SSN is ', token.slice(0, 3), token.slice(3, 9), `${token.slice(9)}.`]);
+
+      expect(emitted).toEqual(['SSN is ', '', '', '123-45-6789.']);
+      expect(restorer.flush()).toBe('');
+    });
+
+    it('releases brackets that cannot be a surrogate', () => {
+      const { surrogates } = privacy.redact('123-45-6789');
+      const restorer = privacy.createRestorer(surrogates);
+
+      expect(restorer.push('see [1]')).toBe('see [1]');
+      expect(restorer.push(' and [')).toBe(' and ');
+      expect(restorer.push('a note that runs longer than any token')).toBe('[a note that runs longer than any token');
+    });
+
+    it('flushes held text at the end of the stream', () => {
+      const { surrogates } = privacy.redact('123-45-6789');
+      const [token] = Object.keys(surrogates);
+      const restorer = privacy.createRestorer(surrogates);
+
+      expect(restorer.push(`done ${token.slice(0, 4)}`)).toBe('done ');
+      expect(restorer.flush()).toBe(token.slice(0, 4));
+    });
+
+    it('passes text through when nothing was masked', () => {
+      const restorer = privacy.createRestorer({});
+
+      expect(stream(restorer, ['a [', 'b'])).toEqual(['a [', 'b']);
+    });
+  });
+
+  describe('consent store', () => {
+    // Reversible stand-in so the test can check nothing is stored in the clear
+    const encryption = {
+      encrypt: data => ({ data: Buffer.from(data).toString('base64') }),
+      decrypt: ({ data }) => Buffer.from(data, 'base64').toString(),
+      hmac: data => `hmac:${data.length}`,
+    };
+
+    let dir;
+    let consentStorePath;
+
+    const open = () => {
+      const service = new PrivacyService(encryption, { consentStorePath });
+      service.shutdown();
+      return service.consentManager;
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consent-'));
+      consentStorePath = path.join(dir, 'consents.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('appends versions that supersede each other', async () => {
+      const consents = open();
+
+      const first = await consents.recordConsent('patient-1', { dataTypes: ['labs'], purposes: ['treatment'] }, { recordedBy: 'u1' });
+      const second = await consents.recordConsent('patient-1', { dataTypes: ['all'], purposes: ['treatment'] });
+
+      expect(second).toMatchObject({ version: 2, supersedes: first.id });
+      expect(await consents.getConsent('patient-1')).toBe(second);
+      expect(consents.getHistory('patient-1').map(consent => consent.version)).toEqual([2, 1]);
+      expect(consents.describe(first)).toMatchObject({ status: 'superseded', active: false });
+      expect(consents.describe(second)).toMatchObject({ status: 'active', active: true });
+      expect(second.allowsDataType('imaging')).toBe(true);
+    });
+
+    it('withdraws only active consent', async () => {
+      const consents = open();
+      const granted = await consents.recordConsent('patient-1', { dataTypes: ['labs'], purposes: ['treatment'] });
+
+      const withdrawn = await consents.withdrawConsent('patient-1', 'moved away', { withdrawnBy: 'u2' });
+
+      expect(withdrawn).toMatchObject({ version: 2, supersedes: granted.id, withdrawalReason: 'moved away', recordedBy: 'u2' });
+      expect(consents.describe(withdrawn).status).toBe('withdrawn');
+      await expect(consents.withdrawConsent('patient-1')).resolves.toBeUndefined();
+      await expect(consents.withdrawConsent('patient-2')).resolves.toBeUndefined();
+    });
+
+    it('treats expired consent as inactive', async () => {
+      const consents = open();
+      const consent = await consents.recordConsent('patient-1', { dataTypes: ['labs'], purposes: ['treatment'], expires: '2000-01-01T00:00:00Z' });
+
+      expect(consent.isActive()).toBe(false);
+      expect(consents.describe(consent).status).toBe('expired');
+    });
+
+    it('encrypts versions at rest and reloads them', async () => {
+      const consents = open();
+      const granted = await consents.recordConsent('patient-1', { dataTypes: ['labs'], purposes: ['research'], granted: '2024-05-01T00:00:00Z' });
+      await consents.withdrawConsent('patient-1');
+
+      const lines = fs.readFileSync(consentStorePath, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(lines.join('')).not.toContain('patient-1');
+
+      const reloaded = open();
+      const history = reloaded.getHistory('patient-1');
+      expect(history.map(consent => consent.version)).toEqual([2, 1]);
+      expect(history[1].id).toBe(granted.id);
+      expect(history[1].granted).toEqual(new Date('2024-05-01T00:00:00Z'));
+      expect(history[0].isActive()).toBe(false);
+    });
+
+    it('signs receipts and renders them escaped', async () => {
+      const consents = open();
+      const consent = await consents.recordConsent('<patient>', { dataTypes: ['labs'], purposes: ['treatment'], method: 'paper' });
+
+      const receipt = consents.getReceipt(consent);
+
+      expect(receipt).toMatchObject({ action: 'granted', version: 1, consentId: consent.id, signature: expect.stringMatching(/^hmac:/) });
+      expect(receipt.receiptNumber).toBe(`CR-${consent.id.substring(0, 8).toUpperCase()}-1`);
+      expect(consents.renderReceipt(receipt)).toContain('Subject          <patient>');
+      expect(consents.renderReceipt(receipt, 'html')).toContain('&lt;patient&gt;');
+    });
+  });
+});
@@ -0,0 +1,434 @@
+/**
+ * Retrieval Service
+ * Local vector index over uploaded documents for retrieval-augmented
+ * generation. Documents are split into overlapping chunks and embedded
+ * with Ollama; nothing leaves the machine and no external database is
+ * needed.
+ *
+ * The index keeps one encrypted file per document holding chunk offsets
+ * and vectors. Chunk text is read back from the document store, so it is
+ * never duplicated. The index follows document uploads and deletions and
+ * is rebuilt for documents indexed with other settings.
+ *
+ * @module RagService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/app');
+const { toApiError } = require('../utils/errors');
+
+const ENCRYPTION_CONTEXT = 'rag-index';
+
+// Failures worth retrying once Ollama or the queue recovers
+const RETRYABLE_CODES = ['QUEUE_FULL', 'QUEUE_TIMEOUT', 'OLLAMA_UNAVAILABLE', 'OLLAMA_TIMEOUT'];
+
+class RagService {
+  constructor(ollamaService, scheduler, documentService, encryptionService, options = {}) {
+    this.ollamaService = ollamaService;
+    this.scheduler = scheduler;
+    this.documentService = documentService;
+    this.encryptionService = encryptionService;
+
+    this.indexPath = options.indexPath || config.rag.indexPath;
+    this.settings = {
+      model: options.embeddingModel || config.rag.embeddingModel,
+      chunkSize: options.chunkSize || config.rag.chunkSize,
+      chunkOverlap: options.chunkOverlap ?? config.rag.chunkOverlap,
+    };
+    this.topK = options.topK || config.rag.topK;
+    this.retryDelay = options.retryDelay || config.rag.retryDelay;
+    this.maxRetries = options.maxRetries ?? config.rag.maxRetries;
+    this.batchSize = config.ollama.embedBatchSize;
+
+    this.index = new Map(); // document id -> { indexedAt, settings, chunks: [{ start, end, vector }] }
+    this.failures = new Map(); // document id -> { code, message, attempts, failedAt }
+    this.queue = []; // ids of documents waiting to be indexed, oldest first
+    this.current = null; // { documentId, controller, done }
+    this.retryTimers = new Set();
+    this.stopping = false;
+
+    this.init();
+  }
+
+  /**
+   * Load the index and queue documents it does not cover
+   */
+  init() {
+    try {
+      this.loadIndex();
+      this.reconcile();
+
+      this.documentService.on('document:created', (document) => this.enqueue(document.id));
+      this.documentService.on('document:deleted', (document) => this.removeDocument(document.id));
+
+      logger.info('Retrieval index initialized', {
+        documents: this.index.size,
+        pending: this.queue.length,
+        model: this.settings.model,
+      });
+    } catch (error) {
+      logger.error('Failed to initialize retrieval index:', error);
+      throw error;
+    }
+  }
+
+  getIndexFile(documentId) {
+    return path.join(this.indexPath, `${documentId}.json`);
+  }
+
+  /**
+   * Load per-document index files from disk
+   */
+  loadIndex() {
+    if (!fs.existsSync(this.indexPath)) {
+      fs.mkdirSync(this.indexPath, { recursive: true, mode: 0o700 });
+      return;
+    }
+
+    for (const file of fs.readdirSync(this.indexPath).filter(name => name.endsWith('.json'))) {
+      const stored = JSON.parse(fs.readFileSync(path.join(this.indexPath, file), 'utf8'));
+      const chunks = JSON.parse(this.encryptionService.decrypt(stored.payload, ENCRYPTION_CONTEXT));
+
+      this.index.set(stored.documentId, {
+        indexedAt: stored.indexedAt,
+        settings: stored.settings,
+        chunks: chunks.map(chunk => ({ ...chunk, vector: Float32Array.from(chunk.vector) })),
+      });
+    }
+  }
+
+  /**
+   * Drop entries for deleted documents and queue documents that are not
+   * indexed, or were indexed with another model or chunking
+   */
+  reconcile() {
+    for (const documentId of this.index.keys()) {
+      if (!this.documentService.documents.has(documentId)) {
+        this.removeDocument(documentId);
+      }
+    }
+
+    for (const documentId of this.documentService.documents.keys()) {
+      if (!this.isCurrent(documentId)) {
+        this.enqueue(documentId);
+      }
+    }
+  }
+
+  isCurrent(documentId) {
+    const entry = this.index.get(documentId);
+    return Boolean(entry) && Object.keys(this.settings).every(name => entry.settings[name] === this.settings[name]);
+  }
+
+  /**
+   * Queue a document for (re)indexing
+   */
+  enqueue(documentId) {
+    if (!this.queue.includes(documentId) && this.current?.documentId !== documentId) {
+      this.queue.push(documentId);
+    }
+    this.processNext();
+  }
+
+  /**
+   * Queue documents for reindexing, e.g. after a failure
+   * Failure history is cleared so retries start over
+   */
+  reindex(documentIds) {
+    for (const documentId of documentIds) {
+      this.failures.delete(documentId);
+      this.enqueue(documentId);
+    }
+  }
+
+  /**
+   * Index the oldest queued document if none is being indexed
+   */
+  processNext() {
+    if (this.current || this.stopping || this.queue.length === 0) {
+      return;
+    }
+
+    const documentId = this.queue.shift();
+    const controller = new AbortController();
+
+    this.current = { documentId, controller };
+    this.current.done = this.indexDocument(documentId, controller.signal).then(() => {
+      this.current = null;
+      this.processNext();
+    });
+  }
+
+  /**
+   * Chunk and embed one document; never rejects
+   */
+  async indexDocument(documentId, signal) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.documentService.documents.has(documentId)) {
+        return;
+      }
+
+      const text = this.documentService.getText(documentId);
+      const chunks = this.chunkText(text);
+
+      // Embedded batch by batch in the batch lane, so interactive requests
+      // are not held up behind a large document
+      const vectors = [];
+      for (let offset = 0; offset < chunks.length; offset += this.batchSize) {
+        const inputs = chunks.slice(offset, offset + this.batchSize).map(chunk => text.slice(chunk.start, chunk.end));
+        const response = await this.scheduler.schedule(
+          () => this.ollamaService.embed(this.settings.model, inputs, { signal }),
+          { priority: 'batch', label: 'embeddings', signal }
+        );
+        vectors.push(...response.embeddings);
+      }
+
+      // Deleted while it was being embedded
+      if (!this.documentService.documents.has(documentId)) {
+        return;
+      }
+
+      const entry = {
+        indexedAt: new Date().toISOString(),
+        settings: { ...this.settings },
+        chunks: chunks.map((chunk, i) => ({ ...chunk, vector: Float32Array.from(vectors[i]) })),
+      };
+
+      this.saveEntry(documentId, entry);
+      this.index.set(documentId, entry);
+      this.failures.delete(documentId);
+
+      logger.auditLog('Document Indexed', {
+        documentId,
+        model: this.settings.model,
+        chunks: chunks.length,
+        duration: `${Date.now() - startTime}ms`,
+      });
+    } catch (error) {
+      // Stopped by shutdown (indexed again on the next start) or deleted meanwhile
+      if (signal.aborted || !this.documentService.documents.has(documentId)) {
+        return;
+      }
+      this.recordFailure(documentId, toApiError(error, 'Indexing failed', { model: this.settings.model }));
+    }
+  }
+
+  /**
+   * Record a failed indexing attempt
+   * Outages are retried after a delay; other failures wait for a reindex
+   */
+  recordFailure(documentId, error) {
+    const attempts = (this.failures.get(documentId)?.attempts || 0) + 1;
+
+    this.failures.set(documentId, {
+      code: error.code,
+      message: error.message,
+      attempts,
+      failedAt: new Date().toISOString(),
+    });
+
+    logger.error('Document indexing failed:', { documentId, code: error.code, attempts, error: error.message });
+
+    if (RETRYABLE_CODES.includes(error.code) && attempts <= this.maxRetries) {
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        if (this.failures.has(documentId)) {
+          this.enqueue(documentId);
+        }
+      }, this.retryDelay);
+      timer.unref();
+      this.retryTimers.add(timer);
+    }
+  }
+
+  saveEntry(documentId, entry) {
+    const chunks = entry.chunks.map(chunk => ({ ...chunk, vector: Array.from(chunk.vector) }));
+    const stored = {
+      documentId,
+      indexedAt: entry.indexedAt,
+      settings: entry.settings,
+      payload: this.encryptionService.encrypt(JSON.stringify(chunks), ENCRYPTION_CONTEXT),
+    };
+
+    fs.writeFileSync(this.getIndexFile(documentId), JSON.stringify(stored), { mode: 0o600 });
+  }
+
+  /**
+   * Remove a document from the index
+   * A document being indexed is discarded when its embeddings return
+   */
+  removeDocument(documentId) {
+    const position = this.queue.indexOf(documentId);
+    if (position !== -1) {
+      this.queue.splice(position, 1);
+    }
+
+    this.index.delete(documentId);
+    this.failures.delete(documentId);
+    fs.rmSync(this.getIndexFile(documentId), { force: true });
+  }
+
+  /**
+   * Split text into overlapping chunks of character offsets
+   * Chunks end at a paragraph, line or sentence break in their second half
+   * where there is one
+   */
+  chunkText(text) {
+    const { chunkSize, chunkOverlap } = this.settings;
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+      let end = Math.min(start + chunkSize, text.length);
+
+      if (end < text.length) {
+        const from = start + Math.floor(chunkSize / 2);
+        const window = text.slice(from, end);
+        const breaks = ['\n\n', '\n', '. '].map(separator => window.lastIndexOf(separator));
+        const breakAt = breaks.find(index => index !== -1);
+        if (breakAt !== undefined) {
+          end = from + breakAt + 1;
+        }
+      }
+
+      if (text.slice(start, end).trim()) {
+        chunks.push({ start, end });
+      }
+      if (end >= text.length) {
+        break;
+      }
+
+      // Overlap from the start of a word
+      let next = end - chunkOverlap;
+      const space = text.slice(next, end).search(/\s/);
+      if (space !== -1) {
+        next += space + 1;
+      }
+      start = Math.max(next, start + 1);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Retrieve the passages most similar to a query
+   * Searches only the given documents; returns them best first with
+   * their text, document and character offsets
+   */
+  async retrieve(query, { documentIds, topK = this.topK, minScore = 0, signal, requestId } = {}) {
+    const response = await this.scheduler.schedule(
+      () => this.ollamaService.embed(this.settings.model, [query], { signal }),
+      { id: requestId, priority: 'interactive', label: 'embeddings', signal }
+    );
+    const vector = response.embeddings[0];
+
+    const matches = [];
+    for (const documentId of documentIds) {
+      const entry = this.index.get(documentId);
+      if (!entry || entry.settings.model !== this.settings.model) {
+        continue;
+      }
+
+      for (const chunk of entry.chunks) {
+        const score = cosineSimilarity(vector, chunk.vector);
+        if (score >= minScore) {
+          matches.push({ documentId, start: chunk.start, end: chunk.end, score });
+        }
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+
+    const texts = new Map();
+    return matches.slice(0, topK).map(match => {
+      if (!texts.has(match.documentId)) {
+        texts.set(match.documentId, this.documentService.getText(match.documentId));
+      }
+
+      return {
+        ...match,
+        filename: this.documentService.getDocument(match.documentId).filename,
+        score: Math.round(match.score * 10000) / 10000,
+        text: texts.get(match.documentId).slice(match.start, match.end),
+      };
+    });
+  }
+
+  /**
+   * Index status of a document
+   */
+  describe(documentId) {
+    const entry = this.index.get(documentId);
+    const failure = this.failures.get(documentId);
+    let status = 'not_indexed';
+
+    if (this.current?.documentId === documentId) {
+      status = 'indexing';
+    } else if (this.queue.includes(documentId)) {
+      status = 'pending';
+    } else if (failure) {
+      status = 'failed';
+    } else if (entry) {
+      status = this.isCurrent(documentId) ? 'indexed' : 'stale';
+    }
+
+    return {
+      documentId,
+      status,
+      chunks: entry ? entry.chunks.length : 0,
+      model: entry ? entry.settings.model : null,
+      indexedAt: entry ? entry.indexedAt : null,
+      error: failure ? { code: failure.code, message: failure.message, attempts: failure.attempts } : null,
+    };
+  }
+
+  /**
+   * Get index counts and settings
+   */
+  getStats() {
+    return {
+      documents: this.index.size,
+      chunks: Array.from(this.index.values()).reduce((sum, entry) => sum + entry.chunks.length, 0),
+      pending: this.queue.length,
+      indexing: this.current ? 1 : 0,
+      failed: this.failures.size,
+      settings: this.settings,
+    };
+  }
+
+  /**
+   * Stop indexing; unfinished documents are indexed again on the next start
+   */
+  shutdown() {
+    this.stopping = true;
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+
+    if (this.current) {
+      this.current.controller.abort();
+    }
+  }
+}
+
+/**
+ * Cosine similarity of two vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = RagService;
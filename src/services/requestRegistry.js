@@ -0,0 +1,125 @@
+/**
+ * Request Registry
+ * Tracks in-flight inference requests so they can be cancelled when the
+ * client disconnects or asks for it, stopping Ollama from generating
+ * output nobody will read
+ *
+ * @module RequestRegistry
+ */
+
+const logger = require('../utils/logger');
+
+class RequestRegistry {
+  constructor() {
+    this.requests = new Map(); // request id -> entry
+
+    this.stats = {
+      tracked: 0,
+      cancelled: 0,
+      byReason: {},
+    };
+  }
+
+  /**
+   * Start tracking a request
+   * Returns the entry; pass entry.signal to the scheduler and OllamaService
+   */
+  track(id, { type, model, userId, channel = 'http' }) {
+    const controller = new AbortController();
+    const entry = {
+      id,
+      type,
+      model,
+      userId,
+      channel,
+      started: Date.now(),
+      controller,
+      signal: controller.signal,
+      cancelled: null,
+    };
+
+    this.requests.set(id, entry);
+    this.stats.tracked++;
+    return entry;
+  }
+
+  /**
+   * Stop tracking a finished request
+   */
+  release(id) {
+    this.requests.delete(id);
+  }
+
+  get(id) {
+    return this.requests.get(id) || null;
+  }
+
+  /**
+   * List in-flight requests, optionally only those of one user
+   */
+  list({ userId } = {}) {
+    return Array.from(this.requests.values())
+      .filter(entry => !userId || entry.userId === userId)
+      .map(entry => this.describe(entry));
+  }
+
+  /**
+   * Abort a request; reason is e.g. client_disconnect or user_request
+   * Returns the cancelled entry, or null if it is unknown or already cancelled
+   */
+  cancel(id, { reason, cancelledBy = null }) {
+    const entry = this.requests.get(id);
+    if (!entry || entry.cancelled) {
+      return null;
+    }
+
+    entry.cancelled = { reason, cancelledBy, at: Date.now() };
+    entry.controller.abort();
+
+    this.stats.cancelled++;
+    this.stats.byReason[reason] = (this.stats.byReason[reason] || 0) + 1;
+
+    logger.auditLog('Inference Cancelled', {
+      cancelledRequest: id,
+      type: entry.type,
+      model: entry.model,
+      owner: entry.userId,
+      channel: entry.channel,
+      reason,
+      cancelledBy,
+      elapsedMs: Date.now() - entry.started,
+    });
+
+    return entry;
+  }
+
+  /**
+   * Public view of an entry
+   */
+  describe(entry) {
+    return {
+      requestId: entry.id,
+      type: entry.type,
+      model: entry.model,
+      userId: entry.userId,
+      channel: entry.channel,
+      started: new Date(entry.started).toISOString(),
+      elapsedMs: Date.now() - entry.started,
+      cancelled: Boolean(entry.cancelled),
+    };
+  }
+
+  /**
+   * Get in-flight and cancellation counts
+   */
+  getStats() {
+    return {
+      active: this.requests.size,
+      tracked: this.stats.tracked,
+      cancelled: this.stats.cancelled,
+      cancelledByReason: { ...this.stats.byReason },
+    };
+  }
+}
+
+module.exports = RequestRegistry;
@@ -0,0 +1,344 @@
+/**
+ * Response Cache
+ * Caches deterministic chat and generate responses so repeated templated
+ * prompts skip inference. Entries are encrypted at rest.
+ *
+ * @module ResponseCache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/app');
+
+const ENCRYPTION_CONTEXT = 'response-cache';
+const DIGEST_TTL = 60000; // Re-check model digests every minute
+
+// Request options that do not change the model output
+const IGNORED_OPTIONS = ['stream', 'onToken', 'priority', 'timeout'];
+
+/**
+ * JSON.stringify with sorted object keys so equivalent requests hash alike
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+class ResponseCache {
+  constructor(encryptionService, ollamaService, options = {}) {
+    this.encryptionService = encryptionService;
+    this.ollamaService = ollamaService;
+
+    this.enabled = options.enabled ?? config.performance.cacheEnabled;
+    this.ttl = (options.ttl || config.performance.cacheTTL) * 1000;
+    this.maxEntries = options.maxEntries || config.performance.cacheMaxEntries;
+    this.cachePath = options.cachePath || config.performance.cachePath;
+
+    this.entries = new Map(); // key -> entry metadata (no content)
+    this.digests = new Map(); // model -> { digest, checked }
+    this.cleanupTimer = null;
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      stores: 0,
+      evictions: 0,
+      errors: 0,
+    };
+
+    this.init();
+  }
+
+  /**
+   * Initialize response cache
+   */
+  init() {
+    if (!this.enabled) {
+      logger.info('Response cache disabled');
+      return;
+    }
+
+    try {
+      if (!fs.existsSync(this.cachePath)) {
+        fs.mkdirSync(this.cachePath, { recursive: true, mode: 0o700 });
+      }
+
+      this.loadIndex();
+
+      this.cleanupTimer = setInterval(() => this.removeExpired(), Math.min(this.ttl, 3600000));
+      this.cleanupTimer.unref();
+
+      logger.info('Response cache initialized', { entries: this.entries.size });
+    } catch (error) {
+      logger.error('Failed to initialize response cache:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild the in-memory index from entry files
+   */
+  loadIndex() {
+    for (const file of fs.readdirSync(this.cachePath)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+
+      try {
+        const { payload, ...entry } = JSON.parse(fs.readFileSync(path.join(this.cachePath, file), 'utf8'));
+        this.entries.set(entry.key, entry);
+      } catch (error) {
+        logger.warn('Discarding unreadable cache entry', { file, error: error.message });
+        fs.rmSync(path.join(this.cachePath, file), { force: true });
+      }
+    }
+
+    this.removeExpired();
+  }
+
+  /**
+   * Only deterministic requests are cached: temperature 0 or a fixed seed
+   */
+  isCacheable(options = {}) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const modelOptions = options.modelOptions || {};
+    const temperature = modelOptions.temperature ?? options.temperature;
+
+    return temperature === 0 || modelOptions.seed !== undefined;
+  }
+
+  /**
+   * Look up the installed digest for a model so a re-pulled model
+   * never serves responses from its previous weights
+   */
+  async getModelDigest(model) {
+    const known = this.digests.get(model);
+    if (known && Date.now() - known.checked < DIGEST_TTL) {
+      return known.digest;
+    }
+
+    const models = await this.ollamaService.listModels();
+    const match = models.find(m => m.name === model || m.name === `${model}:latest`);
+    const digest = match?.digest || null;
+
+    this.digests.set(model, { digest, checked: Date.now() });
+    return digest;
+  }
+
+  /**
+   * Build the cache key for a request, or null when it must not be cached
+   */
+  async resolveKey({ type, model, input, options = {} }) {
+    if (!this.isCacheable(options)) {
+      return null;
+    }
+
+    const digest = await this.getModelDigest(model);
+    if (!digest) {
+      return null;
+    }
+
+    const sampling = Object.fromEntries(
+      Object.entries(options).filter(([name]) => !IGNORED_OPTIONS.includes(name))
+    );
+
+    // Keyed HMAC so cache file names cannot be used to confirm a guessed prompt
+    return this.encryptionService.hmac(stableStringify({ type, model, digest, input, options: sampling }));
+  }
+
+  /**
+   * Return a cached response when available, otherwise compute and store it
+   * Resolves to { response, cache } where cache is 'hit', 'miss' or 'bypass';
+   * `onHit` lets streaming callers replay the cached content
+   */
+  async fetch(request, compute, { onHit } = {}) {
+    let key = null;
+
+    try {
+      key = await this.resolveKey(request);
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Response cache lookup skipped', { model: request.model, error: error.message });
+    }
+
+    if (!key) {
+      return { response: await compute(), cache: 'bypass' };
+    }
+
+    const cachedResponse = this.get(key);
+    if (cachedResponse) {
+      if (onHit) {
+        onHit(cachedResponse);
+      }
+      return { response: cachedResponse, cache: 'hit' };
+    }
+
+    const response = await compute();
+    this.set(key, request, response);
+    return { response, cache: 'miss' };
+  }
+
+  /**
+   * Read and decrypt an entry
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || this.isExpired(entry)) {
+      if (entry) {
+        this.remove(key);
+      }
+      this.stats.misses++;
+      return null;
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.getEntryPath(key), 'utf8'));
+      const response = JSON.parse(this.encryptionService.decrypt(stored.payload, ENCRYPTION_CONTEXT));
+
+      entry.hits++;
+      entry.lastHit = new Date().toISOString();
+      this.stats.hits++;
+
+      return response;
+    } catch (error) {
+      logger.warn('Discarding unreadable cache entry', { key, error: error.message });
+      this.remove(key);
+      this.stats.errors++;
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Encrypt and store a response
+   */
+  set(key, { type, model }, response) {
+    try {
+      const now = Date.now();
+      const entry = {
+        key,
+        type,
+        model,
+        created: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.ttl).toISOString(),
+        hits: 0,
+        lastHit: null,
+      };
+
+      const payload = this.encryptionService.encrypt(JSON.stringify(response), ENCRYPTION_CONTEXT);
+      fs.writeFileSync(this.getEntryPath(key), JSON.stringify({ ...entry, payload }), { mode: 0o600 });
+
+      this.entries.set(key, entry);
+      this.stats.stores++;
+      this.enforceLimit();
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Failed to store cached response:', { model, error: error.message });
+    }
+  }
+
+  /**
+   * Evict the oldest entries beyond the configured maximum
+   */
+  enforceLimit() {
+    const excess = this.entries.size - this.maxEntries;
+    if (excess <= 0) {
+      return;
+    }
+
+    const oldest = Array.from(this.entries.values())
+      .sort((a, b) => new Date(a.created) - new Date(b.created))
+      .slice(0, excess);
+
+    for (const entry of oldest) {
+      this.remove(entry.key);
+      this.stats.evictions++;
+    }
+  }
+
+  isExpired(entry) {
+    return new Date(entry.expiresAt).getTime() <= Date.now();
+  }
+
+  removeExpired() {
+    for (const entry of this.entries.values()) {
+      if (this.isExpired(entry)) {
+        this.remove(entry.key);
+      }
+    }
+  }
+
+  remove(key) {
+    this.entries.delete(key);
+    fs.rmSync(this.getEntryPath(key), { force: true });
+  }
+
+  getEntryPath(key) {
+    return path.join(this.cachePath, `${key}.json`);
+  }
+
+  /**
+   * Delete cached entries, optionally only those for one model
+   */
+  purge({ model } = {}) {
+    let removed = 0;
+
+    for (const entry of Array.from(this.entries.values())) {
+      if (!model || entry.model === model) {
+        this.remove(entry.key);
+        removed++;
+      }
+    }
+
+    logger.auditLog('Response Cache Purged', { model: model || 'all', removed });
+    return removed;
+  }
+
+  /**
+   * Get cache hit/miss statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: this.ttl / 1000,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+      stores: this.stats.stores,
+      evictions: this.stats.evictions,
+      errors: this.stats.errors,
+    };
+  }
+
+  /**
+   * Stop background cleanup
+   */
+  shutdown() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,120 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), auditLog: jest.fn() }));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResponseCache = require('./responseCache');
+
+const encryptionService = {
+  hmac: data => crypto.createHash('sha256').update(data).digest('hex'),
+  encrypt: data => ({ data }),
+  decrypt: ({ data }) => data,
+};
+
+describe('ResponseCache', () => {
+  let cachePath;
+  let models;
+  let cache;
+
+  const request = (overrides = {}) => ({
+    type: 'chat',
+    model: 'llama3',
+    input: [{ role: 'user', content: 'hello' }],
+    options: { temperature: 0 },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    cachePath = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+    models = [{ name: 'llama3:latest', digest: 'sha256:one' }];
+    cache = new ResponseCache(encryptionService, { listModels: async () => models }, {
+      enabled: true,
+      ttl: 60,
+      maxEntries: 2,
+      cachePath,
+    });
+  });
+
+  afterEach(() => {
+    cache.shutdown();
+    fs.rmSync(cachePath, { recursive: true, force: true });
+  });
+
+  describe('resolveKey', () => {
+    it('only keys deterministic requests', async () => {
+      await expect(cache.resolveKey(request({ options: { temperature: 0.7 } }))).resolves.toBeNull();
+      await expect(cache.resolveKey(request({ options: {} }))).resolves.toBeNull();
+      await expect(cache.resolveKey(request({ options: { modelOptions: { seed: 42 } } }))).resolves.toEqual(expect.any(String));
+    });
+
+    it('ignores option order and options that do not change the output', async () => {
+      const key = await cache.resolveKey(request({ options: { temperature: 0, top_p: 1 } }));
+
+      await expect(cache.resolveKey(request({
+        options: { top_p: 1, temperature: 0, stream: true, priority: 'batch', timeout: 5000, onToken: () => {} },
+      }))).resolves.toBe(key);
+    });
+
+    it('separates requests that can answer differently', async () => {
+      const key = await cache.resolveKey(request());
+
+      await expect(cache.resolveKey(request({ type: 'generate' }))).resolves.not.toBe(key);
+      await expect(cache.resolveKey(request({ input: [{ role: 'user', content: 'hello!' }] }))).resolves.not.toBe(key);
+      await expect(cache.resolveKey(request({ options: { temperature: 0, top_k: 5 } }))).resolves.not.toBe(key);
+    });
+
+    it('changes the key when the model is re-pulled', async () => {
+      const key = await cache.resolveKey(request());
+
+      models = [{ name: 'llama3:latest', digest: 'sha256:two' }];
+      cache.digests.clear();
+
+      await expect(cache.resolveKey(request())).resolves.not.toBe(key);
+    });
+
+    it('does not key models that are not installed', async () => {
+      await expect(cache.resolveKey(request({ model: 'mistral' }))).resolves.toBeNull();
+    });
+  });
+
+  describe('fetch', () => {
+    it('stores a miss and serves it encrypted from disk on the next request', async () => {
+      const compute = jest.fn(async () => ({ message: { content: 'hi' } }));
+
+      await expect(cache.fetch(request(), compute)).resolves.toEqual({ response: { message: { content: 'hi' } }, cache: 'miss' });
+
+      const onHit = jest.fn();
+      await expect(cache.fetch(request(), compute, { onHit })).resolves.toEqual({ response: { message: { content: 'hi' } }, cache: 'hit' });
+
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(onHit).toHaveBeenCalledWith({ message: { content: 'hi' } });
+      expect(fs.readdirSync(cachePath)).toHaveLength(1);
+    });
+
+    it('bypasses requests that cannot be cached', async () => {
+      const compute = jest.fn(async () => 'fresh');
+
+      await expect(cache.fetch(request({ options: { temperature: 1 } }), compute)).resolves.toEqual({ response: 'fresh', cache: 'bypass' });
+      expect(cache.entries.size).toBe(0);
+    });
+
+    it('evicts the oldest entries beyond the limit', async () => {
+      for (const content of ['a', 'b', 'c']) {
+        await cache.fetch(request({ input: content }), async () => content);
+      }
+
+      expect(cache.entries.size).toBe(2);
+      expect(cache.getStats().evictions).toBe(1);
+    });
+  });
+
+  it('purges entries for one model', async () => {
+    models.push({ name: 'mistral:latest', digest: 'sha256:three' });
+    await cache.fetch(request(), async () => 'llama');
+    await cache.fetch(request({ model: 'mistral' }), async () => 'mistral');
+
+    expect(cache.purge({ model: 'mistral' })).toBe(1);
+    expect(Array.from(cache.entries.values()).map(entry => entry.model)).toEqual(['llama3']);
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * Inference Scheduler
+ * Caps concurrent inference against Ollama and queues the overflow in
+ * priority lanes so interactive chat is served ahead of batch work
+ *
+ * @module InferenceScheduler
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const config = require('../config/app');
+const { ApiError } = require('../utils/errors');
+
+// Lanes in the order they are served
+const PRIORITIES = ['interactive', 'batch'];
+
+/**
+ * Error for a task cancelled before it started
+ * Uses the same code as a cancelled axios request so callers check one code
+ */
+function createCancelError() {
+  const error = new Error('Request cancelled');
+  error.code = 'ERR_CANCELED';
+  return error;
+}
+
+class InferenceScheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.maxConcurrent = options.maxConcurrent || config.performance.maxConcurrentRequests;
+    this.queueTimeout = options.queueTimeout || config.performance.requestTimeout;
+    this.maxQueueSize = options.maxQueueSize || config.performance.maxQueueSize;
+
+    this.lanes = new Map(PRIORITIES.map(name => [name, []]));
+    this.active = new Map();
+
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      rejected: 0,
+      cancelled: 0,
+      started: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+    };
+  }
+
+  /**
+   * Run a task once a concurrency slot is free
+   * Resolves or rejects with the task's own result. Aborting
+   * options.signal removes a queued task; a running task must watch the
+   * signal itself
+   */
+  schedule(task, options = {}) {
+    const priority = PRIORITIES.includes(options.priority) ? options.priority : 'interactive';
+
+    if (options.signal?.aborted) {
+      return Promise.reject(createCancelError());
+    }
+
+    if (this.getQueuedCount() >= this.maxQueueSize) {
+      this.stats.rejected++;
+      logger.warn('Inference queue full, rejecting request', {
+        queued: this.getQueuedCount(),
+        maxQueueSize: this.maxQueueSize,
+      });
+      return Promise.reject(this.createError('QUEUE_FULL'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        id: options.id || crypto.randomUUID(),
+        label: options.label || 'inference',
+        priority,
+        task,
+        resolve,
+        reject,
+        enqueued: Date.now(),
+        onPosition: options.onPosition,
+        lastPosition: null,
+        timer: null,
+        signal: options.signal,
+        onAbort: null,
+      };
+
+      this.lanes.get(priority).push(entry);
+
+      entry.timer = setTimeout(() => this.expire(entry), this.queueTimeout);
+      entry.timer.unref();
+
+      if (entry.signal) {
+        entry.onAbort = () => this.cancel(entry);
+        entry.signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.emit('queue:enqueued', { id: entry.id, priority, queued: this.getQueuedCount() });
+      this.drain();
+      this.notifyPositions();
+    });
+  }
+
+  /**
+   * Start queued tasks while slots are available
+   */
+  drain() {
+    while (this.active.size < this.maxConcurrent) {
+      const entry = this.nextEntry();
+      if (!entry) {
+        return;
+      }
+
+      this.start(entry);
+    }
+  }
+
+  /**
+   * Take the next entry in priority order
+   */
+  nextEntry() {
+    for (const lane of this.lanes.values()) {
+      if (lane.length > 0) {
+        return lane.shift();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run a dequeued task
+   */
+  start(entry) {
+    this.release(entry);
+
+    const waitMs = Date.now() - entry.enqueued;
+    this.stats.started++;
+    this.stats.totalWaitMs += waitMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+
+    this.active.set(entry.id, { ...entry, started: Date.now() });
+
+    this.emit('queue:started', { id: entry.id, priority: entry.priority, waitMs });
+
+    Promise.resolve()
+      .then(() => entry.task())
+      .then((result) => {
+        this.stats.completed++;
+        entry.resolve(result);
+      })
+      .catch((error) => {
+        // A task aborted through its signal was cancelled, not failed
+        if (error.code === 'ERR_CANCELED') {
+          this.stats.cancelled++;
+        } else {
+          this.stats.failed++;
+        }
+        entry.reject(error);
+      })
+      .finally(() => {
+        this.active.delete(entry.id);
+        this.emit('queue:finished', { id: entry.id, priority: entry.priority });
+        this.drain();
+        this.notifyPositions();
+      });
+  }
+
+  /**
+   * Clear an entry's queue timer and abort listener
+   */
+  release(entry) {
+    clearTimeout(entry.timer);
+    if (entry.onAbort) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+  }
+
+  /**
+   * Take an entry out of its lane, false if it already left the queue
+   */
+  dequeue(entry) {
+    const lane = this.lanes.get(entry.priority);
+    const index = lane.indexOf(entry);
+    if (index === -1) {
+      return false;
+    }
+
+    lane.splice(index, 1);
+    this.release(entry);
+    return true;
+  }
+
+  /**
+   * Fail an entry that waited longer than the queue timeout
+   */
+  expire(entry) {
+    if (!this.dequeue(entry)) {
+      return;
+    }
+
+    this.stats.timedOut++;
+
+    logger.warn('Inference request timed out in queue', {
+      id: entry.id,
+      priority: entry.priority,
+      waitMs: Date.now() - entry.enqueued,
+    });
+
+    entry.reject(this.createError('QUEUE_TIMEOUT'));
+    this.notifyPositions();
+  }
+
+  /**
+   * Drop an entry whose caller cancelled while it was queued
+   */
+  cancel(entry) {
+    if (!this.dequeue(entry)) {
+      return;
+    }
+
+    this.stats.cancelled++;
+    logger.info('Queued inference request cancelled', { id: entry.id, priority: entry.priority });
+
+    entry.reject(createCancelError());
+    this.notifyPositions();
+  }
+
+  /**
+   * Tell waiting callers when their queue position changes
+   */
+  notifyPositions() {
+    let position = 0;
+
+    for (const lane of this.lanes.values()) {
+      for (const entry of lane) {
+        position++;
+        if (entry.onPosition && entry.lastPosition !== position) {
+          entry.lastPosition = position;
+          entry.onPosition(position);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the 1-based queue position of an entry, 0 if running, null if unknown
+   */
+  getPosition(id) {
+    if (this.active.has(id)) {
+      return 0;
+    }
+
+    let position = 0;
+    for (const lane of this.lanes.values()) {
+      for (const entry of lane) {
+        position++;
+        if (entry.id === id) {
+          return position;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  getQueuedCount() {
+    let count = 0;
+    for (const lane of this.lanes.values()) {
+      count += lane.length;
+    }
+    return count;
+  }
+
+  createError(code, message = null) {
+    return new ApiError(code, message, {
+      retryAfter: Math.ceil(this.queueTimeout / 1000 / 10),
+    });
+  }
+
+  /**
+   * Get queue depth and throughput statistics
+   */
+  getStats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: this.active.size,
+      queued: this.getQueuedCount(),
+      lanes: Object.fromEntries(
+        Array.from(this.lanes.entries()).map(([name, lane]) => [name, lane.length])
+      ),
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      timedOut: this.stats.timedOut,
+      rejected: this.stats.rejected,
+      cancelled: this.stats.cancelled,
+      averageWaitMs: this.stats.started > 0 ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0,
+      maxWaitMs: this.stats.maxWaitMs,
+      queueTimeout: this.queueTimeout,
+    };
+  }
+
+  /**
+   * Reject everything still waiting
+   */
+  shutdown() {
+    for (const lane of this.lanes.values()) {
+      for (const entry of lane.splice(0)) {
+        this.release(entry);
+        entry.reject(this.createError('SHUTTING_DOWN'));
+      }
+    }
+  }
+}
+
+InferenceScheduler.PRIORITIES = PRIORITIES;
+
+module.exports = InferenceScheduler;
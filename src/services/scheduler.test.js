@@ -0,0 +1,143 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn() }));
+
+const InferenceScheduler = require('./scheduler');
+
+/**
+ * A task that runs until its returned finish function is called
+ */
+function deferredTask() {
+  let finish;
+  const done = new Promise(resolve => {
+    finish = resolve;
+  });
+  const task = jest.fn(() => done);
+  return { task, finish };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('InferenceScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new InferenceScheduler({ maxConcurrent: 1, queueTimeout: 60000, maxQueueSize: 3 });
+  });
+
+  afterEach(() => {
+    scheduler.shutdown();
+  });
+
+  it('runs tasks up to the concurrency limit and queues the rest', async () => {
+    const first = deferredTask();
+    const second = deferredTask();
+
+    const firstResult = scheduler.schedule(first.task, { id: 'first' });
+    const secondResult = scheduler.schedule(second.task, { id: 'second' });
+    await flush();
+
+    expect(first.task).toHaveBeenCalled();
+    expect(second.task).not.toHaveBeenCalled();
+    expect(scheduler.getPosition('first')).toBe(0);
+    expect(scheduler.getPosition('second')).toBe(1);
+
+    first.finish('one');
+    await expect(firstResult).resolves.toBe('one');
+    await flush();
+
+    expect(second.task).toHaveBeenCalled();
+    second.finish('two');
+    await expect(secondResult).resolves.toBe('two');
+    await flush();
+    expect(scheduler.getStats()).toMatchObject({ completed: 2, active: 0, queued: 0 });
+  });
+
+  it('serves interactive work ahead of batch work', async () => {
+    const running = deferredTask();
+    const order = [];
+
+    scheduler.schedule(running.task);
+    const batch = scheduler.schedule(() => order.push('batch'), { priority: 'batch' });
+    const interactive = scheduler.schedule(() => order.push('interactive'), { priority: 'interactive' });
+
+    running.finish();
+    await Promise.all([batch, interactive]);
+
+    expect(order).toEqual(['interactive', 'batch']);
+  });
+
+  it('reports queue positions as they change', async () => {
+    const running = deferredTask();
+    const positions = [];
+
+    scheduler.schedule(running.task);
+    scheduler.schedule(() => null, { priority: 'batch', onPosition: position => positions.push(position) });
+    scheduler.schedule(() => null, { priority: 'interactive' });
+
+    expect(positions).toEqual([1, 2]);
+    running.finish();
+  });
+
+  it('rejects work when the queue is full', async () => {
+    scheduler.schedule(deferredTask().task);
+    for (let i = 0; i < 3; i++) {
+      scheduler.schedule(deferredTask().task).catch(() => {});
+    }
+
+    await expect(scheduler.schedule(() => null)).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    expect(scheduler.getStats().rejected).toBe(1);
+  });
+
+  it('times out work that waits too long', async () => {
+    jest.useFakeTimers();
+    try {
+      scheduler = new InferenceScheduler({ maxConcurrent: 1, queueTimeout: 1000, maxQueueSize: 3 });
+      scheduler.schedule(deferredTask().task);
+      const waiting = scheduler.schedule(() => null);
+
+      jest.advanceTimersByTime(1000);
+
+      await expect(waiting).rejects.toMatchObject({ code: 'QUEUE_TIMEOUT' });
+      expect(scheduler.getStats().timedOut).toBe(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('drops queued work when its signal aborts', async () => {
+    const controller = new AbortController();
+    const task = jest.fn();
+
+    scheduler.schedule(deferredTask().task);
+    const waiting = scheduler.schedule(task, { signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toMatchObject({ code: 'ERR_CANCELED' });
+    expect(task).not.toHaveBeenCalled();
+    expect(scheduler.getStats()).toMatchObject({ cancelled: 1, queued: 0 });
+  });
+
+  it('refuses work whose signal already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(scheduler.schedule(() => null, { signal: controller.signal })).rejects.toMatchObject({ code: 'ERR_CANCELED' });
+  });
+
+  it('counts failed and cancelled tasks separately', async () => {
+    const cancelled = Object.assign(new Error('aborted'), { code: 'ERR_CANCELED' });
+
+    await expect(scheduler.schedule(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+    await expect(scheduler.schedule(() => Promise.reject(cancelled))).rejects.toBe(cancelled);
+
+    expect(scheduler.getStats()).toMatchObject({ failed: 1, cancelled: 1 });
+  });
+
+  it('rejects waiting work on shutdown', async () => {
+    scheduler.schedule(deferredTask().task);
+    const waiting = scheduler.schedule(() => null);
+
+    scheduler.shutdown();
+
+    await expect(waiting).rejects.toMatchObject({ code: 'SHUTTING_DOWN' });
+  });
+});
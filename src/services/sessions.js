@@ -0,0 +1,229 @@
+/**
+ * Session Service
+ * Server-side conversation sessions stored in SQLite, so /chat callers
+ * can send only their new messages
+ *
+ * Titles and message bodies are encrypted field by field with a
+ * per-session subkey (session:<id>) of the sessions key; roles, counts and
+ * timestamps stay queryable in plain text.
+ *
+ * @module SessionService
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+
+const DEFAULT_TITLE = 'New session';
+const ENCRYPTION_CONTEXT = 'sessions';
+
+const MIGRATION = `
+  CREATE TABLE sessions (
+    id TEXT PRIMARY KEY,
+    owner TEXT,
+    title TEXT NOT NULL,
+    model TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    message_count INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX sessions_owner ON sessions (owner, updated_at);
+
+  CREATE TABLE session_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX session_messages_session ON session_messages (session_id, id);
+`;
+
+class SessionService {
+  constructor(database, encryptionService) {
+    this.database = database;
+    this.encryptionService = encryptionService;
+  }
+
+  /**
+   * Create the session tables on first use
+   */
+  async init() {
+    try {
+      await this.database.migrate('001-sessions', MIGRATION);
+      logger.info('Session service initialized');
+    } catch (error) {
+      logger.error('Failed to initialize session service:', error);
+      throw error;
+    }
+  }
+
+  getSubcontext(id) {
+    return `session:${id}`;
+  }
+
+  encryptField(id, value) {
+    return JSON.stringify(this.encryptionService.encrypt(value, ENCRYPTION_CONTEXT, null, this.getSubcontext(id)));
+  }
+
+  decryptField(id, value) {
+    return this.encryptionService.decrypt(JSON.parse(value), ENCRYPTION_CONTEXT, null, this.getSubcontext(id));
+  }
+
+  /**
+   * Create a session, optionally seeded with messages
+   */
+  async create({ title = DEFAULT_TITLE, model = null, messages = [] }, { owner = null } = {}) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    await this.database.transaction(async () => {
+      await this.database.run(
+        'INSERT INTO sessions (id, owner, title, model, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, owner, this.encryptField(id, title), model, now, now]
+      );
+      await this.insertMessages(id, messages, now);
+    });
+
+    return this.getSession(id);
+  }
+
+  /**
+   * Get a session's metadata
+   */
+  async getSession(id) {
+    const row = await this.database.get('SELECT * FROM sessions WHERE id = ?', [id]);
+    if (!row) {
+      throw new ApiError('NOT_FOUND', 'Session not found', { sessionId: id });
+    }
+    return this.fromRow(row);
+  }
+
+  /**
+   * Get a session's messages, oldest first
+   */
+  async getMessages(id) {
+    const rows = await this.database.all(
+      'SELECT role, body, created_at FROM session_messages WHERE session_id = ? ORDER BY id',
+      [id]
+    );
+
+    return rows.map(row => ({
+      role: row.role,
+      ...JSON.parse(this.decryptField(id, row.body)),
+      createdAt: row.created_at,
+    }));
+  }
+
+  /**
+   * Append messages to an active session
+   * options.model records the model that produced an assistant reply
+   */
+  async appendMessages(id, messages, { model } = {}) {
+    const session = await this.getSession(id);
+    if (session.status === 'archived') {
+      throw new ApiError('CONFLICT', 'Session is archived; restore it before adding messages', { sessionId: id });
+    }
+
+    const now = new Date().toISOString();
+    await this.database.transaction(async () => {
+      await this.insertMessages(id, messages, now);
+      await this.database.run(
+        'UPDATE sessions SET model = COALESCE(?, model), updated_at = ? WHERE id = ?',
+        [model || null, now, id]
+      );
+    });
+
+    return this.getSession(id);
+  }
+
+  /**
+   * Insert messages and bump the count; call inside a transaction
+   */
+  async insertMessages(id, messages, now) {
+    for (const { role, content, images } of messages) {
+      const body = images ? { content, images } : { content };
+      await this.database.run(
+        'INSERT INTO session_messages (session_id, role, body, created_at) VALUES (?, ?, ?, ?)',
+        [id, role, this.encryptField(id, JSON.stringify(body)), now]
+      );
+    }
+
+    if (messages.length > 0) {
+      await this.database.run('UPDATE sessions SET message_count = message_count + ? WHERE id = ?', [messages.length, id]);
+    }
+  }
+
+  /**
+   * Rename, archive or restore a session
+   */
+  async update(id, { title, status }) {
+    await this.getSession(id);
+
+    await this.database.transaction(async () => {
+      if (title !== undefined) {
+        await this.database.run('UPDATE sessions SET title = ? WHERE id = ?', [this.encryptField(id, title), id]);
+      }
+      if (status !== undefined) {
+        await this.database.run('UPDATE sessions SET status = ? WHERE id = ?', [status, id]);
+      }
+      await this.database.run('UPDATE sessions SET updated_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+    });
+
+    return this.getSession(id);
+  }
+
+  /**
+   * Delete a session and its messages
+   */
+  async remove(id) {
+    const session = await this.getSession(id);
+
+    await this.database.transaction(() => this.database.run('DELETE FROM sessions WHERE id = ?', [id]));
+
+    return session;
+  }
+
+  /**
+   * List a page of sessions, most recently updated first
+   * Returns { sessions, total }, total counting every match
+   */
+  async list({ owner, status, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (owner) {
+      conditions.push('owner = ?');
+      params.push(owner);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = await this.database.get(`SELECT COUNT(*) AS total FROM sessions ${where}`, params);
+    const rows = await this.database.all(
+      `SELECT * FROM sessions ${where} ORDER BY updated_at DESC, id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { sessions: rows.map(row => this.fromRow(row)), total };
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      owner: row.owner,
+      title: this.decryptField(row.id, row.title),
+      model: row.model,
+      status: row.status,
+      messageCount: row.message_count,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,235 @@
+/**
+ * Template Service
+ * Library of named, versioned prompt templates stored in SQLite
+ *
+ * A template has a prompt and optional system prompt with {{variable}}
+ * placeholders, typed variable definitions, and an optional default
+ * model and optimization profile. Versions are immutable: changing a
+ * template adds a version, and runs use the latest unless one is pinned.
+ *
+ * @module TemplateService
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const { validate } = require('../utils/validation');
+const BUILT_IN_TEMPLATES = require('../config/templates');
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Variable definition keys that become part of the variables schema
+const SCHEMA_KEYS = ['type', 'description', 'enum', 'minimum', 'maximum', 'minLength', 'maxLength'];
+
+const MIGRATION = `
+  CREATE TABLE prompt_templates (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    description TEXT,
+    system TEXT,
+    prompt TEXT NOT NULL,
+    variables TEXT NOT NULL,
+    model TEXT,
+    profile TEXT,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    UNIQUE (name, version)
+  );
+`;
+
+class TemplateService {
+  constructor(database, modelService) {
+    this.database = database;
+    this.modelService = modelService;
+  }
+
+  /**
+   * Create the template table, seeded with the built-in templates
+   */
+  async init() {
+    try {
+      if (await this.database.migrate('002-prompt-templates', MIGRATION)) {
+        for (const template of BUILT_IN_TEMPLATES) {
+          await this.insertVersion(template, 1, null);
+        }
+      }
+      logger.info('Template service initialized');
+    } catch (error) {
+      logger.error('Failed to initialize template service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a definition: every placeholder must be a declared variable,
+   * defaults must match their variable, and the profile must exist
+   */
+  checkDefinition({ prompt, system, variables = {}, profile }) {
+    const used = new Set([...`${system || ''}\n${prompt}`.matchAll(PLACEHOLDER)].map(match => match[1]));
+    const undeclared = [...used].filter(name => !variables[name]);
+    if (undeclared.length > 0) {
+      throw new ApiError('VALIDATION_FAILED', 'Template uses undeclared variables', { variables: undeclared });
+    }
+
+    const unused = Object.keys(variables).filter(name => !used.has(name));
+    if (unused.length > 0) {
+      throw new ApiError('VALIDATION_FAILED', 'Template declares variables it does not use', { variables: unused });
+    }
+
+    const errors = Object.entries(variables)
+      .filter(([, definition]) => definition.default !== undefined)
+      .flatMap(([name, definition]) => validate(this.toSchema(definition), definition.default, `variables.${name}.default`));
+    if (errors.length > 0) {
+      throw new ApiError('VALIDATION_FAILED', null, { errors });
+    }
+
+    if (profile) {
+      this.modelService.getOptimizedParameters(profile);
+    }
+  }
+
+  toSchema(definition) {
+    return Object.fromEntries(SCHEMA_KEYS.filter(key => definition[key] !== undefined).map(key => [key, definition[key]]));
+  }
+
+  /**
+   * Create a template as version 1
+   */
+  async create({ name, ...definition }, { createdBy = null } = {}) {
+    this.checkDefinition(definition);
+
+    if (await this.database.get('SELECT 1 FROM prompt_templates WHERE name = ?', [name])) {
+      throw new ApiError('CONFLICT', `Template ${name} already exists; add a version instead`, { name });
+    }
+
+    return this.insertVersion({ name, ...definition }, 1, createdBy);
+  }
+
+  /**
+   * Add the next version of a template
+   */
+  async addVersion(name, definition, { createdBy = null } = {}) {
+    const latest = await this.getTemplate(name);
+    this.checkDefinition(definition);
+
+    return this.insertVersion({ name, ...definition }, latest.version + 1, createdBy);
+  }
+
+  async insertVersion({ name, description = null, system = null, prompt, variables = {}, model = null, profile = null }, version, createdBy) {
+    const id = crypto.randomUUID();
+
+    try {
+      await this.database.transaction(() => this.database.run(
+        `INSERT INTO prompt_templates (id, name, version, description, system, prompt, variables, model, profile, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, name, version, description, system, prompt, JSON.stringify(variables), model, profile, createdBy, new Date().toISOString()]
+      ));
+    } catch (error) {
+      // Another version was added concurrently
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        throw new ApiError('CONFLICT', `Template ${name} version ${version} already exists`, { name, version });
+      }
+      throw error;
+    }
+
+    return this.getTemplate(name, version);
+  }
+
+  /**
+   * Get a template version, the latest by default
+   */
+  async getTemplate(name, version) {
+    const row = version
+      ? await this.database.get('SELECT * FROM prompt_templates WHERE name = ? AND version = ?', [name, version])
+      : await this.database.get('SELECT * FROM prompt_templates WHERE name = ? ORDER BY version DESC LIMIT 1', [name]);
+
+    if (!row) {
+      throw new ApiError('NOT_FOUND', version ? `Template ${name} has no version ${version}` : `Template ${name} not found`, { name, version });
+    }
+    return this.fromRow(row);
+  }
+
+  /**
+   * List the latest version of every template
+   */
+  async list() {
+    const rows = await this.database.all(`
+      SELECT t.* FROM prompt_templates t
+      JOIN (SELECT name, MAX(version) AS version FROM prompt_templates GROUP BY name) latest
+        ON latest.name = t.name AND latest.version = t.version
+      ORDER BY t.name
+    `);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * List all versions of a template, newest first
+   */
+  async listVersions(name) {
+    const rows = await this.database.all('SELECT * FROM prompt_templates WHERE name = ? ORDER BY version DESC', [name]);
+    if (rows.length === 0) {
+      throw new ApiError('NOT_FOUND', `Template ${name} not found`, { name });
+    }
+    return rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Delete a template with all its versions
+   */
+  async remove(name) {
+    const versions = await this.listVersions(name);
+    await this.database.transaction(() => this.database.run('DELETE FROM prompt_templates WHERE name = ?', [name]));
+    return versions.length;
+  }
+
+  /**
+   * Render a template with the given variables
+   * Variables are checked against their definitions; optional variables
+   * fall back to their default or an empty string
+   */
+  render(template, variables = {}) {
+    const required = Object.entries(template.variables)
+      .filter(([, definition]) => definition.required !== false)
+      .map(([name]) => name);
+    const schema = {
+      type: 'object',
+      required,
+      properties: Object.fromEntries(Object.entries(template.variables).map(([name, definition]) => [name, this.toSchema(definition)])),
+      additionalProperties: false,
+    };
+
+    const errors = validate(schema, variables, 'variables');
+    if (errors.length > 0) {
+      throw new ApiError('VALIDATION_FAILED', null, { errors, template: template.name, version: template.version });
+    }
+
+    const fill = (text) => text.replace(PLACEHOLDER, (match, name) => {
+      const value = variables[name] ?? template.variables[name].default ?? '';
+      return String(value);
+    });
+
+    return {
+      prompt: fill(template.prompt),
+      system: template.system ? fill(template.system) : null,
+    };
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      version: row.version,
+      description: row.description,
+      system: row.system,
+      prompt: row.prompt,
+      variables: JSON.parse(row.variables),
+      model: row.model,
+      profile: row.profile,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = TemplateService;
@@ -0,0 +1,183 @@
+/**
+ * Tool Service
+ * Registry of local tools the model may call during a chat, and the loop
+ * that runs them
+ *
+ * A tool has a name, a description, the permission needed to use it,
+ * JSON Schema parameters and an execute(args) function. Tools only run on
+ * this server: the model asks for a call, the arguments are validated
+ * against the tool's parameters, and the result goes back to the model
+ * as a `tool` message until it answers without calling a tool. Every
+ * invocation is written to the audit trail.
+ *
+ * @module ToolService
+ */
+
+const logger = require('../utils/logger');
+const config = require('../config/app');
+const { ApiError } = require('../utils/errors');
+const { validate } = require('../utils/validation');
+const builtInTools = require('../tools');
+
+class ToolService {
+  constructor(ollamaService, options = {}) {
+    this.ollamaService = ollamaService;
+    this.maxRounds = options.maxRounds || config.tools.maxRounds;
+    this.timeout = options.timeout || config.tools.timeout;
+    this.tools = new Map();
+
+    for (const tool of options.tools || builtInTools) {
+      this.register(tool);
+    }
+  }
+
+  /**
+   * Add a tool to the registry
+   */
+  register(tool) {
+    if (!/^[a-z][a-z0-9_]{0,63}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool.name}`);
+    }
+    if (!tool.permission || typeof tool.execute !== 'function') {
+      throw new Error(`Tool ${tool.name} needs a permission and an execute function`);
+    }
+    this.tools.set(tool.name, tool);
+  }
+
+  getTool(name) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new ApiError('NOT_FOUND', `Tool ${name} not found`, { tool: name });
+    }
+    return tool;
+  }
+
+  /**
+   * List the registered tools
+   */
+  list() {
+    return [...this.tools.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      permission: tool.permission,
+      parameters: tool.parameters,
+    }));
+  }
+
+  /**
+   * Tool definition in the form Ollama expects
+   */
+  toDefinition(name) {
+    const tool = this.getTool(name);
+    return {
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      },
+    };
+  }
+
+  /**
+   * Run one tool call from the model
+   * Only tools offered on the request can run. Bad arguments and tool
+   * failures are returned as an error for the model to see rather than
+   * thrown, so it can correct itself or answer without the tool.
+   */
+  async invoke(name, args, { tools, user }) {
+    const startTime = Date.now();
+    const tool = tools.includes(name) ? this.tools.get(name) : null;
+
+    const audit = (status, details = {}) => {
+      logger.auditLog('Tool Invocation', {
+        tool: name,
+        permission: tool?.permission,
+        // Argument values can carry PHI, so only their names are recorded
+        arguments: args && typeof args === 'object' ? Object.keys(args) : [],
+        status,
+        duration: `${Date.now() - startTime}ms`,
+        ...details,
+      });
+    };
+
+    if (!tool) {
+      audit('rejected');
+      return { tool: name, arguments: args, error: `Tool ${name} is not available` };
+    }
+
+    if (typeof args === 'string') {
+      try {
+        args = JSON.parse(args);
+      } catch (error) {
+        audit('invalid_arguments');
+        return { tool: name, arguments: args, error: 'Arguments are not valid JSON' };
+      }
+    }
+    args = args || {};
+
+    const errors = validate(tool.parameters, args, 'arguments');
+    if (errors.length > 0) {
+      audit('invalid_arguments', { errors: errors.length });
+      return { tool: name, arguments: args, error: errors.map(error => `${error.path} ${error.message}`).join('; ') };
+    }
+
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tool timed out after ${this.timeout}ms`)), this.timeout);
+      });
+      const result = await Promise.race([tool.execute(args, { user }), timeout]);
+
+      audit('success');
+      return { tool: name, arguments: args, result };
+    } catch (error) {
+      audit('failed', { error: error.message });
+      return { tool: name, arguments: args, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Chat with tools
+   * Offers the tools to the model and runs the calls it makes, feeding
+   * each result back, for up to maxRounds rounds; the last round is sent
+   * without tools so the model has to answer. The response carries the
+   * `tool_invocations` made, with token counts summed over every round.
+   */
+  async runChat(model, messages, options, { tools, user }) {
+    const definitions = tools.map(name => this.toDefinition(name));
+    const invocations = [];
+    let conversation = messages;
+    let evalCount = 0;
+    let promptEvalCount = 0;
+
+    for (let round = 1; ; round++) {
+      const offer = round < this.maxRounds ? definitions : undefined;
+      const response = await this.ollamaService.chat(model, conversation, { ...options, tools: offer, stream: false });
+      evalCount += response.eval_count || 0;
+      promptEvalCount += response.prompt_eval_count || 0;
+
+      const calls = response.message?.tool_calls || [];
+      if (calls.length === 0 || !offer) {
+        return { ...response, eval_count: evalCount, prompt_eval_count: promptEvalCount, tool_invocations: invocations };
+      }
+
+      const results = [];
+      for (const call of calls) {
+        const invocation = await this.invoke(call.function?.name, call.function?.arguments, { tools, user });
+        invocations.push({ ...invocation, round });
+        results.push({
+          role: 'tool',
+          tool_name: invocation.tool,
+          content: JSON.stringify(invocation.error ? { error: invocation.error } : invocation.result),
+        });
+      }
+
+      conversation = [...conversation, response.message, ...results];
+    }
+  }
+}
+
+module.exports = ToolService;
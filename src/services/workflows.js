@@ -0,0 +1,363 @@
+/**
+ * Workflow Service
+ * Healthcare workflows with typed input and structured output: patient
+ * communication, document summarization, treatment planning and practice
+ * analytics
+ *
+ * Each workflow turns its input into a prompt, asks for JSON matching
+ * the workflow's output schema as its response_format, and runs with the
+ * parameters of its own use case. Figures the model should not be trusted
+ * with, such as cost estimates and rating statistics, are computed here
+ * and added to the output. Workflows are switched on and off by the
+ * config.healthcare.workflows flags.
+ *
+ * @module WorkflowService
+ */
+
+const { ApiError } = require('../utils/errors');
+const config = require('../config/app');
+
+const DEFAULT_PROFILE = 'healthcare';
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const list = (items) => (items && items.length > 0 ? items.join('; ') : 'None reported');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Cost estimate from the procedure cost and insurance coverage
+ * The deductible is paid first, coverage applies to the rest and is
+ * capped by the remaining annual maximum
+ */
+function estimateCost(estimatedCost, insurance = {}) {
+  const deductible = Math.min(insurance.deductibleRemaining || 0, estimatedCost);
+  const covered = (estimatedCost - deductible) * ((insurance.coveragePercent || 0) / 100);
+  const maximum = insurance.annualMaximumRemaining ?? Infinity;
+  const insuranceEstimate = Math.min(covered, maximum);
+
+  return {
+    currency: insurance.currency || 'USD',
+    estimatedCost: round(estimatedCost),
+    deductibleApplied: round(deductible),
+    coveragePercent: insurance.coveragePercent || 0,
+    insuranceEstimate: round(insuranceEstimate),
+    patientEstimate: round(estimatedCost - insuranceEstimate),
+    annualMaximumReached: covered > maximum,
+  };
+}
+
+/**
+ * Rating statistics of a feedback set
+ */
+function feedbackStatistics(feedback) {
+  const ratings = feedback.map(entry => entry.rating).filter(rating => rating !== undefined);
+  const dates = feedback.map(entry => entry.date).filter(Boolean).sort();
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const rating of ratings) {
+    distribution[rating]++;
+  }
+
+  return {
+    feedbackCount: feedback.length,
+    rated: ratings.length,
+    averageRating: ratings.length > 0 ? round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) : null,
+    ratingDistribution: distribution,
+    period: dates.length > 0 ? { from: dates[0], to: dates[dates.length - 1] } : null,
+  };
+}
+
+const WORKFLOWS = {
+  'patient-communication': {
+    flag: 'patientCommunication',
+    useCase: 'patient_communication',
+    description: 'Analyze a patient message and draft a reply',
+    system: 'You support the front desk of a healthcare practice. Be warm, factual and professional, never diagnose in writing, and respond only with JSON.',
+    buildPrompt: ({ message, provider, practiceType, patient = {} }) => `Analyze the following message a ${practiceType || 'dental'} practice received from a patient, then draft a reply from ${provider || 'the practice'}.
+
+Patient Message: "${message}"
+
+Patient Name: ${patient.name || 'Not given'}
+Known Conditions: ${list(patient.conditions)}
+Upcoming Procedure: ${patient.upcomingProcedure || 'None scheduled'}
+
+In the analysis give the overall sentiment, each specific concern, the follow-up priority, the recommended response approach and the key points the reply must address.
+The reply should acknowledge any anxiety with empathy, answer each concern factually, explain how known conditions are taken into account, and offer further support such as a call or consultation.`,
+    output: {
+      type: 'object',
+      required: ['analysis', 'reply'],
+      properties: {
+        analysis: {
+          type: 'object',
+          required: ['sentiment', 'concerns', 'priority', 'responseApproach', 'keyPoints'],
+          properties: {
+            sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative', 'anxious'] },
+            concerns: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['topic', 'detail'],
+                properties: {
+                  topic: { type: 'string', enum: ['clinical', 'pain', 'cost', 'insurance', 'scheduling', 'medical_history', 'other'] },
+                  detail: { type: 'string' },
+                },
+              },
+            },
+            priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+            responseApproach: { type: 'string' },
+            keyPoints: stringList,
+          },
+        },
+        reply: {
+          type: 'object',
+          required: ['subject', 'body'],
+          properties: {
+            subject: { type: 'string' },
+            body: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+
+  'document-summarization': {
+    flag: 'documentSummarization',
+    useCase: 'medical_documentation',
+    description: 'Summarize a clinical document into findings, diagnoses, medications and follow-up',
+    system: 'You are a clinical documentation assistant. Only report what the document states, and respond only with JSON.',
+    buildPrompt: ({ text, documentType, audience }) => `Summarize the following ${(documentType || 'clinical document').replace(/_/g, ' ')} for ${audience === 'patient' ? 'the patient, in plain, non-medical language' : 'a clinician'}.
+
+<document>
+${text}
+</document>
+
+List the key findings, diagnoses, medications with their doses and follow-up actions exactly as the document gives them, and use empty lists where it has none.
+Flag anything that needs prompt clinical attention, such as abnormal results, allergies or missed follow-up.`,
+    output: {
+      type: 'object',
+      required: ['title', 'summary', 'keyFindings', 'diagnoses', 'medications', 'followUp', 'flags'],
+      properties: {
+        title: { type: 'string' },
+        summary: { type: 'string' },
+        keyFindings: stringList,
+        diagnoses: stringList,
+        medications: stringList,
+        followUp: stringList,
+        flags: stringList,
+      },
+    },
+    finalize: (output, { text, document }) => ({
+      ...output,
+      source: { document: document || null, characters: text.length },
+    }),
+  },
+
+  'treatment-planning': {
+    flag: 'treatmentPlanning',
+    useCase: 'treatment_planning',
+    description: 'Patient-friendly treatment plan with condition considerations and a cost estimate',
+    system: 'You explain treatment plans to patients of a healthcare practice in clear, non-medical language. Use the cost figures exactly as given, and respond only with JSON.',
+    buildPrompt: ({ procedure, patientConditions, medications, allergies, insurance = {}, estimatedCost }) => {
+      const cost = estimateCost(estimatedCost, insurance);
+      return `Create a patient-friendly treatment plan for:
+
+Procedure: ${procedure}
+Patient Conditions: ${list(patientConditions)}
+Current Medications: ${list(medications)}
+Allergies: ${list(allergies)}
+Insurance: ${insurance.provider || 'Unknown provider'}, ${cost.coveragePercent}% coverage
+
+Cost Estimate (${cost.currency}):
+- Total: ${cost.estimatedCost}
+- Deductible: ${cost.deductibleApplied}
+- Insurance pays: ${cost.insuranceEstimate}${cost.annualMaximumReached ? ' (limited by the remaining annual maximum)' : ''}
+- Patient pays: ${cost.patientEstimate}
+
+Explain what the procedure involves and why it is needed, the steps with their timing, how each condition, medication or allergy affects treatment, how to prepare, aftercare, what the cost estimate means for the patient, and questions the patient may want to ask.`;
+    },
+    output: {
+      type: 'object',
+      required: ['overview', 'steps', 'considerations', 'preparation', 'aftercare', 'financialNotes', 'questionsToAsk'],
+      properties: {
+        overview: { type: 'string' },
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title', 'description', 'timing'],
+            properties: {
+              title: { type: 'string' },
+              description: { type: 'string' },
+              timing: { type: 'string' },
+            },
+          },
+        },
+        considerations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['factor', 'consideration'],
+            properties: {
+              factor: { type: 'string' },
+              consideration: { type: 'string' },
+            },
+          },
+        },
+        preparation: stringList,
+        aftercare: stringList,
+        financialNotes: { type: 'string' },
+        questionsToAsk: stringList,
+      },
+    },
+    finalize: (output, { estimatedCost, insurance }) => ({
+      ...output,
+      costEstimate: estimateCost(estimatedCost, insurance),
+    }),
+  },
+
+  'practice-analytics': {
+    flag: 'practiceAnalytics',
+    useCase: 'practice_analytics',
+    description: 'Find themes in patient feedback and turn them into a 30-day action plan',
+    system: 'You are a practice management analyst for a healthcare practice. Base every finding on the feedback given, and respond only with JSON.',
+    buildPrompt: ({ feedback, practiceType }) => `Analyze the following patient feedback for a ${practiceType || 'dental'} practice to identify patterns and improvement opportunities:
+
+${feedback.map((entry, index) => `${index + 1}. ${entry.rating !== undefined ? `[${entry.rating}/5] ` : ''}"${entry.text}"`).join('\n')}
+
+Give the overall sentiment and a short summary, the recurring themes with their sentiment and the numbers of the feedback entries that mention them, the strengths to maintain, and the improvements with their priority.
+Then create a 30-day action plan: week 1 immediate fixes, weeks 2-3 process improvements, and week 4 evaluation and training, each with an owner role and a measurable success metric.`,
+    output: {
+      type: 'object',
+      required: ['overallSentiment', 'summary', 'themes', 'strengths', 'improvements', 'actionPlan'],
+      properties: {
+        overallSentiment: { type: 'string', enum: ['positive', 'mixed', 'negative'] },
+        summary: { type: 'string' },
+        themes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['theme', 'sentiment', 'feedback'],
+            properties: {
+              theme: { type: 'string' },
+              sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+              feedback: { type: 'array', items: { type: 'integer', minimum: 1 } },
+            },
+          },
+        },
+        strengths: stringList,
+        improvements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['area', 'recommendation', 'priority'],
+            properties: {
+              area: { type: 'string' },
+              recommendation: { type: 'string' },
+              priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+            },
+          },
+        },
+        actionPlan: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['period', 'actions', 'owner', 'metric'],
+            properties: {
+              period: { type: 'string' },
+              actions: stringList,
+              owner: { type: 'string' },
+              metric: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    finalize: (output, { feedback }) => ({
+      ...output,
+      statistics: feedbackStatistics(feedback),
+    }),
+  },
+};
+
+class WorkflowService {
+  constructor(modelService, options = {}) {
+    this.modelService = modelService;
+    this.flags = options.flags || config.healthcare.workflows;
+  }
+
+  isEnabled(name) {
+    return Boolean(WORKFLOWS[name] && this.flags[WORKFLOWS[name].flag]);
+  }
+
+  /**
+   * List the workflows and whether each is enabled
+   */
+  list() {
+    return Object.entries(WORKFLOWS).map(([name, workflow]) => ({
+      name,
+      description: workflow.description,
+      useCase: workflow.useCase,
+      enabled: this.isEnabled(name),
+    }));
+  }
+
+  /**
+   * Get an enabled workflow; disabled ones are reported as not found
+   */
+  getWorkflow(name) {
+    if (!WORKFLOWS[name]) {
+      throw new ApiError('NOT_FOUND', `Workflow ${name} not found`, { workflow: name });
+    }
+    if (!this.isEnabled(name)) {
+      throw new ApiError('NOT_FOUND', `Workflow ${name} is disabled`, { workflow: name, flag: `healthcare.workflows.${WORKFLOWS[name].flag}` });
+    }
+    return WORKFLOWS[name];
+  }
+
+  /**
+   * Parameters for a workflow's use case
+   * Registered models get a recorded optimization; other installed models
+   * get the same use-case parameters without one
+   */
+  getParameters(name, model, profile = DEFAULT_PROFILE) {
+    const { useCase } = this.getWorkflow(name);
+
+    try {
+      return this.modelService.optimizeForUseCase(model, useCase, profile);
+    } catch (error) {
+      if (error.code !== 'MODEL_NOT_FOUND') {
+        throw error;
+      }
+      return this.modelService.getOptimizedParameters(profile, useCase);
+    }
+  }
+
+  /**
+   * Build the generate request for a workflow run
+   * Options set on the request take precedence over the use-case parameters
+   */
+  buildRequest(name, input, { model, options = {} }) {
+    const workflow = this.getWorkflow(name);
+    const { profile, ...requestOptions } = options;
+
+    return {
+      model,
+      prompt: workflow.buildPrompt(input),
+      options: {
+        ...this.modelService.applyParameters(this.getParameters(name, model, profile), requestOptions),
+        system: requestOptions.system || workflow.system,
+        response_format: workflow.output,
+      },
+    };
+  }
+
+  /**
+   * Add the computed fields to a workflow's validated output
+   */
+  finalize(name, output, input) {
+    const workflow = this.getWorkflow(name);
+    return workflow.finalize ? workflow.finalize(output, input) : output;
+  }
+}
+
+module.exports = WorkflowService;
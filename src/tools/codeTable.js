@@ -0,0 +1,43 @@
+/**
+ * Code Table Tool
+ * Searches the practice's local table of diagnosis and procedure codes, a
+ * CSV file with system, code and description columns (TOOLS_CODE_TABLE)
+ */
+
+const config = require('../config/app');
+const { readTable } = require('./tables');
+
+const MAX_RESULTS = 10;
+
+module.exports = {
+  name: 'lookup_code',
+  description: 'Search the local code table by code or by words from the description, e.g. to find the ICD-10-CM code for a diagnosis.',
+  permission: 'tools:billing',
+  parameters: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', minLength: 1, maxLength: 200, description: 'A code or code prefix, or words from the description' },
+      system: { type: 'string', maxLength: 50, description: 'Only search one code system, e.g. ICD-10-CM' },
+    },
+  },
+
+  async execute({ query, system }) {
+    const rows = await readTable(config.tools.codeTable, ['system', 'code', 'description'], 'code table');
+    const candidates = system ? rows.filter(row => row.system.toLowerCase() === system.toLowerCase()) : rows;
+
+    const term = query.trim().toLowerCase();
+    const words = term.split(/\s+/).filter(Boolean);
+    const byCode = candidates.filter(row => row.code.toLowerCase().startsWith(term));
+    const byDescription = candidates.filter(row =>
+      !byCode.includes(row) && words.every(word => row.description.toLowerCase().includes(word))
+    );
+
+    // Exact code first, then code prefixes, then description matches
+    const matches = [...byCode.sort((a, b) => a.code.length - b.code.length), ...byDescription];
+    return {
+      matches: matches.slice(0, MAX_RESULTS).map(row => ({ system: row.system, code: row.code, description: row.description })),
+      truncated: matches.length > MAX_RESULTS,
+    };
+  },
+};
@@ -0,0 +1,48 @@
+/**
+ * Dosage by Weight Tool
+ * Computes a weight-based dosing table from a mg/kg dose given by the
+ * clinician or the model; it holds no drug data of its own
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  name: 'dosage_by_weight',
+  description: 'Compute a dosing table for patient weights from a dose in mg/kg, with an optional single-dose cap, liquid concentration and doses per day. Results must be checked against the prescribing information.',
+  permission: 'tools:clinical',
+  parameters: {
+    type: 'object',
+    required: ['doseMgPerKg', 'weightsKg'],
+    properties: {
+      drug: { type: 'string', maxLength: 200, description: 'Drug name, for the table heading only' },
+      doseMgPerKg: { type: 'number', minimum: 0, maximum: 1000 },
+      weightsKg: { type: 'array', items: { type: 'number', minimum: 0.1, maximum: 500 }, minItems: 1, maxItems: 50 },
+      maxSingleDoseMg: { type: 'number', minimum: 0, description: 'Cap on a single dose' },
+      concentrationMgPerMl: { type: 'number', minimum: 0.001, description: 'Liquid concentration, to give volumes' },
+      dosesPerDay: { type: 'integer', minimum: 1, maximum: 24 },
+    },
+  },
+
+  async execute({ drug, doseMgPerKg, weightsKg, maxSingleDoseMg, concentrationMgPerMl, dosesPerDay }) {
+    const rows = weightsKg.map(weightKg => {
+      const calculated = weightKg * doseMgPerKg;
+      const doseMg = maxSingleDoseMg !== undefined ? Math.min(calculated, maxSingleDoseMg) : calculated;
+      const row = { weightKg, doseMg: round(doseMg), capped: doseMg < calculated };
+
+      if (concentrationMgPerMl) {
+        row.volumeMl = round(doseMg / concentrationMgPerMl);
+      }
+      if (dosesPerDay) {
+        row.dailyMg = round(doseMg * dosesPerDay);
+      }
+      return row;
+    });
+
+    return {
+      drug: drug || null,
+      doseMgPerKg,
+      rows,
+      note: 'Computed from the given mg/kg dose; verify against the prescribing information before use.',
+    };
+  },
+};
@@ -0,0 +1,50 @@
+/**
+ * Fee Schedule Tool
+ * Looks up procedure fees in the practice's fee schedule, a CSV file with
+ * code, description and fee columns (TOOLS_FEE_SCHEDULE)
+ */
+
+const config = require('../config/app');
+const { readTable } = require('./tables');
+
+const MAX_RESULTS = 20;
+
+module.exports = {
+  name: 'lookup_fee_schedule',
+  description: 'Look up the practice fee for procedure codes, or search the fee schedule by description. Give codes or query.',
+  permission: 'tools:billing',
+  parameters: {
+    type: 'object',
+    properties: {
+      codes: { type: 'array', items: { type: 'string', maxLength: 20 }, maxItems: MAX_RESULTS, description: 'Procedure codes, e.g. D3330' },
+      query: { type: 'string', maxLength: 200, description: 'Words from the procedure description, e.g. root canal molar' },
+    },
+  },
+
+  async execute({ codes = [], query }) {
+    if (codes.length === 0 && !query) {
+      throw new Error('Give codes or query');
+    }
+
+    const rows = await readTable(config.tools.feeSchedule, ['code', 'description', 'fee'], 'fee schedule');
+    const toFee = (row) => ({ code: row.code, description: row.description, fee: Number(row.fee) });
+
+    if (codes.length > 0) {
+      const wanted = codes.map(code => code.trim().toUpperCase());
+      const found = rows.filter(row => wanted.includes(row.code.trim().toUpperCase()));
+      return {
+        currency: config.tools.currency,
+        fees: found.map(toFee),
+        notFound: wanted.filter(code => !found.some(row => row.code.trim().toUpperCase() === code)),
+      };
+    }
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = rows.filter(row => words.every(word => row.description.toLowerCase().includes(word)));
+    return {
+      currency: config.tools.currency,
+      fees: matches.slice(0, MAX_RESULTS).map(toFee),
+      truncated: matches.length > MAX_RESULTS,
+    };
+  },
+};
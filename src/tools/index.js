@@ -0,0 +1,10 @@
+/**
+ * Built-in Tools
+ * Local actions the model may call during /chat, each behind a permission
+ */
+
+module.exports = [
+  require('./feeSchedule'),
+  require('./codeTable'),
+  require('./dosageByWeight'),
+];
@@ -0,0 +1,43 @@
+/**
+ * Tool Tables
+ * Practice-maintained CSV tables read by the built-in tools
+ * A table is re-read when its file changes, so edits apply without a
+ * restart
+ *
+ * @module ToolTables
+ */
+
+const fs = require('fs');
+const csv = require('../utils/csv');
+
+const cache = new Map(); // file -> { mtimeMs, rows }
+
+/**
+ * Read a CSV table and check it has the required columns
+ */
+async function readTable(file, columns, label) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(file);
+  } catch (error) {
+    throw new Error(`No ${label} is configured`);
+  }
+
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.rows;
+  }
+
+  const rows = csv.parse(await fs.promises.readFile(file, 'utf8'));
+  const missing = columns.filter(column => rows.length > 0 && !(column in rows[0]));
+  if (missing.length > 0) {
+    throw new Error(`The ${label} is missing columns: ${missing.join(', ')}`);
+  }
+
+  cache.set(file, { mtimeMs: stats.mtimeMs, rows });
+  return rows;
+}
+
+module.exports = {
+  readTable,
+};
@@ -0,0 +1,113 @@
+/**
+ * CSV Utility
+ * Minimal RFC 4180 parsing and serialization for batch inputs and exports
+ *
+ * @module CSV
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted fields with embedded commas, quotes and newlines
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * A leading byte order mark (Excel exports) is ignored
+ */
+function parse(text) {
+  const [header, ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim());
+
+  return rows.map((cells, index) => {
+    if (cells.length !== columns.length) {
+      throw new Error(`Row ${index + 2} has ${cells.length} fields, expected ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((name, i) => [name, cells[i]]));
+  });
+}
+
+/**
+ * Quote a value for CSV output
+ * Cells starting with a formula character are prefixed so spreadsheets
+ * do not evaluate them
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV with the given columns
+ */
+function stringify(rows, columns) {
+  const lines = [columns.map(formatCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parse,
+  stringify,
+};
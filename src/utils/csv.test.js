@@ -0,0 +1,54 @@
+const { parse, stringify } = require('./csv');
+
+describe('parse', () => {
+  it('maps rows onto the header columns', () => {
+    expect(parse('id, prompt\n1,hello\n2,world\n')).toEqual([
+      { id: '1', prompt: 'hello' },
+      { id: '2', prompt: 'world' },
+    ]);
+  });
+
+  it('handles quoted commas, quotes and newlines', () => {
+    expect(parse('id,prompt\r\n1,"a, ""b""\r\nc"\r\n')).toEqual([{ id: '1', prompt: 'a, "b"\r\nc' }]);
+  });
+
+  it('ignores a byte order mark and blank lines', () => {
+    expect(parse('\uFEFFid,prompt\n\n1,x\n\n')).toEqual([{ id: '1', prompt: 'x' }]);
+  });
+
+  it('keeps empty cells', () => {
+    expect(parse('id,prompt\n1,\n')).toEqual([{ id: '1', prompt: '' }]);
+  });
+
+  it('returns no rows for empty input', () => {
+    expect(parse('')).toEqual([]);
+  });
+
+  it('rejects rows with the wrong number of fields', () => {
+    expect(() => parse('id,prompt\n1,a,b\n')).toThrow('Row 2 has 3 fields, expected 2');
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parse('id,prompt\n1,"open\n')).toThrow('Unterminated quoted field');
+  });
+});
+
+describe('stringify', () => {
+  it('writes a header and CRLF-terminated rows', () => {
+    expect(stringify([{ id: 1, output: 'ok', extra: 'x' }], ['id', 'output'])).toBe('id,output\r\n1,ok\r\n');
+  });
+
+  it('quotes cells that need it and blanks missing values', () => {
+    expect(stringify([{ a: 'x,"y"', b: null }], ['a', 'b'])).toBe('a,b\r\n"x,""y""",\r\n');
+  });
+
+  it('defuses spreadsheet formulas', () => {
+    expect(stringify([{ a: '=SUM(A1)', b: '-1' }], ['a', 'b'])).toBe("a,b\r\n'=SUM(A1),'-1\r\n");
+  });
+
+  it('round-trips through parse', () => {
+    const rows = [{ id: '1', prompt: 'line one\nline "two", three' }];
+
+    expect(parse(stringify(rows, ['id', 'prompt']))).toEqual(rows);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Document Text Utility
+ * Detects an uploaded file's type from its content and extracts its text
+ * Supports plain text, CSV, PDF, DOC and DOCX
+ *
+ * @module DocumentText
+ */
+
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+
+const DOC = 'application/msword';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Browsers on Windows report .csv files as Excel
+const CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel'];
+
+/**
+ * Detect a file's MIME type from its leading bytes
+ * Office formats are containers, so the Word part is looked for inside
+ * the ZIP (DOCX) or compound file (DOC). Text must be valid UTF-8; the
+ * declared type or .csv extension only tells CSV from plain text.
+ * Returns null for anything unrecognized
+ */
+function detectType(buffer, { declaredType, filename = '' } = {}) {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'application/pdf';
+  }
+
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304) {
+    return buffer.includes('word/document.xml') ? DOCX : null;
+  }
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) {
+    return buffer.includes(Buffer.from('WordDocument', 'utf16le')) ? DOC : null;
+  }
+
+  if (!isText(buffer)) {
+    return null;
+  }
+
+  const csv = CSV_TYPES.includes(declaredType) || path.extname(filename).toLowerCase() === '.csv';
+  return csv ? 'text/csv' : 'text/plain';
+}
+
+function isText(buffer) {
+  if (buffer.includes(0)) {
+    return false;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Extract text from a file of a detected type
+ * Returns { text, pages }; pages is only known for PDFs
+ */
+async function extractText(buffer, type) {
+  let text;
+  let pages = null;
+
+  switch (type) {
+    case 'text/plain':
+    case 'text/csv':
+      text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+      break;
+
+    case 'application/pdf': {
+      const result = await pdfParse(buffer);
+      text = result.text;
+      pages = result.numpages;
+      break;
+    }
+
+    case DOCX:
+      text = (await mammoth.extractRawText({ buffer })).value;
+      break;
+
+    case DOC:
+      text = (await new WordExtractor().extract(buffer)).getBody();
+      break;
+
+    default:
+      throw new Error(`No text extractor for ${type}`);
+  }
+
+  return { text: normalize(text), pages };
+}
+
+/**
+ * Normalize line endings and collapse runs of blank lines
+ */
+function normalize(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  detectType,
+  extractText,
+};
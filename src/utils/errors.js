@@ -0,0 +1,140 @@
+/**
+ * API Errors
+ * Typed error catalog shared by every route so clients can branch on a
+ * stable `code` instead of parsing messages
+ *
+ * @module Errors
+ */
+
+const ERROR_CATALOG = {
+  VALIDATION_FAILED: { status: 400, message: 'Request validation failed' },
+  CONTEXT_TOO_LONG: { status: 400, message: 'Input exceeds the model context length' },
+  UNAUTHORIZED: { status: 401, message: 'Authentication required' },
+  FORBIDDEN: { status: 403, message: 'Insufficient permissions' },
+  NOT_FOUND: { status: 404, message: 'Resource not found' },
+  MODEL_NOT_FOUND: { status: 404, message: 'Model not found' },
+  CONFLICT: { status: 409, message: 'Resource already exists' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Request body too large' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests' },
+  REQUEST_CANCELLED: { status: 499, message: 'Request was cancelled' },
+  INTERNAL_ERROR: { status: 500, message: 'Internal server error' },
+  INFERENCE_FAILED: { status: 502, message: 'Inference request failed' },
+  OUTPUT_VALIDATION_FAILED: { status: 502, message: 'Model output does not match the response format' },
+  OLLAMA_UNAVAILABLE: { status: 503, message: 'Ollama is not reachable' },
+  QUEUE_FULL: { status: 503, message: 'Inference queue is full, please retry shortly' },
+  QUEUE_TIMEOUT: { status: 503, message: 'Request timed out waiting for an inference slot' },
+  SHUTTING_DOWN: { status: 503, message: 'Server is shutting down' },
+  OLLAMA_TIMEOUT: { status: 504, message: 'Ollama did not respond in time' },
+};
+
+// Network failures that mean Ollama itself is down
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EHOSTUNREACH', 'EAI_AGAIN'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+class ApiError extends Error {
+  constructor(code, message = null, details = null) {
+    const entry = ERROR_CATALOG[code] || ERROR_CATALOG.INTERNAL_ERROR;
+    super(message || entry.message);
+
+    this.name = 'ApiError';
+    this.code = ERROR_CATALOG[code] ? code : 'INTERNAL_ERROR';
+    this.status = entry.status;
+    this.details = details;
+  }
+
+  /**
+   * Seconds a client should wait before retrying, when known
+   */
+  get retryAfter() {
+    return this.details?.retryAfter;
+  }
+
+  /**
+   * Response body for the native API
+   */
+  toJSON() {
+    const body = {
+      error: this.message,
+      code: this.code,
+      status: this.status,
+    };
+
+    if (this.details) {
+      body.details = this.details;
+    }
+
+    return body;
+  }
+}
+
+/**
+ * Map an error returned by Ollama (HTTP or mid-stream) onto the catalog
+ */
+function fromOllamaError(error, context = {}) {
+  if (!error.response && UNAVAILABLE_CODES.includes(error.code)) {
+    return new ApiError('OLLAMA_UNAVAILABLE', null, context.model ? { model: context.model } : null);
+  }
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return new ApiError('OLLAMA_TIMEOUT');
+  }
+
+  const status = error.response?.status;
+  const message = error.ollamaError
+    || (typeof error.response?.data?.error === 'string' ? error.response.data.error : null)
+    || error.message;
+
+  if (status === 404 || /model .*not found/i.test(message)) {
+    return new ApiError('MODEL_NOT_FOUND', message, context.model ? { model: context.model } : null);
+  }
+
+  if (/context (length|window)|too long|exceeds .*(context|length)/i.test(message)) {
+    return new ApiError('CONTEXT_TOO_LONG', message);
+  }
+
+  return new ApiError('INFERENCE_FAILED', message);
+}
+
+/**
+ * Normalize any thrown value into an ApiError
+ * Unknown errors become INTERNAL_ERROR with the fallback message so
+ * internals are not leaked to clients
+ */
+function toApiError(error, fallbackMessage = null, context = {}) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  // Body parser failures
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError('VALIDATION_FAILED', 'Malformed JSON body');
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError('PAYLOAD_TOO_LARGE');
+  }
+
+  // Aborted through the request's AbortSignal, queued or mid-inference
+  if (error.code === 'ERR_CANCELED') {
+    return new ApiError('REQUEST_CANCELLED');
+  }
+
+  // Ollama HTTP and stream errors
+  if (error.isAxiosError || error.ollamaError) {
+    return fromOllamaError(error, context);
+  }
+
+  if (error.status === 404) {
+    return new ApiError('NOT_FOUND', error.message);
+  }
+
+  const wrapped = new ApiError('INTERNAL_ERROR', fallbackMessage);
+  wrapped.cause = error;
+  return wrapped;
+}
+
+module.exports = {
+  ApiError,
+  ERROR_CATALOG,
+  fromOllamaError,
+  toApiError,
+};
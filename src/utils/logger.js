@@ -8,6 +8,8 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const requestContext = require('./requestContext');
 
 // Ensure log directories exist
 const createLogDir = (logPath) => {
@@ -181,6 +183,7 @@ class EnhancedLogger {
   // Healthcare-specific logging methods
   auditLog(event, details = {}) {
     this.audit.info(event, {
+      ...requestContext.getAuditFields(),
       ...details,
       eventType: 'audit',
       timestamp: new Date().toISOString(),
@@ -190,6 +193,7 @@ class EnhancedLogger {
 
   securityEvent(event, details = {}) {
     const logData = {
+      ...requestContext.getAuditFields(),
       ...details,
       eventType: 'security',
       severity: 'high',
@@ -253,7 +257,8 @@ class EnhancedLogger {
   // Request/Response logging middleware
   requestLogger(req, res, next) {
     const startTime = Date.now();
-    const requestId = Math.random().toString(36).substring(7);
+    // Request IDs address cancellation and queue entries, so they must not collide
+    const requestId = crypto.randomUUID();
     
     req.requestId = requestId;
     
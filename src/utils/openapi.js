@@ -0,0 +1,303 @@
+/**
+ * OpenAPI Document
+ * Builds the OpenAPI 3.1 description of the API by walking the mounted
+ * Express routers, so the document always matches the routes. Request
+ * schemas come from validateRequest middleware, permissions from
+ * requirePermission and summaries from describeRoute.
+ *
+ * @module OpenAPI
+ */
+
+const config = require('../config/app');
+const { ERROR_CATALOG } = require('./errors');
+const { authenticate } = require('../middleware/auth');
+
+// Express mount regexp for a static path, e.g. ^\/auth\/?(?=\/|$)
+const MOUNT_PATTERN = /^\^((?:\\\/[\w.-]+)+)\\\/\?\(\?=\\\/\|\$\)$/;
+
+// Express path parameters, including custom patterns such as :model(*)
+const PARAM_PATTERN = /:(\w+)(?:\([^)]*\))?\??/g;
+
+// Failures any route backed by an inference call can return
+const INFERENCE_ERRORS = [
+  'MODEL_NOT_FOUND',
+  'CONTEXT_TOO_LONG',
+  'INFERENCE_FAILED',
+  'OLLAMA_UNAVAILABLE',
+  'OLLAMA_TIMEOUT',
+  'QUEUE_FULL',
+  'QUEUE_TIMEOUT',
+  'REQUEST_CANCELLED',
+];
+
+/**
+ * Document a route
+ * Returns a pass-through middleware carrying the route's summary and
+ * options: description, tag, status (success code), produces (content
+ * types), requestBody (content type -> schema, for bodies that are not
+ * validated JSON such as uploads) and errors (extra catalog codes the
+ * route can return)
+ */
+function describeRoute(summary, options = {}) {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = { summary, ...options };
+  return middleware;
+}
+
+/**
+ * Recover the static path a router or middleware layer is mounted at
+ * Returns '' for unscoped layers and null for dynamic mount paths
+ */
+function getMountPath(layer) {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+
+  const match = layer.regexp.source.match(MOUNT_PATTERN);
+  return match ? match[1].replace(/\\\//g, '/') : null;
+}
+
+/**
+ * Collect route definitions from a router stack
+ * Unscoped authenticate and requirePermission layers apply to every
+ * route registered after them, as they do at request time
+ */
+function collectRoutes(router, prefix, inherited, routes) {
+  const scope = { ...inherited };
+
+  for (const layer of router.stack) {
+    if (layer.route) {
+      if (typeof layer.route.path === 'string') {
+        routes.push({ prefix, route: layer.route, ...scope });
+      }
+      continue;
+    }
+
+    const mountPath = getMountPath(layer);
+    if (mountPath === null) {
+      continue;
+    }
+
+    if (layer.handle.stack) {
+      collectRoutes(layer.handle, prefix + mountPath, scope, routes);
+    } else if (mountPath === '') {
+      if (layer.handle === authenticate) {
+        scope.authenticated = true;
+      }
+      if (layer.handle.permission) {
+        scope.permission = layer.handle.permission;
+      }
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Build OpenAPI parameters from a params or query schema
+ */
+function toParameters(location, schema, names = null) {
+  const properties = schema?.properties || {};
+  const required = schema?.required || [];
+
+  return (names || Object.keys(properties)).map(name => {
+    const { description, ...property } = properties[name] || { type: 'string' };
+
+    return {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      ...(description ? { description } : {}),
+      schema: property,
+    };
+  });
+}
+
+/**
+ * Group error codes by HTTP status into OpenAPI responses
+ */
+function toErrorResponses(codes, errorSchema) {
+  const responses = {};
+
+  for (const code of codes) {
+    const status = String(ERROR_CATALOG[code].status);
+    if (!responses[status]) {
+      responses[status] = {
+        description: code,
+        content: {
+          'application/json': { schema: { $ref: `#/components/schemas/${errorSchema}` } },
+        },
+      };
+    } else if (!responses[status].description.split(', ').includes(code)) {
+      responses[status].description += `, ${code}`;
+    }
+  }
+
+  return responses;
+}
+
+/**
+ * Build the operation object for one route and method
+ */
+function buildOperation(entry, method, pathNames, source) {
+  const handlers = entry.route.stack
+    .filter(layer => !layer.method || layer.method === method)
+    .map(layer => layer.handle);
+
+  const docs = handlers.find(handler => handler.openapi)?.openapi || {};
+  const schemas = handlers.find(handler => handler.schemas)?.schemas || {};
+  const permission = handlers.find(handler => handler.permission)?.permission || entry.permission;
+  const relativePath = (entry.prefix + entry.route.path).slice(source.prefix.length);
+
+  const operation = {
+    tags: [docs.tag || source.tag || relativePath.split('/')[1] || 'general'],
+    summary: docs.summary || `${method.toUpperCase()} ${relativePath || '/'}`,
+  };
+
+  const description = [
+    docs.description,
+    permission ? `Requires the \`${permission}\` permission.` : null,
+  ].filter(Boolean).join('\n\n');
+
+  if (description) {
+    operation.description = description;
+  }
+
+  const parameters = [
+    ...toParameters('path', schemas.params, pathNames),
+    ...toParameters('query', schemas.query),
+  ];
+
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: schemas.body } },
+    };
+  } else if (docs.requestBody) {
+    operation.requestBody = {
+      required: true,
+      content: Object.fromEntries(
+        Object.entries(docs.requestBody).map(([type, schema]) => [type, { schema }])
+      ),
+    };
+  }
+
+  const errors = [
+    ...(schemas.body || schemas.params || schemas.query ? ['VALIDATION_FAILED'] : []),
+    ...(entry.authenticated ? ['UNAUTHORIZED'] : []),
+    ...(permission ? ['FORBIDDEN'] : []),
+    ...(pathNames.length > 0 ? ['NOT_FOUND'] : []),
+    ...(docs.errors || []),
+    'RATE_LIMITED',
+    'INTERNAL_ERROR',
+  ];
+
+  operation.responses = {
+    [String(docs.status || 200)]: {
+      description: 'Successful response',
+      content: Object.fromEntries(
+        (docs.produces || ['application/json']).map(type => [type, {}])
+      ),
+    },
+    ...toErrorResponses(errors, source.errorSchema || 'Error'),
+  };
+
+  if (entry.authenticated) {
+    operation.security = [{ bearerAuth: [] }, { apiKeyHeader: [] }];
+  }
+
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document for a list of mounted routers
+ * Each source is { prefix, router, authenticated, tag, errorSchema }
+ */
+function buildOpenApiDocument(sources) {
+  const paths = {};
+
+  for (const source of sources) {
+    const routes = collectRoutes(source.router, source.prefix, {
+      authenticated: Boolean(source.authenticated),
+      permission: null,
+    }, []);
+
+    for (const entry of routes) {
+      const pathNames = [];
+      const fullPath = (entry.prefix + entry.route.path).replace(PARAM_PATTERN, (match, name) => {
+        pathNames.push(name);
+        return `{${name}}`;
+      });
+      const documentPath = fullPath.replace(/\/+$/, '') || '/';
+
+      for (const method of Object.keys(entry.route.methods).filter(name => name !== '_all')) {
+        paths[documentPath] = paths[documentPath] || {};
+        paths[documentPath][method] = buildOperation(entry, method, pathNames, source);
+      }
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: `${config.app.name} API`,
+      version: config.app.version,
+      description: 'Local-only LLM inference API. All data is processed on this machine.',
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'JWT from POST /auth/login, or an API key',
+        },
+        apiKeyHeader: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error', 'code', 'status'],
+          properties: {
+            error: { type: 'string' },
+            code: { type: 'string', enum: Object.keys(ERROR_CATALOG) },
+            status: { type: 'integer' },
+            details: { type: 'object' },
+            timestamp: { type: 'string', format: 'date-time' },
+            requestId: { type: 'string' },
+          },
+        },
+        OpenAIError: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                message: { type: 'string' },
+                type: { type: 'string' },
+                param: { type: ['string', 'null'] },
+                code: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  INFERENCE_ERRORS,
+  buildOpenApiDocument,
+  describeRoute,
+};
@@ -0,0 +1,70 @@
+/**
+ * Request Context
+ * Carries per-request identity (request ID, user, role) across async calls
+ * so audit entries can be attributed without threading it through every
+ * service signature
+ *
+ * @module RequestContext
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware that opens a context for the rest of the chain
+ * Mount after body parsing so the context survives stream callbacks
+ */
+function middleware(req, res, next) {
+  storage.run({ requestId: req.requestId }, () => next());
+}
+
+/**
+ * Run a callback in a new context, for work that does not pass through
+ * Express (e.g. WebSocket messages)
+ */
+function run(values, callback) {
+  return storage.run({ ...values }, callback);
+}
+
+/**
+ * Get the active context, if any
+ */
+function get() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Merge values into the active context
+ */
+function set(values) {
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, values);
+  }
+}
+
+/**
+ * Fields added to every audit entry
+ */
+function getAuditFields() {
+  const store = storage.getStore();
+  if (!store) {
+    return {};
+  }
+
+  const fields = {};
+  if (store.requestId) fields.requestId = store.requestId;
+  if (store.userId) fields.userId = store.userId;
+  if (store.apiKeyId) fields.apiKeyId = store.apiKeyId;
+  if (store.role) fields.role = store.role;
+  return fields;
+}
+
+module.exports = {
+  middleware,
+  run,
+  get,
+  set,
+  getAuditFields,
+};
@@ -0,0 +1,72 @@
+/**
+ * Server-Sent Events Utility
+ * Helpers for writing text/event-stream responses from Express routes
+ *
+ * @module SSE
+ */
+
+/**
+ * Prepare a response for Server-Sent Events
+ */
+function initSSE(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx proxy buffering
+  });
+
+  // Send headers immediately so the client can start listening
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+}
+
+/**
+ * Write a single named event
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) {
+    return false;
+  }
+
+  if (event) {
+    res.write(`event: ${event}\n`);
+  }
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  // Push the chunk through the compression middleware if present
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+
+  return true;
+}
+
+/**
+ * Write an error event and close the stream
+ */
+function sendError(res, error, details = {}) {
+  sendEvent(res, 'error', {
+    error: error.message || 'Stream failed',
+    ...details,
+    timestamp: new Date().toISOString(),
+  });
+  endSSE(res);
+}
+
+/**
+ * Close the stream
+ */
+function endSSE(res) {
+  if (!res.writableEnded) {
+    res.end();
+  }
+}
+
+module.exports = {
+  initSSE,
+  sendEvent,
+  sendError,
+  endSSE,
+};
@@ -0,0 +1,266 @@
+/**
+ * Structured Output
+ * JSON Schema response formats for chat and generate. The schema is
+ * passed to Ollama as `format` and enforced again on the result with the
+ * request validator, so it is limited to the keywords the validator
+ * understands; validation errors become repair instructions for the
+ * model.
+ *
+ * @module StructuredOutput
+ */
+
+const { ApiError } = require('./errors');
+const { validate } = require('./validation');
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+const SUPPORTED_KEYWORDS = [
+  'type', 'enum', 'required', 'properties', 'additionalProperties', 'items',
+  'minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems', 'pattern',
+  'title', 'description',
+];
+
+const MAX_PATTERN_LENGTH = 200;
+
+// A repeated group, which may match any text
+const GROUP = null;
+
+/**
+ * Parse the quantifier at pattern[i], if any
+ * Returns { min, fixed, variable, end }; variable is true for unbounded or wide
+ * ranges, where a backtracking matcher has many ways to split the text
+ */
+function readQuantifier(pattern, i) {
+  const match = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(pattern.slice(i));
+  if (!match) {
+    return { min: 1, fixed: true, variable: false, end: i };
+  }
+
+  let min;
+  let max;
+  if (match[1]) {
+    min = match[1] === '+' ? 1 : 0;
+    max = match[1] === '?' ? 1 : Infinity;
+  } else {
+    min = Number(match[2]);
+    max = !match[3] ? min : match[4] === '' ? Infinity : Number(match[4]);
+  }
+
+  return { min, fixed: min === max, variable: max - min > 16, end: i + match[0].length };
+}
+
+/**
+ * Whether two single-character atoms can match the same character
+ * Repeated groups are assumed to overlap with anything
+ */
+function overlaps(a, b) {
+  if (a === GROUP || b === GROUP) {
+    return true;
+  }
+
+  const first = new RegExp(`^(?:${a})$`);
+  const second = new RegExp(`^(?:${b})$`);
+  for (let code = 0; code < 256; code++) {
+    const char = String.fromCharCode(code);
+    if (first.test(char) && second.test(char)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Why a pattern could backtrack catastrophically on model output, or null
+ * Patterns run on text the model wrote, so these are refused: repeated
+ * groups that contain a quantifier or an alternation, as in (a+)+ or
+ * (a|a)*; repeated parts that can match the same text with nothing
+ * required in between, as in \d*\d* or .*x.*; and backreferences.
+ *
+ * The scan tracks the repeated atoms that the next atom could still be
+ * adjacent to (`open`). A required atom that none of them can match
+ * closes them off.
+ */
+function findUnsafePattern(pattern) {
+  const frames = [];
+  let open = [];
+
+  // Apply an atom with its quantifier to the open atoms
+  const add = (atom, { min, variable }) => {
+    if (variable) {
+      if (open.some(previous => overlaps(previous, atom))) {
+        return 'must not repeat parts that can match the same text next to each other';
+      }
+      open = min > 0 ? [atom] : [...open, atom];
+    } else if (min > 0) {
+      open = open.filter(previous => overlaps(previous, atom));
+    }
+    return null;
+  };
+
+  for (let i = 0; i < pattern.length;) {
+    const char = pattern[i];
+    let atom;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) {
+        return 'must not use backreferences';
+      }
+      const escape = /^\\(?:u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|.)/.exec(pattern.slice(i))[0];
+      atom = escape;
+      i += escape.length;
+    } else if (char === '[') {
+      const end = /^\[\^?\]?(?:\\.|[^\]\\])*\]/.exec(pattern.slice(i))[0];
+      atom = end;
+      i += end.length;
+    } else if (char === '(') {
+      const prefix = /^\((?:\?(?:[:=!]|<[=!]|<[^>]*>))?/.exec(pattern.slice(i))[0];
+      frames.push({ outer: open, alternatives: [], repeats: false, lookaround: /^\(\?<?[=!]/.test(prefix) });
+      i += prefix.length;
+      continue;
+    } else if (char === ')') {
+      const frame = frames.pop();
+      const quantifier = readQuantifier(pattern, i + 1);
+      const inner = [...new Set([...frame.alternatives, open].flat())];
+      i = quantifier.end;
+
+      if (frames.length > 0) {
+        frames[frames.length - 1].repeats ||= frame.repeats || !quantifier.fixed;
+      }
+
+      if (frame.lookaround) {
+        open = frame.outer;
+      } else if (quantifier.variable) {
+        if (frame.repeats) {
+          return 'must not repeat a group containing a quantifier or alternation';
+        }
+        open = frame.outer;
+        const reason = add(GROUP, quantifier);
+        if (reason) {
+          return reason;
+        }
+      } else {
+        open = quantifier.min > 0 ? inner : [...new Set([...frame.outer, ...inner])];
+      }
+      continue;
+    } else if (char === '|') {
+      const frame = frames[frames.length - 1];
+      if (frame) {
+        frame.alternatives.push(open);
+        frame.repeats = true;
+        open = frame.outer;
+      } else {
+        open = [];
+      }
+      i++;
+      continue;
+    } else if (char === '^' || char === '$') {
+      i++;
+      continue;
+    } else {
+      atom = char === '.' ? '.' : char.replace(/[{}]/, '\\$&');
+      i++;
+    }
+
+    const quantifier = readQuantifier(pattern, i);
+    i = quantifier.end;
+    if (frames.length > 0 && !quantifier.fixed) {
+      frames[frames.length - 1].repeats = true;
+    }
+
+    const reason = add(atom, quantifier);
+    if (reason) {
+      return reason;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a response format schema
+ * Throws VALIDATION_FAILED listing keywords that would not be enforced
+ */
+function checkResponseFormat(schema, path = 'options.response_format') {
+  const errors = [];
+
+  const check = (node, at) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push({ path: at, message: 'must be a schema object' });
+      return;
+    }
+
+    for (const keyword of Object.keys(node)) {
+      if (!SUPPORTED_KEYWORDS.includes(keyword)) {
+        errors.push({ path: `${at}.${keyword}`, message: 'is not a supported keyword' });
+      }
+    }
+
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (node.type !== undefined && !types.every(type => TYPES.includes(type))) {
+      errors.push({ path: `${at}.type`, message: `must be one of: ${TYPES.join(', ')}` });
+    }
+
+    if (node.pattern !== undefined) {
+      try {
+        new RegExp(node.pattern);
+        const problem = node.pattern.length > MAX_PATTERN_LENGTH
+          ? `must be at most ${MAX_PATTERN_LENGTH} characters`
+          : findUnsafePattern(node.pattern);
+        if (problem) {
+          errors.push({ path: `${at}.pattern`, message: problem });
+        }
+      } catch (error) {
+        errors.push({ path: `${at}.pattern`, message: 'must be a valid regular expression' });
+      }
+    }
+
+    for (const [name, property] of Object.entries(node.properties || {})) {
+      check(property, `${at}.properties.${name}`);
+    }
+    if (node.items !== undefined) {
+      check(node.items, `${at}.items`);
+    }
+    if (typeof node.additionalProperties === 'object') {
+      check(node.additionalProperties, `${at}.additionalProperties`);
+    }
+  };
+
+  check(schema, path);
+
+  if (errors.length > 0) {
+    throw new ApiError('VALIDATION_FAILED', null, { errors });
+  }
+}
+
+/**
+ * Parse model output as JSON and validate it against the schema
+ * Returns { value, errors }; errors is empty when the output is valid
+ */
+function parseOutput(text, schema) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return { value: undefined, errors: [{ path: 'output', message: 'is not valid JSON' }] };
+  }
+
+  return { value, errors: validate(schema, value, 'output') };
+}
+
+/**
+ * Instructions asking the model to fix its previous response
+ */
+function repairInstructions(errors) {
+  const list = errors.slice(0, 20).map(error => `- ${error.path} ${error.message}`).join('\n');
+
+  return `Your previous response did not match the required JSON schema:
+${list}
+
+Respond again with only the corrected JSON document.`;
+}
+
+module.exports = {
+  checkResponseFormat,
+  parseOutput,
+  repairInstructions,
+};
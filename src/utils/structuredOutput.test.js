@@ -0,0 +1,85 @@
+const { checkResponseFormat, parseOutput, repairInstructions } = require('./structuredOutput');
+
+const errorsFor = (schema) => {
+  try {
+    checkResponseFormat(schema);
+    return [];
+  } catch (error) {
+    return error.details.errors;
+  }
+};
+
+describe('checkResponseFormat', () => {
+  it('accepts schemas using the supported keywords', () => {
+    expect(errorsFor({
+      type: 'object',
+      required: ['date'],
+      properties: {
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'ISO date' },
+        codes: { type: 'array', items: { type: 'string', pattern: '^(?:[A-Z][0-9][0-9])+$' } },
+      },
+      additionalProperties: { type: 'number' },
+    })).toEqual([]);
+  });
+
+  it('rejects keywords the validator would not enforce', () => {
+    expect(errorsFor({ type: 'object', properties: { a: { type: 'string', format: 'email' } } })).toEqual([
+      { path: 'options.response_format.properties.a.format', message: 'is not a supported keyword' },
+    ]);
+  });
+
+  it('rejects unknown types and invalid patterns', () => {
+    expect(errorsFor({ type: 'date', items: { pattern: '(' } })).toEqual([
+      { path: 'options.response_format.type', message: expect.stringContaining('must be one of') },
+      { path: 'options.response_format.items.pattern', message: 'must be a valid regular expression' },
+    ]);
+  });
+
+  it.each([
+    ['(a+)+$', 'must not repeat a group containing a quantifier or alternation'],
+    ['(a|a)*$', 'must not repeat a group containing a quantifier or alternation'],
+    ['((ab)*)+', 'must not repeat a group containing a quantifier or alternation'],
+    ['(\\d+){2,}', 'must not repeat a group containing a quantifier or alternation'],
+    ['^\\d*\\d*\\d*\\d*\\d*\\d*\\d*\\d*x$', 'must not repeat parts that can match the same text next to each other'],
+    ['.*x.*', 'must not repeat parts that can match the same text next to each other'],
+    ['\\d+[a-z]*\\d+', 'must not repeat parts that can match the same text next to each other'],
+    ['\\d+(x)?\\d+', 'must not repeat parts that can match the same text next to each other'],
+    ['a{0,100}a{0,100}', 'must not repeat parts that can match the same text next to each other'],
+    ['(a)\\1', 'must not use backreferences'],
+    ['(?<x>a)\\k<x>', 'must not use backreferences'],
+  ])('rejects %s, which can backtrack catastrophically', (pattern, message) => {
+    expect(errorsFor({ type: 'string', pattern })).toEqual([{ path: 'options.response_format.pattern', message }]);
+  });
+
+  it.each([
+    '^(ab)+$', '[(a+)]+', '\\(a+\\)+', '((a)+)', '(?<year>\\d{4})-\\d{2}', '^(?:[A-Z]\\d{2})+$',
+    '^\\d+(\\.\\d+)?$', '^\\w+@\\w+\\.\\w+$', '\\d+[a-z]+', '^(?=\\d)\\d+$',
+  ])('accepts %s', (pattern) => {
+    expect(errorsFor({ type: 'string', pattern })).toEqual([]);
+  });
+
+  it('caps pattern length', () => {
+    expect(errorsFor({ type: 'string', pattern: 'a'.repeat(201) })).toEqual([
+      { path: 'options.response_format.pattern', message: 'must be at most 200 characters' },
+    ]);
+  });
+});
+
+describe('parseOutput', () => {
+  const schema = { type: 'object', required: ['answer'], properties: { answer: { type: 'string' } } };
+
+  it('returns the parsed value when it matches', () => {
+    expect(parseOutput('{"answer":"yes"}', schema)).toEqual({ value: { answer: 'yes' }, errors: [] });
+  });
+
+  it('reports invalid JSON and schema mismatches', () => {
+    expect(parseOutput('not json', schema).errors).toEqual([{ path: 'output', message: 'is not valid JSON' }]);
+    expect(parseOutput('{"answer":1}', schema).errors).toEqual([{ path: 'output.answer', message: 'must be of type string' }]);
+  });
+});
+
+describe('repairInstructions', () => {
+  it('lists the validation errors', () => {
+    expect(repairInstructions([{ path: 'output.answer', message: 'is required' }])).toContain('- output.answer is required');
+  });
+});
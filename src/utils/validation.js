@@ -0,0 +1,182 @@
+/**
+ * Request Validation
+ * Validates request bodies, params and query strings against declarative
+ * schemas written in a JSON Schema subset (type, enum, required,
+ * properties, additionalProperties, items, min/max, minLength/maxLength,
+ * minItems/maxItems, pattern). The same schemas document the API.
+ *
+ * @module Validation
+ */
+
+const { ApiError } = require('./errors');
+
+// Longest string matched against a pattern, bounding the time a
+// backtracking match can take on model output
+const MAX_PATTERN_INPUT = 1000;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+function describe(value) {
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+/**
+ * Validate a value against a schema
+ * Returns a list of { path, message } errors, empty when valid
+ */
+function validate(schema, value, path = '') {
+  const errors = [];
+  const at = path || 'value';
+
+  if (value === undefined) {
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: at, message: `must be of type ${describe(schema.type)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${describe(schema.enum)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && value.length > MAX_PATTERN_INPUT) {
+      errors.push({ path: at, message: `must be at most ${MAX_PATTERN_INPUT} characters to match pattern ${schema.pattern}` });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const prefix = path ? `${path}.` : '';
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: `${prefix}${name}`, message: 'is required' });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validate(properties[name], propertyValue, `${prefix}${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${prefix}${name}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, propertyValue, `${prefix}${name}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert query and path strings to the types their schema declares
+ */
+function coerce(schema, values) {
+  const result = { ...values };
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const raw = result[name];
+    if (typeof raw !== 'string') {
+      continue;
+    }
+
+    const types = Array.isArray(property.type) ? property.type : [property.type];
+    if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !isNaN(Number(raw))) {
+      result[name] = Number(raw);
+    } else if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+      result[name] = raw === 'true';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Express middleware validating the request against { body, params, query }
+ * schemas. Failures are passed on as VALIDATION_FAILED errors; the schemas
+ * stay attached to the middleware so the API document can be generated
+ */
+function validateRequest(schemas) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    if (schemas.params) {
+      req.params = coerce(schemas.params, req.params);
+      errors.push(...validate(schemas.params, req.params, 'params'));
+    }
+
+    if (schemas.query) {
+      req.query = coerce(schemas.query, req.query);
+      errors.push(...validate(schemas.query, req.query, 'query'));
+    }
+
+    if (schemas.body) {
+      const body = req.body === undefined ? {} : req.body;
+      errors.push(...validate(schemas.body, body, ''));
+    }
+
+    if (errors.length > 0) {
+      return next(new ApiError('VALIDATION_FAILED', null, { errors }));
+    }
+
+    next();
+  };
+
+  middleware.schemas = schemas;
+  return middleware;
+}
+
+module.exports = {
+  validate,
+  validateRequest,
+};
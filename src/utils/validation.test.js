@@ -0,0 +1,105 @@
+const { validate, validateRequest } = require('./validation');
+
+describe('validate', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 2, maxLength: 5, pattern: '^[a-z]+$' },
+      count: { type: 'integer', minimum: 1, maximum: 10 },
+      ratio: { type: 'number' },
+      mode: { type: 'string', enum: ['fast', 'slow'] },
+      tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } },
+    },
+  };
+
+  it('accepts a valid value', () => {
+    expect(validate(schema, { name: 'abc', count: 3, ratio: 1, mode: 'fast', tags: ['x'] })).toEqual([]);
+  });
+
+  it('ignores undefined values', () => {
+    expect(validate({ type: 'string' }, undefined)).toEqual([]);
+  });
+
+  it('reports missing and unknown properties', () => {
+    expect(validate(schema, { extra: 1 })).toEqual([
+      { path: 'name', message: 'is required' },
+      { path: 'extra', message: 'is not allowed' },
+    ]);
+  });
+
+  it('stops at a type mismatch', () => {
+    expect(validate(schema, { name: 12 })).toEqual([{ path: 'name', message: 'must be of type string' }]);
+  });
+
+  it('treats integers as numbers but not the reverse', () => {
+    expect(validate(schema, { name: 'ab', ratio: 2 })).toEqual([]);
+    expect(validate(schema, { name: 'ab', count: 1.5 })).toEqual([{ path: 'count', message: 'must be of type integer' }]);
+  });
+
+  it('checks string, number, enum and array constraints', () => {
+    const errors = validate(schema, { name: 'ABCDEF', count: 11, mode: 'other', tags: ['a', 2, 'c'] });
+
+    expect(errors).toEqual([
+      { path: 'name', message: 'must be at most 5 characters' },
+      { path: 'name', message: 'must match pattern ^[a-z]+$' },
+      { path: 'count', message: 'must be <= 10' },
+      { path: 'mode', message: 'must be one of: fast, slow' },
+      { path: 'tags', message: 'must contain at most 2 items' },
+      { path: 'tags[1]', message: 'must be of type string' },
+    ]);
+  });
+
+  it('does not match patterns against very long strings', () => {
+    expect(validate({ type: 'string', pattern: '^a+$' }, 'a'.repeat(1000))).toEqual([]);
+    expect(validate({ type: 'string', pattern: '^a+$' }, 'a'.repeat(1001))).toEqual([
+      { path: 'value', message: 'must be at most 1000 characters to match pattern ^a+$' },
+    ]);
+  });
+
+  it('validates additional properties against a schema', () => {
+    const map = { type: 'object', additionalProperties: { type: 'number' } };
+
+    expect(validate(map, { a: 1, b: 'x' }, 'body')).toEqual([{ path: 'body.b', message: 'must be of type number' }]);
+  });
+
+  it('accepts a list of types', () => {
+    expect(validate({ type: ['string', 'null'] }, null)).toEqual([]);
+    expect(validate({ type: ['string', 'null'] }, 1)).toEqual([{ path: 'value', message: 'must be of type string, null' }]);
+  });
+});
+
+describe('validateRequest', () => {
+  const middleware = validateRequest({
+    query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1 }, all: { type: 'boolean' } } },
+    body: { type: 'object', required: ['prompt'] },
+  });
+
+  it('coerces query strings to their declared types', () => {
+    const req = { query: { limit: '5', all: 'true' }, body: { prompt: 'hi' } };
+    const next = jest.fn();
+
+    middleware(req, {}, next);
+
+    expect(req.query).toEqual({ limit: 5, all: true });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('passes VALIDATION_FAILED with every error', () => {
+    const next = jest.fn();
+
+    middleware({ query: { limit: '0' } }, {}, next);
+
+    const [error] = next.mock.calls[0];
+    expect(error.code).toBe('VALIDATION_FAILED');
+    expect(error.details.errors).toEqual([
+      { path: 'query.limit', message: 'must be >= 1' },
+      { path: 'prompt', message: 'is required' },
+    ]);
+  });
+
+  it('keeps the schemas for the API document', () => {
+    expect(middleware.schemas.body.required).toEqual(['prompt']);
+  });
+});